@@ -0,0 +1,38 @@
+// Permissions checked by requirePermission() in middleware/auth.js
+export const PERMISSIONS = {
+  'content:read': 'View all songs, albums, photos, videos and upcoming releases (including archived)',
+  'content:write': 'Upload, edit, archive and delete content',
+  'comments:moderate': 'View and delete likes, dislikes and comments',
+  'payments:read': 'View payments and revenue',
+  'payments:refund': 'Refund payments and cancel what they paid for',
+  'plans:read': 'View all subscription plans (including inactive)',
+  'plans:write': 'Create, edit and delete subscription plans',
+  'subscriptions:write': 'Grant, extend and revoke user subscriptions',
+  'coupons:read': 'View promo codes and their redemptions',
+  'coupons:write': 'Create, edit and delete promo codes',
+  'vouchers:read': 'View gift and giveaway vouchers and who redeemed them',
+  'vouchers:write': 'Mint voucher batches and void vouchers',
+  'users:read': 'View users, their subscriptions and sessions',
+  'users:write': 'Suspend, ban and reset passwords of users, and sign them out',
+  'roles:assign': 'Change user roles',
+  'stats:read': 'View the admin dashboard',
+  'audit:read': 'View the admin audit log'
+};
+
+// Built-in roles. 'admin' always has every permission.
+export const ROLES = {
+  user: [],
+  editor: ['content:read', 'content:write', 'stats:read'],
+  moderator: ['content:read', 'comments:moderate', 'users:read'],
+  finance: ['payments:read', 'payments:refund', 'plans:read', 'plans:write', 'subscriptions:write', 'coupons:read', 'coupons:write', 'vouchers:read', 'vouchers:write', 'users:read', 'stats:read'],
+  admin: Object.keys(PERMISSIONS)
+};
+
+export const isValidRole = (role) => Object.prototype.hasOwnProperty.call(ROLES, role);
+
+export const getRolePermissions = (role) => (isValidRole(role) ? ROLES[role] : []);
+
+export const hasPermission = (role, permission) => getRolePermissions(role).includes(permission);
+
+// Staff roles are the ones that can reach /api/admin at all
+export const isStaffRole = (role) => getRolePermissions(role).length > 0;
@@ -1,6 +1,96 @@
 import jwt from 'jsonwebtoken';
 import { getDB } from '../config/database.js';
 import { ObjectId } from 'mongodb';
+import { findActiveSession, touchSession } from '../utils/sessions.js';
+import { getRolePermissions, hasPermission, isStaffRole } from '../config/permissions.js';
+import { findActiveSubscription } from '../utils/subscriptions.js';
+import { resolveEntitlements, hasEntitlement } from '../utils/entitlements.js';
+
+// Why a user may not use their account right now, or null if they can.
+// Suspensions with an end date lift themselves once it passes.
+export const getAccountRestriction = (user) => {
+  if (user.status === 'banned') {
+    return { status: 'banned', error: 'This account has been banned', reason: user.status_reason || null };
+  }
+  if (user.status === 'suspended' && (!user.suspended_until || new Date(user.suspended_until) > new Date())) {
+    return {
+      status: 'suspended',
+      error: 'This account is suspended',
+      reason: user.status_reason || null,
+      until: user.suspended_until || null
+    };
+  }
+  return null;
+};
+
+// The account and session behind a bearer token: { user, session }, or { status, body }
+// describing why it can't be used
+async function verifyToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    return { status: 401, body: { error: 'Invalid token' } };
+  }
+
+  // Tokens issued before sessions existed carry no session id and can't be revoked
+  if (!decoded.sid) {
+    return { status: 401, body: { error: 'Session expired. Please log in again.' } };
+  }
+
+  const session = await findActiveSession(decoded.sid);
+  if (!session || session.user_id.toString() !== decoded.userId) {
+    return { status: 401, body: { error: 'Session has been revoked' } };
+  }
+  
+  const db = await getDB();
+  const user = await db.collection('users').findOne(
+    { _id: new ObjectId(decoded.userId) },
+    {
+      projection: {
+        _id: 1,
+        email: 1,
+        name: 1,
+        role: 1,
+        email_verified: 1,
+        'two_factor.enabled': 1,
+        status: 1,
+        status_reason: 1,
+        suspended_until: 1
+      }
+    }
+  );
+  
+  if (!user) {
+    return { status: 401, body: { error: 'User not found' } };
+  }
+
+  const restriction = getAccountRestriction(user);
+  if (restriction) {
+    return { status: 403, body: { ...restriction, accountRestricted: true } };
+  }
+
+  return { user, session };
+}
+
+const setRequestUser = async (req, { user, session }) => {
+  // Convert _id to id for consistency
+  req.user = {
+    id: user._id.toString(),
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    // Accounts created before verification existed have no flag and count as verified
+    email_verified: user.email_verified !== false,
+    two_factor_enabled: !!user.two_factor?.enabled,
+    permissions: getRolePermissions(user.role)
+  };
+  req.auth = {
+    sessionId: session._id.toString(),
+    mfa: !!session.mfa
+  };
+  await touchSession(session, req);
+};
 
 export const authenticate = async (req, res, next) => {
   try {
@@ -10,38 +100,103 @@ export const authenticate = async (req, res, next) => {
       return res.status(401).json({ error: 'No token provided' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    const db = await getDB();
-    const user = await db.collection('users').findOne(
-      { _id: new ObjectId(decoded.userId) },
-      { projection: { _id: 1, email: 1, name: 1, role: 1 } }
-    );
-    
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
+    const result = await verifyToken(token);
+    if (!result.user) {
+      return res.status(result.status).json(result.body);
     }
 
-    // Convert _id to id for consistency
-    req.user = {
-      id: user._id.toString(),
-      email: user.email,
-      name: user.name,
-      role: user.role
-    };
+    await setRequestUser(req, result);
     next();
   } catch (error) {
     return res.status(401).json({ error: 'Invalid token' });
   }
 };
 
+// Sets req.user when a valid token is sent, and carries on without one otherwise
+export const optionalAuthenticate = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (token) {
+      const result = await verifyToken(token);
+      if (result.user) await setRequestUser(req, result);
+    }
+  } catch (error) {
+    console.error('Optional authentication error:', error);
+  }
+  next();
+};
+
+// With REQUIRE_ADMIN_2FA=true admins must have 2FA enabled and have used it to sign in
+const requireAdmin2fa = process.env.REQUIRE_ADMIN_2FA === 'true';
+
+// Returns an error response body if the admin 2FA policy blocks this request
+const adminTwoFactorError = (req) => {
+  if (!requireAdmin2fa || req.user?.role !== 'admin') return null;
+  if (req.user.two_factor_enabled && req.auth?.mfa) return null;
+  return {
+    error: req.user.two_factor_enabled
+      ? 'Please sign in again with your authenticator code'
+      : 'Two-factor authentication must be enabled for admin accounts',
+    requiresTwoFactor: true
+  };
+};
+
 export const requireAdmin = (req, res, next) => {
   if (req.user?.role !== 'admin') {
     return res.status(403).json({ error: 'Admin access required' });
   }
+  const twoFactorError = adminTwoFactorError(req);
+  if (twoFactorError) {
+    return res.status(403).json(twoFactorError);
+  }
   next();
 };
 
+// Any role with at least one permission (editor, moderator, finance, admin)
+export const requireStaff = (req, res, next) => {
+  if (!isStaffRole(req.user?.role)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  const twoFactorError = adminTwoFactorError(req);
+  if (twoFactorError) {
+    return res.status(403).json(twoFactorError);
+  }
+  next();
+};
+
+// Require every listed permission, e.g. requirePermission('content:write')
+export const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !hasPermission(req.user?.role, permission));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      error: 'You do not have permission to do this',
+      missingPermissions: missing
+    });
+  }
+  const twoFactorError = adminTwoFactorError(req);
+  if (twoFactorError) {
+    return res.status(403).json(twoFactorError);
+  }
+  next();
+};
+
+// Actions that need a verified email, e.g. EMAIL_VERIFICATION_REQUIRED_FOR=payments,comments
+// Set it to "none" to turn the policy off
+const emailVerificationPolicy = (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || 'payments,comments')
+  .split(',')
+  .map(action => action.trim())
+  .filter(Boolean);
+
+export const requireVerifiedEmail = (action) => (req, res, next) => {
+  if (!emailVerificationPolicy.includes(action) || req.user?.email_verified) {
+    return next();
+  }
+  return res.status(403).json({
+    error: 'Please verify your email address first',
+    requiresEmailVerification: true
+  });
+};
+
 export const requireSubscription = async (req, res, next) => {
   try {
     // Admins can access without subscription
@@ -49,17 +204,8 @@ export const requireSubscription = async (req, res, next) => {
       return next();
     }
 
-    const userId = req.user.id;
     const db = await getDB();
-    
-    const subscription = await db.collection('user_subscriptions').findOne(
-      {
-        user_id: new ObjectId(userId),
-        status: 'active',
-        end_date: { $gt: new Date() }
-      },
-      { sort: { end_date: -1 } }
-    );
+    const subscription = await findActiveSubscription(req.user.id);
 
     if (!subscription) {
       return res.status(403).json({ 
@@ -82,3 +228,29 @@ export const requireSubscription = async (req, res, next) => {
     return res.status(500).json({ error: 'Error checking subscription' });
   }
 };
+
+// Require a plan that includes an entitlement, e.g. requireEntitlement('instrumentals')
+// (see utils/entitlements.js). Sets req.entitlements, and req.subscription like requireSubscription.
+export const requireEntitlement = (name) => async (req, res, next) => {
+  try {
+    const { entitlements, subscription, plan } = await resolveEntitlements(req.user);
+
+    if (!hasEntitlement(entitlements, name)) {
+      return res.status(403).json(subscription
+        ? { error: 'Your plan does not include this feature', requiresEntitlement: name }
+        : { error: 'Active subscription required', requiresSubscription: true, requiresEntitlement: name });
+    }
+
+    req.entitlements = entitlements;
+    if (subscription) {
+      req.subscription = {
+        ...subscription,
+        id: subscription._id.toString(),
+        plan_name: plan?.name
+      };
+    }
+    next();
+  } catch (error) {
+    return res.status(500).json({ error: 'Error checking subscription' });
+  }
+};
@@ -1,15 +1,78 @@
 import multer from 'multer';
+import { uploadFileStream, deleteFile } from '../utils/gridfs.js';
 
-// Use memory storage instead of disk storage
-// Files will be stored in memory as buffers, then uploaded to GridFS
-const storage = multer.memoryStorage();
+// Uploads are streamed straight into GridFS as they arrive, so no file is held in
+// memory. Each file in req.file / req.files comes with
+//   id      the GridFS file id
+//   size    bytes received
+//   sha256  checksum of the contents
+// The files are deleted again if the client aborts, a limit is hit, or the route
+// answers with an error (validation failed, not found, ...).
+
+// GridFS metadata type of each upload field
+const FIELD_TYPES = {
+  musicFile: 'music',
+  previewFile: 'preview',
+  coverImage: 'cover',
+  photoFile: 'photo',
+  videoFile: 'video',
+  backgroundVideo: 'video'
+};
+
+// A route that answers with an error, or whose client left before the response
+// was sent, hasn't stored the request's files anywhere.
+// 'close' fires after 'finish' too, so it covers both cases exactly once.
+const trackUploads = (req) => {
+  if (req.uploadedFileIds) return;
+  req.uploadedFileIds = [];
+  req.res.once('close', () => {
+    if (req.res.writableFinished && req.res.statusCode < 400) return;
+    for (const id of req.uploadedFileIds) {
+      deleteFile(id).catch(() => {});
+    }
+  });
+};
+
+const storage = {
+  _handleFile(req, file, cb) {
+    trackUploads(req);
+
+    // A client that goes away mid-upload leaves the file incomplete
+    const controller = new AbortController();
+    const onClose = () => {
+      if (!req.complete) controller.abort(new Error('Upload aborted by the client'));
+    };
+    req.on('close', onClose);
+
+    const metadata = { contentType: file.mimetype };
+    if (FIELD_TYPES[file.fieldname]) metadata.type = FIELD_TYPES[file.fieldname];
+
+    uploadFileStream(file.stream, file.originalname, metadata, { signal: controller.signal }).then(
+      (info) => {
+        req.off('close', onClose);
+        req.uploadedFileIds.push(info.id);
+        cb(null, info);
+      },
+      (error) => {
+        req.off('close', onClose);
+        cb(error);
+      }
+    );
+  },
+
+  // Multer calls this for files already stored when the upload fails
+  _removeFile(req, file, cb) {
+    req.uploadedFileIds = req.uploadedFileIds.filter(id => id !== file.id);
+    deleteFile(file.id).then(() => cb(null), cb);
+  }
+};
 
 const fileFilter = (req, file, cb) => {
   const allowedMusicTypes = /\.(mp3|wav|flac|m4a|ogg|mpeg|mpg)$/i;
   const allowedImageTypes = /\.(jpg|jpeg|png|gif|webp)$/i;
   const allowedVideoTypes = /\.(mp4|avi|mov|wmv|flv|webm|mkv|m4v)$/i;
 
-  if (file.fieldname === 'musicFile') {
+  if (file.fieldname === 'musicFile' || file.fieldname === 'previewFile') {
     if (allowedMusicTypes.test(file.originalname)) {
       cb(null, true);
     } else {
@@ -1,8 +1,51 @@
 import express from 'express';
 import { getDB } from '../config/database.js';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { authenticate, requireStaff, requirePermission } from '../middleware/auth.js';
 import { uploadSongFiles, uploadPhoto, uploadVideo } from '../middleware/upload.js';
-import { uploadFile, deleteFile } from '../utils/gridfs.js';
+import { deleteFile } from '../utils/gridfs.js';
+import {
+  listUserSessions,
+  formatSession,
+  revokeSession,
+  revokeUserSessions
+} from '../utils/sessions.js';
+import { ROLES, PERMISSIONS, isValidRole } from '../config/permissions.js';
+import { clearLoginAttempts, loginThrottleKeys } from '../utils/loginThrottle.js';
+import { audit } from '../utils/audit.js';
+import {
+  accessFilter,
+  activateSubscription,
+  extendEndDate,
+  recordSubscriptionEvent
+} from '../utils/subscriptions.js';
+import { createAuthToken } from '../utils/authTokens.js';
+import { sendPasswordResetEmail } from '../utils/emails.js';
+import { normalizeCode, parseCouponInput } from '../utils/coupons.js';
+import { createVoucher, formatVoucherCode, normalizeVoucherCode } from '../utils/vouchers.js';
+import { refundPayment, refundProblem, refundableAmount } from '../utils/refunds.js';
+import { parseEntitlements, planEntitlements } from '../utils/entitlements.js';
+import { parsePreviewSettings } from '../utils/previews.js';
+import { fileUrl, coverUrl } from '../utils/media.js';
+import { getStripe } from '../utils/stripe.js';
+import {
+  RECEIPT_STATUSES,
+  loadReceipt,
+  receiptFilename,
+  receiptsCsv,
+  renderReceiptBuffer,
+  sendReceiptPdf
+} from '../utils/receipts.js';
+import {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  normalizeCurrency,
+  parsePrices,
+  getExchangeRates,
+  roundToCurrency,
+  toBaseCurrency
+} from '../utils/pricing.js';
+import bcrypt from 'bcryptjs';
+import archiver from 'archiver';
 import { ObjectId } from 'mongodb';
 import path from 'path';
 import fs from 'fs';
@@ -13,12 +56,14 @@ const __dirname = path.dirname(__filename);
 
 const router = express.Router();
 
-// All admin routes require authentication and admin role
+// All admin routes require authentication and a staff role;
+// each route then checks its own permission (see config/permissions.js)
 router.use(authenticate);
-router.use(requireAdmin);
+router.use(requireStaff);
 
-// Helper function to format document with id and convert file IDs to URLs
-const formatDoc = (doc) => {
+// Helper function to format document with id and convert file IDs to URLs,
+// signed for `viewerId` (utils/media.js)
+const formatDoc = (doc, viewerId) => {
   if (!doc) return null;
   const { _id, file_id, cover_image_id, background_video_id, file_path, cover_image_path, ...rest } = doc;
   
@@ -30,21 +75,21 @@ const formatDoc = (doc) => {
   
   if (file_id) {
     formatted.file_id = file_id.toString();
-    formatted.file_path = `/api/files/${file_id}`;
+    formatted.file_path = fileUrl(file_id, viewerId);
   } else if (file_path) {
     formatted.file_path = file_path;
   }
   
   if (cover_image_id) {
     formatted.cover_image_id = cover_image_id.toString();
-    formatted.cover_image_path = `/api/files/${cover_image_id}`;
+    formatted.cover_image_path = coverUrl(cover_image_id, viewerId);
   } else if (cover_image_path) {
     formatted.cover_image_path = cover_image_path;
   }
   
   if (background_video_id) {
     formatted.background_video_id = background_video_id.toString();
-    formatted.background_video_path = `/api/files/${background_video_id}`;
+    formatted.background_video_path = fileUrl(background_video_id, viewerId);
   }
   
   return formatted;
@@ -53,8 +98,9 @@ const formatDoc = (doc) => {
 // ========== SONGS MANAGEMENT ==========
 
 // Upload song
-router.post('/songs', uploadSongFiles.fields([
+router.post('/songs', requirePermission('content:write'), audit('song.create', { collection: 'songs' }), uploadSongFiles.fields([
   { name: 'musicFile', maxCount: 1 },
+  { name: 'previewFile', maxCount: 1 },
   { name: 'coverImage', maxCount: 1 },
   { name: 'backgroundVideo', maxCount: 1 }
 ]), async (req, res) => {
@@ -64,15 +110,21 @@ router.post('/songs', uploadSongFiles.fields([
     if (!title || !artist || !req.files?.musicFile) {
       return res.status(400).json({ error: 'Title, artist, and music file are required' });
     }
+    const preview = parsePreviewSettings(req.body);
+    if (preview.error) {
+      return res.status(400).json({ error: preview.error });
+    }
 
     const musicFile = req.files.musicFile[0];
+    const previewFile = req.files?.previewFile?.[0];
     const coverFile = req.files?.coverImage?.[0];
     const backgroundVideoFile = req.files?.backgroundVideo?.[0];
 
-    // Upload files to GridFS
-    const musicFileId = await uploadFile(musicFile, { type: 'music' });
-    const coverImageId = coverFile ? await uploadFile(coverFile, { type: 'cover' }) : null;
-    const backgroundVideoId = backgroundVideoFile ? await uploadFile(backgroundVideoFile, { type: 'video' }) : null;
+    // The upload middleware has already streamed the files into GridFS
+    const musicFileId = musicFile.id;
+    const previewFileId = previewFile?.id || null;
+    const coverImageId = coverFile?.id || null;
+    const backgroundVideoId = backgroundVideoFile?.id || null;
 
     const db = await getDB();
     const result = await db.collection('songs').insertOne({
@@ -81,6 +133,8 @@ router.post('/songs', uploadSongFiles.fields([
       album: album || null,
       genre: genre || null,
       file_id: musicFileId,
+      preview_file_id: previewFileId ? new ObjectId(previewFileId) : null,
+      ...preview.fields,
       cover_image_id: coverImageId,
       background_video_id: backgroundVideoId ? new ObjectId(backgroundVideoId) : null,
       file_size: musicFile.size,
@@ -97,7 +151,7 @@ router.post('/songs', uploadSongFiles.fields([
 
     res.status(201).json({
       message: 'Song uploaded successfully',
-      song: formatDoc(song)
+      song: formatDoc(song, req.user.id)
     });
   } catch (error) {
     console.error('Upload song error:', error);
@@ -106,7 +160,7 @@ router.post('/songs', uploadSongFiles.fields([
 });
 
 // Get all songs (including archived)
-router.get('/songs', async (req, res) => {
+router.get('/songs', requirePermission('content:read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, archived, search } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -150,7 +204,7 @@ router.get('/songs', async (req, res) => {
     const total = await db.collection('songs').countDocuments(filter);
 
     res.json({
-      songs: songs.map(formatDoc),
+      songs: songs.map(doc => formatDoc(doc, req.user.id)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -165,18 +219,25 @@ router.get('/songs', async (req, res) => {
 });
 
 // Update song
-router.put('/songs/:id', uploadSongFiles.fields([
+router.put('/songs/:id', requirePermission('content:write'), audit('song.update', { collection: 'songs' }), uploadSongFiles.fields([
+  { name: 'previewFile', maxCount: 1 },
   { name: 'coverImage', maxCount: 1 },
   { name: 'backgroundVideo', maxCount: 1 }
 ]), async (req, res) => {
   try {
     const { id } = req.params;
     const { title, artist, album, genre, is_active, is_archived } = req.body;
+    const previewFile = req.files?.previewFile?.[0];
     const coverFile = req.files?.coverImage?.[0];
     const backgroundVideoFile = req.files?.backgroundVideo?.[0];
     const db = await getDB();
 
-    const update = { updated_at: new Date() };
+    const preview = parsePreviewSettings(req.body);
+    if (preview.error) {
+      return res.status(400).json({ error: preview.error });
+    }
+
+    const update = { updated_at: new Date(), ...preview.fields };
     if (title !== undefined) update.title = title;
     if (artist !== undefined) update.artist = artist;
     if (album !== undefined) update.album = album;
@@ -186,30 +247,48 @@ router.put('/songs/:id', uploadSongFiles.fields([
 
     // Handle cover image upload if provided
     if (coverFile) {
-      const coverImageId = await uploadFile(coverFile, { type: 'cover' });
+      const coverImageId = coverFile.id;
       update.cover_image_id = new ObjectId(coverImageId);
       update.cover_image_path = null; // Clear legacy path
     }
 
     // Handle background video upload if provided
     if (backgroundVideoFile) {
-      const backgroundVideoId = await uploadFile(backgroundVideoFile, { type: 'video' });
+      const backgroundVideoId = backgroundVideoFile.id;
       update.background_video_id = new ObjectId(backgroundVideoId);
     }
 
+    // A new preview rendition replaces the old one; remove_preview=true goes back to the preview window
+    let oldPreviewFileId = null;
+    if (previewFile || req.body.remove_preview === 'true') {
+      const current = await db.collection('songs').findOne({ _id: new ObjectId(id) }, { projection: { preview_file_id: 1 } });
+      oldPreviewFileId = current?.preview_file_id || null;
+      update.preview_file_id = previewFile
+        ? new ObjectId(previewFile.id)
+        : null;
+    }
+
     const result = await db.collection('songs').findOneAndUpdate(
       { _id: new ObjectId(id) },
       { $set: update },
-      { returnDocument: 'after' }
+      { returnDocument: 'after', includeResultMetadata: true }
     );
 
     if (!result.value) {
       return res.status(404).json({ error: 'Song not found' });
     }
 
+    if (oldPreviewFileId) {
+      try {
+        await deleteFile(oldPreviewFileId);
+      } catch (error) {
+        console.error('Error deleting preview file from GridFS:', error);
+      }
+    }
+
     res.json({
       message: 'Song updated successfully',
-      song: formatDoc(result.value)
+      song: formatDoc(result.value, req.user.id)
     });
   } catch (error) {
     console.error('Update song error:', error);
@@ -218,7 +297,7 @@ router.put('/songs/:id', uploadSongFiles.fields([
 });
 
 // Archive/Unarchive song
-router.patch('/songs/:id/archive', async (req, res) => {
+router.patch('/songs/:id/archive', requirePermission('content:write'), audit('song.archive', { collection: 'songs' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { archived } = req.body;
@@ -232,7 +311,7 @@ router.patch('/songs/:id/archive', async (req, res) => {
           updated_at: new Date()
         }
       },
-      { returnDocument: 'after' }
+      { returnDocument: 'after', includeResultMetadata: true }
     );
 
     if (!result.value) {
@@ -241,7 +320,7 @@ router.patch('/songs/:id/archive', async (req, res) => {
 
     res.json({
       message: `Song ${archived ? 'archived' : 'unarchived'} successfully`,
-      song: formatDoc(result.value)
+      song: formatDoc(result.value, req.user.id)
     });
   } catch (error) {
     console.error('Archive song error:', error);
@@ -249,8 +328,72 @@ router.patch('/songs/:id/archive', async (req, res) => {
   }
 });
 
+// Bulk delete songs (must come before DELETE /songs/:id, which would take "bulk" for an id)
+router.delete('/songs/bulk', requirePermission('content:write'), audit('song.bulk_delete', { collection: 'songs' }), async (req, res) => {
+  try {
+    const { songIds } = req.body;
+
+    if (!songIds || !Array.isArray(songIds) || songIds.length === 0) {
+      return res.status(400).json({ error: 'Song IDs array is required' });
+    }
+
+    const db = await getDB();
+    const objectIds = songIds.map(id => new ObjectId(id));
+
+    const songs = await db.collection('songs').find(
+      { _id: { $in: objectIds } },
+      { projection: { file_id: 1, preview_file_id: 1, cover_image_id: 1, file_path: 1, cover_image_path: 1 } }
+    ).toArray();
+
+    // Delete files from GridFS
+    for (const song of songs) {
+      if (song.file_id) {
+        try {
+          await deleteFile(song.file_id);
+        } catch (error) {
+          console.error('Error deleting music file from GridFS:', error);
+        }
+      }
+      if (song.preview_file_id) {
+        try {
+          await deleteFile(song.preview_file_id);
+        } catch (error) {
+          console.error('Error deleting preview file from GridFS:', error);
+        }
+      }
+      if (song.cover_image_id) {
+        try {
+          await deleteFile(song.cover_image_id);
+        } catch (error) {
+          console.error('Error deleting cover image from GridFS:', error);
+        }
+      }
+      // Support legacy file_path for migration
+      if (song.file_path && !song.file_id) {
+        const filePath = path.join(__dirname, '..', song.file_path);
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      }
+      if (song.cover_image_path && !song.cover_image_id) {
+        const coverPath = path.join(__dirname, '..', song.cover_image_path);
+        if (fs.existsSync(coverPath)) {
+          fs.unlinkSync(coverPath);
+        }
+      }
+    }
+
+    await db.collection('songs').deleteMany({ _id: { $in: objectIds } });
+
+    res.json({ message: `${songIds.length} songs deleted successfully` });
+  } catch (error) {
+    console.error('Bulk delete error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Delete song
-router.delete('/songs/:id', async (req, res) => {
+router.delete('/songs/:id', requirePermission('content:write'), audit('song.delete', { collection: 'songs' }), async (req, res) => {
   try {
     const { id } = req.params;
     const db = await getDB();
@@ -269,6 +412,13 @@ router.delete('/songs/:id', async (req, res) => {
         console.error('Error deleting music file from GridFS:', error);
       }
     }
+    if (song.preview_file_id) {
+      try {
+        await deleteFile(song.preview_file_id);
+      } catch (error) {
+        console.error('Error deleting preview file from GridFS:', error);
+      }
+    }
     if (song.cover_image_id) {
       try {
         await deleteFile(song.cover_image_id);
@@ -300,7 +450,7 @@ router.delete('/songs/:id', async (req, res) => {
 });
 
 // Bulk archive/unarchive songs
-router.patch('/songs/bulk', async (req, res) => {
+router.patch('/songs/bulk', requirePermission('content:write'), audit('song.bulk_archive', { collection: 'songs' }), async (req, res) => {
   try {
     const { songIds, archived } = req.body;
 
@@ -328,7 +478,7 @@ router.patch('/songs/bulk', async (req, res) => {
 
     res.json({
       message: `${result.modifiedCount} songs ${archived ? 'archived' : 'unarchived'}`,
-      updated: updated.map(formatDoc)
+      updated: updated.map(doc => formatDoc(doc, req.user.id))
     });
   } catch (error) {
     console.error('Bulk update error:', error);
@@ -336,68 +486,12 @@ router.patch('/songs/bulk', async (req, res) => {
   }
 });
 
-// Bulk delete songs
-router.delete('/songs/bulk', async (req, res) => {
-  try {
-    const { songIds } = req.body;
-
-    if (!songIds || !Array.isArray(songIds) || songIds.length === 0) {
-      return res.status(400).json({ error: 'Song IDs array is required' });
-    }
-
-    const db = await getDB();
-    const objectIds = songIds.map(id => new ObjectId(id));
-
-    const songs = await db.collection('songs').find(
-      { _id: { $in: objectIds } },
-      { projection: { file_id: 1, cover_image_id: 1, file_path: 1, cover_image_path: 1 } }
-    ).toArray();
-
-    // Delete files from GridFS
-    for (const song of songs) {
-      if (song.file_id) {
-        try {
-          await deleteFile(song.file_id);
-        } catch (error) {
-          console.error('Error deleting music file from GridFS:', error);
-        }
-      }
-      if (song.cover_image_id) {
-        try {
-          await deleteFile(song.cover_image_id);
-        } catch (error) {
-          console.error('Error deleting cover image from GridFS:', error);
-        }
-      }
-      // Support legacy file_path for migration
-      if (song.file_path && !song.file_id) {
-        const filePath = path.join(__dirname, '..', song.file_path);
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-        }
-      }
-      if (song.cover_image_path && !song.cover_image_id) {
-        const coverPath = path.join(__dirname, '..', song.cover_image_path);
-        if (fs.existsSync(coverPath)) {
-          fs.unlinkSync(coverPath);
-        }
-      }
-    }
-
-    await db.collection('songs').deleteMany({ _id: { $in: objectIds } });
-
-    res.json({ message: `${songIds.length} songs deleted successfully` });
-  } catch (error) {
-    console.error('Bulk delete error:', error);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
 // ========== INSTRUMENTALS MANAGEMENT ==========
 
 // Upload instrumental
-router.post('/instrumentals', uploadSongFiles.fields([
+router.post('/instrumentals', requirePermission('content:write'), audit('instrumental.create', { collection: 'songs' }), uploadSongFiles.fields([
   { name: 'musicFile', maxCount: 1 },
+  { name: 'previewFile', maxCount: 1 },
   { name: 'coverImage', maxCount: 1 }
 ]), async (req, res) => {
   try {
@@ -406,13 +500,19 @@ router.post('/instrumentals', uploadSongFiles.fields([
     if (!title || !artist || !req.files?.musicFile) {
       return res.status(400).json({ error: 'Title, artist, and music file are required' });
     }
+    const preview = parsePreviewSettings(req.body);
+    if (preview.error) {
+      return res.status(400).json({ error: preview.error });
+    }
 
     const musicFile = req.files.musicFile[0];
+    const previewFile = req.files?.previewFile?.[0];
     const coverFile = req.files?.coverImage?.[0];
 
-    // Upload files to GridFS
-    const musicFileId = await uploadFile(musicFile, { type: 'music' });
-    const coverImageId = coverFile ? await uploadFile(coverFile, { type: 'cover' }) : null;
+    // The upload middleware has already streamed the files into GridFS
+    const musicFileId = musicFile.id;
+    const previewFileId = previewFile?.id || null;
+    const coverImageId = coverFile?.id || null;
 
     const db = await getDB();
     const result = await db.collection('songs').insertOne({
@@ -421,6 +521,8 @@ router.post('/instrumentals', uploadSongFiles.fields([
       album: album || null,
       genre: genre || null,
       file_id: musicFileId,
+      preview_file_id: previewFileId ? new ObjectId(previewFileId) : null,
+      ...preview.fields,
       cover_image_id: coverImageId,
       file_size: musicFile.size,
       uploaded_by: new ObjectId(req.user.id),
@@ -437,7 +539,7 @@ router.post('/instrumentals', uploadSongFiles.fields([
 
     res.status(201).json({
       message: 'Instrumental uploaded successfully',
-      instrumental: formatDoc(instrumental)
+      instrumental: formatDoc(instrumental, req.user.id)
     });
   } catch (error) {
     console.error('Upload instrumental error:', error);
@@ -446,7 +548,7 @@ router.post('/instrumentals', uploadSongFiles.fields([
 });
 
 // Get all instrumentals (including archived)
-router.get('/instrumentals', async (req, res) => {
+router.get('/instrumentals', requirePermission('content:read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, archived, search } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -490,7 +592,7 @@ router.get('/instrumentals', async (req, res) => {
     const total = await db.collection('songs').countDocuments(filter);
 
     res.json({
-      instrumentals: instrumentals.map(formatDoc),
+      instrumentals: instrumentals.map(doc => formatDoc(doc, req.user.id)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -509,7 +611,11 @@ router.get('/instrumentals', async (req, res) => {
 
 // ========== DASHBOARD STATS ==========
 
-router.get('/stats', async (req, res) => {
+// Revenue counts what was paid less what has been refunded since
+const REVENUE_STATUSES = ['completed', 'partially_refunded'];
+const NET_AMOUNT = { $subtract: ['$amount', { $ifNull: ['$amount_refunded', 0] }] };
+
+router.get('/stats', requirePermission('stats:read'), async (req, res) => {
   try {
     const db = await getDB();
     const now = new Date();
@@ -541,22 +647,19 @@ router.get('/stats', async (req, res) => {
       db.collection('songs').countDocuments({ is_active: true, is_archived: false }),
       db.collection('songs').countDocuments({ is_archived: true }),
       db.collection('users').countDocuments({ role: 'user' }),
-      db.collection('user_subscriptions').countDocuments({ 
-        status: 'active', 
-        end_date: { $gt: now }
-      }),
+      db.collection('user_subscriptions').countDocuments(accessFilter(now)),
       db.collection('payments').aggregate([
-        { $match: { payment_status: 'completed' } },
-        { $group: { _id: null, total: { $sum: '$amount' } } }
+        { $match: { payment_status: { $in: REVENUE_STATUSES } } },
+        { $group: { _id: { $ifNull: ['$currency', 'USD'] }, total: { $sum: NET_AMOUNT } } }
       ]).toArray(),
       db.collection('payments').aggregate([
         { 
           $match: { 
-            payment_status: 'completed',
+            payment_status: { $in: REVENUE_STATUSES },
             created_at: { $gte: startOfMonth }
           }
         },
-        { $group: { _id: null, total: { $sum: '$amount' } } }
+        { $group: { _id: { $ifNull: ['$currency', 'USD'] }, total: { $sum: NET_AMOUNT } } }
       ]).toArray(),
       db.collection('payments').countDocuments({
         payment_status: 'completed',
@@ -636,6 +739,28 @@ router.get('/stats', async (req, res) => {
       .toArray()
     ]);
 
+    // Revenue per currency, and in total converted to USD with the exchange-rate table.
+    // Currencies without a rate are listed in `unconverted` and left out of the total.
+    const rates = await getExchangeRates();
+    const summarizeRevenue = (groups) => {
+      const byCurrency = {};
+      const unconverted = [];
+      let total = 0;
+      for (const group of groups) {
+        const currency = String(group._id).toUpperCase();
+        byCurrency[currency] = Math.round(((byCurrency[currency] || 0) + group.total) * 100) / 100;
+        const converted = toBaseCurrency(group.total, currency, rates);
+        if (converted === null) {
+          if (!unconverted.includes(currency)) unconverted.push(currency);
+        } else {
+          total += converted;
+        }
+      }
+      return { total: Math.round(total * 100) / 100, byCurrency, unconverted };
+    };
+    const revenueTotal = summarizeRevenue(totalRevenue);
+    const revenueMonthly = summarizeRevenue(monthlyRevenue);
+
     // Format top songs
     const formattedTopSongs = topSongs.map(song => ({
       id: song._id.toString(),
@@ -702,8 +827,14 @@ router.get('/stats', async (req, res) => {
         active: activeSubscriptions
       },
       revenue: {
-        total: totalRevenue[0]?.total || 0,
-        monthly: monthlyRevenue[0]?.total || 0
+        currency: BASE_CURRENCY,
+        total: revenueTotal.total,
+        monthly: revenueMonthly.total,
+        by_currency: {
+          total: revenueTotal.byCurrency,
+          monthly: revenueMonthly.byCurrency
+        },
+        unconverted_currencies: [...new Set([...revenueTotal.unconverted, ...revenueMonthly.unconverted])]
       },
       payments: {
         recent: recentPayments
@@ -727,13 +858,18 @@ router.get('/stats', async (req, res) => {
 
 // ========== USERS MANAGEMENT ==========
 
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission('users:read'), async (req, res) => {
   try {
-    const { page = 1, limit = 20, search } = req.query;
+    const { page = 1, limit = 20, search, role, status } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const db = await getDB();
 
-    const filter = { role: 'user' };
+    const filter = { role: role || 'user' };
+    if (status === 'active') {
+      filter.status = { $nin: ['suspended', 'banned'] };
+    } else if (status) {
+      filter.status = status;
+    }
     if (search) {
       filter.$or = [
         { name: { $regex: search, $options: 'i' } },
@@ -766,6 +902,8 @@ router.get('/users', async (req, res) => {
           email: 1,
           name: 1,
           role: 1,
+          status: 1,
+          suspended_until: 1,
           created_at: 1,
           subscription_count: 1,
           last_subscription: 1
@@ -776,7 +914,7 @@ router.get('/users', async (req, res) => {
     const total = await db.collection('users').countDocuments(filter);
 
     res.json({
-      users: users.map(formatDoc),
+      users: users.map(doc => formatDoc(doc, req.user.id)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -790,7 +928,7 @@ router.get('/users', async (req, res) => {
   }
 });
 
-router.get('/users/:id', async (req, res) => {
+router.get('/users/:id', requirePermission('users:read'), async (req, res) => {
   try {
     const { id } = req.params;
     const db = await getDB();
@@ -798,7 +936,7 @@ router.get('/users/:id', async (req, res) => {
 
     const user = await db.collection('users').findOne(
       { _id: userId },
-      { projection: { password: 0 } }
+      { projection: { password: 0, two_factor: 0 } }
     );
 
     if (!user) {
@@ -831,9 +969,9 @@ router.get('/users/:id', async (req, res) => {
     ).toArray();
 
     res.json({
-      user: formatDoc(user),
-      subscriptions: subscriptions.map(formatDoc),
-      payments: payments.map(formatDoc)
+      user: formatDoc(user, req.user.id),
+      subscriptions: subscriptions.map(doc => formatDoc(doc, req.user.id)),
+      payments: payments.map(doc => formatDoc(doc, req.user.id))
     });
   } catch (error) {
     console.error('Get user details error:', error);
@@ -841,175 +979,1392 @@ router.get('/users/:id', async (req, res) => {
   }
 });
 
-// ========== PAYMENTS MANAGEMENT ==========
+// List built-in roles and what each can do
+router.get('/roles', requirePermission('users:read'), async (req, res) => {
+  res.json({
+    roles: Object.entries(ROLES).map(([name, permissions]) => ({ name, permissions })),
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
 
-router.get('/payments', async (req, res) => {
+// Change a user's role
+router.put('/users/:id/role', requirePermission('roles:assign'), audit('user.role_change', { collection: 'users' }), async (req, res) => {
   try {
-    const { page = 1, limit = 20, status, method } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${Object.keys(ROLES).join(', ')}` });
+    }
+
+    if (id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
     const db = await getDB();
+    const userId = new ObjectId(id);
+    const user = await db.collection('users').findOne({ _id: userId }, { projection: { role: 1 } });
 
-    const filter = {};
-    if (status) filter.payment_status = status;
-    if (method) filter.payment_method = method;
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-    const payments = await db.collection('payments').aggregate([
-      { $match: filter },
-      {
-        $lookup: {
-          from: 'users',
-          localField: 'user_id',
-          foreignField: '_id',
-          as: 'user'
-        }
-      },
-      {
-        $lookup: {
-          from: 'user_subscriptions',
-          localField: 'subscription_id',
-          foreignField: '_id',
-          as: 'subscription'
-        }
-      },
-      {
-        $lookup: {
-          from: 'subscription_plans',
-          localField: 'subscription.plan_id',
-          foreignField: '_id',
-          as: 'plan'
-        }
-      },
-      {
-        $addFields: {
-          user_name: { $arrayElemAt: ['$user.name', 0] },
-          email: { $arrayElemAt: ['$user.email', 0] },
-          plan_name: { $arrayElemAt: ['$plan.name', 0] }
-        }
-      },
-      { $sort: { created_at: -1 } },
-      { $skip: skip },
-      { $limit: parseInt(limit) }
-    ]).toArray();
+    // Never leave the system without an admin
+    if (user.role === 'admin' && role !== 'admin') {
+      const adminCount = await db.collection('users').countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(400).json({ error: 'Cannot remove the last admin' });
+      }
+    }
 
-    const total = await db.collection('payments').countDocuments(filter);
+    const updated = await db.collection('users').findOneAndUpdate(
+      { _id: userId },
+      { $set: { role, updated_at: new Date() } },
+      { returnDocument: 'after', projection: { password: 0, two_factor: 0 } }
+    );
 
     res.json({
-      payments: payments.map(formatDoc),
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        totalPages: Math.ceil(total / limit)
-      }
+      message: `Role changed to ${role}`,
+      user: formatDoc(updated, req.user.id)
     });
   } catch (error) {
-    console.error('Get payments error:', error);
+    console.error('Change user role error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// ========== SUBSCRIPTION PLANS MANAGEMENT ==========
+// List a user's active sessions
+router.get('/users/:id/sessions', requirePermission('users:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const sessions = await listUserSessions(id);
+    res.json({
+      sessions: sessions.map(session => formatSession(session, req.auth.sessionId))
+    });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-router.get('/plans', async (req, res) => {
+// Sign a user out of every device
+router.delete('/users/:id/sessions', requirePermission('users:write'), audit('user.sessions_revoke'), async (req, res) => {
   try {
-    const db = await getDB();
-    const plans = await db.collection('subscription_plans')
-      .find({})
-      .sort({ price: 1 })
-      .toArray();
+    const { id } = req.params;
+    const revoked = await revokeUserSessions(id, { reason: 'revoked_by_admin' });
+    res.json({ message: `${revoked} session(s) signed out`, revoked });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Sign a user out of one device
+router.delete('/users/:id/sessions/:sessionId', requirePermission('users:write'), audit('user.session_revoke', { collection: 'sessions', targetType: 'session', targets: req => [req.params.sessionId] }), async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+    const revoked = await revokeSession(sessionId, 'revoked_by_admin', id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
 
-    res.json(plans.map(formatDoc));
+    res.json({ message: 'Session signed out successfully' });
   } catch (error) {
-    console.error('Get plans error:', error);
+    console.error('Revoke user session error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-router.post('/plans', async (req, res) => {
+// Suspend, ban or reactivate a user. Body: { status: 'active'|'suspended'|'banned', reason, until }
+router.put('/users/:id/status', requirePermission('users:write'), audit('user.status_change', { collection: 'users' }), async (req, res) => {
   try {
-    const { name, description, price, duration_days, stripe_price_id } = req.body;
+    const { id } = req.params;
+    const { status, reason, until } = req.body;
+
+    if (!['active', 'suspended', 'banned'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be active, suspended or banned' });
+    }
+
+    if (id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot change your own status' });
+    }
 
-    if (!name || !price || !duration_days) {
-      return res.status(400).json({ error: 'Name, price, and duration are required' });
+    const suspendedUntil = status === 'suspended' && until ? new Date(until) : null;
+    if (suspendedUntil && (isNaN(suspendedUntil) || suspendedUntil <= new Date())) {
+      return res.status(400).json({ error: 'Suspension end must be a future date' });
     }
 
     const db = await getDB();
-    const result = await db.collection('subscription_plans').insertOne({
-      name,
-      description: description || null,
-      price: parseFloat(price),
-      duration_days: parseInt(duration_days),
-      stripe_price_id: stripe_price_id || null,
-      is_active: true,
-      created_at: new Date()
+    const userId = new ObjectId(id);
+    const update = status === 'active'
+      ? { $set: { status, updated_at: new Date() }, $unset: { status_reason: '', suspended_until: '' } }
+      : {
+          $set: {
+            status,
+            status_reason: reason || null,
+            suspended_until: suspendedUntil,
+            status_changed_by: new ObjectId(req.user.id),
+            status_changed_at: new Date(),
+            updated_at: new Date()
+          }
+        };
+
+    const user = await db.collection('users').findOneAndUpdate(
+      { _id: userId },
+      update,
+      { returnDocument: 'after', projection: { password: 0, two_factor: 0 } }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Kick the user off every device straight away
+    if (status !== 'active') {
+      await revokeUserSessions(userId, { reason: status });
+    }
+
+    res.json({
+      message: status === 'active' ? 'User reactivated' : `User ${status}`,
+      user: formatDoc(user, req.user.id)
     });
+  } catch (error) {
+    console.error('Change user status error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reset a user's password: emails a reset link, or sets { password } directly
+router.post('/users/:id/reset-password', requirePermission('users:write'), audit('user.password_reset'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { password } = req.body;
+    const db = await getDB();
+    const userId = new ObjectId(id);
+
+    const user = await db.collection('users').findOne(
+      { _id: userId },
+      { projection: { email: 1, name: 1 } }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (password) {
+      if (password.length < 6) {
+        return res.status(400).json({ error: 'Password must be at least 6 characters' });
+      }
+      await db.collection('users').updateOne(
+        { _id: userId },
+        { $set: { password: await bcrypt.hash(password, 10), updated_at: new Date() } }
+      );
+    } else {
+      const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+      const token = await createAuthToken(userId, 'password_reset', ttlMinutes);
+      await sendPasswordResetEmail(user, token, ttlMinutes);
+    }
+
+    await revokeUserSessions(userId, { reason: 'password_reset_by_admin' });
+
+    res.json({
+      message: password
+        ? 'Password changed and user signed out everywhere'
+        : `Password reset link sent to ${user.email}`
+    });
+  } catch (error) {
+    console.error('Admin reset password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Grant a subscription without a payment. Body: { planId, days?, reason }
+// Extends the user's active subscription if they have one, like a purchase would.
+router.post('/users/:id/subscriptions', requirePermission('subscriptions:write'), audit('subscription.grant', {
+  collection: 'user_subscriptions',
+  created: body => body?.subscription?.id
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { planId, days, reason } = req.body;
+
+    if (!planId || !reason) {
+      return res.status(400).json({ error: 'Plan ID and reason are required' });
+    }
+
+    if (days !== undefined && !(parseInt(days) > 0)) {
+      return res.status(400).json({ error: 'Days must be a positive number' });
+    }
+
+    const db = await getDB();
+    const [user, plan] = await Promise.all([
+      db.collection('users').findOne({ _id: new ObjectId(id) }, { projection: { _id: 1 } }),
+      db.collection('subscription_plans').findOne({ _id: new ObjectId(planId) })
+    ]);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    const subscription = await activateSubscription({
+      userId: user._id,
+      plan,
+      days: days !== undefined ? parseInt(days) : plan.duration_days,
+      fields: { granted_by: new ObjectId(req.user.id) },
+      event: { source: 'admin', reason, actor_id: new ObjectId(req.user.id) }
+    });
+
+    res.status(201).json({
+      message: 'Subscription granted',
+      subscription: formatDoc(subscription, req.user.id)
+    });
+  } catch (error) {
+    console.error('Grant subscription error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Add days to a specific subscription. Body: { days, reason }
+// Not for subscriptions Stripe bills on a recurring basis.
+router.patch('/users/:id/subscriptions/:subscriptionId', requirePermission('subscriptions:write'), audit('subscription.extend', {
+  collection: 'user_subscriptions',
+  targets: req => [req.params.subscriptionId]
+}), async (req, res) => {
+  try {
+    const { id, subscriptionId } = req.params;
+    const { days, reason } = req.body;
+
+    if (!(parseInt(days) > 0) || !reason) {
+      return res.status(400).json({ error: 'A positive number of days and a reason are required' });
+    }
+
+    const db = await getDB();
+    const subscription = await db.collection('user_subscriptions').findOne({
+      _id: new ObjectId(subscriptionId),
+      user_id: new ObjectId(id)
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    // Stripe owns the billing period of a recurring subscription; the next invoice.paid
+    // would overwrite a local end_date
+    if (subscription.auto_renew && subscription.stripe_subscription_id) {
+      return res.status(409).json({
+        error: 'This subscription is billed by Stripe. Extend it in Stripe instead (e.g. by pushing back its next billing date).'
+      });
+    }
+
+    const endDate = extendEndDate(subscription.end_date, parseInt(days));
+    await db.collection('user_subscriptions').updateOne(
+      { _id: subscription._id },
+      { $set: { status: 'active', end_date: endDate, updated_at: new Date() }, $unset: { grace_until: '' } }
+    );
+    await recordSubscriptionEvent(subscription._id, {
+      type: 'extended',
+      plan_id: subscription.plan_id,
+      days: parseInt(days),
+      from_status: subscription.status,
+      to_status: 'active',
+      from_end_date: subscription.end_date,
+      to_end_date: endDate,
+      source: 'admin',
+      reason,
+      actor_id: new ObjectId(req.user.id)
+    });
+
+    const updated = await db.collection('user_subscriptions').findOne({ _id: subscription._id });
+    res.json({
+      message: 'Subscription extended',
+      subscription: formatDoc(updated, req.user.id)
+    });
+  } catch (error) {
+    console.error('Extend subscription error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Revoke a subscription immediately. Body: { reason }
+router.delete('/users/:id/subscriptions/:subscriptionId', requirePermission('subscriptions:write'), audit('subscription.revoke', {
+  collection: 'user_subscriptions',
+  targets: req => [req.params.subscriptionId]
+}), async (req, res) => {
+  try {
+    const { id, subscriptionId } = req.params;
+    const { reason } = req.body || {};
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    const db = await getDB();
+    const subscription = await db.collection('user_subscriptions').findOne({
+      _id: new ObjectId(subscriptionId),
+      user_id: new ObjectId(id)
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    // A recurring subscription has to stop at Stripe too, or the next invoice.paid
+    // turns access back on and the customer keeps being charged
+    if (subscription.auto_renew && subscription.stripe_subscription_id) {
+      try {
+        await getStripe().subscriptions.cancel(subscription.stripe_subscription_id);
+      } catch (error) {
+        if (error.code !== 'resource_missing') {
+          console.error('Stripe subscription cancel error:', error.message);
+          return res.status(502).json({ error: 'Could not cancel the subscription with Stripe, please try again' });
+        }
+      }
+    }
+
+    const now = new Date();
+    await db.collection('user_subscriptions').updateOne(
+      { _id: subscription._id },
+      {
+        $set: {
+          status: 'revoked',
+          auto_renew: false,
+          end_date: now,
+          revoked_at: now,
+          revoked_reason: reason,
+          updated_at: now
+        }
+      }
+    );
+    await recordSubscriptionEvent(subscription._id, {
+      type: 'revoked',
+      from_status: subscription.status,
+      to_status: 'revoked',
+      from_end_date: subscription.end_date,
+      to_end_date: now,
+      source: 'admin',
+      reason,
+      actor_id: new ObjectId(req.user.id)
+    });
+
+    res.json({ message: 'Subscription revoked' });
+  } catch (error) {
+    console.error('Revoke subscription error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Lift a sign-in lockout on a user's account
+router.post('/users/:id/unlock', requirePermission('users:write'), audit('user.unlock'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const db = await getDB();
+    const user = await db.collection('users').findOne(
+      { _id: new ObjectId(id) },
+      { projection: { email: 1 } }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const [, accountKey] = loginThrottleKeys(req, user.email);
+    await clearLoginAttempts(accountKey);
+
+    res.json({ message: 'Sign-in lockout cleared' });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Sign-in lockout history
+router.get('/lockouts', requirePermission('users:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, scope, email, ip } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const db = await getDB();
+
+    const filter = {};
+    if (scope) filter.scope = scope;
+    if (email) filter.email = { $regex: email, $options: 'i' };
+    if (ip) filter.ip = ip;
+
+    const [lockouts, total] = await Promise.all([
+      db.collection('lockout_events')
+        .find(filter)
+        .sort({ created_at: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray(),
+      db.collection('lockout_events').countDocuments(filter)
+    ]);
+
+    const now = new Date();
+    res.json({
+      lockouts: lockouts.map(lockout => ({
+        ...formatDoc(lockout, req.user.id),
+        is_active: lockout.locked_until > now
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ========== AUDIT LOG ==========
+
+// Filters: actor (user id or email), action, target_type, target_id, from/to (dates)
+router.get('/audit', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, actor, action, target_type, target_id, from, to } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const db = await getDB();
+
+    const filter = {};
+    if (actor) {
+      if (ObjectId.isValid(actor)) {
+        filter.actor_id = new ObjectId(actor);
+      } else {
+        filter.actor_email = { $regex: actor, $options: 'i' };
+      }
+    }
+    if (action) filter.action = action;
+    if (target_type) filter.target_type = target_type;
+    if (target_id && ObjectId.isValid(target_id)) filter.target_ids = new ObjectId(target_id);
+    if (from || to) {
+      filter.created_at = {};
+      if (from) filter.created_at.$gte = new Date(from);
+      if (to) filter.created_at.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      db.collection('audit_log')
+        .find(filter)
+        .sort({ created_at: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray(),
+      db.collection('audit_log').countDocuments(filter)
+    ]);
+
+    res.json({
+      entries: entries.map(entry => ({
+        ...formatDoc(entry, req.user.id),
+        actor_id: entry.actor_id?.toString() || null,
+        target_ids: entry.target_ids.map(id => id.toString())
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ========== PAYMENTS MANAGEMENT ==========
+
+router.get('/payments', requirePermission('payments:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, method, disputed } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const db = await getDB();
+
+    const filter = {};
+    if (status) filter.payment_status = status;
+    if (method) filter.payment_method = method;
+    // Payments with a chargeback, open or closed
+    if (disputed === 'true') filter.dispute = { $exists: true };
+
+    const payments = await db.collection('payments').aggregate([
+      { $match: filter },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'user_id',
+          foreignField: '_id',
+          as: 'user'
+        }
+      },
+      {
+        $lookup: {
+          from: 'user_subscriptions',
+          localField: 'subscription_id',
+          foreignField: '_id',
+          as: 'subscription'
+        }
+      },
+      {
+        $lookup: {
+          from: 'subscription_plans',
+          localField: 'subscription.plan_id',
+          foreignField: '_id',
+          as: 'plan'
+        }
+      },
+      {
+        $addFields: {
+          user_name: { $arrayElemAt: ['$user.name', 0] },
+          email: { $arrayElemAt: ['$user.email', 0] },
+          plan_name: { $arrayElemAt: ['$plan.name', 0] },
+          disputed: { $gt: ['$dispute', null] },
+          dispute_status: '$dispute.status'
+        }
+      },
+      { $sort: { created_at: -1 } },
+      { $skip: skip },
+      { $limit: parseInt(limit) }
+    ]).toArray();
+
+    const total = await db.collection('payments').countDocuments(filter);
+
+    res.json({
+      payments: payments.map(doc => formatDoc(doc, req.user.id)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Receipts of everything paid between ?from= and ?to= (dates, inclusive), for accounting:
+// a CSV ledger, or with ?format=zip the ledger plus every receipt as a PDF
+const RECEIPT_EXPORT_LIMIT = 5000;
+
+router.get('/payments/receipts/export', requirePermission('payments:read'), async (req, res) => {
+  try {
+    const from = new Date(req.query.from);
+    const to = new Date(req.query.to);
+    if (!req.query.from || !req.query.to || isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({ error: 'Valid from and to dates are required' });
+    }
+    to.setUTCHours(23, 59, 59, 999);
+
+    const db = await getDB();
+    const range = { $gte: from, $lte: to };
+    const filter = {
+      payment_status: { $in: RECEIPT_STATUSES },
+      payment_method: { $ne: 'test' },
+      $or: [{ paid_at: range }, { paid_at: null, created_at: range }]
+    };
+    const total = await db.collection('payments').countDocuments(filter);
+    if (total > RECEIPT_EXPORT_LIMIT) {
+      return res.status(400).json({
+        error: `${total} payments in this range; export at most ${RECEIPT_EXPORT_LIMIT} at a time`
+      });
+    }
+
+    // Oldest first, so payments that predate invoice numbers get them in order
+    const payments = await db.collection('payments')
+      .find(filter)
+      .sort({ paid_at: 1, created_at: 1 })
+      .toArray();
+    const receipts = [];
+    for (const payment of payments) {
+      receipts.push(await loadReceipt(payment));
+    }
+
+    const name = `receipts-${req.query.from}-to-${req.query.to}`;
+    if (req.query.format !== 'zip') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${name}.csv"`);
+      return res.send(receiptsCsv(receipts));
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}.zip"`);
+
+    const archive = archiver('zip');
+    archive.on('error', (error) => {
+      console.error('Receipt export archive error:', error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+
+    archive.append(receiptsCsv(receipts), { name: 'receipts.csv' });
+    for (const receipt of receipts) {
+      archive.append(await renderReceiptBuffer(receipt), { name: `pdf/${receiptFilename(receipt)}` });
+    }
+
+    await archive.finalize();
+  } catch (error) {
+    console.error('Export receipts error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+});
+
+router.get('/payments/:id', requirePermission('payments:read'), async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    const db = await getDB();
+    const payment = await db.collection('payments').findOne({ _id: new ObjectId(req.params.id) });
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const [user, refunds] = await Promise.all([
+      db.collection('users').findOne({ _id: payment.user_id }, { projection: { name: 1, email: 1 } }),
+      db.collection('refunds').find({ payment_id: payment._id }).sort({ created_at: -1 }).toArray()
+    ]);
+
+    res.json({
+      ...formatDoc(payment, req.user.id),
+      user_name: user?.name || null,
+      email: user?.email || null,
+      refundable_amount: Math.max(0, refundableAmount(payment)),
+      refunds: refunds.map(doc => formatDoc(doc, req.user.id))
+    });
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.get('/payments/:id/receipt', requirePermission('payments:read'), async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    const db = await getDB();
+    const payment = await db.collection('payments').findOne({ _id: new ObjectId(req.params.id) });
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const receipt = await loadReceipt(payment);
+    if (!receipt) {
+      return res.status(409).json({ error: 'Receipts are only available for completed payments' });
+    }
+    sendReceiptPdf(res, receipt);
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+});
+
+// Refund a payment, in full or in part, through the provider it was paid with.
+// subscription: 'keep' (default), 'shorten' (by the refunded share; one-off purchases only)
+// or 'cancel' (ends access now, and stops a recurring subscription in Stripe).
+router.post('/payments/:id/refund', requirePermission('payments:refund'), audit('payment.refund', { collection: 'payments' }), async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    const db = await getDB();
+    const payment = await db.collection('payments').findOne({ _id: new ObjectId(req.params.id) });
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const { reason, subscription: subscriptionAction = 'keep' } = req.body;
+    // Stripe takes whole cents, so 3.333 has to become 3.33 here as well
+    const amount = req.body.amount === undefined
+      ? refundableAmount(payment)
+      : roundToCurrency(parseFloat(req.body.amount), payment.currency || 'USD');
+    const subscription = payment.subscription_id &&
+      await db.collection('user_subscriptions').findOne({ _id: payment.subscription_id });
+    const voucher = payment.voucher_id &&
+      await db.collection('vouchers').findOne({ _id: payment.voucher_id });
+
+    const problem = refundProblem(payment, { amount, subscriptionAction, subscription, voucher });
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    let refund;
+    try {
+      refund = await refundPayment(payment, {
+        amount,
+        reason: reason ? String(reason).trim().slice(0, 500) : null,
+        subscriptionAction,
+        actorId: req.user.id
+      });
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('Refund provider error:', error);
+      return res.status(502).json({ error: `Refund failed: ${error.message}` });
+    }
+
+    const updated = await db.collection('payments').findOne({ _id: payment._id });
+    res.status(refund.status === 'pending' ? 202 : 200).json({
+      message: refund.status === 'pending'
+        ? 'Refund requested; the payment is updated once the provider confirms it'
+        : `Refund ${refund.status}`,
+      refund: formatDoc(refund, req.user.id),
+      payment: formatDoc(updated, req.user.id)
+    });
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ========== SUBSCRIPTION PLANS MANAGEMENT ==========
+
+router.get('/plans', requirePermission('plans:read'), async (req, res) => {
+  try {
+    const db = await getDB();
+    const plans = await db.collection('subscription_plans')
+      .find({})
+      .sort({ price: 1 })
+      .toArray();
+
+    res.json(plans.map(doc => formatDoc(doc, req.user.id)));
+  } catch (error) {
+    console.error('Get plans error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/plans', requirePermission('plans:write'), audit('plan.create', { collection: 'subscription_plans' }), async (req, res) => {
+  try {
+    const { name, description, duration_days, stripe_price_id, trial_days } = req.body;
+
+    // prices: { USD, KES, ... }; `price` is shorthand for the USD price
+    const parsed = req.body.prices !== undefined ? parsePrices(req.body.prices) : { prices: {} };
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    const prices = { ...parsed.prices };
+    if (req.body.price) prices[BASE_CURRENCY] = parseFloat(req.body.price);
+
+    if (!name || !prices[BASE_CURRENCY] || !duration_days) {
+      return res.status(400).json({ error: `Name, price (${BASE_CURRENCY}), and duration are required` });
+    }
+    if (trial_days !== undefined && !(parseInt(trial_days) >= 0)) {
+      return res.status(400).json({ error: 'Trial days must be 0 or more' });
+    }
+    const entitlements = req.body.entitlements !== undefined
+      ? parseEntitlements(req.body.entitlements)
+      : { entitlements: {} };
+    if (entitlements.error) {
+      return res.status(400).json({ error: entitlements.error });
+    }
+
+    const db = await getDB();
+    const result = await db.collection('subscription_plans').insertOne({
+      name,
+      description: description || null,
+      price: prices[BASE_CURRENCY],
+      prices,
+      duration_days: parseInt(duration_days),
+      stripe_price_id: stripe_price_id || null,
+      trial_days: parseInt(trial_days) || 0,
+      // Unset entitlements get the defaults in utils/entitlements.js
+      entitlements: planEntitlements({ entitlements: entitlements.entitlements }),
+      is_active: true,
+      created_at: new Date()
+    });
+
+    const plan = await db.collection('subscription_plans').findOne({ _id: result.insertedId });
+
+    res.status(201).json(formatDoc(plan, req.user.id));
+  } catch (error) {
+    console.error('Create plan error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.put('/plans/:id', requirePermission('plans:write'), audit('plan.update', { collection: 'subscription_plans' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, price, duration_days, is_active, stripe_price_id, trial_days } = req.body;
+    const db = await getDB();
+
+    if (trial_days !== undefined && !(parseInt(trial_days) >= 0)) {
+      return res.status(400).json({ error: 'Trial days must be 0 or more' });
+    }
+    if (price !== undefined && !(parseFloat(price) > 0)) {
+      return res.status(400).json({ error: 'Price must be a positive number' });
+    }
+
+    const update = {};
+    if (name !== undefined) update.name = name;
+    if (description !== undefined) update.description = description;
+
+    // `prices` replaces every price point; `price` only the USD one. Both keep `price` in step.
+    if (req.body.prices !== undefined) {
+      const parsed = parsePrices(req.body.prices);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      update.prices = parsed.prices;
+      if (price !== undefined) update.prices[BASE_CURRENCY] = parseFloat(price);
+      if (!update.prices[BASE_CURRENCY]) {
+        return res.status(400).json({ error: `A ${BASE_CURRENCY} price is required` });
+      }
+      update.price = update.prices[BASE_CURRENCY];
+    } else if (price !== undefined) {
+      update.price = parseFloat(price);
+      update[`prices.${BASE_CURRENCY}`] = update.price;
+    }
+    if (duration_days !== undefined) update.duration_days = parseInt(duration_days);
+    if (is_active !== undefined) update.is_active = is_active;
+    if (stripe_price_id !== undefined) update.stripe_price_id = stripe_price_id;
+    if (trial_days !== undefined) update.trial_days = parseInt(trial_days);
+
+    // Only the entitlements given are changed
+    if (req.body.entitlements !== undefined) {
+      const parsed = parseEntitlements(req.body.entitlements);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      for (const [entitlement, value] of Object.entries(parsed.entitlements)) {
+        update[`entitlements.${entitlement}`] = value;
+      }
+    }
+
+    const result = await db.collection('subscription_plans').findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: update },
+      { returnDocument: 'after', includeResultMetadata: true }
+    );
+
+    if (!result.value) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    res.json(formatDoc(result.value, req.user.id));
+  } catch (error) {
+    console.error('Update plan error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/plans/:id', requirePermission('plans:write'), audit('plan.delete', { collection: 'subscription_plans' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const db = await getDB();
+    const planId = new ObjectId(id);
+
+    const activeSubscriptions = await db.collection('user_subscriptions').countDocuments({
+      plan_id: planId,
+      status: { $in: ['active', 'trialing'] }
+    });
+
+    if (activeSubscriptions > 0) {
+      return res.status(400).json({ error: 'Cannot delete plan with active subscriptions' });
+    }
+
+    await db.collection('subscription_plans').deleteOne({ _id: planId });
+    res.json({ message: 'Plan deleted successfully' });
+  } catch (error) {
+    console.error('Delete plan error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ========== EXCHANGE RATES ==========
+
+// Units of each currency per 1 USD; used to price plans without a price point in a
+// currency and to report revenue in USD (see utils/pricing.js)
+router.get('/exchange-rates', requirePermission('payments:read'), async (req, res) => {
+  try {
+    const db = await getDB();
+    const rows = await db.collection('exchange_rates').find({}).sort({ currency: 1 }).toArray();
+
+    res.json({
+      base: BASE_CURRENCY,
+      supported: SUPPORTED_CURRENCIES,
+      rates: rows.map(doc => formatDoc(doc, req.user.id))
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Body: { rate }
+router.put('/exchange-rates/:currency', requirePermission('plans:write'), audit('exchange_rate.update', { collection: 'exchange_rates' }), async (req, res) => {
+  try {
+    const currency = normalizeCurrency(req.params.currency);
+    const rate = parseFloat(req.body.rate);
+
+    if (!currency || currency === BASE_CURRENCY) {
+      return res.status(400).json({ error: `Currency must be one of ${SUPPORTED_CURRENCIES.filter(code => code !== BASE_CURRENCY).join(', ')}` });
+    }
+    if (!(rate > 0)) {
+      return res.status(400).json({ error: 'Rate must be a positive number' });
+    }
+
+    const db = await getDB();
+    const row = await db.collection('exchange_rates').findOneAndUpdate(
+      { currency },
+      {
+        $set: { rate, updated_by: new ObjectId(req.user.id), updated_at: new Date() },
+        $setOnInsert: { currency, created_at: new Date() }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    res.json(formatDoc(row, req.user.id));
+  } catch (error) {
+    console.error('Update exchange rate error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/exchange-rates/:currency', requirePermission('plans:write'), audit('exchange_rate.delete'), async (req, res) => {
+  try {
+    const db = await getDB();
+    const row = await db.collection('exchange_rates').findOneAndDelete({ currency: String(req.params.currency).toUpperCase() });
+
+    if (!row) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+
+    res.json({ message: 'Exchange rate deleted', id: row._id.toString(), currency: row.currency, rate: row.rate });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ========== COUPONS ==========
+
+router.get('/coupons', requirePermission('coupons:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, active, search } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const db = await getDB();
+
+    const filter = {};
+    if (active !== undefined) filter.is_active = active === 'true';
+    if (search) filter.code = { $regex: normalizeCode(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+
+    const coupons = await db.collection('coupons')
+      .find(filter)
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .toArray();
+
+    const total = await db.collection('coupons').countDocuments(filter);
+
+    res.json({
+      coupons: coupons.map(doc => formatDoc(doc, req.user.id)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.get('/coupons/:id', requirePermission('coupons:read'), async (req, res) => {
+  try {
+    const db = await getDB();
+    const coupon = await db.collection('coupons').findOne({ _id: new ObjectId(req.params.id) });
+
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const redemptions = await db.collection('coupon_redemptions').aggregate([
+      { $match: { coupon_id: coupon._id } },
+      { $sort: { created_at: -1 } },
+      { $limit: 100 },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'user_id',
+          foreignField: '_id',
+          as: 'user'
+        }
+      },
+      {
+        $addFields: {
+          user_name: { $arrayElemAt: ['$user.name', 0] },
+          email: { $arrayElemAt: ['$user.email', 0] }
+        }
+      },
+      { $project: { user: 0 } }
+    ]).toArray();
+
+    res.json({
+      ...formatDoc(coupon, req.user.id),
+      redemptions: redemptions.map(doc => formatDoc(doc, req.user.id))
+    });
+  } catch (error) {
+    console.error('Get coupon error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/coupons', requirePermission('coupons:write'), audit('coupon.create', { collection: 'coupons' }), async (req, res) => {
+  try {
+    const { fields, error } = parseCouponInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const db = await getDB();
+    if (await db.collection('coupons').findOne({ code: fields.code })) {
+      return res.status(409).json({ error: 'A coupon with this code already exists' });
+    }
+
+    const now = new Date();
+    const result = await db.collection('coupons').insertOne({
+      max_redemptions: null,
+      per_user_limit: 1,
+      starts_at: null,
+      expires_at: null,
+      plan_ids: [],
+      description: null,
+      is_active: true,
+      ...fields,
+      redemption_count: 0,
+      created_by: new ObjectId(req.user.id),
+      created_at: now,
+      updated_at: now
+    });
+
+    const coupon = await db.collection('coupons').findOne({ _id: result.insertedId });
+    res.status(201).json(formatDoc(coupon, req.user.id));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A coupon with this code already exists' });
+    }
+    console.error('Create coupon error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.put('/coupons/:id', requirePermission('coupons:write'), audit('coupon.update', { collection: 'coupons' }), async (req, res) => {
+  try {
+    const { fields, error } = parseCouponInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const db = await getDB();
+    const couponId = new ObjectId(req.params.id);
+    const coupon = await db.collection('coupons').findOne({ _id: couponId });
+
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const merged = { ...coupon, ...fields };
+    if (merged.discount_type === 'percent' && merged.amount > 100) {
+      return res.status(400).json({ error: 'A percent discount cannot be more than 100' });
+    }
+    if (fields.code && fields.code !== coupon.code &&
+        await db.collection('coupons').findOne({ code: fields.code })) {
+      return res.status(409).json({ error: 'A coupon with this code already exists' });
+    }
+
+    // A different discount needs a new Stripe coupon next time it's used
+    const discountChanged = merged.discount_type !== coupon.discount_type || merged.amount !== coupon.amount;
+
+    const result = await db.collection('coupons').findOneAndUpdate(
+      { _id: couponId },
+      {
+        $set: { ...fields, updated_at: new Date() },
+        ...(discountChanged ? { $unset: { stripe_coupon_id: '' } } : {})
+      },
+      { returnDocument: 'after' }
+    );
+
+    res.json(formatDoc(result, req.user.id));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A coupon with this code already exists' });
+    }
+    console.error('Update coupon error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/coupons/:id', requirePermission('coupons:write'), audit('coupon.delete', { collection: 'coupons' }), async (req, res) => {
+  try {
+    const db = await getDB();
+    const couponId = new ObjectId(req.params.id);
+
+    // Redeemed coupons stay so payments keep pointing at them
+    const redeemed = await db.collection('coupon_redemptions').countDocuments({ coupon_id: couponId });
+    if (redeemed > 0) {
+      return res.status(409).json({ error: 'This coupon has been redeemed; deactivate it instead' });
+    }
+
+    const result = await db.collection('coupons').deleteOne({ _id: couponId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    res.json({ message: 'Coupon deleted successfully' });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ========== VOUCHERS ==========
+
+// Voucher batches minted for giveaways. Body: { planId, quantity, days, expiresAt, label }
+router.post('/vouchers/batches', requirePermission('vouchers:write'), audit('voucher.batch_create', { collection: 'voucher_batches', targetType: 'voucher_batch' }), async (req, res) => {
+  try {
+    const { planId, quantity, days, expiresAt, label } = req.body;
+    const count = parseInt(quantity);
+
+    if (!planId || !ObjectId.isValid(planId)) {
+      return res.status(400).json({ error: 'Plan ID is required' });
+    }
+    if (!(count >= 1 && count <= 1000)) {
+      return res.status(400).json({ error: 'Quantity must be between 1 and 1000' });
+    }
+    if (days !== undefined && days !== null && !(parseInt(days) > 0)) {
+      return res.status(400).json({ error: 'Days must be a positive number' });
+    }
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && (isNaN(expiry) || expiry <= new Date())) {
+      return res.status(400).json({ error: 'Expiry must be a date in the future' });
+    }
+
+    const db = await getDB();
+    const plan = await db.collection('subscription_plans').findOne({ _id: new ObjectId(planId) });
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    const now = new Date();
+    const batch = {
+      label: label || null,
+      plan_id: plan._id,
+      days: parseInt(days) || plan.duration_days,
+      quantity: count,
+      expires_at: expiry,
+      created_by: new ObjectId(req.user.id),
+      created_at: now
+    };
+    const { insertedId } = await db.collection('voucher_batches').insertOne(batch);
+
+    const vouchers = [];
+    for (let i = 0; i < count; i++) {
+      vouchers.push(await createVoucher({
+        plan,
+        days: batch.days,
+        source: 'giveaway',
+        expiresAt: expiry,
+        fields: { batch_id: insertedId, created_by: batch.created_by }
+      }));
+    }
+
+    res.status(201).json({
+      ...formatDoc({ _id: insertedId, ...batch }, req.user.id),
+      codes: vouchers.map(voucher => formatVoucherCode(voucher.code))
+    });
+  } catch (error) {
+    console.error('Create voucher batch error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.get('/vouchers/batches', requirePermission('vouchers:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const db = await getDB();
+
+    const batches = await db.collection('voucher_batches').aggregate([
+      { $sort: { created_at: -1 } },
+      { $skip: skip },
+      { $limit: parseInt(limit) },
+      {
+        $lookup: {
+          from: 'vouchers',
+          let: { batchId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$batch_id', '$$batchId'] } } },
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+          ],
+          as: 'counts'
+        }
+      },
+      {
+        $lookup: {
+          from: 'subscription_plans',
+          localField: 'plan_id',
+          foreignField: '_id',
+          as: 'plan'
+        }
+      },
+      { $addFields: { plan_name: { $arrayElemAt: ['$plan.name', 0] } } },
+      { $project: { plan: 0 } }
+    ]).toArray();
+
+    const total = await db.collection('voucher_batches').countDocuments();
+
+    res.json({
+      batches: batches.map(({ counts, ...batch }) => ({
+        ...formatDoc(batch, req.user.id),
+        redeemed: counts.find(item => item._id === 'redeemed')?.count || 0,
+        active: counts.find(item => item._id === 'active')?.count || 0,
+        void: counts.find(item => item._id === 'void')?.count || 0
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get voucher batches error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Void every code in a batch that hasn't been redeemed yet
+router.post('/vouchers/batches/:id/void', requirePermission('vouchers:write'), audit('voucher.batch_void', { collection: 'voucher_batches', targetType: 'voucher_batch' }), async (req, res) => {
+  try {
+    const db = await getDB();
+    const batchId = new ObjectId(req.params.id);
+    const batch = await db.collection('voucher_batches').findOne({ _id: batchId });
 
-    const plan = await db.collection('subscription_plans').findOne({ _id: result.insertedId });
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const result = await db.collection('vouchers').updateMany(
+      { batch_id: batchId, status: 'active' },
+      { $set: { status: 'void', voided_at: new Date(), voided_by: new ObjectId(req.user.id) } }
+    );
 
-    res.status(201).json(formatDoc(plan));
+    res.json({ message: `${result.modifiedCount} vouchers voided`, voided: result.modifiedCount });
   } catch (error) {
-    console.error('Create plan error:', error);
+    console.error('Void voucher batch error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-router.put('/plans/:id', async (req, res) => {
+// Every voucher (gifts and giveaways) with who redeemed it
+router.get('/vouchers', requirePermission('vouchers:read'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { name, description, price, duration_days, is_active, stripe_price_id } = req.body;
+    const { page = 1, limit = 20, status, source, batchId, search } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
     const db = await getDB();
 
-    const update = {};
-    if (name !== undefined) update.name = name;
-    if (description !== undefined) update.description = description;
-    if (price !== undefined) update.price = parseFloat(price);
-    if (duration_days !== undefined) update.duration_days = parseInt(duration_days);
-    if (is_active !== undefined) update.is_active = is_active;
-    if (stripe_price_id !== undefined) update.stripe_price_id = stripe_price_id;
+    const filter = {};
+    if (status) filter.status = status;
+    if (source) filter.source = source;
+    if (batchId && ObjectId.isValid(batchId)) filter.batch_id = new ObjectId(batchId);
+    if (search) filter.code = { $regex: `^${normalizeVoucherCode(search)}` };
 
-    const result = await db.collection('subscription_plans').findOneAndUpdate(
-      { _id: new ObjectId(id) },
-      { $set: update },
-      { returnDocument: 'after' }
-    );
+    const vouchers = await db.collection('vouchers').aggregate([
+      { $match: filter },
+      { $sort: { created_at: -1 } },
+      { $skip: skip },
+      { $limit: parseInt(limit) },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'redeemed_by',
+          foreignField: '_id',
+          as: 'redeemer'
+        }
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'purchaser_id',
+          foreignField: '_id',
+          as: 'purchaser'
+        }
+      },
+      {
+        $lookup: {
+          from: 'subscription_plans',
+          localField: 'plan_id',
+          foreignField: '_id',
+          as: 'plan'
+        }
+      },
+      {
+        $addFields: {
+          redeemed_by_email: { $arrayElemAt: ['$redeemer.email', 0] },
+          purchaser_email: { $arrayElemAt: ['$purchaser.email', 0] },
+          plan_name: { $arrayElemAt: ['$plan.name', 0] }
+        }
+      },
+      { $project: { redeemer: 0, purchaser: 0, plan: 0 } }
+    ]).toArray();
 
-    if (!result.value) {
-      return res.status(404).json({ error: 'Plan not found' });
-    }
+    const total = await db.collection('vouchers').countDocuments(filter);
 
-    res.json(formatDoc(result.value));
+    res.json({
+      vouchers: vouchers.map(voucher => ({ ...formatDoc(voucher, req.user.id), code: formatVoucherCode(voucher.code) })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
   } catch (error) {
-    console.error('Update plan error:', error);
+    console.error('Get vouchers error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-router.delete('/plans/:id', async (req, res) => {
+// Void a single voucher that hasn't been redeemed
+router.delete('/vouchers/:id', requirePermission('vouchers:write'), audit('voucher.void', { collection: 'vouchers' }), async (req, res) => {
   try {
-    const { id } = req.params;
     const db = await getDB();
-    const planId = new ObjectId(id);
-
-    const activeSubscriptions = await db.collection('user_subscriptions').countDocuments({
-      plan_id: planId,
-      status: 'active'
-    });
+    const voucher = await db.collection('vouchers').findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), status: 'active' },
+      { $set: { status: 'void', voided_at: new Date(), voided_by: new ObjectId(req.user.id) } },
+      { returnDocument: 'after' }
+    );
 
-    if (activeSubscriptions > 0) {
-      return res.status(400).json({ error: 'Cannot delete plan with active subscriptions' });
+    if (!voucher) {
+      return res.status(404).json({ error: 'Voucher not found or already redeemed' });
     }
 
-    await db.collection('subscription_plans').deleteOne({ _id: planId });
-    res.json({ message: 'Plan deleted successfully' });
+    res.json({ message: 'Voucher voided' });
   } catch (error) {
-    console.error('Delete plan error:', error);
+    console.error('Void voucher error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // ========== ALBUMS MANAGEMENT ==========
 
-router.get('/albums', async (req, res) => {
+router.get('/albums', requirePermission('content:read'), async (req, res) => {
   try {
     const { search, artist } = req.query;
     const db = await getDB();
@@ -1052,14 +2407,14 @@ router.get('/albums', async (req, res) => {
       { $sort: { created_at: -1 } }
     ]).toArray();
 
-    res.json(albums.map(formatDoc));
+    res.json(albums.map(doc => formatDoc(doc, req.user.id)));
   } catch (error) {
     console.error('Get albums error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-router.get('/albums/:id', async (req, res) => {
+router.get('/albums/:id', requirePermission('content:read'), async (req, res) => {
   try {
     const { id } = req.params;
     const db = await getDB();
@@ -1091,8 +2446,8 @@ router.get('/albums/:id', async (req, res) => {
     ).toArray();
 
     res.json({
-      album: formatDoc(album[0]),
-      songs: songs.map(formatDoc)
+      album: formatDoc(album[0], req.user.id),
+      songs: songs.map(doc => formatDoc(doc, req.user.id))
     });
   } catch (error) {
     console.error('Get album error:', error);
@@ -1100,7 +2455,7 @@ router.get('/albums/:id', async (req, res) => {
   }
 });
 
-router.post('/albums', uploadSongFiles.single('coverImage'), async (req, res) => {
+router.post('/albums', requirePermission('content:write'), audit('album.create', { collection: 'albums' }), uploadSongFiles.single('coverImage'), async (req, res) => {
   try {
     const { name, artist, description, release_date, genre } = req.body;
 
@@ -1109,7 +2464,7 @@ router.post('/albums', uploadSongFiles.single('coverImage'), async (req, res) =>
     }
 
     // Upload cover image to GridFS
-    const coverImageId = req.file ? await uploadFile(req.file, { type: 'cover' }) : null;
+    const coverImageId = req.file?.id || null;
 
     const db = await getDB();
     const result = await db.collection('albums').insertOne({
@@ -1127,14 +2482,14 @@ router.post('/albums', uploadSongFiles.single('coverImage'), async (req, res) =>
 
     const album = await db.collection('albums').findOne({ _id: result.insertedId });
 
-    res.status(201).json(formatDoc(album));
+    res.status(201).json(formatDoc(album, req.user.id));
   } catch (error) {
     console.error('Create album error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-router.put('/albums/:id', uploadSongFiles.single('coverImage'), async (req, res) => {
+router.put('/albums/:id', requirePermission('content:write'), audit('album.update', { collection: 'albums' }), uploadSongFiles.single('coverImage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, artist, description, release_date, genre, is_active } = req.body;
@@ -1148,27 +2503,28 @@ router.put('/albums/:id', uploadSongFiles.single('coverImage'), async (req, res)
     if (genre !== undefined) update.genre = genre;
     if (is_active !== undefined) update.is_active = is_active;
     if (req.file) {
-      update.cover_image_path = `/uploads/covers/${req.file.filename}`;
+      update.cover_image_id = new ObjectId(req.file.id);
+      update.cover_image_path = null; // Clear legacy path
     }
 
     const result = await db.collection('albums').findOneAndUpdate(
       { _id: new ObjectId(id) },
       { $set: update },
-      { returnDocument: 'after' }
+      { returnDocument: 'after', includeResultMetadata: true }
     );
 
     if (!result.value) {
       return res.status(404).json({ error: 'Album not found' });
     }
 
-    res.json(formatDoc(result.value));
+    res.json(formatDoc(result.value, req.user.id));
   } catch (error) {
     console.error('Update album error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-router.delete('/albums/:id', async (req, res) => {
+router.delete('/albums/:id', requirePermission('content:write'), audit('album.delete', { collection: 'albums' }), async (req, res) => {
   try {
     const { id } = req.params;
     const db = await getDB();
@@ -1209,7 +2565,7 @@ router.delete('/albums/:id', async (req, res) => {
   }
 });
 
-router.post('/albums/:id/songs', async (req, res) => {
+router.post('/albums/:id/songs', requirePermission('content:write'), audit('album.add_songs', { collection: 'songs', targetType: 'song', targets: req => req.body.songIds || [] }), async (req, res) => {
   try {
     const { id } = req.params;
     const { songIds } = req.body;
@@ -1238,7 +2594,7 @@ router.post('/albums/:id/songs', async (req, res) => {
 
     res.json({
       message: `${result.modifiedCount} songs added to album`,
-      songs: updated.map(formatDoc)
+      songs: updated.map(doc => formatDoc(doc, req.user.id))
     });
   } catch (error) {
     console.error('Add songs to album error:', error);
@@ -1246,7 +2602,7 @@ router.post('/albums/:id/songs', async (req, res) => {
   }
 });
 
-router.delete('/albums/:id/songs/:songId', async (req, res) => {
+router.delete('/albums/:id/songs/:songId', requirePermission('content:write'), audit('album.remove_song', { collection: 'songs', targetType: 'song', targets: req => [req.params.songId] }), async (req, res) => {
   try {
     const { id, songId } = req.params;
     const db = await getDB();
@@ -1270,7 +2626,7 @@ router.delete('/albums/:id/songs/:songId', async (req, res) => {
 
 // ========== PHOTOS MANAGEMENT ==========
 
-router.post('/photos', uploadPhoto.single('photoFile'), async (req, res) => {
+router.post('/photos', requirePermission('content:write'), audit('photo.create', { collection: 'photos' }), uploadPhoto.single('photoFile'), async (req, res) => {
   try {
     const { title, description } = req.body;
 
@@ -1279,7 +2635,7 @@ router.post('/photos', uploadPhoto.single('photoFile'), async (req, res) => {
     }
 
     // Upload photo to GridFS
-    const photoFileId = await uploadFile(req.file, { type: 'photo' });
+    const photoFileId = req.file.id;
     const db = await getDB();
 
     const result = await db.collection('photos').insertOne({
@@ -1298,7 +2654,7 @@ router.post('/photos', uploadPhoto.single('photoFile'), async (req, res) => {
 
     res.status(201).json({
       message: 'Photo uploaded successfully',
-      photo: formatDoc(photo)
+      photo: formatDoc(photo, req.user.id)
     });
   } catch (error) {
     console.error('Upload photo error:', error);
@@ -1306,7 +2662,7 @@ router.post('/photos', uploadPhoto.single('photoFile'), async (req, res) => {
   }
 });
 
-router.get('/photos', async (req, res) => {
+router.get('/photos', requirePermission('content:read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, archived, search } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -1346,7 +2702,7 @@ router.get('/photos', async (req, res) => {
     const total = await db.collection('photos').countDocuments(filter);
 
     res.json({
-      photos: photos.map(formatDoc),
+      photos: photos.map(doc => formatDoc(doc, req.user.id)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -1360,7 +2716,7 @@ router.get('/photos', async (req, res) => {
   }
 });
 
-router.put('/photos/:id', async (req, res) => {
+router.put('/photos/:id', requirePermission('content:write'), audit('photo.update', { collection: 'photos' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { title, description, is_active, is_archived } = req.body;
@@ -1375,21 +2731,21 @@ router.put('/photos/:id', async (req, res) => {
     const result = await db.collection('photos').findOneAndUpdate(
       { _id: new ObjectId(id) },
       { $set: update },
-      { returnDocument: 'after' }
+      { returnDocument: 'after', includeResultMetadata: true }
     );
 
     if (!result.value) {
       return res.status(404).json({ error: 'Photo not found' });
     }
 
-    res.json({ message: 'Photo updated successfully', photo: formatDoc(result.value) });
+    res.json({ message: 'Photo updated successfully', photo: formatDoc(result.value, req.user.id) });
   } catch (error) {
     console.error('Update photo error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-router.patch('/photos/:id/archive', async (req, res) => {
+router.patch('/photos/:id/archive', requirePermission('content:write'), audit('photo.archive', { collection: 'photos' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { archived } = req.body;
@@ -1403,7 +2759,7 @@ router.patch('/photos/:id/archive', async (req, res) => {
           updated_at: new Date()
         }
       },
-      { returnDocument: 'after' }
+      { returnDocument: 'after', includeResultMetadata: true }
     );
 
     if (!result.value) {
@@ -1412,7 +2768,7 @@ router.patch('/photos/:id/archive', async (req, res) => {
 
     res.json({ 
       message: `Photo ${archived ? 'archived' : 'unarchived'} successfully`, 
-      photo: formatDoc(result.value) 
+      photo: formatDoc(result.value, req.user.id) 
     });
   } catch (error) {
     console.error('Archive photo error:', error);
@@ -1420,7 +2776,54 @@ router.patch('/photos/:id/archive', async (req, res) => {
   }
 });
 
-router.delete('/photos/:id', async (req, res) => {
+// Must come before DELETE /photos/:id, which would take "bulk" for an id
+router.delete('/photos/bulk', requirePermission('content:write'), audit('photo.bulk_delete', { collection: 'photos' }), async (req, res) => {
+  try {
+    const { photoIds } = req.body;
+
+    if (!photoIds || !Array.isArray(photoIds) || photoIds.length === 0) {
+      return res.status(400).json({ error: 'Photo IDs array is required' });
+    }
+
+    const db = await getDB();
+    const objectIds = photoIds.map(id => new ObjectId(id));
+
+    const photos = await db.collection('photos').find(
+      { _id: { $in: objectIds } },
+      { projection: { file_id: 1, file_path: 1 } }
+    ).toArray();
+
+    // Delete files from GridFS
+    for (const photo of photos) {
+      if (photo.file_id) {
+        try {
+          await deleteFile(photo.file_id);
+        } catch (error) {
+          console.error('Error deleting photo file from GridFS:', error);
+        }
+      }
+      // Support legacy file_path for migration
+      if (photo.file_path && !photo.file_id) {
+        const fullPath = path.join(__dirname, '..', photo.file_path);
+        if (fs.existsSync(fullPath)) {
+          fs.unlinkSync(fullPath);
+        }
+      }
+    }
+
+    const deleteResult = await db.collection('photos').deleteMany({ _id: { $in: objectIds } });
+
+    res.json({
+      message: `${deleteResult.deletedCount} photos deleted`,
+      photos: photos.map(doc => formatDoc(doc, req.user.id))
+    });
+  } catch (error) {
+    console.error('Bulk delete photos error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/photos/:id', requirePermission('content:write'), audit('photo.delete', { collection: 'photos' }), async (req, res) => {
   try {
     const { id } = req.params;
     const db = await getDB();
@@ -1456,7 +2859,7 @@ router.delete('/photos/:id', async (req, res) => {
   }
 });
 
-router.patch('/photos/bulk', async (req, res) => {
+router.patch('/photos/bulk', requirePermission('content:write'), audit('photo.bulk_archive', { collection: 'photos' }), async (req, res) => {
   try {
     const { photoIds, archived } = req.body;
 
@@ -1484,7 +2887,7 @@ router.patch('/photos/bulk', async (req, res) => {
 
     res.json({
       message: `${result.modifiedCount} photos ${archived ? 'archived' : 'unarchived'}`,
-      photos: updated.map(formatDoc)
+      photos: updated.map(doc => formatDoc(doc, req.user.id))
     });
   } catch (error) {
     console.error('Bulk archive photos error:', error);
@@ -1492,55 +2895,9 @@ router.patch('/photos/bulk', async (req, res) => {
   }
 });
 
-router.delete('/photos/bulk', async (req, res) => {
-  try {
-    const { photoIds } = req.body;
-
-    if (!photoIds || !Array.isArray(photoIds) || photoIds.length === 0) {
-      return res.status(400).json({ error: 'Photo IDs array is required' });
-    }
-
-    const db = await getDB();
-    const objectIds = photoIds.map(id => new ObjectId(id));
-
-    const photos = await db.collection('photos').find(
-      { _id: { $in: objectIds } },
-      { projection: { file_id: 1, file_path: 1 } }
-    ).toArray();
-
-    // Delete files from GridFS
-    for (const photo of photos) {
-      if (photo.file_id) {
-        try {
-          await deleteFile(photo.file_id);
-        } catch (error) {
-          console.error('Error deleting photo file from GridFS:', error);
-        }
-      }
-      // Support legacy file_path for migration
-      if (photo.file_path && !photo.file_id) {
-        const fullPath = path.join(__dirname, '..', photo.file_path);
-        if (fs.existsSync(fullPath)) {
-          fs.unlinkSync(fullPath);
-        }
-      }
-    }
-
-    const deleteResult = await db.collection('photos').deleteMany({ _id: { $in: objectIds } });
-
-    res.json({
-      message: `${deleteResult.deletedCount} photos deleted`,
-      photos: photos.map(formatDoc)
-    });
-  } catch (error) {
-    console.error('Bulk delete photos error:', error);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
 // ========== VIDEOS MANAGEMENT ==========
 
-router.post('/videos', uploadVideo.single('videoFile'), async (req, res) => {
+router.post('/videos', requirePermission('content:write'), audit('video.create', { collection: 'videos' }), uploadVideo.single('videoFile'), async (req, res) => {
   try {
     const { title, description, type } = req.body;
 
@@ -1549,7 +2906,7 @@ router.post('/videos', uploadVideo.single('videoFile'), async (req, res) => {
     }
 
     // Upload video to GridFS
-    const videoFileId = await uploadFile(req.file, { type: 'video' });
+    const videoFileId = req.file.id;
     const db = await getDB();
 
     const result = await db.collection('videos').insertOne({
@@ -1570,7 +2927,7 @@ router.post('/videos', uploadVideo.single('videoFile'), async (req, res) => {
 
     res.status(201).json({
       message: 'Video uploaded successfully',
-      video: formatDoc(video)
+      video: formatDoc(video, req.user.id)
     });
   } catch (error) {
     console.error('Upload video error:', error);
@@ -1578,7 +2935,7 @@ router.post('/videos', uploadVideo.single('videoFile'), async (req, res) => {
   }
 });
 
-router.get('/videos', async (req, res) => {
+router.get('/videos', requirePermission('content:read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, archived, search, kind } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -1631,7 +2988,7 @@ router.get('/videos', async (req, res) => {
       videos: videos.map((video) => {
         // Align with public videos API: expose a usable file_path URL
         const file_path = video.file_id
-          ? `/api/files/${video.file_id}`
+          ? fileUrl(video.file_id, req.user.id)
           : (video.file_path || null);
 
         return {
@@ -1655,7 +3012,7 @@ router.get('/videos', async (req, res) => {
   }
 });
 
-router.get('/videos/:id', async (req, res) => {
+router.get('/videos/:id', requirePermission('content:read'), async (req, res) => {
   try {
     const { id } = req.params;
     const db = await getDB();
@@ -1683,7 +3040,7 @@ router.get('/videos/:id', async (req, res) => {
 
     const v = video[0];
     const file_path = v.file_id
-      ? `/api/files/${v.file_id}`
+      ? fileUrl(v.file_id, req.user.id)
       : (v.file_path || null);
 
     res.json({
@@ -1701,7 +3058,7 @@ router.get('/videos/:id', async (req, res) => {
   }
 });
 
-router.put('/videos/:id', async (req, res) => {
+router.put('/videos/:id', requirePermission('content:write'), audit('video.update', { collection: 'videos' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { title, description, is_active, is_archived } = req.body;
@@ -1716,21 +3073,21 @@ router.put('/videos/:id', async (req, res) => {
     const result = await db.collection('videos').findOneAndUpdate(
       { _id: new ObjectId(id) },
       { $set: update },
-      { returnDocument: 'after' }
+      { returnDocument: 'after', includeResultMetadata: true }
     );
 
     if (!result.value) {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    res.json({ message: 'Video updated successfully', video: formatDoc(result.value) });
+    res.json({ message: 'Video updated successfully', video: formatDoc(result.value, req.user.id) });
   } catch (error) {
     console.error('Update video error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-router.patch('/videos/:id/archive', async (req, res) => {
+router.patch('/videos/:id/archive', requirePermission('content:write'), audit('video.archive', { collection: 'videos' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { archived } = req.body;
@@ -1744,7 +3101,7 @@ router.patch('/videos/:id/archive', async (req, res) => {
           updated_at: new Date()
         }
       },
-      { returnDocument: 'after' }
+      { returnDocument: 'after', includeResultMetadata: true }
     );
 
     if (!result.value) {
@@ -1753,7 +3110,7 @@ router.patch('/videos/:id/archive', async (req, res) => {
 
     res.json({ 
       message: `Video ${archived ? 'archived' : 'unarchived'} successfully`, 
-      video: formatDoc(result.value) 
+      video: formatDoc(result.value, req.user.id) 
     });
   } catch (error) {
     console.error('Archive video error:', error);
@@ -1761,7 +3118,54 @@ router.patch('/videos/:id/archive', async (req, res) => {
   }
 });
 
-router.delete('/videos/:id', async (req, res) => {
+// Must come before DELETE /videos/:id, which would take "bulk" for an id
+router.delete('/videos/bulk', requirePermission('content:write'), audit('video.bulk_delete', { collection: 'videos' }), async (req, res) => {
+  try {
+    const { videoIds } = req.body;
+
+    if (!videoIds || !Array.isArray(videoIds) || videoIds.length === 0) {
+      return res.status(400).json({ error: 'Video IDs array is required' });
+    }
+
+    const db = await getDB();
+    const objectIds = videoIds.map(id => new ObjectId(id));
+
+    const videos = await db.collection('videos').find(
+      { _id: { $in: objectIds } },
+      { projection: { file_id: 1, file_path: 1, thumbnail_path: 1 } }
+    ).toArray();
+
+    // Delete files from GridFS
+    for (const video of videos) {
+      if (video.file_id) {
+        try {
+          await deleteFile(video.file_id);
+        } catch (error) {
+          console.error('Error deleting video file from GridFS:', error);
+        }
+      }
+      // Support legacy file_path for migration
+      if (video.file_path && !video.file_id) {
+        const fullPath = path.join(__dirname, '..', video.file_path);
+        if (fs.existsSync(fullPath)) {
+          fs.unlinkSync(fullPath);
+        }
+      }
+    }
+
+    const deleteResult = await db.collection('videos').deleteMany({ _id: { $in: objectIds } });
+
+    res.json({
+      message: `${deleteResult.deletedCount} videos deleted`,
+      videos: videos.map(doc => formatDoc(doc, req.user.id))
+    });
+  } catch (error) {
+    console.error('Bulk delete videos error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/videos/:id', requirePermission('content:write'), audit('video.delete', { collection: 'videos' }), async (req, res) => {
   try {
     const { id } = req.params;
     const db = await getDB();
@@ -1798,7 +3202,7 @@ router.delete('/videos/:id', async (req, res) => {
   }
 });
 
-router.patch('/videos/bulk', async (req, res) => {
+router.patch('/videos/bulk', requirePermission('content:write'), audit('video.bulk_archive', { collection: 'videos' }), async (req, res) => {
   try {
     const { videoIds, archived } = req.body;
 
@@ -1826,7 +3230,7 @@ router.patch('/videos/bulk', async (req, res) => {
 
     res.json({
       message: `${result.modifiedCount} videos ${archived ? 'archived' : 'unarchived'}`,
-      videos: updated.map(formatDoc)
+      videos: updated.map(doc => formatDoc(doc, req.user.id))
     });
   } catch (error) {
     console.error('Bulk archive videos error:', error);
@@ -1834,55 +3238,9 @@ router.patch('/videos/bulk', async (req, res) => {
   }
 });
 
-router.delete('/videos/bulk', async (req, res) => {
-  try {
-    const { videoIds } = req.body;
-
-    if (!videoIds || !Array.isArray(videoIds) || videoIds.length === 0) {
-      return res.status(400).json({ error: 'Video IDs array is required' });
-    }
-
-    const db = await getDB();
-    const objectIds = videoIds.map(id => new ObjectId(id));
-
-    const videos = await db.collection('videos').find(
-      { _id: { $in: objectIds } },
-      { projection: { file_id: 1, file_path: 1, thumbnail_path: 1 } }
-    ).toArray();
-
-    // Delete files from GridFS
-    for (const video of videos) {
-      if (video.file_id) {
-        try {
-          await deleteFile(video.file_id);
-        } catch (error) {
-          console.error('Error deleting video file from GridFS:', error);
-        }
-      }
-      // Support legacy file_path for migration
-      if (video.file_path && !video.file_id) {
-        const fullPath = path.join(__dirname, '..', video.file_path);
-        if (fs.existsSync(fullPath)) {
-          fs.unlinkSync(fullPath);
-        }
-      }
-    }
-
-    const deleteResult = await db.collection('videos').deleteMany({ _id: { $in: objectIds } });
-
-    res.json({
-      message: `${deleteResult.deletedCount} videos deleted`,
-      videos: videos.map(formatDoc)
-    });
-  } catch (error) {
-    console.error('Bulk delete videos error:', error);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
 // ========== REACTIONS MANAGEMENT ==========
 
-router.get('/reactions', async (req, res) => {
+router.get('/reactions', requirePermission('comments:moderate'), async (req, res) => {
   try {
     const { page = 1, limit = 50, type, contentType } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -2031,7 +3389,7 @@ router.get('/reactions', async (req, res) => {
     ]);
 
     res.json({
-      reactions: reactions.slice(0, parseInt(limit)).map(formatDoc),
+      reactions: reactions.slice(0, parseInt(limit)).map(doc => formatDoc(doc, req.user.id)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -2050,7 +3408,7 @@ router.get('/reactions', async (req, res) => {
   }
 });
 
-router.get('/reactions/:contentType/:contentId', async (req, res) => {
+router.get('/reactions/:contentType/:contentId', requirePermission('comments:moderate'), async (req, res) => {
   try {
     const { contentType, contentId } = req.params;
     const db = await getDB();
@@ -2161,11 +3519,11 @@ router.get('/reactions/:contentType/:contentId', async (req, res) => {
     }
 
     res.json({
-      content: formatDoc(content),
+      content: formatDoc(content, req.user.id),
       reactions: {
-        likes: likes.map(formatDoc),
-        dislikes: dislikes.map(formatDoc),
-        comments: comments.map(formatDoc)
+        likes: likes.map(doc => formatDoc(doc, req.user.id)),
+        dislikes: dislikes.map(doc => formatDoc(doc, req.user.id)),
+        comments: comments.map(doc => formatDoc(doc, req.user.id))
       },
       summary: {
         likes: likes.length,
@@ -2179,7 +3537,9 @@ router.get('/reactions/:contentType/:contentId', async (req, res) => {
   }
 });
 
-router.delete('/reactions/:type/:id', async (req, res) => {
+router.delete('/reactions/:type/:id', requirePermission('comments:moderate'), audit('reaction.delete', {
+  collection: req => (req.params.type === 'comment' ? 'comments' : `${req.params.type}s`)
+}), async (req, res) => {
   try {
     const { type, id } = req.params;
 
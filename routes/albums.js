@@ -2,14 +2,15 @@ import express from 'express';
 import { getDB } from '../config/database.js';
 import { authenticate, requireSubscription } from '../middleware/auth.js';
 import { ObjectId } from 'mongodb';
+import { fileUrl, coverUrl } from '../utils/media.js';
 
 const router = express.Router();
 
 // Helper function to format album document
-const formatAlbum = (album) => {
+const formatAlbum = (album, userId) => {
   // Convert cover_image_id to URL if it exists, otherwise use legacy cover_image_path
   const cover_image_path = album.cover_image_id 
-    ? `/api/files/${album.cover_image_id}` 
+    ? coverUrl(album.cover_image_id, userId) 
     : (album.cover_image_path || null);
 
   return {
@@ -28,7 +29,7 @@ const formatAlbum = (album) => {
   };
 };
 
-// Get all active albums (free users can browse, but will get interrupted when playing)
+// Get all active albums (free users can browse; /api/files only streams them previews)
 router.get('/', authenticate, async (req, res) => {
   try {
     const { search, artist, page = 1, limit = 20 } = req.query;
@@ -73,7 +74,7 @@ router.get('/', authenticate, async (req, res) => {
     const total = await db.collection('albums').countDocuments(filter);
 
     res.json({
-      albums: albums.map(formatAlbum),
+      albums: albums.map(album => formatAlbum(album, req.user.id)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -87,7 +88,7 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
-// Get single album with songs (free users can browse, but will get interrupted when playing)
+// Get single album with songs (free users can browse; /api/files only streams them previews)
 router.get('/:id', authenticate, async (req, res) => {
   try {
     const { id } = req.params;
@@ -130,15 +131,15 @@ router.get('/:id', authenticate, async (req, res) => {
     ).toArray();
 
     res.json({
-      album: formatAlbum(album[0]),
+      album: formatAlbum(album[0], req.user.id),
       songs: songs.map(song => ({
         id: song._id.toString(),
         title: song.title,
         artist: song.artist,
         album: song.album,
         genre: song.genre,
-        file_path: song.file_path,
-        cover_image_path: song.cover_image_path,
+        file_path: song.file_id ? fileUrl(song.file_id, req.user.id) : (song.file_path || null),
+        cover_image_path: song.cover_image_id ? coverUrl(song.cover_image_id, req.user.id) : (song.cover_image_path || null),
         duration: song.duration,
         play_count: song.play_count || 0,
         created_at: song.created_at
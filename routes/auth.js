@@ -2,20 +2,135 @@ import express from 'express';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { getDB } from '../config/database.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, getAccountRestriction } from '../middleware/auth.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  markSessionMfa
+} from '../utils/sessions.js';
+import { createAuthToken, consumeAuthToken } from '../utils/authTokens.js';
+import { sendPasswordResetEmail, sendVerificationEmail } from '../utils/emails.js';
+import {
+  generateSecret,
+  verifyCode,
+  otpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from '../utils/totp.js';
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  loginThrottleKeys
+} from '../utils/loginThrottle.js';
+import crypto from 'crypto';
+import { resolveEntitlements } from '../utils/entitlements.js';
 import { ObjectId } from 'mongodb';
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_MINUTES = parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60;
+const RESEND_VERIFICATION_COOLDOWN_MS = 60 * 1000;
+
+const TWO_FACTOR_CHALLENGE_EXPIRE = '5m';
+
+// User fields returned by login
+const formatAuthUser = (user) => ({
+  id: user._id.toString(),
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  email_verified: user.email_verified !== false,
+  two_factor_enabled: !!user.two_factor?.enabled,
+  // Lets the app offer to cancel a pending account deletion
+  deletion_scheduled_for: user.deletion_scheduled_for || null
+});
+
+// Check an authenticator code (or a recovery code) for a user with 2FA enabled,
+// consuming it so the same code can't be replayed
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  const db = await getDB();
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await db.collection('users').updateOne(
+      { _id: user._id, 'two_factor.recovery_codes': hash },
+      { $pull: { 'two_factor.recovery_codes': hash } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  const step = verifyCode(user.two_factor.secret, code);
+  if (step === null || step <= (user.two_factor.last_used_step || 0)) {
+    return false;
+  }
+
+  const result = await db.collection('users').updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'two_factor.last_used_step': { $exists: false } },
+        { 'two_factor.last_used_step': { $lt: step } }
+      ]
+    },
+    { $set: { 'two_factor.last_used_step': step } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Reply 429 with Retry-After if any of the keys is throttled; returns true if it did
+const rejectIfThrottled = async (keys, res) => {
+  const blocked = await checkLoginAllowed(keys);
+  if (!blocked) return false;
+
+  res.setHeader('Retry-After', blocked.retryAfter);
+  res.status(429).json({
+    error: blocked.reason === 'locked'
+      ? 'Too many failed attempts. This sign-in has been temporarily locked.'
+      : 'Too many failed attempts. Please wait before trying again.',
+    retryAfter: blocked.retryAfter
+  });
+  return true;
+};
+
+// Constant-time string comparison for secrets
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+// Send a fresh verification link; failures are logged so they never block the caller
+const sendVerification = async (user) => {
+  try {
+    const token = await createAuthToken(user._id || user.id, 'email_verification', EMAIL_VERIFICATION_TTL_MINUTES);
+    await sendVerificationEmail(user, token, EMAIL_VERIFICATION_TTL_MINUTES);
+  } catch (error) {
+    console.error('Send verification email error:', error);
+  }
+};
+
 // Setup endpoint - creates admin user and seeds plans (one-time use via HTTP)
 // Protected by a simple secret key to prevent abuse
 router.post('/setup', async (req, res) => {
   try {
     const { secret, email, password, name } = req.body;
-    const setupSecret = process.env.SETUP_SECRET || 'setup-secret-change-me';
-    
+    const setupSecret = process.env.SETUP_SECRET;
+
+    // No default secret - setup over HTTP is only possible when one is configured
+    if (!setupSecret) {
+      return res.status(403).json({ error: 'Setup is disabled. Set SETUP_SECRET to enable it.' });
+    }
+
+    const throttleKeys = [`setup:${req.ip}`];
+    if (await rejectIfThrottled(throttleKeys, res)) return;
+
     // Verify secret
-    if (secret !== setupSecret) {
+    if (!safeEqual(secret || '', setupSecret)) {
+      await recordLoginFailure(throttleKeys, { ip: req.ip, endpoint: 'setup' });
       return res.status(401).json({ error: 'Invalid setup secret' });
     }
 
@@ -37,6 +152,7 @@ router.post('/setup', async (req, res) => {
         password: hashedPassword,
         name: adminName,
         role: 'admin',
+        email_verified: true,
         created_at: new Date(),
         updated_at: new Date()
       });
@@ -142,6 +258,7 @@ router.post('/register', async (req, res) => {
       password: hashedPassword,
       name,
       role: 'user',
+      email_verified: false,
       created_at: new Date(),
       updated_at: new Date()
     });
@@ -150,19 +267,19 @@ router.post('/register', async (req, res) => {
       id: result.insertedId.toString(),
       email,
       name,
-      role: 'user'
+      role: 'user',
+      email_verified: false
     };
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || '7d' }
-    );
+    await sendVerification(user);
+
+    // Start a session for the new user
+    const { token, refreshToken } = await createSession(user.id, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user
     });
   } catch (error) {
@@ -192,36 +309,57 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    const throttleKeys = loginThrottleKeys(req, email);
+    if (await rejectIfThrottled(throttleKeys, res)) return;
+
     const db = await getDB();
 
     // Find user
     const user = await db.collection('users').findOne({ email });
     if (!user) {
+      await recordLoginFailure(throttleKeys, { ip: req.ip, email, endpoint: 'login' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
     // Check password
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
+      await recordLoginFailure(throttleKeys, { ip: req.ip, email, endpoint: 'login' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user._id.toString() },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || '7d' }
-    );
+    // Only reveal a suspension to someone who knows the password
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      return res.status(403).json({ ...restriction, accountRestricted: true });
+    }
+
+    // With 2FA on, the password only earns a short-lived challenge token;
+    // the session is created by /login/2fa once the code checks out
+    if (user.two_factor?.enabled) {
+      const challengeToken = jwt.sign(
+        { userId: user._id.toString(), purpose: '2fa_challenge' },
+        process.env.JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE }
+      );
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken
+      });
+    }
+
+    // Failures are only cleared once the whole login (including any 2FA step) succeeds
+    await recordLoginSuccess(throttleKeys);
+
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user._id, req);
 
     res.json({
       message: 'Login successful',
       token,
-      user: {
-        id: user._id.toString(),
-        email: user.email,
-        name: user.name,
-        role: user.role
-      }
+      refreshToken,
+      user: formatAuthUser(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -234,27 +372,377 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Get current user
-router.get('/me', authenticate, async (req, res) => {
+// Second login step for accounts with 2FA - takes an authenticator code or a recovery code
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Challenge token and code are required' });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({ error: 'Login challenge expired. Please log in again.' });
+    }
+
+    if (challenge.purpose !== '2fa_challenge') {
+      return res.status(401).json({ error: 'Invalid login challenge' });
+    }
+
+    const db = await getDB();
+    const user = await db.collection('users').findOne({ _id: new ObjectId(challenge.userId) });
+
+    if (!user || !user.two_factor?.enabled) {
+      return res.status(401).json({ error: 'Invalid login challenge' });
+    }
+
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      return res.status(403).json({ ...restriction, accountRestricted: true });
+    }
+
+    // Six digit codes are easy to brute force without throttling
+    const throttleKeys = loginThrottleKeys(req, user.email);
+    if (await rejectIfThrottled(throttleKeys, res)) return;
+
+    if (!(await checkSecondFactor(user, { code, recoveryCode }))) {
+      await recordLoginFailure(throttleKeys, { ip: req.ip, email: user.email, endpoint: 'login_2fa' });
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    await recordLoginSuccess(throttleKeys);
+
+    const { token, refreshToken } = await createSession(user._id, req, { mfa: true });
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: formatAuthUser(user),
+      recoveryCodesRemaining: recoveryCode
+        ? user.two_factor.recovery_codes.length - 1
+        : undefined
+    });
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({ error: 'Login failed. Please try again.' });
+  }
+});
+
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const session = await rotateSession(refreshToken, req);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      token: session.token,
+      refreshToken: session.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Logout - revokes the current session so its tokens stop working
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await revokeSession(req.auth.sessionId, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Forgot password - emails a single-use reset link
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    // Every request counts as an attempt, so this can't be used to flood an inbox
+    const throttleKeys = loginThrottleKeys(req, email, 'password_reset');
+    if (await rejectIfThrottled(throttleKeys, res)) return;
+    await recordLoginFailure(throttleKeys, { ip: req.ip, email, endpoint: 'forgot_password' });
+
+    const db = await getDB();
+    const user = await db.collection('users').findOne(
+      { email },
+      { projection: { _id: 1, email: 1, name: 1 } }
+    );
+
+    // Only send if the account exists, but always answer the same way
+    // so this endpoint can't be used to find out who has an account
+    if (user) {
+      const token = await createAuthToken(user._id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+      try {
+        await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES);
+      } catch (error) {
+        // An error only for registered emails would give them away too
+        console.error('Send password reset email error:', error);
+      }
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reset password using the token from the email
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and new password are required' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    const resetToken = await consumeAuthToken(token, 'password_reset');
+    if (!resetToken) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    const db = await getDB();
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await db.collection('users').updateOne(
+      { _id: resetToken.user_id },
+      { $set: { password: hashedPassword, updated_at: new Date() } }
+    );
+
+    // Whoever knew the old password is signed out everywhere
+    await revokeUserSessions(resetToken.user_id, { reason: 'password_reset' });
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Verify email address using the token from the email
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+
+    const verificationToken = await consumeAuthToken(token, 'email_verification');
+    if (!verificationToken) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    const db = await getDB();
+    await db.collection('users').updateOne(
+      { _id: verificationToken.user_id },
+      { $set: { email_verified: true, email_verified_at: new Date(), updated_at: new Date() } }
+    );
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Resend the verification email
+router.post('/resend-verification', authenticate, async (req, res) => {
+  try {
+    if (req.user.email_verified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    const db = await getDB();
+    const recent = await db.collection('auth_tokens').findOne({
+      user_id: new ObjectId(req.user.id),
+      purpose: 'email_verification',
+      created_at: { $gt: new Date(Date.now() - RESEND_VERIFICATION_COOLDOWN_MS) }
+    });
+
+    if (recent) {
+      return res.status(429).json({ error: 'Please wait a minute before requesting another email' });
+    }
+
+    await sendVerification(req.user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ========== TWO-FACTOR AUTHENTICATION ==========
+
+// Start 2FA enrollment - returns a secret and an otpauth:// URI for a QR code
+router.post('/2fa/setup', authenticate, async (req, res) => {
   try {
+    if (req.user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    const db = await getDB();
+    await db.collection('users').updateOne(
+      { _id: new ObjectId(req.user.id) },
+      { $set: { 'two_factor.pending_secret': secret, updated_at: new Date() } }
+    );
+
+    res.json({
+      secret,
+      otpauthUri: otpauthUri({ secret, account: req.user.email })
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Confirm enrollment with a code from the app; returns recovery codes (shown once)
+router.post('/2fa/verify', authenticate, async (req, res) => {
+  try {
+    const { code } = req.body;
     const db = await getDB();
     const userId = new ObjectId(req.user.id);
 
-    // Check subscription status
-    const subscription = await db.collection('user_subscriptions').findOne(
+    const user = await db.collection('users').findOne({ _id: userId });
+    const pendingSecret = user?.two_factor?.pending_secret;
+
+    if (!pendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await db.collection('users').updateOne(
+      { _id: userId },
       {
-        user_id: userId,
-        status: 'active',
-        end_date: { $gt: new Date() }
-      },
-      { sort: { end_date: -1 } }
+        $set: {
+          two_factor: {
+            enabled: true,
+            secret: pendingSecret,
+            recovery_codes: recoveryCodes.map(hashRecoveryCode),
+            last_used_step: step,
+            enabled_at: new Date()
+          },
+          updated_at: new Date()
+        }
+      }
     );
 
+    // The current session just proved possession of the second factor
+    await markSessionMfa(req.auth.sessionId);
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Replace recovery codes (requires a current code)
+router.post('/2fa/recovery-codes', authenticate, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const db = await getDB();
+    const userId = new ObjectId(req.user.id);
+    const user = await db.collection('users').findOne({ _id: userId });
+
+    if (!user?.two_factor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await checkSecondFactor(user, { code }))) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await db.collection('users').updateOne(
+      { _id: userId },
+      { $set: { 'two_factor.recovery_codes': recoveryCodes.map(hashRecoveryCode), updated_at: new Date() } }
+    );
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Turn 2FA off (requires the password and a current or recovery code)
+router.post('/2fa/disable', authenticate, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Password and authentication code are required' });
+    }
+
+    const db = await getDB();
+    const userId = new ObjectId(req.user.id);
+    const user = await db.collection('users').findOne({ _id: userId });
+
+    if (!user?.two_factor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    if (!(await checkSecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    await db.collection('users').updateOne(
+      { _id: userId },
+      { $unset: { two_factor: '' }, $set: { updated_at: new Date() } }
+    );
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get current user
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    // The active subscription, if any, and what it unlocks
+    const { entitlements, subscription, plan } = await resolveEntitlements(req.user);
+
     let subscriptionData = null;
     if (subscription) {
-      const plan = await db.collection('subscription_plans').findOne(
-        { _id: new ObjectId(subscription.plan_id) }
-      );
       subscriptionData = {
         ...subscription,
         id: subscription._id.toString(),
@@ -265,7 +753,8 @@ router.get('/me', authenticate, async (req, res) => {
 
     res.json({
       user: req.user,
-      subscription: subscriptionData
+      subscription: subscriptionData,
+      entitlements
     });
   } catch (error) {
     console.error('Get user error:', error);
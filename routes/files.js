@@ -1,11 +1,119 @@
 import express from 'express';
 import { getFileStream, getFileMetadata, deleteFile } from '../utils/gridfs.js';
+import { getDB } from '../config/database.js';
+import { authenticate, optionalAuthenticate, requireAdmin, getAccountRestriction } from '../middleware/auth.js';
+import { findSongByFile, canPlayFull, previewWindow, previewSettings } from '../utils/previews.js';
+import { isPublicFile, verifyFileSignature } from '../utils/media.js';
+import { resolveEntitlements, hasEntitlement } from '../utils/entitlements.js';
+import { hasPermission } from '../config/permissions.js';
 import { ObjectId } from 'mongodb';
 
 const router = express.Router();
 
+// The user a signed URL was issued to, if they can still use their account
+async function signedUrlViewer(userId) {
+  const db = await getDB();
+  const user = await db.collection('users').findOne(
+    { _id: new ObjectId(userId) },
+    { projection: { role: 1, status: 1, status_reason: 1, suspended_until: 1 } }
+  );
+  if (!user || getAccountRestriction(user)) return null;
+  return { id: user._id.toString(), role: user.role };
+}
+
+// Why `user` may not watch a catalog video (routes/videos.js), or null if they may.
+// Song background videos aren't in the catalog and need no entitlement.
+async function videoProblem(user, fileId) {
+  const db = await getDB();
+  const video = await db.collection('videos').findOne(
+    { file_id: { $in: [fileId, new ObjectId(fileId)] } },
+    { projection: { _id: 1 } }
+  );
+  if (!video || hasPermission(user.role, 'content:read')) return null;
+
+  const { entitlements, subscription } = await resolveEntitlements(user);
+  if (hasEntitlement(entitlements, 'videos')) return null;
+  return subscription
+    ? { error: 'Your plan does not include this feature', requiresEntitlement: 'videos' }
+    : { error: 'Active subscription required', requiresSubscription: true, requiresEntitlement: 'videos' };
+}
+
+// What to serve for a file: { fileId, metadata, window, preview, cache }, or
+// { status, body } when the request may not have it.
+//
+// Apart from public files (utils/media.js) a file needs a signed URL, or a bearer token,
+// and a catalog video also needs the videos entitlement.
+// A song's audio only goes out in full to listeners who can play it (utils/previews.js);
+// others get its preview rendition, or `window` - the byte range of the preview - which
+// is then served as if it were the whole file.
+async function resolveFile(req, fileId, metadata) {
+  const isPublic = isPublicFile(metadata);
+  if (!isPublic) {
+    const signature = verifyFileSignature(fileId, req.query);
+    if (signature?.error) {
+      return { status: 403, body: { error: signature.error, expired: Boolean(signature.expired) } };
+    }
+    if (signature && req.user && req.user.id !== signature.userId) {
+      return { status: 403, body: { error: 'This file link was issued to another user' } };
+    }
+    if (signature && !req.user) {
+      req.user = await signedUrlViewer(signature.userId);
+      if (!req.user) return { status: 403, body: { error: 'Invalid file link' } };
+    }
+    if (!req.user) {
+      return { status: 401, body: { error: 'A signed link is required for this file' } };
+    }
+  }
+
+  const cache = isPublic ? 'public' : 'private';
+  const contentType = metadata.metadata?.contentType || 'application/octet-stream';
+  // Older uploads may lack a content type, so anything but audio is looked up
+  if (!isPublic && !contentType.startsWith('audio/')) {
+    const problem = await videoProblem(req.user, fileId);
+    if (problem) return { status: 403, body: problem };
+  }
+  if (!contentType.startsWith('audio/')) return { fileId, metadata, cache };
+
+  const song = await findSongByFile(fileId);
+  if (!song) return { fileId, metadata, cache };
+  // The same song URL serves the full file or a preview depending on who asks
+  if (await canPlayFull(req.user, song)) return { fileId, metadata, cache: 'no-store' };
+
+  const preview = previewSettings(song);
+  if (song.preview_file_id) {
+    const previewMetadata = await getFileMetadata(song.preview_file_id);
+    if (previewMetadata) {
+      return { fileId: song.preview_file_id.toString(), metadata: previewMetadata, preview, cache: 'no-store' };
+    }
+  }
+
+  const window = await previewWindow(song, metadata);
+  if (!window) return { status: 403, body: { error: 'Subscribe to listen to the full song', requiresSubscription: true } };
+  return { fileId, metadata, window, preview, cache: 'no-store' };
+}
+
+const CACHE_CONTROL = {
+  public: 'public, max-age=31536000, immutable, stale-while-revalidate=86400',
+  private: 'private, max-age=3600',
+  'no-store': 'private, no-store'
+};
+
+// Headers shared by GET and HEAD. Returns the size served.
+const setFileHeaders = (res, file) => {
+  const size = file.window ? file.window.end - file.window.start + 1 : file.metadata.length;
+
+  res.setHeader('Cache-Control', CACHE_CONTROL[file.cache]);
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', `"${file.fileId}${file.preview ? '-preview' : ''}"`);
+  if (file.preview) {
+    res.setHeader('X-Preview', 'true');
+    res.setHeader('X-Preview-Duration', String(file.preview.duration));
+  }
+  return size;
+};
+
 // Handle HEAD requests for metadata prefetching
-router.head('/:fileId', async (req, res) => {
+router.head('/:fileId', optionalAuthenticate, async (req, res) => {
   try {
     const { fileId } = req.params;
 
@@ -18,15 +126,17 @@ router.head('/:fileId', async (req, res) => {
       return res.status(404).end();
     }
 
-    const fileSize = metadata.length;
-    const contentType = metadata.metadata?.contentType || 'application/octet-stream';
+    const file = await resolveFile(req, fileId, metadata);
+    if (file.status) {
+      return res.status(file.status).end();
+    }
+
+    const fileSize = setFileHeaders(res, file);
+    const contentType = file.metadata.metadata?.contentType || 'application/octet-stream';
     const range = req.headers.range;
 
-    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
-    res.setHeader('Accept-Ranges', 'bytes');
     res.setHeader('Content-Type', contentType);
     res.setHeader('Content-Length', fileSize);
-    res.setHeader('ETag', `"${fileId}"`);
 
     if (range && (contentType.startsWith('audio/') || contentType.startsWith('video/'))) {
       const parts = range.replace(/bytes=/, '').split('-');
@@ -54,7 +164,7 @@ router.head('/:fileId', async (req, res) => {
 });
 
 // Serve file from GridFS
-router.get('/:fileId', async (req, res) => {
+router.get('/:fileId', optionalAuthenticate, async (req, res) => {
   try {
     const { fileId } = req.params;
 
@@ -68,19 +178,23 @@ router.get('/:fileId', async (req, res) => {
       return res.status(404).json({ error: 'File not found' });
     }
 
-    const fileSize = metadata.length;
-    const contentType = metadata.metadata?.contentType || 'application/octet-stream';
-    const range = req.headers.range;
+    const file = await resolveFile(req, fileId, metadata);
+    if (file.status) {
+      return res.status(file.status).json(file.body);
+    }
 
-    // Set aggressive caching headers for better performance
-    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable, stale-while-revalidate=86400');
-    res.setHeader('Accept-Ranges', 'bytes');
-    res.setHeader('ETag', `"${fileId}"`);
+    // Offsets below are within the window when only a preview is served
+    const offset = file.window?.start || 0;
+    const fileSize = setFileHeaders(res, file);
+    const contentType = file.metadata.metadata?.contentType || 'application/octet-stream';
+    const range = req.headers.range;
     
-    // Add CORS headers for video streaming
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    // Public files can be embedded anywhere; the rest follow the app's CORS origins
+    if (file.cache === 'public') {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
     res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
-    res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Content-Length, Accept-Ranges');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Content-Length, Accept-Ranges, X-Preview, X-Preview-Duration');
     
     // Handle range requests for audio/video
     if (range && (contentType.startsWith('audio/') || contentType.startsWith('video/'))) {
@@ -101,7 +215,7 @@ router.get('/:fileId', async (req, res) => {
       res.setHeader('Content-Type', contentType);
 
       // Optimized streaming using native GridFS start/end options
-      const downloadStream = await getFileStream(fileId, start, end);
+      const downloadStream = await getFileStream(file.fileId, offset + start, offset + end);
       
       downloadStream.pipe(res);
 
@@ -118,7 +232,9 @@ router.get('/:fileId', async (req, res) => {
       res.setHeader('Content-Length', fileSize);
       res.setHeader('Content-Type', contentType);
 
-      const downloadStream = await getFileStream(fileId);
+      const downloadStream = file.window
+        ? await getFileStream(file.fileId, file.window.start, file.window.end)
+        : await getFileStream(file.fileId);
       downloadStream.pipe(res);
 
       downloadStream.on('error', (error) => {
@@ -136,8 +252,8 @@ router.get('/:fileId', async (req, res) => {
   }
 });
 
-// Delete file from GridFS (admin only, can be protected with middleware if needed)
-router.delete('/:fileId', async (req, res) => {
+// Delete file from GridFS (admin only)
+router.delete('/:fileId', authenticate, requireAdmin, async (req, res) => {
   try {
     const { fileId } = req.params;
 
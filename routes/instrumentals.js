@@ -1,19 +1,20 @@
 import express from 'express';
 import { getDB } from '../config/database.js';
-import { authenticate, requireSubscription } from '../middleware/auth.js';
+import { authenticate, requireEntitlement } from '../middleware/auth.js';
 import { ObjectId } from 'mongodb';
+import { fileUrl, coverUrl } from '../utils/media.js';
 
 const router = express.Router();
 
-// Helper function to format song document
-const formatSong = (song) => ({
+// Helper function to format song document. File URLs are signed for `userId` (utils/media.js).
+const formatSong = (song, userId) => ({
   id: song._id.toString(),
   title: song.title,
   artist: song.artist,
   album: song.album,
   genre: song.genre,
-  file_path: song.file_path,
-  cover_image_path: song.cover_image_path,
+  file_path: song.file_id ? fileUrl(song.file_id, userId) : (song.file_path || null),
+  cover_image_path: song.cover_image_id ? coverUrl(song.cover_image_id, userId) : (song.cover_image_path || null),
   duration: song.duration,
   file_size: song.file_size,
   is_archived: song.is_archived || false,
@@ -26,8 +27,8 @@ const formatSong = (song) => ({
   favorite_count: song.favorite_count || 0
 });
 
-// Get all active instrumentals (requires subscription)
-router.get('/', authenticate, requireSubscription, async (req, res) => {
+// Get all active instrumentals (plans with the instrumentals entitlement)
+router.get('/', authenticate, requireEntitlement('instrumentals'), async (req, res) => {
   try {
     const { genre, search, page = 1, limit = 20, sort = 'newest', album_id } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -116,7 +117,7 @@ router.get('/', authenticate, requireSubscription, async (req, res) => {
     const songs = await db.collection('songs').aggregate(pipeline).toArray();
 
     res.json({
-      instrumentals: songs.map(formatSong),
+      instrumentals: songs.map(song => formatSong(song, req.user.id)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -131,7 +132,7 @@ router.get('/', authenticate, requireSubscription, async (req, res) => {
 });
 
 // Get genres for instrumentals
-router.get('/genres', authenticate, requireSubscription, async (req, res) => {
+router.get('/genres', authenticate, requireEntitlement('instrumentals'), async (req, res) => {
   try {
     const db = await getDB();
     const genres = await db.collection('songs').distinct('genre', {
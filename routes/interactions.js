@@ -1,7 +1,8 @@
 import express from 'express';
 import { getDB } from '../config/database.js';
-import { authenticate, requireSubscription } from '../middleware/auth.js';
+import { authenticate, requireSubscription, requireVerifiedEmail } from '../middleware/auth.js';
 import { ObjectId } from 'mongodb';
+import { hasPermission } from '../config/permissions.js';
 
 const router = express.Router();
 
@@ -88,7 +89,7 @@ router.get('/:contentType/:contentId/comments', authenticate, async (req, res) =
 });
 
 // Add a comment
-router.post('/:contentType/:contentId/comments', authenticate, async (req, res) => {
+router.post('/:contentType/:contentId/comments', authenticate, requireVerifiedEmail('comments'), async (req, res) => {
   try {
     const { contentType, contentId } = req.params;
     const { comment_text } = req.body;
@@ -137,12 +138,12 @@ router.post('/:contentType/:contentId/comments', authenticate, async (req, res)
   }
 });
 
-// Delete a comment (only by the user who created it or admin)
+// Delete a comment (only by the user who created it or a moderator)
 router.delete('/comments/:commentId', authenticate, async (req, res) => {
   try {
     const { commentId } = req.params;
     const userId = new ObjectId(req.user.id);
-    const isAdmin = req.user.role === 'admin';
+    const canModerate = hasPermission(req.user.role, 'comments:moderate');
 
     const db = await getDB();
     const comment = await db.collection('comments').findOne({ _id: new ObjectId(commentId) });
@@ -151,7 +152,7 @@ router.delete('/comments/:commentId', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'Comment not found' });
     }
 
-    if (!isAdmin && !comment.user_id.equals(userId)) {
+    if (!canModerate && !comment.user_id?.equals(userId)) {
       return res.status(403).json({ error: 'Not authorized to delete this comment' });
     }
 
@@ -1,24 +1,95 @@
 import express from 'express';
-import Stripe from 'stripe';
 import { getDB } from '../config/database.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requireVerifiedEmail } from '../middleware/auth.js';
 import { ObjectId } from 'mongodb';
+import { activateSubscription } from '../utils/subscriptions.js';
+import { getStripe, constructWebhookEvent } from '../utils/stripe.js';
+import { processWebhookEventOnce } from '../utils/webhooks.js';
+import {
+  createRecurringSubscription,
+  handleInvoicePaid,
+  handleInvoicePaymentFailed,
+  handleSubscriptionUpdated,
+  handleSubscriptionDeleted
+} from '../utils/stripeBilling.js';
+import {
+  MPESA_RESULT,
+  isMpesaConfigured,
+  normalizePhoneNumber,
+  stkQuery,
+  callbackMetadata
+} from '../utils/mpesa.js';
+import {
+  localizePricing,
+  createPendingPayment,
+  startStripePayment,
+  startMpesaPayment,
+  fulfillPayment,
+  completeFreePayment
+} from '../utils/checkout.js';
+import { priceWithCoupon, couponPaymentFields, recordRedemption, releaseRedemption } from '../utils/coupons.js';
+import { trialDays, trialProblem, claimTrial, releaseTrial, linkTrial } from '../utils/trials.js';
+import { parseGiftInput } from '../utils/vouchers.js';
+import { requestCurrency, BASE_CURRENCY } from '../utils/pricing.js';
+import {
+  handleChargeRefunded,
+  handleRefundUpdated,
+  handleDispute,
+  handleMpesaReversalResult
+} from '../utils/refunds.js';
+import {
+  RECEIPT_STATUSES,
+  hasReceipt,
+  loadReceipt,
+  providerReference,
+  sendReceiptPdf
+} from '../utils/receipts.js';
 
 const router = express.Router();
-// Initialize Stripe only if secret key is provided
-let stripe = null;
-try {
-  if (process.env.STRIPE_SECRET_KEY) {
-    stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// Response for a checkout a coupon made free: there's nothing for the client to pay
+const formatFreeCheckout = (subscription) => ({
+  status: 'completed',
+  message: 'Subscription activated successfully',
+  subscription: {
+    id: subscription._id.toString(),
+    plan_id: subscription.plan_id.toString(),
+    status: subscription.status,
+    end_date: subscription.end_date
   }
-} catch (error) {
-  console.log('Stripe not configured, using test mode');
-}
+});
+
+// Price and extra payment fields for a one-off purchase in `currency`: a promo code, or
+// gift details when buying for someone else (body.gift).
+// Returns { charge: { amount, originalAmount, discount }, fields } or { error }.
+const checkoutDetails = async (req, plan, currency) => {
+  let pricing;
+  let fields = {};
+  if (req.body.gift) {
+    if (req.body.code) return { error: 'Promo codes cannot be used on gifts' };
+    const { gift, error } = parseGiftInput(req.body.gift);
+    if (error) return { error };
+    pricing = await priceWithCoupon({ plan });
+    fields = { gift };
+  } else {
+    pricing = await priceWithCoupon({ code: req.body.code, userId: req.user.id, plan });
+    if (pricing.error) return { error: pricing.error, invalidCoupon: true };
+  }
+
+  const charge = await localizePricing(plan, pricing, currency);
+  if (!charge) return { error: `This plan cannot be paid in ${currency}` };
+  return { charge, fields: { ...fields, ...couponPaymentFields(pricing.coupon, charge) } };
+};
 
-// Mock/Test payment endpoint - creates subscription without real payment
-router.post('/test/subscribe', authenticate, async (req, res) => {
+// Mock/Test payment endpoint - creates subscription without real payment.
+// Only there when ENABLE_TEST_PAYMENTS=true; test payments get no invoice number or receipt.
+router.post('/test/subscribe', authenticate, requireVerifiedEmail('payments'), async (req, res) => {
   try {
-    const { planId, paymentMethod } = req.body;
+    if (process.env.ENABLE_TEST_PAYMENTS !== 'true') {
+      return res.status(404).json({ error: 'Test payments are disabled' });
+    }
+
+    const { planId, code } = req.body;
 
     if (!planId) {
       return res.status(400).json({ error: 'Plan ID is required' });
@@ -35,38 +106,45 @@ router.post('/test/subscribe', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'Plan not found' });
     }
 
-    // Calculate end date
-    const endDate = new Date();
-    endDate.setDate(endDate.getDate() + plan.duration_days);
+    const currency = requestCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+
+    const pricing = await priceWithCoupon({ code, userId: req.user.id, plan });
+    if (pricing.error) {
+      return res.status(400).json({ error: pricing.error, invalidCoupon: true });
+    }
+    const charge = await localizePricing(plan, pricing, currency);
+    if (!charge) {
+      return res.status(400).json({ error: `This plan cannot be paid in ${currency}` });
+    }
 
     const userId = new ObjectId(req.user.id);
 
-    // Create subscription
-    const subscriptionResult = await db.collection('user_subscriptions').insertOne({
-      user_id: userId,
-      plan_id: new ObjectId(planId),
-      status: 'active',
-      end_date: endDate,
-      created_at: new Date(),
-      updated_at: new Date()
+    // Create or extend subscription
+    const subscription = await activateSubscription({
+      userId,
+      plan,
+      event: { source: 'test' }
     });
 
     // Create payment record
-    await db.collection('payments').insertOne({
+    const payment = {
       user_id: userId,
-      subscription_id: subscriptionResult.insertedId,
-      amount: plan.price,
-      currency: 'USD',
-      payment_method: paymentMethod || 'test',
+      plan_id: plan._id,
+      subscription_id: subscription._id,
+      amount: charge.amount,
+      currency,
+      payment_method: 'test',
       payment_status: 'completed',
       transaction_reference: `TEST-${Date.now()}-${req.user.id}`,
+      ...couponPaymentFields(pricing.coupon, charge),
       created_at: new Date(),
       updated_at: new Date()
-    });
-
-    const subscription = await db.collection('user_subscriptions').findOne({
-      _id: subscriptionResult.insertedId
-    });
+    };
+    const { insertedId } = await db.collection('payments').insertOne(payment);
+    await recordRedemption({ _id: insertedId, ...payment });
 
     res.json({
       success: true,
@@ -82,8 +160,11 @@ router.post('/test/subscribe', authenticate, async (req, res) => {
   }
 });
 
-// Create Stripe payment intent - TEST MODE (always creates subscription immediately)
-router.post('/stripe/create-intent', authenticate, async (req, res) => {
+// ========== STRIPE ==========
+
+// Create a PaymentIntent for a plan. The subscription is only granted once Stripe
+// confirms the payment through the payment_intent.succeeded webhook.
+router.post('/stripe/create-intent', authenticate, requireVerifiedEmail('payments'), async (req, res) => {
   try {
     const { planId } = req.body;
 
@@ -91,174 +172,386 @@ router.post('/stripe/create-intent', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Plan ID is required' });
     }
 
+    if (!getStripe()) {
+      return res.status(503).json({ error: 'Stripe not configured' });
+    }
+
     const db = await getDB();
+    const plan = await db.collection('subscription_plans').findOne({
+      _id: new ObjectId(planId),
+      is_active: true
+    });
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    const currency = requestCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+
+    const { charge, fields, error, invalidCoupon } = await checkoutDetails(req, plan, currency);
+    if (error) {
+      return res.status(400).json({ error, ...(invalidCoupon ? { invalidCoupon } : {}) });
+    }
+
+    const payment = await createPendingPayment({
+      userId: req.user.id,
+      plan,
+      amount: charge.amount,
+      currency,
+      method: 'stripe',
+      fields
+    });
+
+    if (charge.amount === 0) {
+      return res.json(formatFreeCheckout(await completeFreePayment(payment)));
+    }
+
+    res.json(await startStripePayment(payment));
+  } catch (error) {
+    if (error.invalidCoupon) {
+      return res.status(409).json({ error: error.message, invalidCoupon: true });
+    }
+    console.error('Create Stripe intent error:', error);
+    res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
 
-    // TEST MODE: Always create subscription immediately (no real payment processing)
+// Start an auto-renewing subscription (Stripe Billing). Needs a plan with a stripe_price_id.
+// The client confirms the returned clientSecret; invoice.paid then activates it and
+// every later renewal extends it.
+// If the plan has a free trial the user hasn't used, it starts with the trial (unless
+// trial: false is sent) and the clientSecret belongs to a SetupIntent that saves the card.
+router.post('/stripe/subscribe', authenticate, requireVerifiedEmail('payments'), async (req, res) => {
+  try {
+    const { planId, code, trial } = req.body;
+
+    if (!planId) {
+      return res.status(400).json({ error: 'Plan ID is required' });
+    }
+
+    if (!getStripe()) {
+      return res.status(503).json({ error: 'Stripe not configured' });
+    }
+
+    const db = await getDB();
     const plan = await db.collection('subscription_plans').findOne({
-      _id: new ObjectId(planId)
+      _id: new ObjectId(planId),
+      is_active: true
     });
 
     if (!plan) {
       return res.status(404).json({ error: 'Plan not found' });
     }
 
-    const endDate = new Date();
-    endDate.setDate(endDate.getDate() + plan.duration_days);
+    if (!plan.stripe_price_id) {
+      return res.status(400).json({ error: 'This plan is not available as a recurring subscription' });
+    }
 
     const userId = new ObjectId(req.user.id);
-
-    // Check if user already has an active subscription and extend or create new
-    const existingSub = await db.collection('user_subscriptions').findOne({
+    const existing = await db.collection('user_subscriptions').findOne({
       user_id: userId,
-      status: 'active',
-      end_date: { $gt: new Date() }
-    }, { sort: { end_date: -1 } });
-
-    let subscription;
-    if (existingSub) {
-      // Extend existing subscription
-      const newEndDate = new Date(existingSub.end_date);
-      newEndDate.setDate(newEndDate.getDate() + plan.duration_days);
-      
-      await db.collection('user_subscriptions').updateOne(
-        { _id: existingSub._id },
-        {
-          $set: {
-            end_date: newEndDate,
-            updated_at: new Date()
-          }
-        }
-      );
+      auto_renew: true,
+      status: { $in: ['active', 'trialing', 'past_due', 'unpaid'] }
+    });
 
-      subscription = await db.collection('user_subscriptions').findOne({
-        _id: existingSub._id
-      });
-    } else {
-      // Create new subscription
-      const subscriptionResult = await db.collection('user_subscriptions').insertOne({
-        user_id: userId,
-        plan_id: new ObjectId(planId),
-        status: 'active',
-        end_date: endDate,
-        created_at: new Date(),
-        updated_at: new Date()
+    if (existing) {
+      return res.status(409).json({
+        error: 'You already have a recurring subscription',
+        subscriptionId: existing._id.toString()
       });
+    }
 
-      subscription = await db.collection('user_subscriptions').findOne({
-        _id: subscriptionResult.insertedId
-      });
+    const withTrial = trial !== false && !await trialProblem({ userId, plan });
+    // Stripe would spend a one-time coupon on the trial's $0 invoice
+    if (withTrial && code) {
+      return res.status(400).json({ error: 'Promo codes cannot be combined with a free trial', trialAvailable: true });
     }
 
-    await db.collection('payments').insertOne({
-      user_id: userId,
-      subscription_id: subscription._id,
-      amount: plan.price,
-      currency: 'USD',
-      payment_method: 'stripe',
-      payment_status: 'completed',
-      transaction_reference: `STRIPE-TEST-${Date.now()}-${req.user.id}`,
-      created_at: new Date(),
-      updated_at: new Date()
-    });
+    // Billing in another currency needs a currency_options entry on the Stripe price
+    const currency = requestCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
 
-    return res.json({
-      clientSecret: 'test_mode',
-      paymentIntentId: `test_${Date.now()}`,
-      testMode: true
+    const pricing = await priceWithCoupon({ code, userId: req.user.id, plan });
+    if (pricing.error) {
+      return res.status(400).json({ error: pricing.error, invalidCoupon: true });
+    }
+    if (pricing.coupon?.discount_type === 'fixed' && currency !== BASE_CURRENCY) {
+      return res.status(400).json({ error: `This promo code can only be used when paying in ${BASE_CURRENCY}`, invalidCoupon: true });
+    }
+
+    if (withTrial && !await claimTrial({ userId, plan, method: 'stripe' })) {
+      return res.status(409).json({ error: 'You have already used your free trial' });
+    }
+
+    let created;
+    try {
+      created = await createRecurringSubscription({
+        userId,
+        plan,
+        coupon: pricing.coupon,
+        trialDays: withTrial ? trialDays(plan) : 0,
+        currency
+      });
+    } catch (error) {
+      if (withTrial) await releaseTrial(userId);
+      throw error;
+    }
+    if (withTrial) await linkTrial(userId, created.subscriptionId);
+
+    res.status(201).json({
+      subscriptionId: created.subscriptionId.toString(),
+      stripeSubscriptionId: created.stripeSubscription.id,
+      clientSecret: created.clientSecret,
+      trial: withTrial,
+      trialEnd: created.trialEnd
     });
+  } catch (error) {
+    console.error('Create Stripe subscription error:', error);
+    res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
 
-    /* REAL STRIPE CODE (uncomment when ready for production)
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(plan.price * 100),
-      currency: 'usd',
-      metadata: {
-        userId: req.user.id.toString(),
-        planId: plan.id.toString()
-      }
+// Payment status for the client to poll after confirming the intent
+router.get('/stripe/intent/:paymentIntentId', authenticate, async (req, res) => {
+  try {
+    const db = await getDB();
+    const payment = await db.collection('payments').findOne({
+      stripe_payment_intent_id: req.params.paymentIntentId,
+      user_id: new ObjectId(req.user.id)
     });
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
     res.json({
-      clientSecret: paymentIntent.client_secret,
-      paymentIntentId: paymentIntent.id
+      paymentId: payment._id.toString(),
+      status: payment.payment_status,
+      subscriptionId: payment.subscription_id?.toString() || null,
+      voucherId: payment.voucher_id?.toString() || null,
+      failureMessage: payment.failure_message || null
     });
-    */
   } catch (error) {
-    console.error('Create Stripe intent error:', error);
-    res.status(500).json({ error: error.message || 'Server error' });
+    console.error('Get Stripe intent error:', error);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Stripe webhook
-router.post('/stripe/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-  if (!stripe) {
-    return res.status(400).json({ error: 'Stripe not configured' });
+// The pending payment created by /stripe/create-intent for this intent
+const findStripePayment = async (db, paymentIntent) => {
+  const byIntent = await db.collection('payments').findOne({ stripe_payment_intent_id: paymentIntent.id });
+  if (byIntent) return byIntent;
+
+  // The webhook can beat the update that stores the intent id on the payment
+  const paymentId = paymentIntent.metadata?.paymentId;
+  return paymentId && ObjectId.isValid(paymentId)
+    ? db.collection('payments').findOne({ _id: new ObjectId(paymentId), payment_method: 'stripe' })
+    : null;
+};
+
+async function handlePaymentIntentSucceeded(paymentIntent) {
+  // Subscription invoices are handled by invoice.paid
+  if (paymentIntent.invoice) return;
+
+  const db = await getDB();
+  const payment = await findStripePayment(db, paymentIntent);
+
+  if (!payment) {
+    console.warn(`Stripe webhook: no payment record for ${paymentIntent.id}`);
+    return;
   }
 
-  const sig = req.headers['stripe-signature'];
-  let event;
+  // Claim the payment so it can only ever grant one subscription
+  const claimed = await db.collection('payments').findOneAndUpdate(
+    { _id: payment._id, payment_status: { $in: ['pending', 'failed'] } },
+    {
+      $set: {
+        payment_status: 'completed',
+        stripe_payment_intent_id: paymentIntent.id,
+        amount_received: paymentIntent.amount_received / 100,
+        paid_at: new Date(),
+        updated_at: new Date()
+      },
+      $unset: { failure_code: '', failure_message: '' }
+    }
+  );
+  if (!claimed) return;
 
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+    await fulfillPayment(payment, { source: 'stripe', stripe_payment_intent_id: paymentIntent.id });
+  } catch (error) {
+    // Put the payment back so the webhook retry can grant the subscription
+    await db.collection('payments').updateOne(
+      { _id: payment._id },
+      { $set: { payment_status: 'pending', updated_at: new Date() } }
+    );
+    throw error;
+  }
+}
+
+async function handlePaymentIntentFailed(paymentIntent) {
+  if (paymentIntent.invoice) return;
+
+  const db = await getDB();
+  const payment = await findStripePayment(db, paymentIntent);
+
+  if (!payment) {
+    console.warn(`Stripe webhook: no payment record for ${paymentIntent.id}`);
+    return;
+  }
+
+  const error = paymentIntent.last_payment_error;
+  const failed = await db.collection('payments').updateOne(
+    { _id: payment._id, payment_status: 'pending' },
+    {
+      $set: {
+        payment_status: 'failed',
+        stripe_payment_intent_id: paymentIntent.id,
+        failure_code: error?.decline_code || error?.code || null,
+        failure_message: error?.message || null,
+        updated_at: new Date()
+      }
+    }
+  );
+  if (failed.modifiedCount > 0) await releaseRedemption(payment);
+}
+
+const stripeEventHandlers = {
+  'payment_intent.succeeded': handlePaymentIntentSucceeded,
+  'payment_intent.payment_failed': handlePaymentIntentFailed,
+  'invoice.paid': handleInvoicePaid,
+  'invoice.payment_failed': handleInvoicePaymentFailed,
+  'customer.subscription.updated': handleSubscriptionUpdated,
+  'customer.subscription.deleted': handleSubscriptionDeleted,
+  'charge.refunded': handleChargeRefunded,
+  'charge.refund.updated': handleRefundUpdated,
+  'charge.dispute.created': handleDispute,
+  'charge.dispute.updated': handleDispute,
+  'charge.dispute.closed': handleDispute,
+  'charge.dispute.funds_withdrawn': handleDispute,
+  'charge.dispute.funds_reinstated': handleDispute
+};
+
+// Stripe webhook. server.js gives this path the raw body, which the signature check needs.
+router.post('/stripe/webhook', async (req, res) => {
+  let event;
+  try {
+    event = constructWebhookEvent(req.body, req.headers['stripe-signature']);
   } catch (err) {
     console.error('Webhook signature verification failed:', err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  if (event.type === 'payment_intent.succeeded') {
-    const paymentIntent = event.data.object;
-    const userId = new ObjectId(paymentIntent.metadata.userId);
-    const planId = new ObjectId(paymentIntent.metadata.planId);
-
-    try {
-      const db = await getDB();
+  try {
+    const handler = stripeEventHandlers[event.type];
+    const result = await processWebhookEventOnce(
+      { provider: 'stripe', id: event.id, type: event.type, payload: event.data.object },
+      handler && (() => handler(event.data.object))
+    );
 
-      // Get plan
-      const plan = await db.collection('subscription_plans').findOne({
-        _id: planId
-      });
+    res.json({ received: true, result });
+  } catch (error) {
+    // A non-2xx answer makes Stripe deliver the event again later
+    console.error(`Error processing Stripe webhook ${event.id} (${event.type}):`, error);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
 
-      if (!plan) {
-        throw new Error('Plan not found');
+// ========== M-PESA ==========
+
+// A pending STK push that hasn't resolved after this long is treated as timed out
+const MPESA_PAYMENT_TIMEOUT_MS = (parseInt(process.env.MPESA_PAYMENT_TIMEOUT_MINUTES) || 5) * 60 * 1000;
+// Don't ask Daraja about a push the customer has barely had time to answer
+const MPESA_QUERY_AFTER_MS = 15 * 1000;
+
+const mpesaFailureStatus = (resultCode) => {
+  if (resultCode === MPESA_RESULT.CANCELLED) return 'cancelled';
+  if (resultCode === MPESA_RESULT.TIMEOUT) return 'timeout';
+  return 'failed';
+};
+
+// A timeout or failed query only means we stopped waiting; Daraja's word that the
+// customer paid still counts after that
+const MPESA_SETTLEABLE_ON_SUCCESS = ['pending', 'timeout', 'failed'];
+
+// Move an M-Pesa payment to its final state. Only the first caller (callback, status
+// poll or timeout) gets to settle it; later calls are no-ops, except that a success can
+// still settle a payment given up on as timed out or failed.
+// A payment that came in short of the price is held for review instead of fulfilled.
+async function settleMpesaPayment(payment, { resultCode, resultDesc, metadata = {} }) {
+  const db = await getDB();
+
+  if (resultCode !== MPESA_RESULT.SUCCESS) {
+    const failed = await db.collection('payments').updateOne(
+      { _id: payment._id, payment_status: 'pending' },
+      {
+        $set: {
+          payment_status: mpesaFailureStatus(resultCode),
+          failure_code: resultCode,
+          failure_message: resultDesc || null,
+          updated_at: new Date()
+        }
       }
+    );
+    if (failed.modifiedCount > 0) await releaseRedemption(payment);
+    return;
+  }
 
-      // Calculate end date
-      const endDate = new Date();
-      endDate.setDate(endDate.getDate() + plan.duration_days);
-
-      // Create subscription
-      const subscriptionResult = await db.collection('user_subscriptions').insertOne({
-        user_id: userId,
-        plan_id: planId,
-        status: 'active',
-        end_date: endDate,
-        stripe_subscription_id: paymentIntent.id,
-        created_at: new Date(),
+  const underpaid = metadata.Amount !== undefined && Number(metadata.Amount) < payment.amount;
+  const claimed = await db.collection('payments').findOneAndUpdate(
+    { _id: payment._id, payment_status: { $in: MPESA_SETTLEABLE_ON_SUCCESS } },
+    {
+      $set: {
+        payment_status: underpaid ? 'needs_review' : 'completed',
+        ...(underpaid ? { review_reason: 'underpaid' } : {}),
+        mpesa_transaction_id: metadata.MpesaReceiptNumber || null,
+        mpesa_transaction_date: metadata.TransactionDate ? String(metadata.TransactionDate) : null,
+        amount_received: metadata.Amount ?? null,
+        paid_at: new Date(),
         updated_at: new Date()
-      });
+      },
+      $unset: { failure_code: '', failure_message: '' }
+    }
+  );
+  if (!claimed) return;
 
-      // Create payment record
-      await db.collection('payments').insertOne({
-        user_id: userId,
-        subscription_id: subscriptionResult.insertedId,
-        amount: plan.price,
-        currency: 'USD',
-        payment_method: 'stripe',
-        payment_status: 'completed',
-        stripe_payment_intent_id: paymentIntent.id,
-        created_at: new Date(),
-        updated_at: new Date()
-      });
+  if (underpaid) {
+    console.warn(`M-Pesa payment ${payment._id}: received ${metadata.Amount} KES, expected ${payment.amount}; held for review`);
+    return;
+  }
 
-      console.log('Subscription created successfully');
-    } catch (error) {
-      console.error('Error processing webhook:', error);
-    }
+  try {
+    await fulfillPayment(payment, { source: 'mpesa', mpesa_transaction_id: metadata.MpesaReceiptNumber });
+  } catch (error) {
+    // The customer has paid - flag it for a manual grant rather than losing it
+    await db.collection('payments').updateOne(
+      { _id: payment._id },
+      { $set: { activation_error: error.message, updated_at: new Date() } }
+    );
+    throw error;
   }
+}
 
-  res.json({ received: true });
+const formatMpesaPayment = (payment) => ({
+  paymentId: payment._id.toString(),
+  checkoutRequestID: payment.mpesa_checkout_request_id,
+  status: payment.payment_status,
+  amount: payment.amount,
+  currency: payment.currency,
+  receiptNumber: payment.mpesa_transaction_id || null,
+  subscriptionId: payment.subscription_id?.toString() || null,
+  voucherId: payment.voucher_id?.toString() || null,
+  failureMessage: payment.failure_message || null
 });
 
-// M-Pesa payment initiation - TEST MODE (always creates subscription immediately)
-router.post('/mpesa/initiate', authenticate, async (req, res) => {
+// Send an STK push to the customer's phone. The subscription is granted when the
+// callback (or a status poll) confirms the payment.
+router.post('/mpesa/initiate', authenticate, requireVerifiedEmail('payments'), async (req, res) => {
   try {
     const { planId, phoneNumber } = req.body;
 
@@ -266,155 +559,274 @@ router.post('/mpesa/initiate', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Plan ID and phone number are required' });
     }
 
-    const db = await getDB();
+    if (!isMpesaConfigured()) {
+      return res.status(503).json({ error: 'M-Pesa not configured' });
+    }
 
-    // Get plan
+    const phone = normalizePhoneNumber(phoneNumber);
+    if (!phone) {
+      return res.status(400).json({ error: 'Enter a Safaricom number like 0712345678' });
+    }
+
+    const db = await getDB();
     const plan = await db.collection('subscription_plans').findOne({
-      _id: new ObjectId(planId)
+      _id: new ObjectId(planId),
+      is_active: true
     });
 
     if (!plan) {
       return res.status(404).json({ error: 'Plan not found' });
     }
 
-    // TEST MODE: Always create subscription immediately (no real payment processing)
-    const endDate = new Date();
-    endDate.setDate(endDate.getDate() + plan.duration_days);
+    // M-Pesa only takes shillings
+    const { charge, fields, error, invalidCoupon } = await checkoutDetails(req, plan, 'KES');
+    if (error) {
+      return res.status(400).json({ error, ...(invalidCoupon ? { invalidCoupon } : {}) });
+    }
 
-    const userId = new ObjectId(req.user.id);
+    const payment = await createPendingPayment({
+      userId: req.user.id,
+      plan,
+      amount: charge.amount,
+      currency: 'KES',
+      method: 'mpesa',
+      fields: { ...fields, phone_number: phone }
+    });
 
-    // Check if user already has an active subscription and extend or create new
-    const existingSub = await db.collection('user_subscriptions').findOne({
-      user_id: userId,
-      status: 'active',
-      end_date: { $gt: new Date() }
-    }, { sort: { end_date: -1 } });
-
-    let subscription;
-    if (existingSub) {
-      // Extend existing subscription
-      const newEndDate = new Date(existingSub.end_date);
-      newEndDate.setDate(newEndDate.getDate() + plan.duration_days);
-      
-      await db.collection('user_subscriptions').updateOne(
-        { _id: existingSub._id },
+    if (charge.amount === 0) {
+      return res.json(formatFreeCheckout(await completeFreePayment(payment)));
+    }
+
+    try {
+      res.json(await startMpesaPayment(payment, { phoneNumber: phone, description: plan.name }));
+    } catch (error) {
+      console.error('M-Pesa STK push error:', error.message);
+      res.status(502).json({ error: 'Could not reach M-Pesa, please try again' });
+    }
+  } catch (error) {
+    if (error.invalidCoupon) {
+      return res.status(409).json({ error: error.message, invalidCoupon: true });
+    }
+    console.error('M-Pesa initiate error:', error);
+    res.status(500).json({ error: error.message || 'Failed to initiate payment' });
+  }
+});
+
+// Poll a payment's status. While it's pending this asks Daraja directly, in case the
+// callback is late or never arrives.
+router.get('/mpesa/status/:checkoutRequestId', authenticate, async (req, res) => {
+  try {
+    const db = await getDB();
+    const query = {
+      mpesa_checkout_request_id: req.params.checkoutRequestId,
+      user_id: new ObjectId(req.user.id)
+    };
+    let payment = await db.collection('payments').findOne(query);
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const age = Date.now() - new Date(payment.created_at).getTime();
+    if (payment.payment_status === 'pending' && age > MPESA_QUERY_AFTER_MS) {
+      try {
+        const result = await stkQuery(payment.mpesa_checkout_request_id);
+        if (result) {
+          // A successful query has no receipt details; the callback fills them in if it arrives
+          await settleMpesaPayment(payment, { resultCode: result.ResultCode, resultDesc: result.ResultDesc });
+        } else if (age > MPESA_PAYMENT_TIMEOUT_MS) {
+          await settleMpesaPayment(payment, {
+            resultCode: MPESA_RESULT.TIMEOUT,
+            resultDesc: 'No response from M-Pesa'
+          });
+        }
+      } catch (error) {
+        console.error('M-Pesa status query error:', error.message);
+      }
+      payment = await db.collection('payments').findOne(query);
+    }
+
+    res.json(formatMpesaPayment(payment));
+  } catch (error) {
+    console.error('M-Pesa status error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Daraja doesn't sign its callbacks, so they must carry MPESA_CALLBACK_TOKEN as ?token=...
+// Without a token configured every callback is refused (anyone who knows a
+// CheckoutRequestID could fake one); payments then settle through status polls.
+const isMpesaCallbackAuthorized = (req) =>
+  Boolean(process.env.MPESA_CALLBACK_TOKEN) && req.query.token === process.env.MPESA_CALLBACK_TOKEN;
+
+// Daraja callback. Add ?token=<MPESA_CALLBACK_TOKEN> to MPESA_CALLBACK_URL.
+router.post('/mpesa/callback', async (req, res) => {
+  try {
+    if (!isMpesaCallbackAuthorized(req)) {
+      if (!process.env.MPESA_CALLBACK_TOKEN) console.error('M-Pesa callback refused: MPESA_CALLBACK_TOKEN is not set');
+      return res.status(401).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+    }
+
+    const stkCallback = req.body?.Body?.stkCallback;
+    if (!stkCallback?.CheckoutRequestID) {
+      return res.status(400).json({ ResultCode: 1, ResultDesc: 'Invalid callback' });
+    }
+
+    const db = await getDB();
+    const payment = await db.collection('payments').findOne({
+      mpesa_checkout_request_id: stkCallback.CheckoutRequestID
+    });
+
+    if (!payment) {
+      console.warn(`M-Pesa callback for unknown CheckoutRequestID ${stkCallback.CheckoutRequestID}`);
+    } else if (payment.payment_status === 'completed' && Number(stkCallback.ResultCode) === MPESA_RESULT.SUCCESS) {
+      // Settled by a status poll first - just add the receipt details
+      const metadata = callbackMetadata(stkCallback);
+      await db.collection('payments').updateOne(
+        { _id: payment._id, mpesa_transaction_id: null },
         {
           $set: {
-            end_date: newEndDate,
+            mpesa_transaction_id: metadata.MpesaReceiptNumber || null,
+            mpesa_transaction_date: metadata.TransactionDate ? String(metadata.TransactionDate) : null,
+            amount_received: metadata.Amount ?? null,
             updated_at: new Date()
           }
         }
       );
-
-      subscription = await db.collection('user_subscriptions').findOne({
-        _id: existingSub._id
-      });
     } else {
-      // Create new subscription
-      const subscriptionResult = await db.collection('user_subscriptions').insertOne({
-        user_id: userId,
-        plan_id: new ObjectId(planId),
-        status: 'active',
-        end_date: endDate,
-        created_at: new Date(),
-        updated_at: new Date()
-      });
-
-      subscription = await db.collection('user_subscriptions').findOne({
-        _id: subscriptionResult.insertedId
+      await settleMpesaPayment(payment, {
+        resultCode: Number(stkCallback.ResultCode),
+        resultDesc: stkCallback.ResultDesc,
+        metadata: callbackMetadata(stkCallback)
       });
     }
 
-    const transactionReference = `MPESA-TEST-${Date.now()}-${req.user.id}`;
-    await db.collection('payments').insertOne({
-      user_id: userId,
-      subscription_id: subscription._id,
-      amount: plan.price,
-      currency: 'KES',
-      payment_method: 'mpesa',
-      payment_status: 'completed',
-      transaction_reference: transactionReference,
-      mpesa_transaction_id: `MPESA${Date.now()}`,
-      created_at: new Date(),
-      updated_at: new Date()
-    });
-
-    res.json({
-      message: 'Payment completed successfully',
-      checkoutRequestID: `TEST-${Date.now()}`,
-      transactionReference,
-      testMode: true
-    });
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
   } catch (error) {
-    console.error('M-Pesa initiate error:', error);
-    res.status(500).json({ error: error.message || 'Failed to initiate payment' });
+    console.error('M-Pesa callback error:', error);
+    res.status(500).json({ error: 'Callback processing failed' });
   }
 });
 
-// M-Pesa callback
-router.post('/mpesa/callback', async (req, res) => {
+// Outcome of a reversal requested by an admin refund (utils/refunds.js). Protected by the
+// same token as the STK callback: add ?token=... to MPESA_REVERSAL_RESULT_URL / _TIMEOUT_URL.
+const mpesaReversalCallback = (timedOut) => async (req, res) => {
   try {
-    const { Body } = req.body;
-    const stkCallback = Body.stkCallback;
-
-    if (stkCallback.ResultCode === 0) {
-      const metadata = stkCallback.CallbackMetadata.Item;
-      const amount = metadata.find(item => item.Name === 'Amount')?.Value;
-      const receiptNumber = metadata.find(item => item.Name === 'MpesaReceiptNumber')?.Value;
-      const transactionDate = metadata.find(item => item.Name === 'TransactionDate')?.Value;
-      const phoneNumber = metadata.find(item => item.Name === 'PhoneNumber')?.Value;
-
-      const db = await getDB();
-
-      // Find payment by transaction reference
-      const payment = await db.collection('payments').findOne({
-        transaction_reference: stkCallback.MerchantRequestID,
-        payment_status: 'pending'
-      });
+    if (!isMpesaCallbackAuthorized(req)) {
+      if (!process.env.MPESA_CALLBACK_TOKEN) console.error('M-Pesa reversal result refused: MPESA_CALLBACK_TOKEN is not set');
+      return res.status(401).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+    }
 
-      if (payment) {
-        // Get plan (you might need to store planId in payment metadata)
-        // For now, we'll use the first active plan with matching price
-        const plan = await db.collection('subscription_plans').findOne({
-          price: payment.amount,
-          is_active: true
-        });
-
-        if (plan) {
-          const endDate = new Date();
-          endDate.setDate(endDate.getDate() + plan.duration_days);
-
-          // Create subscription
-          const subscriptionResult = await db.collection('user_subscriptions').insertOne({
-            user_id: payment.user_id,
-            plan_id: plan._id,
-            status: 'active',
-            end_date: endDate,
-            created_at: new Date(),
-            updated_at: new Date()
-          });
+    const result = req.body?.Result;
+    if (!result?.ConversationID && !result?.OriginatorConversationID) {
+      return res.status(400).json({ ResultCode: 1, ResultDesc: 'Invalid callback' });
+    }
 
-          // Update payment
-          await db.collection('payments').updateOne(
-            { _id: payment._id },
-            {
-              $set: {
-                payment_status: 'completed',
-                mpesa_transaction_id: receiptNumber,
-                subscription_id: subscriptionResult.insertedId,
-                updated_at: new Date()
-              }
-            }
-          );
-        }
-      }
+    const refund = await handleMpesaReversalResult(result, { timedOut });
+    if (!refund) {
+      console.warn(`M-Pesa reversal result for unknown ConversationID ${result.ConversationID}`);
     }
 
     res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
   } catch (error) {
-    console.error('M-Pesa callback error:', error);
+    console.error('M-Pesa reversal callback error:', error);
     res.status(500).json({ error: 'Callback processing failed' });
   }
+};
+
+router.post('/mpesa/reversal/result', mpesaReversalCallback(false));
+router.post('/mpesa/reversal/timeout', mpesaReversalCallback(true));
+
+// ========== HISTORY AND RECEIPTS ==========
+
+// The current user's payments, newest first. Paid ones link to a PDF receipt.
+router.get('/history', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const db = await getDB();
+
+    // Checkouts that were abandoned or never confirmed are left out
+    const filter = {
+      user_id: new ObjectId(req.user.id),
+      payment_status: { $in: [...RECEIPT_STATUSES, 'failed'] }
+    };
+
+    const [payments, total] = await Promise.all([
+      db.collection('payments').aggregate([
+        { $match: filter },
+        { $sort: { created_at: -1 } },
+        { $skip: skip },
+        { $limit: parseInt(limit) },
+        {
+          $lookup: {
+            from: 'subscription_plans',
+            localField: 'plan_id',
+            foreignField: '_id',
+            as: 'plan'
+          }
+        }
+      ]).toArray(),
+      db.collection('payments').countDocuments(filter)
+    ]);
+
+    res.json({
+      payments: payments.map(payment => {
+        const paid = RECEIPT_STATUSES.includes(payment.payment_status);
+        return {
+          id: payment._id.toString(),
+          invoiceNumber: payment.invoice_number || null,
+          planName: payment.plan[0]?.name || null,
+          amount: payment.amount,
+          currency: payment.currency,
+          amountRefunded: payment.amount_refunded || 0,
+          method: payment.payment_method,
+          status: payment.payment_status,
+          reference: providerReference(payment),
+          gift: Boolean(payment.gift),
+          paidAt: payment.paid_at || (paid ? payment.created_at : null),
+          createdAt: payment.created_at,
+          receiptUrl: hasReceipt(payment) ? `/api/payments/${payment._id}/receipt` : null
+        };
+      }),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get payment history error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.get('/:id/receipt', authenticate, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    const db = await getDB();
+    const payment = await db.collection('payments').findOne({
+      _id: new ObjectId(req.params.id),
+      user_id: new ObjectId(req.user.id)
+    });
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const receipt = await loadReceipt(payment);
+    if (!receipt) {
+      return res.status(409).json({ error: 'Receipts are only available for completed payments' });
+    }
+    sendReceiptPdf(res, receipt);
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
 });
 
 export default router;
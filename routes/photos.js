@@ -2,6 +2,7 @@ import express from 'express';
 import { getDB } from '../config/database.js';
 import { authenticate } from '../middleware/auth.js';
 import { ObjectId } from 'mongodb';
+import { fileUrl } from '../utils/media.js';
 
 const router = express.Router();
 
@@ -50,7 +51,7 @@ router.get('/', authenticate, async (req, res) => {
       photos: photos.map(photo => {
         // Convert file_id to URL if it exists, otherwise use legacy file_path
         const file_path = photo.file_id 
-          ? `/api/files/${photo.file_id}` 
+          ? fileUrl(photo.file_id, req.user.id) 
           : (photo.file_path || null);
 
         return {
@@ -109,7 +110,7 @@ router.get('/:id', authenticate, async (req, res) => {
 
     // Convert file_id to URL if it exists, otherwise use legacy file_path
     const file_path = photo[0].file_id 
-      ? `/api/files/${photo[0].file_id}` 
+      ? fileUrl(photo[0].file_id, req.user.id) 
       : (photo[0].file_path || null);
 
     res.json({
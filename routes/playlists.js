@@ -1,7 +1,8 @@
 import express from 'express';
 import { getDB } from '../config/database.js';
-import { authenticate, requireSubscription } from '../middleware/auth.js';
+import { authenticate, requireEntitlement } from '../middleware/auth.js';
 import { ObjectId } from 'mongodb';
+import { fileUrl, coverUrl } from '../utils/media.js';
 
 const router = express.Router();
 
@@ -17,8 +18,8 @@ const formatPlaylist = (playlist) => ({
   updated_at: playlist.updated_at
 });
 
-// Helper function to format playlist with full song details
-const formatPlaylistWithSongs = async (playlist) => {
+// Helper function to format playlist with full song details, with file URLs signed for `userId`
+const formatPlaylistWithSongs = async (playlist, userId) => {
   const db = await getDB();
   const songIds = (playlist.songs || []).map(id => new ObjectId(id));
   
@@ -42,8 +43,8 @@ const formatPlaylistWithSongs = async (playlist) => {
         artist: song.artist,
         album: song.album,
         genre: song.genre,
-        file_path: song.file_path,
-        cover_image_path: song.cover_image_path,
+        file_path: song.file_id ? fileUrl(song.file_id, userId) : (song.file_path || null),
+        cover_image_path: song.cover_image_id ? coverUrl(song.cover_image_id, userId) : (song.cover_image_path || null),
         duration: song.duration,
         file_size: song.file_size,
         play_count: song.play_count || 0,
@@ -66,7 +67,7 @@ const formatPlaylistWithSongs = async (playlist) => {
 };
 
 // Get all playlists for the current user
-router.get('/', authenticate, requireSubscription, async (req, res) => {
+router.get('/', authenticate, requireEntitlement('playlists'), async (req, res) => {
   try {
     const db = await getDB();
     const userId = new ObjectId(req.user.id);
@@ -86,7 +87,7 @@ router.get('/', authenticate, requireSubscription, async (req, res) => {
 });
 
 // Get a single playlist with full song details
-router.get('/:id', authenticate, requireSubscription, async (req, res) => {
+router.get('/:id', authenticate, requireEntitlement('playlists'), async (req, res) => {
   try {
     const db = await getDB();
     const userId = new ObjectId(req.user.id);
@@ -101,7 +102,7 @@ router.get('/:id', authenticate, requireSubscription, async (req, res) => {
       return res.status(404).json({ error: 'Playlist not found' });
     }
 
-    const formattedPlaylist = await formatPlaylistWithSongs(playlist);
+    const formattedPlaylist = await formatPlaylistWithSongs(playlist, req.user.id);
     res.json({ playlist: formattedPlaylist });
   } catch (error) {
     console.error('Get playlist error:', error);
@@ -113,7 +114,7 @@ router.get('/:id', authenticate, requireSubscription, async (req, res) => {
 });
 
 // Create a new playlist
-router.post('/', authenticate, requireSubscription, async (req, res) => {
+router.post('/', authenticate, requireEntitlement('playlists'), async (req, res) => {
   try {
     const { name, description } = req.body;
 
@@ -138,6 +139,16 @@ router.post('/', authenticate, requireSubscription, async (req, res) => {
       return res.status(400).json({ error: 'A playlist with this name already exists' });
     }
 
+    // The plan's playlist limit (null = unlimited)
+    const limit = req.entitlements.playlists;
+    if (limit !== null && await db.collection('playlists').countDocuments({ user_id: userId }) >= limit) {
+      return res.status(403).json({
+        error: `Your plan allows up to ${limit} playlist${limit === 1 ? '' : 's'}`,
+        requiresEntitlement: 'playlists',
+        limit
+      });
+    }
+
     const now = new Date();
     const result = await db.collection('playlists').insertOne({
       user_id: userId,
@@ -162,7 +173,7 @@ router.post('/', authenticate, requireSubscription, async (req, res) => {
 });
 
 // Update a playlist (name and description)
-router.put('/:id', authenticate, requireSubscription, async (req, res) => {
+router.put('/:id', authenticate, requireEntitlement('playlists'), async (req, res) => {
   try {
     const { name, description } = req.body;
     const db = await getDB();
@@ -229,7 +240,7 @@ router.put('/:id', authenticate, requireSubscription, async (req, res) => {
 });
 
 // Delete a playlist
-router.delete('/:id', authenticate, requireSubscription, async (req, res) => {
+router.delete('/:id', authenticate, requireEntitlement('playlists'), async (req, res) => {
   try {
     const db = await getDB();
     const userId = new ObjectId(req.user.id);
@@ -255,7 +266,7 @@ router.delete('/:id', authenticate, requireSubscription, async (req, res) => {
 });
 
 // Add a song to a playlist
-router.post('/:id/songs', authenticate, requireSubscription, async (req, res) => {
+router.post('/:id/songs', authenticate, requireEntitlement('playlists'), async (req, res) => {
   try {
     const { songId } = req.body;
     const db = await getDB();
@@ -305,7 +316,7 @@ router.post('/:id/songs', authenticate, requireSubscription, async (req, res) =>
     );
 
     const updatedPlaylist = await db.collection('playlists').findOne({ _id: playlistId });
-    const formattedPlaylist = await formatPlaylistWithSongs(updatedPlaylist);
+    const formattedPlaylist = await formatPlaylistWithSongs(updatedPlaylist, req.user.id);
 
     res.json({
       message: 'Song added to playlist successfully',
@@ -321,7 +332,7 @@ router.post('/:id/songs', authenticate, requireSubscription, async (req, res) =>
 });
 
 // Remove a song from a playlist
-router.delete('/:id/songs/:songId', authenticate, requireSubscription, async (req, res) => {
+router.delete('/:id/songs/:songId', authenticate, requireEntitlement('playlists'), async (req, res) => {
   try {
     const db = await getDB();
     const userId = new ObjectId(req.user.id);
@@ -352,7 +363,7 @@ router.delete('/:id/songs/:songId', authenticate, requireSubscription, async (re
     }
 
     const updatedPlaylist = await db.collection('playlists').findOne({ _id: playlistId });
-    const formattedPlaylist = await formatPlaylistWithSongs(updatedPlaylist);
+    const formattedPlaylist = await formatPlaylistWithSongs(updatedPlaylist, req.user.id);
 
     res.json({
       message: 'Song removed from playlist successfully',
@@ -368,7 +379,7 @@ router.delete('/:id/songs/:songId', authenticate, requireSubscription, async (re
 });
 
 // Reorder songs in a playlist
-router.put('/:id/songs/reorder', authenticate, requireSubscription, async (req, res) => {
+router.put('/:id/songs/reorder', authenticate, requireEntitlement('playlists'), async (req, res) => {
   try {
     const { songIds } = req.body;
     const db = await getDB();
@@ -416,7 +427,7 @@ router.put('/:id/songs/reorder', authenticate, requireSubscription, async (req,
     );
 
     const updatedPlaylist = await db.collection('playlists').findOne({ _id: playlistId });
-    const formattedPlaylist = await formatPlaylistWithSongs(updatedPlaylist);
+    const formattedPlaylist = await formatPlaylistWithSongs(updatedPlaylist, req.user.id);
 
     res.json({
       message: 'Playlist songs reordered successfully',
@@ -1,23 +1,27 @@
 import express from 'express';
 import { getDB } from '../config/database.js';
-import { authenticate, requireSubscription } from '../middleware/auth.js';
+import path from 'path';
+import { authenticate, requireSubscription, requireEntitlement } from '../middleware/auth.js';
+import { previewSettings, canPlayFull } from '../utils/previews.js';
+import { getFileStream, getFileMetadata } from '../utils/gridfs.js';
+import { fileUrl, coverUrl } from '../utils/media.js';
 import { ObjectId } from 'mongodb';
 
 const router = express.Router();
 
-// Helper function to format song document
-const formatSong = (song) => {
+// Helper function to format song document. File URLs are signed for `userId` (utils/media.js).
+const formatSong = (song, userId) => {
   // Convert file_id to URL if it exists, otherwise use legacy file_path
   const file_path = song.file_id 
-    ? `/api/files/${song.file_id}` 
+    ? fileUrl(song.file_id, userId) 
     : (song.file_path || null);
   
   const cover_image_path = song.cover_image_id 
-    ? `/api/files/${song.cover_image_id}` 
+    ? coverUrl(song.cover_image_id, userId) 
     : (song.cover_image_path || null);
 
   const background_video_path = song.background_video_id 
-    ? `/api/files/${song.background_video_id}` 
+    ? fileUrl(song.background_video_id, userId) 
     : null;
 
   return {
@@ -42,11 +46,13 @@ const formatSong = (song) => {
     created_at: song.created_at,
     updated_at: song.updated_at,
     favorite_count: song.favorite_count || 0,
-    is_favorited: song.is_favorited || false
+    is_favorited: song.is_favorited || false,
+    // What listeners without a subscription get from file_path (seconds)
+    preview: previewSettings(song)
   };
 };
 
-// Get all active songs (free users can browse, but will get interrupted when playing)
+// Get all active songs (free users can browse; /api/files only streams them previews)
 router.get('/', authenticate, async (req, res) => {
   try {
     const { genre, search, page = 1, limit = 20, sort = 'newest', album_id } = req.query;
@@ -156,8 +162,13 @@ router.get('/', authenticate, async (req, res) => {
         genre: 1,
         file_path: 1,
         cover_image_path: 1,
+        file_id: 1,
+        cover_image_id: 1,
+        background_video_id: 1,
         duration: 1,
         file_size: 1,
+        preview_start: 1,
+        preview_duration: 1,
         is_archived: 1,
         is_active: 1,
         uploaded_by: 1,
@@ -173,7 +184,7 @@ router.get('/', authenticate, async (req, res) => {
     const songs = await db.collection('songs').aggregate(pipeline).toArray();
 
     const formattedSongs = songs.map(song => ({
-      ...formatSong(song),
+      ...formatSong(song, req.user.id),
       album: song.album?.[0]?.name || song.album
     }));
 
@@ -209,7 +220,7 @@ router.get('/meta/genres', authenticate, async (req, res) => {
   }
 });
 
-// Get most popular songs (free users can browse, but will get interrupted when playing)
+// Get most popular songs (free users can browse; /api/files only streams them previews)
 router.get('/popular', authenticate, async (req, res) => {
   try {
     const { limit = 10 } = req.query;
@@ -258,7 +269,7 @@ router.get('/popular', authenticate, async (req, res) => {
       }
     ]).toArray();
 
-    res.json({ songs: songs.map(formatSong) });
+    res.json({ songs: songs.map(song => formatSong(song, req.user.id)) });
   } catch (error) {
     console.error('Get popular songs error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -319,7 +330,7 @@ router.get('/recent/played', authenticate, requireSubscription, async (req, res)
       }
     ]).toArray();
 
-    res.json({ songs: songs.map(formatSong) });
+    res.json({ songs: songs.map(song => formatSong(song, req.user.id)) });
   } catch (error) {
     console.error('Get recently played error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -367,14 +378,14 @@ router.get('/favorites', authenticate, requireSubscription, async (req, res) =>
       }
     ]).toArray();
 
-    res.json({ songs: songs.map(formatSong) });
+    res.json({ songs: songs.map(song => formatSong(song, req.user.id)) });
   } catch (error) {
     console.error('Get favorites error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Get single song (free users can access, but will get interrupted when playing) - must be after specific routes
+// Get single song (free users can access; /api/files only streams them a preview) - must be after specific routes
 router.get('/:id', authenticate, async (req, res) => {
   try {
     const { id } = req.params;
@@ -394,13 +405,60 @@ router.get('/:id', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'Song not found' });
     }
 
-    res.json({ song: formatSong(song) });
+    res.json({ song: formatSong(song, req.user.id) });
   } catch (error) {
     console.error('Get song error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Download a song's audio for offline listening (plans with the downloads entitlement)
+router.get('/:id/download', authenticate, requireEntitlement('downloads'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const db = await getDB();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid song ID' });
+    }
+
+    const song = await db.collection('songs').findOne({
+      _id: new ObjectId(id),
+      is_active: true,
+      is_archived: false
+    });
+    const metadata = song?.file_id && await getFileMetadata(song.file_id);
+    if (!metadata) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
+
+    // Downloading doesn't get round what the plan can play (e.g. instrumentals)
+    if (!(await canPlayFull(req.user, song))) {
+      return res.status(403).json({ error: 'Your plan does not include this song', requiresEntitlement: 'instrumentals' });
+    }
+
+    const name = `${song.artist} - ${song.title}`.replace(/[^\w\s.-]/g, '').trim() || 'song';
+    res.setHeader('Content-Type', metadata.metadata?.contentType || 'application/octet-stream');
+    res.setHeader('Content-Length', metadata.length);
+    res.setHeader('Content-Disposition', `attachment; filename="${name}${path.extname(metadata.filename || '')}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    const downloadStream = await getFileStream(song.file_id);
+    downloadStream.pipe(res);
+    downloadStream.on('error', (error) => {
+      console.error('Song download stream error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Error streaming file' });
+      } else {
+        res.destroy(error);
+      }
+    });
+  } catch (error) {
+    console.error('Download song error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Track song play
 router.post('/:id/play', authenticate, requireSubscription, async (req, res) => {
   try {
@@ -1,25 +1,68 @@
 import express from 'express';
 import { getDB } from '../config/database.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requireVerifiedEmail } from '../middleware/auth.js';
 import { ObjectId } from 'mongodb';
+import { findActiveSubscription, grantsAccess } from '../utils/subscriptions.js';
+import { setCancelAtPeriodEnd } from '../utils/stripeBilling.js';
+import { getStripe } from '../utils/stripe.js';
+import { isMpesaConfigured, normalizePhoneNumber } from '../utils/mpesa.js';
+import {
+  quotePlanChange,
+  applyPlanChange,
+  upgradeRecurringPlan,
+  scheduleDowngrade,
+  cancelScheduledPlanChange
+} from '../utils/planChanges.js';
+import {
+  localizePricing,
+  createPendingPayment,
+  startStripePayment,
+  startMpesaPayment,
+  completeFreePayment
+} from '../utils/checkout.js';
+import { priceWithCoupon, couponPaymentFields } from '../utils/coupons.js';
+import { trialDays, trialProblem, startCardlessTrial } from '../utils/trials.js';
+import { redeemVoucher, formatVoucherCode } from '../utils/vouchers.js';
+import { planEntitlements } from '../utils/entitlements.js';
+import {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  requestCurrency,
+  getExchangeRates,
+  priceIn
+} from '../utils/pricing.js';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } from '../utils/loginThrottle.js';
 
 const router = express.Router();
 
-// Get all subscription plans
+// Get all subscription plans, priced in the requester's currency
+// (?currency=KES, otherwise by country, see utils/pricing.js)
 router.get('/plans', async (req, res) => {
   try {
+    const currency = requestCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency', supported: SUPPORTED_CURRENCIES });
+    }
+
     const db = await getDB();
     const plans = await db.collection('subscription_plans')
       .find({ is_active: true })
       .sort({ price: 1 })
       .toArray();
+    const rates = await getExchangeRates();
+
+    // Plans that can't be priced in the currency (no price point or rate) are left out
+    const priced = await Promise.all(plans.map(async plan => ({ plan, price: await priceIn(plan, currency, plan.price, rates) })));
 
-    const formattedPlans = plans.map(plan => ({
+    const formattedPlans = priced.filter(({ price }) => price !== null).map(({ plan, price }) => ({
       id: plan._id.toString(),
       name: plan.name,
       description: plan.description,
-      price: plan.price,
+      price,
+      currency,
       duration_days: plan.duration_days,
+      trial_days: plan.trial_days || 0,
+      entitlements: planEntitlements(plan),
       stripe_price_id: plan.stripe_price_id,
       is_active: plan.is_active,
       created_at: plan.created_at
@@ -32,13 +75,112 @@ router.get('/plans', async (req, res) => {
   }
 });
 
+// Price of a plan with an optional promo code. Body: { planId, code, currency }
+router.post('/quote', authenticate, async (req, res) => {
+  try {
+    const { planId, code } = req.body;
+    if (!planId || !ObjectId.isValid(planId)) {
+      return res.status(400).json({ error: 'Plan ID is required' });
+    }
+
+    const db = await getDB();
+    const plan = await db.collection('subscription_plans').findOne({ _id: new ObjectId(planId), is_active: true });
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    const pricing = await priceWithCoupon({ code, userId: req.user.id, plan });
+    if (pricing.error) {
+      return res.status(400).json({ error: pricing.error, invalidCoupon: true });
+    }
+
+    const currency = requestCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency', supported: SUPPORTED_CURRENCIES });
+    }
+    const charge = await localizePricing(plan, pricing, currency);
+    if (!charge) {
+      return res.status(400).json({ error: `This plan cannot be paid in ${currency}` });
+    }
+
+    const trialError = trialDays(plan) ? await trialProblem({ userId: req.user.id, plan }) : null;
+
+    res.json({
+      plan: {
+        id: plan._id.toString(),
+        name: plan.name,
+        price: plan.price,
+        duration_days: plan.duration_days
+      },
+      trial: trialDays(plan) ? { days: trialDays(plan), available: !trialError } : null,
+      price: charge.originalAmount,
+      discount: charge.discount,
+      amount: charge.amount,
+      currency,
+      coupon: pricing.coupon
+        ? {
+            code: pricing.coupon.code,
+            discount_type: pricing.coupon.discount_type,
+            amount: pricing.coupon.amount,
+            description: pricing.coupon.description || null
+          }
+        : null
+    });
+  } catch (error) {
+    console.error('Quote error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Start a free trial without a payment method (e.g. for M-Pesa users). Body: { planId, phoneNumber }
+// It ends after the plan's trial_days unless the user pays for the plan before then.
+// Card users start their trial through POST /api/payments/stripe/subscribe instead.
+router.post('/trial', authenticate, requireVerifiedEmail('payments'), async (req, res) => {
+  try {
+    const { planId, phoneNumber } = req.body;
+    if (!planId || !ObjectId.isValid(planId)) {
+      return res.status(400).json({ error: 'Plan ID is required' });
+    }
+
+    const phone = phoneNumber ? normalizePhoneNumber(phoneNumber) : null;
+    if (phoneNumber && !phone) {
+      return res.status(400).json({ error: 'Enter a Safaricom number like 0712345678' });
+    }
+
+    const db = await getDB();
+    const plan = await db.collection('subscription_plans').findOne({ _id: new ObjectId(planId), is_active: true });
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    const problem = await trialProblem({ userId: req.user.id, plan, phoneNumber: phone, cardless: true });
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const subscription = await startCardlessTrial({ userId: req.user.id, plan, phoneNumber: phone });
+    if (!subscription) {
+      return res.status(409).json({ error: 'You have already used your free trial' });
+    }
+
+    res.status(201).json({
+      message: `Your ${trialDays(plan)}-day free trial has started`,
+      subscription: formatSummary(subscription)
+    });
+  } catch (error) {
+    console.error('Start trial error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get user's current subscription
 router.get('/current', authenticate, async (req, res) => {
   try {
     const db = await getDB();
     const userId = new ObjectId(req.user.id);
 
-    const subscription = await db.collection('user_subscriptions')
+    // The one giving access right now, otherwise the most recent one
+    const subscription = await findActiveSubscription(userId) || await db.collection('user_subscriptions')
       .findOne(
         { user_id: userId },
         { sort: { created_at: -1 } }
@@ -52,7 +194,7 @@ router.get('/current', authenticate, async (req, res) => {
       { _id: new ObjectId(subscription.plan_id) }
     );
 
-    const isActive = subscription.status === 'active' && new Date(subscription.end_date) > new Date();
+    const isActive = grantsAccess(subscription);
 
     res.json({
       subscription: {
@@ -62,7 +204,13 @@ router.get('/current', authenticate, async (req, res) => {
         status: subscription.status,
         start_date: subscription.start_date,
         end_date: subscription.end_date,
+        grace_until: subscription.grace_until || null,
+        trial_end: subscription.trial_end || null,
         stripe_subscription_id: subscription.stripe_subscription_id,
+        pending_plan_id: subscription.pending_plan_id?.toString() || null,
+        plan_change_at: subscription.plan_change_at || null,
+        auto_renew: subscription.auto_renew === true,
+        cancel_at_period_end: subscription.cancel_at_period_end === true,
         created_at: subscription.created_at,
         updated_at: subscription.updated_at,
         plan_name: plan?.name,
@@ -78,4 +226,408 @@ router.get('/current', authenticate, async (req, res) => {
   }
 });
 
+// A recurring subscription owned by the current user, or an error response
+const findOwnRecurringSubscription = async (req, res) => {
+  const db = await getDB();
+  const subscription = await db.collection('user_subscriptions').findOne({
+    _id: new ObjectId(req.params.id),
+    user_id: new ObjectId(req.user.id)
+  });
+
+  if (!subscription) {
+    res.status(404).json({ error: 'Subscription not found' });
+    return null;
+  }
+  if (!subscription.auto_renew || !subscription.stripe_subscription_id) {
+    res.status(400).json({ error: 'This subscription does not renew automatically' });
+    return null;
+  }
+  if (!getStripe()) {
+    res.status(503).json({ error: 'Stripe not configured' });
+    return null;
+  }
+  return subscription;
+};
+
+const formatSummary = (subscription) => ({
+  id: subscription._id.toString(),
+  plan_id: subscription.plan_id.toString(),
+  pending_plan_id: subscription.pending_plan_id?.toString() || null,
+  plan_change_at: subscription.plan_change_at || null,
+  status: subscription.status,
+  end_date: subscription.end_date,
+  trial_end: subscription.trial_end || null,
+  auto_renew: subscription.auto_renew === true,
+  cancel_at_period_end: subscription.cancel_at_period_end === true
+});
+
+// Stop a recurring subscription from renewing. Access continues until the end of the paid period.
+router.post('/:id/cancel', authenticate, async (req, res) => {
+  try {
+    const subscription = await findOwnRecurringSubscription(req, res);
+    if (!subscription) return;
+
+    if (subscription.cancel_at_period_end) {
+      return res.status(400).json({ error: 'Subscription is already set to cancel' });
+    }
+
+    const updated = await setCancelAtPeriodEnd(subscription, true, {
+      reason: req.body?.reason || null,
+      actorId: req.user.id
+    });
+
+    res.json({
+      message: 'Your subscription will not renew and ends at the end of the current period',
+      subscription: formatSummary(updated)
+    });
+  } catch (error) {
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Undo a scheduled cancellation, as long as the period hasn't ended yet
+router.post('/:id/resume', authenticate, async (req, res) => {
+  try {
+    const subscription = await findOwnRecurringSubscription(req, res);
+    if (!subscription) return;
+
+    if (!subscription.cancel_at_period_end || subscription.status === 'cancelled') {
+      return res.status(400).json({ error: 'Subscription is not scheduled to cancel' });
+    }
+
+    const updated = await setCancelAtPeriodEnd(subscription, false, { actorId: req.user.id });
+
+    res.json({
+      message: 'Your subscription will renew again',
+      subscription: formatSummary(updated)
+    });
+  } catch (error) {
+    console.error('Resume subscription error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ========== GIFTS AND VOUCHERS ==========
+
+// Redeem a voucher code (a gift or a giveaway). Body: { code }
+// Failed attempts are throttled like sign-ins, so codes can't be guessed.
+router.post('/redeem', authenticate, async (req, res) => {
+  try {
+    const throttleKeys = [`voucher:${req.user.id}`];
+    const blocked = await checkLoginAllowed(throttleKeys);
+    if (blocked) {
+      res.setHeader('Retry-After', blocked.retryAfter);
+      return res.status(429).json({
+        error: 'Too many invalid codes. Please wait before trying again.',
+        retryAfter: blocked.retryAfter
+      });
+    }
+
+    const result = await redeemVoucher({ code: req.body.code, userId: req.user.id });
+    if (result.error) {
+      if (result.status === 404) {
+        await recordLoginFailure(throttleKeys, { ip: req.ip, endpoint: 'voucher_redeem' });
+      }
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordLoginSuccess(throttleKeys);
+
+    res.json({
+      message: `${result.voucher.days} days of ${result.plan.name} added to your account`,
+      subscription: formatSummary(result.subscription)
+    });
+  } catch (error) {
+    console.error('Redeem voucher error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Gifts the current user has bought, with their codes and whether they've been redeemed
+router.get('/gifts', authenticate, async (req, res) => {
+  try {
+    const db = await getDB();
+    const vouchers = await db.collection('vouchers').aggregate([
+      { $match: { purchaser_id: new ObjectId(req.user.id) } },
+      { $sort: { created_at: -1 } },
+      {
+        $lookup: {
+          from: 'subscription_plans',
+          localField: 'plan_id',
+          foreignField: '_id',
+          as: 'plan'
+        }
+      }
+    ]).toArray();
+
+    res.json(vouchers.map(voucher => ({
+      id: voucher._id.toString(),
+      code: formatVoucherCode(voucher.code),
+      plan_name: voucher.plan[0]?.name || null,
+      days: voucher.days,
+      status: voucher.status,
+      recipient_email: voucher.recipient_email,
+      recipient_name: voucher.recipient_name,
+      message: voucher.message,
+      emailed_at: voucher.emailed_at || null,
+      redeemed_at: voucher.redeemed_at || null,
+      expires_at: voucher.expires_at,
+      created_at: voucher.created_at
+    })));
+  } catch (error) {
+    console.error('Get gifts error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ========== PLAN CHANGES ==========
+
+const formatPlan = (plan) => ({
+  id: plan._id.toString(),
+  name: plan.name,
+  price: plan.price,
+  duration_days: plan.duration_days
+});
+
+// The current subscription, its plan and the requested plan, or an error response
+const loadPlanChange = async (req, res, planId) => {
+  if (!planId || !ObjectId.isValid(planId)) {
+    res.status(400).json({ error: 'Plan ID is required' });
+    return null;
+  }
+
+  const subscription = await findActiveSubscription(req.user.id);
+  if (!subscription) {
+    res.status(400).json({ error: 'You have no active subscription to change' });
+    return null;
+  }
+  if (subscription.status === 'trialing') {
+    res.status(400).json({ error: 'Plans cannot be changed during a free trial' });
+    return null;
+  }
+  if (subscription.status !== 'active') {
+    res.status(400).json({ error: 'Renew your subscription before changing plans' });
+    return null;
+  }
+
+  const db = await getDB();
+  const [currentPlan, newPlan] = await Promise.all([
+    db.collection('subscription_plans').findOne({ _id: subscription.plan_id }),
+    db.collection('subscription_plans').findOne({ _id: new ObjectId(planId), is_active: true })
+  ]);
+
+  if (!newPlan) {
+    res.status(404).json({ error: 'Plan not found' });
+    return null;
+  }
+  if (subscription.auto_renew && (!newPlan.stripe_price_id || !currentPlan?.stripe_price_id)) {
+    res.status(400).json({ error: 'This plan is not available as a recurring subscription' });
+    return null;
+  }
+
+  return { subscription, currentPlan, newPlan };
+};
+
+// What a plan change would cost, without making it
+router.get('/change-plan/preview', authenticate, async (req, res) => {
+  try {
+    const change = await loadPlanChange(req, res, req.query.planId);
+    if (!change) return;
+
+    const { subscription, currentPlan, newPlan } = change;
+    if (newPlan._id.equals(subscription.plan_id)) {
+      return res.status(400).json({ error: 'You are already on this plan' });
+    }
+
+    const currency = requestCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency', supported: SUPPORTED_CURRENCIES });
+    }
+
+    // The quote itself is in USD; amountDueLocal is what would be charged in `currency`
+    const quote = quotePlanChange(subscription, currentPlan, newPlan);
+    res.json({
+      currentPlan: formatPlan(currentPlan),
+      newPlan: formatPlan(newPlan),
+      ...quote,
+      currency: BASE_CURRENCY,
+      localCurrency: currency,
+      amountDueLocal: quote.amountDue > 0 ? await priceIn(newPlan, currency, quote.amountDue) : 0
+    });
+  } catch (error) {
+    console.error('Preview plan change error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Switch plans. Body: { planId, paymentMethod: 'stripe'|'mpesa', phoneNumber, code, currency }
+// Upgrades charge the prorated difference (less any promo code) and apply once it's paid;
+// downgrades are scheduled for the end of the current period. Choosing the current plan
+// again cancels a scheduled downgrade.
+router.post('/change-plan', authenticate, requireVerifiedEmail('payments'), async (req, res) => {
+  try {
+    const { planId, paymentMethod, phoneNumber, code } = req.body;
+    const change = await loadPlanChange(req, res, planId);
+    if (!change) return;
+
+    const { subscription, currentPlan, newPlan } = change;
+    const event = { source: 'user', actor_id: new ObjectId(req.user.id) };
+
+    if (newPlan._id.equals(subscription.plan_id)) {
+      if (!subscription.pending_plan_id) {
+        return res.status(400).json({ error: 'You are already on this plan' });
+      }
+      const updated = await cancelScheduledPlanChange(subscription, currentPlan, event);
+      return res.json({
+        status: 'unchanged',
+        message: `You will stay on ${currentPlan.name}`,
+        subscription: formatSummary(updated)
+      });
+    }
+
+    const quote = quotePlanChange(subscription, currentPlan, newPlan);
+
+    if (quote.direction === 'downgrade') {
+      if (subscription.pending_plan_id?.equals(newPlan._id)) {
+        return res.status(400).json({ error: 'This change is already scheduled' });
+      }
+      const updated = await scheduleDowngrade(subscription, newPlan, event);
+      return res.json({
+        status: 'scheduled',
+        message: `You will move to ${newPlan.name} when your current period ends`,
+        quote,
+        subscription: formatSummary(updated)
+      });
+    }
+
+    if (subscription.auto_renew) {
+      const result = await upgradeRecurringPlan(subscription, newPlan, event);
+      if (result.clientSecret) {
+        return res.status(202).json({
+          status: 'payment_required',
+          message: 'Confirm the payment to complete the upgrade',
+          quote,
+          clientSecret: result.clientSecret
+        });
+      }
+      return res.json({
+        status: 'changed',
+        message: `You are now on ${newPlan.name}`,
+        quote,
+        subscription: formatSummary(result.subscription)
+      });
+    }
+
+    // The unused part of the current plan covers the whole price
+    if (quote.amountDue === 0) {
+      const updated = await applyPlanChange({
+        subscriptionId: subscription._id,
+        plan: newPlan,
+        credit: quote.credit,
+        event
+      });
+      return res.json({
+        status: 'changed',
+        message: `You are now on ${newPlan.name}`,
+        quote,
+        subscription: formatSummary(updated)
+      });
+    }
+
+    const planChange = {
+      subscription_id: subscription._id,
+      from_plan_id: currentPlan._id,
+      credit: quote.credit
+    };
+
+    const pricing = await priceWithCoupon({ code, userId: req.user.id, plan: newPlan, baseAmount: quote.amountDue });
+    if (pricing.error) {
+      return res.status(400).json({ error: pricing.error, invalidCoupon: true });
+    }
+
+    if (pricing.amount === 0) {
+      const payment = await createPendingPayment({
+        userId: req.user.id,
+        plan: newPlan,
+        amount: 0,
+        currency: 'USD',
+        method: 'coupon',
+        fields: { plan_change: planChange, ...couponPaymentFields(pricing.coupon, pricing) }
+      });
+      const updated = await completeFreePayment(payment, event);
+      return res.json({
+        status: 'changed',
+        message: `You are now on ${newPlan.name}`,
+        quote,
+        subscription: formatSummary(updated)
+      });
+    }
+
+    if (paymentMethod === 'stripe') {
+      if (!getStripe()) {
+        return res.status(503).json({ error: 'Stripe not configured' });
+      }
+      const currency = requestCurrency(req);
+      const charge = currency && await localizePricing(newPlan, pricing, currency);
+      if (!charge) {
+        return res.status(400).json({ error: `This plan cannot be paid in ${currency || req.body.currency}` });
+      }
+      const payment = await createPendingPayment({
+        userId: req.user.id,
+        plan: newPlan,
+        amount: charge.amount,
+        currency,
+        method: 'stripe',
+        fields: { plan_change: planChange, ...couponPaymentFields(pricing.coupon, charge) }
+      });
+      return res.status(202).json({
+        status: 'payment_required',
+        quote,
+        discount: pricing.discount,
+        ...(await startStripePayment(payment))
+      });
+    }
+
+    if (paymentMethod === 'mpesa') {
+      if (!isMpesaConfigured()) {
+        return res.status(503).json({ error: 'M-Pesa not configured' });
+      }
+      const phone = normalizePhoneNumber(phoneNumber);
+      if (!phone) {
+        return res.status(400).json({ error: 'Enter a Safaricom number like 0712345678' });
+      }
+      const charge = await localizePricing(newPlan, pricing, 'KES');
+      if (!charge) {
+        return res.status(400).json({ error: 'This plan cannot be paid with M-Pesa' });
+      }
+      const payment = await createPendingPayment({
+        userId: req.user.id,
+        plan: newPlan,
+        amount: charge.amount,
+        currency: 'KES',
+        method: 'mpesa',
+        fields: {
+          plan_change: planChange,
+          phone_number: phone,
+          ...couponPaymentFields(pricing.coupon, charge)
+        }
+      });
+      return res.status(202).json({
+        status: 'payment_required',
+        quote,
+        discount: pricing.discount,
+        ...(await startMpesaPayment(payment, { phoneNumber: phone, description: newPlan.name }))
+      });
+    }
+
+    res.status(400).json({ error: 'Payment method must be stripe or mpesa', quote });
+  } catch (error) {
+    if (error.invalidCoupon) {
+      return res.status(409).json({ error: error.message, invalidCoupon: true });
+    }
+    console.error('Change plan error:', error);
+    res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
 export default router;
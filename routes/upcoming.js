@@ -1,16 +1,17 @@
 import express from 'express';
 import { getDB } from '../config/database.js';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { ObjectId } from 'mongodb';
 import { uploadCover } from '../middleware/upload.js';
-import { uploadFile } from '../utils/gridfs.js';
+import { audit } from '../utils/audit.js';
+import { coverUrl } from '../utils/media.js';
 
 const router = express.Router();
 
 // Helper function to format upcoming release document
-const formatUpcoming = (item) => {
+const formatUpcoming = (item, userId) => {
   const cover_image_path = item.cover_image_id 
-    ? `/api/files/${item.cover_image_id}` 
+    ? coverUrl(item.cover_image_id, userId) 
     : (item.cover_image_path || null);
 
   return {
@@ -46,7 +47,7 @@ router.get('/', authenticate, async (req, res) => {
       .toArray();
 
     res.json({
-      upcoming: upcoming.map(formatUpcoming)
+      upcoming: upcoming.map(item => formatUpcoming(item, req.user.id))
     });
   } catch (error) {
     console.error('Get upcoming releases error:', error);
@@ -57,7 +58,7 @@ router.get('/', authenticate, async (req, res) => {
 // ========== ADMIN ROUTES ==========
 
 // Get all upcoming releases (admin - includes inactive)
-router.get('/admin', authenticate, requireAdmin, async (req, res) => {
+router.get('/admin', authenticate, requirePermission('content:read'), async (req, res) => {
   try {
     const db = await getDB();
     const { type, search } = req.query;
@@ -78,7 +79,7 @@ router.get('/admin', authenticate, requireAdmin, async (req, res) => {
       .toArray();
 
     res.json({
-      upcoming: upcoming.map(formatUpcoming)
+      upcoming: upcoming.map(item => formatUpcoming(item, req.user.id))
     });
   } catch (error) {
     console.error('Get upcoming releases (admin) error:', error);
@@ -87,7 +88,7 @@ router.get('/admin', authenticate, requireAdmin, async (req, res) => {
 });
 
 // Create upcoming release
-router.post('/admin', authenticate, requireAdmin, uploadCover.single('coverImage'), async (req, res) => {
+router.post('/admin', authenticate, requirePermission('content:write'), audit('upcoming.create', { collection: 'upcoming_releases' }), uploadCover.single('coverImage'), async (req, res) => {
   try {
     const db = await getDB();
     const { type, title, name, artist, description, release_date, is_active } = req.body;
@@ -112,7 +113,7 @@ router.post('/admin', authenticate, requireAdmin, uploadCover.single('coverImage
     // Upload cover image to GridFS if provided
     let coverImageId = null;
     if (coverFile) {
-      coverImageId = await uploadFile(coverFile, { type: 'cover' });
+      coverImageId = coverFile.id;
     }
 
     const upcomingData = {
@@ -132,7 +133,7 @@ router.post('/admin', authenticate, requireAdmin, uploadCover.single('coverImage
     const result = await db.collection('upcoming_releases').insertOne(upcomingData);
 
     res.status(201).json({
-      upcoming: formatUpcoming({ ...upcomingData, _id: result.insertedId })
+      upcoming: formatUpcoming({ ...upcomingData, _id: result.insertedId }, req.user.id)
     });
   } catch (error) {
     console.error('Create upcoming release error:', error);
@@ -141,7 +142,7 @@ router.post('/admin', authenticate, requireAdmin, uploadCover.single('coverImage
 });
 
 // Update upcoming release
-router.put('/admin/:id', authenticate, requireAdmin, uploadCover.single('coverImage'), async (req, res) => {
+router.put('/admin/:id', authenticate, requirePermission('content:write'), audit('upcoming.update', { collection: 'upcoming_releases' }), uploadCover.single('coverImage'), async (req, res) => {
   try {
     const db = await getDB();
     const { id } = req.params;
@@ -174,7 +175,7 @@ router.put('/admin/:id', authenticate, requireAdmin, uploadCover.single('coverIm
 
     // Handle cover image upload if provided
     if (coverFile) {
-      const coverImageId = await uploadFile(coverFile, { type: 'cover' });
+      const coverImageId = coverFile.id;
       updateData.cover_image_id = new ObjectId(coverImageId);
       updateData.cover_image_path = null; // Clear legacy path
     }
@@ -190,7 +191,7 @@ router.put('/admin/:id', authenticate, requireAdmin, uploadCover.single('coverIm
 
     const updated = await db.collection('upcoming_releases').findOne({ _id: new ObjectId(id) });
     res.json({
-      upcoming: formatUpcoming(updated)
+      upcoming: formatUpcoming(updated, req.user.id)
     });
   } catch (error) {
     console.error('Update upcoming release error:', error);
@@ -199,7 +200,7 @@ router.put('/admin/:id', authenticate, requireAdmin, uploadCover.single('coverIm
 });
 
 // Delete upcoming release
-router.delete('/admin/:id', authenticate, requireAdmin, async (req, res) => {
+router.delete('/admin/:id', authenticate, requirePermission('content:write'), audit('upcoming.delete', { collection: 'upcoming_releases' }), async (req, res) => {
   try {
     const db = await getDB();
     const { id } = req.params;
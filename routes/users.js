@@ -1,7 +1,15 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
+import archiver from 'archiver';
 import { getDB } from '../config/database.js';
 import { authenticate } from '../middleware/auth.js';
+import {
+  listUserSessions,
+  formatSession,
+  revokeSession,
+  revokeUserSessions
+} from '../utils/sessions.js';
+import { collectUserData, DELETION_GRACE_DAYS } from '../utils/accountData.js';
 import { ObjectId } from 'mongodb';
 
 const router = express.Router();
@@ -28,7 +36,8 @@ router.get('/me', authenticate, async (req, res) => {
         name: user.name,
         role: user.role || 'user',
         created_at: user.created_at,
-        updated_at: user.updated_at
+        updated_at: user.updated_at,
+        deletion_scheduled_for: user.deletion_scheduled_for || null
       }
     });
   } catch (error) {
@@ -63,24 +72,29 @@ router.put('/me', authenticate, async (req, res) => {
       updateFields.password = hashedPassword;
     }
 
-    const result = await db.collection('users').findOneAndUpdate(
+    const user = await db.collection('users').findOneAndUpdate(
       { _id: userId },
       { $set: updateFields },
       { returnDocument: 'after', projection: { password: 0 } }
     );
 
-    if (!result.value) {
+    if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    // A password change signs out every other device
+    if (password) {
+      await revokeUserSessions(userId, { except: req.auth.sessionId, reason: 'password_changed' });
+    }
+
     res.json({
       user: {
-        id: result.value._id.toString(),
-        email: result.value.email,
-        name: result.value.name,
-        role: result.value.role || 'user',
-        created_at: result.value.created_at,
-        updated_at: result.value.updated_at
+        id: user._id.toString(),
+        email: user.email,
+        name: user.name,
+        role: user.role || 'user',
+        created_at: user.created_at,
+        updated_at: user.updated_at
       }
     });
   } catch (error) {
@@ -89,6 +103,240 @@ router.put('/me', authenticate, async (req, res) => {
   }
 });
 
+// ========== PERSONAL DATA ==========
+
+// Download everything we hold about the current user (?format=zip for an archive)
+router.get('/me/export', authenticate, async (req, res) => {
+  try {
+    const data = await collectUserData(req.user.id);
+
+    if (!data) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (req.query.format !== 'zip') {
+      res.setHeader('Content-Disposition', `attachment; filename="cleo-music-data-${stamp}.json"`);
+      return res.json(data);
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="cleo-music-data-${stamp}.zip"`);
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', (error) => {
+      console.error('Export archive error:', error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+
+    // One file per section so the archive is easy to browse
+    for (const [section, content] of Object.entries(data)) {
+      if (section === 'exported_at') continue;
+      archive.append(JSON.stringify(content, null, 2), { name: `${section}.json` });
+    }
+    archive.append(
+      `Cleo Music personal data export\nExported at: ${data.exported_at.toISOString()}\n`,
+      { name: 'README.txt' }
+    );
+
+    await archive.finalize();
+  } catch (error) {
+    console.error('Export user data error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+});
+
+// Request account deletion - data is purged after a grace period unless restored
+router.delete('/me', authenticate, async (req, res) => {
+  try {
+    const { password } = req.body || {};
+
+    if (!password) {
+      return res.status(400).json({ error: 'Password is required to delete your account' });
+    }
+
+    const db = await getDB();
+    const userId = new ObjectId(req.user.id);
+    const user = await db.collection('users').findOne({ _id: userId });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    const scheduledFor = new Date();
+    scheduledFor.setDate(scheduledFor.getDate() + DELETION_GRACE_DAYS);
+
+    await db.collection('users').updateOne(
+      { _id: userId },
+      {
+        $set: {
+          deletion_requested_at: new Date(),
+          deletion_scheduled_for: scheduledFor,
+          updated_at: new Date()
+        }
+      }
+    );
+
+    await revokeUserSessions(userId, { except: req.auth.sessionId, reason: 'account_deletion' });
+
+    res.json({
+      message: `Your account will be deleted on ${scheduledFor.toDateString()}. Log in and restore your account before then to cancel.`,
+      deletion_scheduled_for: scheduledFor
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Cancel a pending account deletion
+router.post('/me/restore', authenticate, async (req, res) => {
+  try {
+    const db = await getDB();
+    const result = await db.collection('users').updateOne(
+      { _id: new ObjectId(req.user.id), deletion_scheduled_for: { $exists: true } },
+      {
+        $unset: { deletion_requested_at: '', deletion_scheduled_for: '' },
+        $set: { updated_at: new Date() }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({ error: 'No account deletion is pending' });
+    }
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Restore account error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ========== SESSIONS ==========
+
+// List devices the current user is signed in on
+router.get('/me/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user.id);
+    res.json({
+      sessions: sessions.map(session => formatSession(session, req.auth.sessionId))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Sign out everywhere except the current device (must be before /:id route)
+router.delete('/me/sessions', authenticate, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, {
+      except: req.auth.sessionId,
+      reason: 'signed_out_elsewhere'
+    });
+    res.json({ message: `Signed out of ${revoked} other session(s)`, revoked });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Sign out a single device
+router.delete('/me/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+
+    const revoked = await revokeSession(id, 'signed_out_remotely', req.user.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session signed out successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ========== NOTIFICATIONS ==========
+
+// In-app notifications, newest first. ?unread=true for unread only.
+router.get('/me/notifications', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const db = await getDB();
+    const userId = new ObjectId(req.user.id);
+
+    const filter = { user_id: userId };
+    if (unread === 'true') filter.read_at = null;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      db.collection('notifications')
+        .find(filter)
+        .sort({ created_at: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray(),
+      db.collection('notifications').countDocuments(filter),
+      db.collection('notifications').countDocuments({ user_id: userId, read_at: null })
+    ]);
+
+    res.json({
+      notifications: notifications.map(notification => ({
+        id: notification._id.toString(),
+        type: notification.type,
+        title: notification.title,
+        message: notification.message,
+        data: notification.data,
+        read_at: notification.read_at,
+        created_at: notification.created_at
+      })),
+      unread: unreadCount,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mark notifications as read: { ids: [...] }, or all of them when no ids are given
+router.post('/me/notifications/read', authenticate, async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+    const db = await getDB();
+
+    const filter = { user_id: new ObjectId(req.user.id), read_at: null };
+    if (Array.isArray(ids) && ids.length > 0) {
+      filter._id = { $in: ids.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id)) };
+    }
+
+    const result = await db.collection('notifications').updateMany(filter, { $set: { read_at: new Date() } });
+    res.json({ message: 'Notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get user statistics (free users can see their stats)
 router.get('/stats', authenticate, async (req, res) => {
   try {
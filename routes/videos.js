@@ -1,11 +1,14 @@
 import express from 'express';
 import { getDB } from '../config/database.js';
-import { authenticate, requireSubscription } from '../middleware/auth.js';
+import { authenticate, requireEntitlement } from '../middleware/auth.js';
 import { ObjectId } from 'mongodb';
+import { fileUrl } from '../utils/media.js';
+import { resolveEntitlements } from '../utils/entitlements.js';
 
 const router = express.Router();
 
-// Get all active videos (requires authentication)
+// Get all active videos. Anyone signed in can browse them, but only plans with the
+// videos entitlement get the (signed) file URLs to play them.
 router.get('/', authenticate, async (req, res) => {
   try {
     const { search, page = 1, limit = 20, kind } = req.query;
@@ -56,20 +59,22 @@ router.get('/', authenticate, async (req, res) => {
     ]).toArray();
 
     const total = await db.collection('videos').countDocuments(filter);
+    const { entitlements } = await resolveEntitlements(req.user);
 
     res.json({
       videos: videos.map(video => {
         // Convert file_id to URL if it exists, otherwise use legacy file_path
-        const file_path = video.file_id 
-          ? `/api/files/${video.file_id}` 
+        let file_path = video.file_id 
+          ? fileUrl(video.file_id, req.user.id) 
           : (video.file_path || null);
+        if (!entitlements.videos) file_path = null;
 
         return {
           id: video._id.toString(),
           ...video,
           _id: undefined,
           file_path: file_path,
-          file_id: video.file_id?.toString()
+          file_id: entitlements.videos ? video.file_id?.toString() : undefined
         };
       }),
       pagination: {
@@ -85,8 +90,8 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
-// Get single video (requires authentication)
-router.get('/:id', authenticate, async (req, res) => {
+// Get single video (plans with the videos entitlement)
+router.get('/:id', authenticate, requireEntitlement('videos'), async (req, res) => {
   try {
     const { id } = req.params;
     const db = await getDB();
@@ -120,7 +125,7 @@ router.get('/:id', authenticate, async (req, res) => {
 
     // Convert file_id to URL if it exists, otherwise use legacy file_path
     const file_path = video[0].file_id 
-      ? `/api/files/${video[0].file_id}` 
+      ? fileUrl(video[0].file_id, req.user.id) 
       : (video[0].file_path || null);
 
     res.json({
@@ -138,8 +143,8 @@ router.get('/:id', authenticate, async (req, res) => {
   }
 });
 
-// Increment video view count (requires authentication)
-router.post('/:id/view', authenticate, async (req, res) => {
+// Increment video view count (plans with the videos entitlement)
+router.post('/:id/view', authenticate, requireEntitlement('videos'), async (req, res) => {
   try {
     const { id } = req.params;
     const db = await getDB();
@@ -21,6 +21,7 @@ async function createAdmin() {
           password: hashedPassword,
           name,
           role: 'admin',
+          email_verified: true,
           updated_at: new Date()
         },
         $setOnInsert: {
@@ -0,0 +1,43 @@
+import { getDB, closeDB } from '../config/database.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// One-off migration to per-currency pricing (utils/pricing.js):
+//  - gives every plan a `prices` map from its USD `price` (and a legacy `price_kes`)
+//  - fixes the early test M-Pesa payments, which stored the USD plan price as KES
+// Safe to run more than once.
+async function migrateCurrencies() {
+  try {
+    const db = await getDB();
+
+    const plans = await db.collection('subscription_plans').find({ prices: { $exists: false } }).toArray();
+    for (const plan of plans) {
+      const prices = { USD: plan.price };
+      if (plan.price_kes > 0) prices.KES = plan.price_kes;
+      await db.collection('subscription_plans').updateOne({ _id: plan._id }, { $set: { prices } });
+      console.log(`  - ${plan.name}: ${Object.entries(prices).map(([currency, amount]) => `${currency} ${amount}`).join(', ')}`);
+    }
+    console.log(`✅ Added price points to ${plans.length} plan(s)`);
+
+    const payments = await db.collection('payments').updateMany(
+      {
+        payment_method: 'mpesa',
+        currency: 'KES',
+        transaction_reference: { $regex: '^MPESA-TEST-' },
+        currency_corrected_at: { $exists: false }
+      },
+      { $set: { currency: 'USD', currency_corrected_at: new Date() } }
+    );
+    console.log(`✅ Corrected the currency of ${payments.modifiedCount} legacy M-Pesa payment(s)`);
+
+    await closeDB();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating currencies:', error);
+    await closeDB();
+    process.exit(1);
+  }
+}
+
+migrateCurrencies();
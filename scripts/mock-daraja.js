@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+import express from 'express';
+import axios from 'axios';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Local stand-in for Safaricom's Daraja API, for developing and testing M-Pesa payments
+// without the sandbox. Run it and set MPESA_BASE_URL=http://localhost:4010.
+//
+// The outcome of an STK push depends on the last digit of the phone number:
+//   ...0 -> cancelled by the customer (1032)
+//   ...1 -> insufficient funds (1)
+//   ...2 -> no answer: no callback is sent and queries report a timeout (1037)
+//   anything else -> success
+// MOCK_DARAJA_CALLBACK_DELAY_MS (default 3000) controls how long "the customer" takes.
+//
+// Reversals always succeed, and report back to the ResultURL after the same delay.
+
+const PORT = parseInt(process.env.MOCK_DARAJA_PORT) || 4010;
+const CALLBACK_DELAY_MS = parseInt(process.env.MOCK_DARAJA_CALLBACK_DELAY_MS) || 3000;
+
+const app = express();
+app.use(express.json());
+
+const tokens = new Set();
+const pushes = new Map();
+
+const outcomeFor = (phone) => {
+  switch (String(phone).slice(-1)) {
+    case '0': return { ResultCode: 1032, ResultDesc: 'Request cancelled by user' };
+    case '1': return { ResultCode: 1, ResultDesc: 'The balance is insufficient for the transaction' };
+    case '2': return { ResultCode: 1037, ResultDesc: 'DS timeout user cannot be reached' };
+    default: return { ResultCode: 0, ResultDesc: 'The service request is processed successfully.' };
+  }
+};
+
+const requireToken = (req, res, next) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  if (!tokens.has(token)) {
+    return res.status(401).json({ errorCode: '404.001.03', errorMessage: 'Invalid Access Token' });
+  }
+  next();
+};
+
+const checkPassword = (body) => {
+  if (!process.env.MPESA_PASSKEY) return true;
+  const expected = Buffer.from(`${body.BusinessShortCode}${process.env.MPESA_PASSKEY}${body.Timestamp}`).toString('base64');
+  return body.Password === expected;
+};
+
+app.get('/oauth/v1/generate', (req, res) => {
+  if (!req.headers.authorization?.startsWith('Basic ')) {
+    return res.status(400).json({ errorCode: '400.008.01', errorMessage: 'Invalid Authentication passed' });
+  }
+  const token = crypto.randomBytes(16).toString('hex');
+  tokens.add(token);
+  res.json({ access_token: token, expires_in: '3599' });
+});
+
+app.post('/mpesa/stkpush/v1/processrequest', requireToken, (req, res) => {
+  const body = req.body;
+  if (!checkPassword(body)) {
+    return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid Password' });
+  }
+  if (!/^254[17]\d{8}$/.test(String(body.PhoneNumber)) || !(body.Amount >= 1)) {
+    return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid PhoneNumber or Amount' });
+  }
+
+  const merchantRequestId = `mock-${crypto.randomBytes(4).toString('hex')}`;
+  const checkoutRequestId = `ws_CO_${Date.now()}${crypto.randomBytes(3).toString('hex')}`;
+  const push = { ...body, merchantRequestId, checkoutRequestId, outcome: outcomeFor(body.PhoneNumber), done: false };
+  pushes.set(checkoutRequestId, push);
+
+  setTimeout(() => completePush(push), CALLBACK_DELAY_MS);
+
+  res.json({
+    MerchantRequestID: merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResponseCode: '0',
+    ResponseDescription: 'Success. Request accepted for processing',
+    CustomerMessage: 'Success. Request accepted for processing'
+  });
+});
+
+app.post('/mpesa/stkpushquery/v1/query', requireToken, (req, res) => {
+  const push = pushes.get(req.body.CheckoutRequestID);
+  if (!push) {
+    return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid CheckoutRequestID' });
+  }
+  if (!push.done) {
+    return res.status(500).json({ errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' });
+  }
+  res.json({
+    ResponseCode: '0',
+    ResponseDescription: 'The service request has been accepted successsfully',
+    MerchantRequestID: push.merchantRequestId,
+    CheckoutRequestID: push.checkoutRequestId,
+    ResultCode: String(push.outcome.ResultCode),
+    ResultDesc: push.outcome.ResultDesc
+  });
+});
+
+async function completePush(push) {
+  push.done = true;
+  const { ResultCode, ResultDesc } = push.outcome;
+  console.log(`STK push ${push.checkoutRequestId} (${push.PhoneNumber}, KES ${push.Amount}) -> ${ResultCode} ${ResultDesc}`);
+
+  // The customer never answered, so Safaricom never calls back
+  if (ResultCode === 1037) return;
+
+  const stkCallback = {
+    MerchantRequestID: push.merchantRequestId,
+    CheckoutRequestID: push.checkoutRequestId,
+    ResultCode,
+    ResultDesc
+  };
+  if (ResultCode === 0) {
+    stkCallback.CallbackMetadata = {
+      Item: [
+        { Name: 'Amount', Value: push.Amount },
+        { Name: 'MpesaReceiptNumber', Value: `MCK${crypto.randomBytes(4).toString('hex').toUpperCase()}` },
+        { Name: 'TransactionDate', Value: Number(new Date(Date.now() + 3 * 3600 * 1000).toISOString().replace(/[-:T]/g, '').slice(0, 14)) },
+        { Name: 'PhoneNumber', Value: Number(push.PhoneNumber) }
+      ]
+    };
+  }
+
+  try {
+    const response = await axios.post(push.CallBackURL, { Body: { stkCallback } }, { timeout: 10000 });
+    console.log(`  callback -> ${response.status}`);
+  } catch (error) {
+    console.error(`  callback failed: ${error.message}`);
+  }
+}
+
+app.post('/mpesa/reversal/v1/request', requireToken, (req, res) => {
+  const body = req.body;
+  if (!body.TransactionID || !body.ResultURL || !(body.Amount >= 1)) {
+    return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid TransactionID, Amount or ResultURL' });
+  }
+
+  const conversationId = `AG_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  const originatorConversationId = `mock-${crypto.randomBytes(4).toString('hex')}`;
+  setTimeout(() => completeReversal(body, conversationId, originatorConversationId), CALLBACK_DELAY_MS);
+
+  res.json({
+    OriginatorConversationID: originatorConversationId,
+    ConversationID: conversationId,
+    ResponseCode: '0',
+    ResponseDescription: 'Accept the service request successfully.'
+  });
+});
+
+async function completeReversal(request, conversationId, originatorConversationId) {
+  console.log(`Reversal ${conversationId} of ${request.TransactionID} (KES ${request.Amount}) -> 0`);
+  const Result = {
+    ResultType: 0,
+    ResultCode: 0,
+    ResultDesc: 'The service request is processed successfully.',
+    OriginatorConversationID: originatorConversationId,
+    ConversationID: conversationId,
+    TransactionID: `MCR${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+    ResultParameters: {
+      ResultParameter: [
+        { Key: 'Amount', Value: request.Amount },
+        { Key: 'OriginalTransactionID', Value: request.TransactionID }
+      ]
+    }
+  };
+
+  try {
+    const response = await axios.post(request.ResultURL, { Result }, { timeout: 10000 });
+    console.log(`  result -> ${response.status}`);
+  } catch (error) {
+    console.error(`  result failed: ${error.message}`);
+  }
+}
+
+app.listen(PORT, () => {
+  console.log(`Mock Daraja listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,25 @@
+import { closeDB } from '../config/database.js';
+import { purgeDueAccounts } from '../utils/accountData.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Permanently removes accounts whose deletion grace period has ended.
+// The server runs this itself every hour unless SCHEDULER_ENABLED=false;
+// otherwise run it daily (cron, scheduled job, ...).
+async function purgeAccounts() {
+  try {
+    console.log('Purging accounts scheduled for deletion...');
+    const purged = await purgeDueAccounts();
+    console.log(`✅ Purged ${purged} account(s)`);
+
+    await closeDB();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error purging accounts:', error);
+    await closeDB();
+    process.exit(1);
+  }
+}
+
+purgeAccounts();
@@ -0,0 +1,24 @@
+import { closeDB } from '../config/database.js';
+import { runSubscriptionLifecycle } from '../utils/subscriptionLifecycle.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Moves ended subscriptions into grace / expired and sends renewal reminders.
+// The server runs this itself every 15 minutes unless SCHEDULER_ENABLED=false.
+async function runLifecycle() {
+  try {
+    console.log('Running subscription lifecycle...');
+    const result = await runSubscriptionLifecycle();
+    console.log('✅ Done:', result);
+
+    await closeDB();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error running subscription lifecycle:', error);
+    await closeDB();
+    process.exit(1);
+  }
+}
+
+runLifecycle();
@@ -19,14 +19,72 @@ async function seedDatabase() {
     await db.collection('songs').createIndex({ is_active: 1, is_archived: 1 });
     await db.collection('songs').createIndex({ album_id: 1 });
     await db.collection('songs').createIndex({ genre: 1 });
+    // Looked up by /api/files to tell a song's audio from other files
+    await db.collection('songs').createIndex({ file_id: 1 });
     
     await db.collection('user_subscriptions').createIndex({ user_id: 1 });
     await db.collection('user_subscriptions').createIndex({ status: 1, end_date: 1 });
+    await db.collection('subscription_events').createIndex({ subscription_id: 1, created_at: 1 });
+    await db.collection('user_subscriptions').createIndex({ status: 1, grace_until: 1 });
+
+    // One free trial per user and per phone number, see utils/trials.js
+    await db.collection('trials').createIndex({ user_id: 1 }, { unique: true });
+    await db.collection('trials').createIndex(
+      { phone_hash: 1 },
+      { unique: true, partialFilterExpression: { phone_hash: { $type: 'string' } } }
+    );
+
+    await db.collection('notifications').createIndex({ user_id: 1, created_at: -1 });
+    await db.collection('notifications').createIndex({ user_id: 1, read_at: 1 });
     
     await db.collection('payments').createIndex({ user_id: 1 });
     await db.collection('payments').createIndex({ payment_status: 1 });
+    await db.collection('payments').createIndex(
+      { stripe_payment_intent_id: 1 },
+      { unique: true, partialFilterExpression: { stripe_payment_intent_id: { $type: 'string' } } }
+    );
+    await db.collection('payments').createIndex(
+      { mpesa_checkout_request_id: 1 },
+      { unique: true, partialFilterExpression: { mpesa_checkout_request_id: { $type: 'string' } } }
+    );
+    await db.collection('payments').createIndex(
+      { stripe_invoice_id: 1 },
+      { unique: true, partialFilterExpression: { stripe_invoice_id: { $type: 'string' } } }
+    );
+    await db.collection('user_subscriptions').createIndex({ stripe_subscription_id: 1 }, { sparse: true });
+    await db.collection('payments').createIndex({ 'dispute.id': 1 }, { sparse: true });
+    await db.collection('payments').createIndex(
+      { invoice_number: 1 },
+      { unique: true, partialFilterExpression: { invoice_number: { $type: 'string' } } }
+    );
+    await db.collection('payments').createIndex({ user_id: 1, created_at: -1 });
+    await db.collection('payments').createIndex({ paid_at: 1 });
+
+    await db.collection('refunds').createIndex({ payment_id: 1, created_at: -1 });
+    await db.collection('refunds').createIndex(
+      { provider_refund_id: 1 },
+      { unique: true, partialFilterExpression: { provider_refund_id: { $type: 'string' } } }
+    );
+    await db.collection('refunds').createIndex({ mpesa_conversation_id: 1 }, { sparse: true });
+    await db.collection('refunds').createIndex({ mpesa_originator_conversation_id: 1 }, { sparse: true });
+
+    // Webhook deliveries are keyed by provider event id (_id), see utils/webhooks.js
+    await db.collection('webhook_events').createIndex({ status: 1, received_at: -1 });
     
     await db.collection('subscription_plans').createIndex({ is_active: 1 });
+    await db.collection('exchange_rates').createIndex({ currency: 1 }, { unique: true });
+
+    await db.collection('coupons').createIndex({ code: 1 }, { unique: true });
+    await db.collection('coupon_redemptions').createIndex({ payment_id: 1 }, { unique: true });
+    await db.collection('coupon_redemptions').createIndex({ coupon_id: 1, user_id: 1 });
+
+    await db.collection('vouchers').createIndex({ code: 1 }, { unique: true });
+    await db.collection('vouchers').createIndex(
+      { payment_id: 1 },
+      { unique: true, partialFilterExpression: { payment_id: { $type: 'objectId' } } }
+    );
+    await db.collection('vouchers').createIndex({ batch_id: 1, status: 1 });
+    await db.collection('vouchers').createIndex({ purchaser_id: 1, created_at: -1 });
     
     await db.collection('albums').createIndex({ created_by: 1 });
     
@@ -42,6 +100,25 @@ async function seedDatabase() {
     await db.collection('song_plays').createIndex({ user_id: 1, song_id: 1 });
     await db.collection('song_plays').createIndex({ played_at: -1 });
 
+    await db.collection('sessions').createIndex({ user_id: 1, revoked_at: 1 });
+    await db.collection('sessions').createIndex({ expires_at: 1 });
+
+    await db.collection('auth_tokens').createIndex({ token_hash: 1 }, { unique: true });
+    await db.collection('auth_tokens').createIndex({ user_id: 1, purpose: 1 });
+    await db.collection('auth_tokens').createIndex({ expires_at: 1 });
+
+    // Expired login attempt records are purged by MongoDB itself
+    await db.collection('login_attempts').createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('lockout_events').createIndex({ created_at: -1 });
+    await db.collection('lockout_events').createIndex({ email: 1 });
+
+    await db.collection('users').createIndex({ deletion_scheduled_for: 1 }, { sparse: true });
+
+    await db.collection('audit_log').createIndex({ created_at: -1 });
+    await db.collection('audit_log').createIndex({ actor_id: 1, created_at: -1 });
+    await db.collection('audit_log').createIndex({ target_type: 1, created_at: -1 });
+    await db.collection('audit_log').createIndex({ target_ids: 1 });
+
     console.log('Indexes created successfully!');
 
     // Check if subscription plans already exist
@@ -43,7 +43,9 @@ async function seedPlans(force = false) {
         name: 'Basic',
         description: '1 month access to all music',
         price: 9.99,
+        prices: { USD: 9.99, KES: 1299 },
         duration_days: 30,
+        entitlements: { instrumentals: false, videos: true, downloads: false, playlists: 5 },
         stripe_price_id: null,
         is_active: true,
         created_at: new Date()
@@ -52,7 +54,9 @@ async function seedPlans(force = false) {
         name: 'Premium',
         description: '3 months access to all music',
         price: 24.99,
+        prices: { USD: 24.99, KES: 3249 },
         duration_days: 90,
+        entitlements: { instrumentals: true, videos: true, downloads: true, playlists: 50 },
         stripe_price_id: null,
         is_active: true,
         created_at: new Date()
@@ -61,7 +65,9 @@ async function seedPlans(force = false) {
         name: 'Annual',
         description: '12 months access to all music',
         price: 79.99,
+        prices: { USD: 79.99, KES: 10399 },
         duration_days: 365,
+        entitlements: { instrumentals: true, videos: true, downloads: true, playlists: null },
         stripe_price_id: null,
         is_active: true,
         created_at: new Date()
@@ -80,7 +86,7 @@ async function seedPlans(force = false) {
     
     console.log('\n📋 Current subscription plans:');
     allPlans.forEach(plan => {
-      console.log(`  - ${plan.name}: $${plan.price} (${plan.duration_days} days) - ${plan.description}`);
+      console.log(`  - ${plan.name}: $${plan.price} / KES ${plan.prices?.KES ?? '-'} (${plan.duration_days} days) - ${plan.description}`);
     });
 
     console.log('\n✅ Subscription plans seeding completed successfully!');
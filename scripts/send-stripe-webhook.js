@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import Stripe from 'stripe';
+import { getDB, closeDB } from '../config/database.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Sends a signed Stripe webhook event for a pending payment to a running server,
+// for local testing (stripe-mock doesn't deliver webhooks).
+//
+//   node scripts/send-stripe-webhook.js payment_intent.succeeded pi_123
+//   node scripts/send-stripe-webhook.js payment_intent.payment_failed pi_123
+//
+// Pass an event id as the third argument to replay the same event.
+async function sendWebhook() {
+  const type = process.argv[2];
+  const paymentIntentId = process.argv[3];
+  const eventId = process.argv[4] || `evt_local_${crypto.randomBytes(12).toString('hex')}`;
+  const url = process.env.STRIPE_WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/api/payments/stripe/webhook`;
+
+  if (!['payment_intent.succeeded', 'payment_intent.payment_failed'].includes(type) || !paymentIntentId) {
+    console.error('Usage: node scripts/send-stripe-webhook.js <payment_intent.succeeded|payment_intent.payment_failed> <paymentIntentId> [eventId]');
+    process.exit(1);
+  }
+
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    console.error('❌ STRIPE_WEBHOOK_SECRET is not set');
+    process.exit(1);
+  }
+
+  try {
+    const db = await getDB();
+    const payment = await db.collection('payments').findOne({ stripe_payment_intent_id: paymentIntentId });
+
+    if (!payment) {
+      throw new Error(`No payment found for ${paymentIntentId}`);
+    }
+
+    const amount = Math.round(payment.amount * 100);
+    const succeeded = type === 'payment_intent.succeeded';
+    const payload = JSON.stringify({
+      id: eventId,
+      object: 'event',
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: {
+        object: {
+          id: paymentIntentId,
+          object: 'payment_intent',
+          amount,
+          amount_received: succeeded ? amount : 0,
+          currency: (payment.currency || 'usd').toLowerCase(),
+          status: succeeded ? 'succeeded' : 'requires_payment_method',
+          last_payment_error: succeeded
+            ? null
+            : { code: 'card_declined', decline_code: 'generic_decline', message: 'Your card was declined.' },
+          metadata: {
+            userId: payment.user_id.toString(),
+            planId: payment.plan_id?.toString(),
+            paymentId: payment._id.toString()
+          }
+        }
+      }
+    });
+
+    const signature = new Stripe('sk_unused').webhooks.generateTestHeaderString({
+      payload,
+      secret: process.env.STRIPE_WEBHOOK_SECRET
+    });
+
+    const response = await axios.post(url, payload, {
+      headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+      validateStatus: () => true
+    });
+
+    console.log(`${eventId} (${type}) → ${response.status}`, response.data);
+
+    await closeDB();
+    process.exit(response.status < 300 ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Error sending webhook:', error.message);
+    await closeDB();
+    process.exit(1);
+  }
+}
+
+sendWebhook();
@@ -17,6 +17,8 @@ import playlistRoutes from './routes/playlists.js';
 import userRoutes from './routes/users.js';
 import fileRoutes from './routes/files.js';
 import upcomingRoutes from './routes/upcoming.js';
+import { startScheduler } from './utils/scheduler.js';
+import { getTransport } from './utils/mailer.js';
 
 dotenv.config();
 
@@ -71,6 +73,9 @@ app.use(cors({
   },
   credentials: true
 }));
+// Webhook signatures are computed over the exact bytes sent, so this path must
+// get the raw body before express.json() parses it
+app.use('/api/payments/stripe/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -107,9 +112,13 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Fail now on a missing mail setup rather than on the first email
+getTransport();
+
 app.listen(PORT, () => {
   console.log(`\n✅ Server running on port ${PORT}`);
   console.log(`📡 API available at: http://localhost:${PORT}/api`);
   console.log(`🏥 Health check: http://localhost:${PORT}/api/health\n`);
+  startScheduler();
 });
 
@@ -0,0 +1,175 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import Stripe from 'stripe';
+import { freePort, startTestApp, request, createPlan, createUser } from './helpers.js';
+
+const WEBHOOK_SECRET = 'whsec_test';
+const stripe = new Stripe('sk_unused');
+
+// Stands in for api.stripe.com: creates PaymentIntents, or declines them while `decline` is set
+function startStripeStub(port) {
+  const stub = { decline: false, intents: 0 };
+  stub.server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      if (stub.decline) {
+        res.writeHead(402);
+        res.end(JSON.stringify({ error: { type: 'card_error', code: 'card_declined', message: 'Your card was declined.' } }));
+        return;
+      }
+      stub.intents += 1;
+      const id = `pi_stub_${stub.intents}`;
+      res.end(JSON.stringify({ id, object: 'payment_intent', client_secret: `${id}_secret_test`, status: 'requires_payment_method' }));
+    });
+  });
+  return new Promise(resolve => stub.server.listen(port, '127.0.0.1', () => resolve(stub)));
+}
+
+describe('Coupon limits', () => {
+  let stripeStub;
+  let app;
+  let db;
+  let plan;
+  let admin;
+
+  before(async () => {
+    const stripePort = await freePort();
+    stripeStub = await startStripeStub(stripePort);
+    app = await startTestApp({
+      STRIPE_SECRET_KEY: 'sk_test_stub',
+      STRIPE_API_BASE: `http://127.0.0.1:${stripePort}`,
+      STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET
+    });
+    db = app.db;
+    plan = await createPlan(db);
+    admin = await createUser(db, app.url, { role: 'admin' });
+  });
+
+  after(async () => {
+    await app?.stop();
+    await new Promise(resolve => (stripeStub ? stripeStub.server.close(resolve) : resolve()));
+  });
+
+  let couponCount = 0;
+  const createCoupon = async (fields) => {
+    couponCount += 1;
+    const { status, data } = await request(app.url, '/api/admin/coupons', {
+      method: 'POST',
+      token: admin.token,
+      body: { code: `TEST${couponCount}`, discount_type: 'percent', amount: 100, ...fields }
+    });
+    assert.equal(status, 201, JSON.stringify(data));
+    return data;
+  };
+
+  const checkout = (user, code) =>
+    request(app.url, '/api/payments/stripe/create-intent', {
+      method: 'POST',
+      token: user.token,
+      body: { planId: plan._id.toString(), code, currency: 'USD' }
+    });
+
+  const couponState = async (coupon) => ({
+    redemptionCount: (await db.collection('coupons').findOne({ code: coupon.code })).redemption_count,
+    redemptions: await db.collection('coupon_redemptions').countDocuments({ code: coupon.code })
+  });
+
+  const deliver = (event) => {
+    const payload = JSON.stringify(event);
+    return request(app.url, '/api/payments/stripe/webhook', {
+      method: 'POST',
+      body: payload,
+      headers: {
+        'Content-Type': 'application/json',
+        'Stripe-Signature': stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET })
+      }
+    });
+  };
+
+  it('lets each user redeem a code only as often as its per-user limit', async () => {
+    const coupon = await createCoupon({ per_user_limit: 1 });
+    const user = await createUser(db, app.url);
+
+    const first = await checkout(user, coupon.code);
+    assert.equal(first.status, 200, JSON.stringify(first.data));
+    assert.equal(first.data.status, 'completed');
+
+    const second = await checkout(user, coupon.code);
+    assert.equal(second.status, 400);
+    assert.equal(second.data.error, 'You have already used this code');
+    assert.equal(second.data.invalidCoupon, true);
+
+    assert.deepEqual(await couponState(coupon), { redemptionCount: 1, redemptions: 1 });
+  });
+
+  it('never goes over max_redemptions when checkouts race', async () => {
+    const coupon = await createCoupon({ max_redemptions: 2 });
+    const users = await Promise.all(Array.from({ length: 5 }, () => createUser(db, app.url)));
+
+    const results = await Promise.all(users.map(user => checkout(user, coupon.code)));
+    const completed = results.filter(result => result.status === 200);
+    const refused = results.filter(result => result.status !== 200);
+
+    assert.equal(completed.length, 2);
+    for (const result of refused) {
+      assert.ok([400, 409].includes(result.status), JSON.stringify(result.data));
+      assert.equal(result.data.invalidCoupon, true);
+    }
+
+    assert.deepEqual(await couponState(coupon), { redemptionCount: 2, redemptions: 2 });
+    const subscribed = await db.collection('user_subscriptions').countDocuments({
+      user_id: { $in: users.map(user => user._id) }
+    });
+    assert.equal(subscribed, 2);
+  });
+
+  it('holds the redemption while a paid checkout is pending and gives it back if the payment fails', async () => {
+    const coupon = await createCoupon({ amount: 50, max_redemptions: 1 });
+    const [buyer, other] = [await createUser(db, app.url), await createUser(db, app.url)];
+
+    const pending = await checkout(buyer, coupon.code);
+    assert.equal(pending.status, 200, JSON.stringify(pending.data));
+    assert.ok(pending.data.clientSecret);
+    assert.deepEqual(await couponState(coupon), { redemptionCount: 1, redemptions: 1 });
+
+    const refused = await checkout(other, coupon.code);
+    assert.equal(refused.status, 400);
+    assert.equal(refused.data.error, 'This code has been fully redeemed');
+
+    const failed = await deliver({
+      id: `evt_failed_${pending.data.paymentId}`,
+      object: 'event',
+      type: 'payment_intent.payment_failed',
+      data: {
+        object: {
+          id: pending.data.paymentIntentId,
+          object: 'payment_intent',
+          invoice: null,
+          metadata: { paymentId: pending.data.paymentId },
+          last_payment_error: { code: 'card_declined', message: 'Your card was declined.' }
+        }
+      }
+    });
+    assert.equal(failed.status, 200);
+    assert.deepEqual(await couponState(coupon), { redemptionCount: 0, redemptions: 0 });
+
+    assert.equal((await checkout(other, coupon.code)).status, 200);
+  });
+
+  it('gives the redemption back when Stripe refuses to start the payment', async () => {
+    const coupon = await createCoupon({ amount: 50, max_redemptions: 1 });
+    const user = await createUser(db, app.url);
+
+    stripeStub.decline = true;
+    try {
+      assert.equal((await checkout(user, coupon.code)).status, 500);
+    } finally {
+      stripeStub.decline = false;
+    }
+
+    assert.deepEqual(await couponState(coupon), { redemptionCount: 0, redemptions: 0 });
+    assert.equal((await checkout(user, coupon.code)).status, 200);
+  });
+});
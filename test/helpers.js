@@ -0,0 +1,212 @@
+import { spawn } from 'child_process';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import bcrypt from 'bcryptjs';
+import { MongoClient } from 'mongodb';
+
+// Shared setup for the API tests. They run server.js (and mocks such as
+// scripts/mock-daraja.js) as child processes against a real MongoDB: the one at
+// TEST_MONGODB_URI, or else an in-memory server from mongodb-memory-server (which
+// downloads mongod on first use; MONGOMS_SYSTEM_BINARY points it at an installed one).
+// Each test file gets a database of its own, dropped afterwards.
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+export const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.unref();
+  server.on('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+// Start a script from the repo and resolve once its output matches `ready`
+export function startProcess(script, env, ready, timeoutMs = 15000) {
+  const child = spawn(process.execPath, [script], {
+    cwd: ROOT,
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+
+  return new Promise((resolve, reject) => {
+    const onExit = (code) => fail(`exited with code ${code}`);
+    const fail = (message) => {
+      clearTimeout(timer);
+      child.off('exit', onExit);
+      child.kill();
+      reject(new Error(`${script} ${message}\n${output}`));
+    };
+    const timer = setTimeout(() => fail(`did not start within ${timeoutMs}ms`), timeoutMs);
+    const onData = (chunk) => {
+      output += chunk;
+      if (ready.test(output)) {
+        clearTimeout(timer);
+        child.off('exit', onExit);
+        resolve({ child, output: () => output, stop: () => stopProcess(child) });
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.once('exit', onExit);
+  });
+}
+
+function stopProcess(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return Promise.resolve();
+  return new Promise((resolve) => {
+    child.once('exit', () => resolve());
+    child.kill();
+  });
+}
+
+// Environment every test server needs; tests add their own provider settings on top.
+// `database` is from startTestDB().
+export const serverEnv = (port, { uri, dbName }) => ({
+  PORT: String(port),
+  MONGODB_URI: uri,
+  DB_NAME: dbName,
+  NODE_ENV: 'test',
+  JWT_SECRET: 'test-jwt-secret',
+  SCHEDULER_ENABLED: 'false',
+  MAIL_TRANSPORT: 'outbox',
+  MAIL_OUTBOX_DIR: path.join(os.tmpdir(), dbName)
+});
+
+export async function startServer(env) {
+  const server = await startProcess('server.js', env, /Server running on port/);
+  return { ...server, url: `http://127.0.0.1:${env.PORT}` };
+}
+
+// The database for this test file: { uri, dbName, db, stop }
+export async function startTestDB() {
+  let uri = process.env.TEST_MONGODB_URI;
+  let memoryServer = null;
+  if (!uri) {
+    const { MongoMemoryServer } = await import('mongodb-memory-server');
+    memoryServer = await MongoMemoryServer.create();
+    uri = memoryServer.getUri();
+  }
+
+  const dbName = `cleo-music-test-${process.pid}`;
+  const client = new MongoClient(uri);
+  await client.connect();
+  const db = client.db(dbName);
+
+  const stop = async () => {
+    await db.dropDatabase();
+    await client.close();
+    await memoryServer?.stop();
+  };
+  return { uri, dbName, db, stop };
+}
+
+// A database and a server using it: { db, url, stop }. `env` adds to serverEnv(), and
+// may be a function of the server's port.
+export async function startTestApp(env = {}) {
+  const database = await startTestDB();
+  const port = await freePort();
+  let server;
+  try {
+    server = await startServer({
+      ...serverEnv(port, database),
+      ...(typeof env === 'function' ? env(port) : env)
+    });
+  } catch (error) {
+    await database.stop();
+    throw error;
+  }
+
+  return {
+    db: database.db,
+    url: server.url,
+    output: server.output,
+    stop: async () => {
+      await server.stop();
+      await database.stop();
+    }
+  };
+}
+
+// Poll until `check` returns something truthy
+export async function waitFor(check, { timeoutMs = 10000, intervalMs = 100 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+export async function request(baseUrl, path, { method = 'GET', token, body, headers = {} } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined && typeof body !== 'string' ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  const text = await response.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    data = text;
+  }
+  return { status: response.status, data };
+}
+
+export async function createPlan(db, overrides = {}) {
+  const plan = {
+    name: 'Monthly',
+    description: 'Test plan',
+    price: 9.99,
+    prices: { USD: 9.99, KES: 1299 },
+    duration_days: 30,
+    stripe_price_id: null,
+    is_active: true,
+    created_at: new Date(),
+    updated_at: new Date(),
+    ...overrides
+  };
+  const { insertedId } = await db.collection('subscription_plans').insertOne(plan);
+  return { _id: insertedId, ...plan };
+}
+
+let userCount = 0;
+
+// Insert a verified user (with any extra `fields`, e.g. a role) and log in as them
+export async function createUser(db, baseUrl, fields = {}) {
+  userCount += 1;
+  const email = `user${userCount}-${Date.now()}@example.com`;
+  const password = 'password123';
+  const { insertedId } = await db.collection('users').insertOne({
+    email,
+    password: await bcrypt.hash(password, 4),
+    name: `Test User ${userCount}`,
+    role: 'user',
+    email_verified: true,
+    created_at: new Date(),
+    updated_at: new Date(),
+    ...fields
+  });
+
+  return { _id: insertedId, email, password, ...(await login(baseUrl, email, password)) };
+}
+
+// Start another session: { token, refreshToken }
+export async function login(baseUrl, email, password) {
+  const { status, data } = await request(baseUrl, '/api/auth/login', {
+    method: 'POST',
+    body: { email, password }
+  });
+  if (status !== 200) throw new Error(`Login failed (${status}): ${JSON.stringify(data)}`);
+  return { token: data.token, refreshToken: data.refreshToken };
+}
@@ -0,0 +1,116 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, request, createUser } from './helpers.js';
+
+const FREE_ATTEMPTS = 3;
+const LOCKOUT_THRESHOLD = 5;
+
+describe('Login throttling', () => {
+  let app;
+  let db;
+
+  before(async () => {
+    // The mongo store lets the tests see and rewind the attempt records
+    app = await startTestApp({
+      LOGIN_THROTTLE_STORE: 'mongo',
+      LOGIN_FREE_ATTEMPTS: String(FREE_ATTEMPTS),
+      LOGIN_LOCKOUT_THRESHOLD: String(LOCKOUT_THRESHOLD),
+      LOGIN_IP_LOCKOUT_THRESHOLD: '1000'
+    });
+    db = app.db;
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  // Every request comes from 127.0.0.1, so start each test with a clean IP record
+  beforeEach(async () => {
+    await db.collection('login_attempts').deleteMany({});
+  });
+
+  const login = (email, password) =>
+    request(app.url, '/api/auth/login', { method: 'POST', body: { email, password } });
+
+  const forgotPassword = (email) =>
+    request(app.url, '/api/auth/forgot-password', { method: 'POST', body: { email } });
+
+  // Pretend the latest failures happened long enough ago for any backoff to have passed
+  const waitOutBackoff = () =>
+    db.collection('login_attempts').updateMany({}, { $set: { last_failure_at: new Date(Date.now() - 60 * 60 * 1000) } });
+
+  it('slows down repeated failures after the free attempts', async () => {
+    const user = await createUser(db, app.url);
+
+    for (let attempt = 1; attempt <= FREE_ATTEMPTS + 1; attempt++) {
+      assert.equal((await login(user.email, 'wrong-password')).status, 401);
+    }
+
+    // Even the right password has to wait out the backoff
+    const blocked = await login(user.email, user.password);
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.data.retryAfter, 1);
+    assert.equal(blocked.data.error, 'Too many failed attempts. Please wait before trying again.');
+
+    await waitOutBackoff();
+    assert.equal((await login(user.email, user.password)).status, 200);
+    assert.equal(await db.collection('login_attempts').countDocuments({ _id: `account:${user.email}` }), 0);
+  });
+
+  it('locks the account and records a lockout event at the threshold', async () => {
+    const user = await createUser(db, app.url);
+
+    for (let attempt = 1; attempt <= LOCKOUT_THRESHOLD; attempt++) {
+      await waitOutBackoff();
+      assert.equal((await login(user.email, 'wrong-password')).status, 401);
+    }
+
+    await waitOutBackoff();
+    const { status, data } = await login(user.email, user.password);
+    assert.equal(status, 429);
+    assert.equal(data.error, 'Too many failed attempts. This sign-in has been temporarily locked.');
+    assert.ok(data.retryAfter > 60);
+
+    const events = await db.collection('lockout_events').find({ key: `account:${user.email}` }).toArray();
+    assert.equal(events.length, 1);
+    assert.equal(events[0].scope, 'account');
+    assert.equal(events[0].email, user.email);
+    assert.equal(events[0].endpoint, 'login');
+    assert.equal(events[0].failures, LOCKOUT_THRESHOLD);
+
+    // Other accounts on the same IP can still sign in
+    const other = await createUser(db, app.url);
+    assert.equal((await login(other.email, other.password)).status, 200);
+  });
+
+  it('lets admins lift a lockout', async () => {
+    const admin = await createUser(db, app.url, { role: 'admin' });
+    const user = await createUser(db, app.url);
+
+    for (let attempt = 1; attempt <= LOCKOUT_THRESHOLD; attempt++) {
+      await waitOutBackoff();
+      await login(user.email, 'wrong-password');
+    }
+    await waitOutBackoff();
+    assert.equal((await login(user.email, user.password)).status, 429);
+
+    const unlock = await request(app.url, `/api/admin/users/${user._id}/unlock`, { method: 'POST', token: admin.token });
+    assert.equal(unlock.status, 200);
+    assert.equal((await login(user.email, user.password)).status, 200);
+  });
+
+  it('throttles password reset requests without locking the sign-in', async () => {
+    const user = await createUser(db, app.url);
+
+    for (let attempt = 1; attempt <= FREE_ATTEMPTS + 1; attempt++) {
+      assert.equal((await forgotPassword(user.email)).status, 200);
+    }
+    const blocked = await forgotPassword(user.email);
+    assert.equal(blocked.status, 429);
+    assert.ok(blocked.data.retryAfter > 0);
+
+    // Only the IP record is shared with sign-in
+    await waitOutBackoff();
+    assert.equal((await login(user.email, user.password)).status, 200);
+  });
+});
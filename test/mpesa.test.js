@@ -0,0 +1,192 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  freePort,
+  startProcess,
+  startTestApp,
+  request,
+  waitFor,
+  createPlan,
+  createUser
+} from './helpers.js';
+
+// STK pushes run against scripts/mock-daraja.js, where the last digit of the phone
+// number picks the outcome: 0 cancelled, 2 no answer (no callback), others succeed.
+const SUCCESS_PHONE = '0712345678';
+const CANCEL_PHONE = '0712345670';
+const NO_ANSWER_PHONE = '0712345672';
+
+const CALLBACK_TOKEN = 'test-callback-token';
+const CALLBACK_DELAY_MS = 200;
+
+describe('M-Pesa STK push', () => {
+  let daraja;
+  let app;
+  let db;
+  let plan;
+
+  before(async () => {
+    const darajaPort = await freePort();
+    const mpesaEnv = {
+      MPESA_BASE_URL: `http://127.0.0.1:${darajaPort}`,
+      MPESA_CONSUMER_KEY: 'test-key',
+      MPESA_CONSUMER_SECRET: 'test-secret',
+      MPESA_SHORTCODE: '174379',
+      MPESA_PASSKEY: 'test-passkey'
+    };
+    daraja = await startProcess('scripts/mock-daraja.js', {
+      ...mpesaEnv,
+      MOCK_DARAJA_PORT: String(darajaPort),
+      MOCK_DARAJA_CALLBACK_DELAY_MS: String(CALLBACK_DELAY_MS)
+    }, /Mock Daraja listening/);
+
+    app = await startTestApp((port) => ({
+      ...mpesaEnv,
+      MPESA_CALLBACK_URL: `http://127.0.0.1:${port}/api/payments/mpesa/callback?token=${CALLBACK_TOKEN}`,
+      MPESA_CALLBACK_TOKEN: CALLBACK_TOKEN
+    }));
+    db = app.db;
+    plan = await createPlan(db);
+  });
+
+  after(async () => {
+    await app?.stop();
+    await daraja?.stop();
+  });
+
+  const initiate = async (user, phoneNumber) => {
+    const { status, data } = await request(app.url, '/api/payments/mpesa/initiate', {
+      method: 'POST',
+      token: user.token,
+      body: { planId: plan._id.toString(), phoneNumber }
+    });
+    assert.equal(status, 200, JSON.stringify(data));
+    return data.checkoutRequestID;
+  };
+
+  const findPayment = (checkoutRequestId) =>
+    db.collection('payments').findOne({ mpesa_checkout_request_id: checkoutRequestId });
+
+  const waitForStatus = (checkoutRequestId, status) =>
+    waitFor(async () => {
+      const payment = await findPayment(checkoutRequestId);
+      return payment?.payment_status === status && payment;
+    });
+
+  const pollStatus = (user, checkoutRequestId) =>
+    request(app.url, `/api/payments/mpesa/status/${checkoutRequestId}`, { token: user.token });
+
+  // Pretend the push was sent long enough ago for a status poll to query Daraja
+  const backdate = (checkoutRequestId, ms) =>
+    db.collection('payments').updateOne(
+      { mpesa_checkout_request_id: checkoutRequestId },
+      { $set: { created_at: new Date(Date.now() - ms) } }
+    );
+
+  const sendCallback = (checkoutRequestId, { resultCode = 0, amount = plan.prices.KES, token = CALLBACK_TOKEN } = {}) =>
+    request(app.url, `/api/payments/mpesa/callback?token=${token}`, {
+      method: 'POST',
+      body: {
+        Body: {
+          stkCallback: {
+            MerchantRequestID: 'test',
+            CheckoutRequestID: checkoutRequestId,
+            ResultCode: resultCode,
+            ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'Failed',
+            ...(resultCode === 0 ? {
+              CallbackMetadata: {
+                Item: [
+                  { Name: 'Amount', Value: amount },
+                  { Name: 'MpesaReceiptNumber', Value: 'LATE123456' },
+                  { Name: 'TransactionDate', Value: 20240101120000 },
+                  { Name: 'PhoneNumber', Value: 254712345672 }
+                ]
+              }
+            } : {})
+          }
+        }
+      }
+    });
+
+  const subscriptionCount = (user) => db.collection('user_subscriptions').countDocuments({ user_id: user._id });
+
+  it('grants the subscription when the success callback arrives', async () => {
+    const user = await createUser(db, app.url);
+    const checkoutRequestId = await initiate(user, SUCCESS_PHONE);
+
+    const payment = await waitForStatus(checkoutRequestId, 'completed');
+    assert.match(payment.mpesa_transaction_id, /^MCK/);
+    assert.equal(payment.amount_received, plan.prices.KES);
+    assert.ok(payment.subscription_id);
+    assert.equal(await subscriptionCount(user), 1);
+
+    const { data } = await pollStatus(user, checkoutRequestId);
+    assert.equal(data.status, 'completed');
+    assert.equal(data.receiptNumber, payment.mpesa_transaction_id);
+  });
+
+  it('marks the payment cancelled when the customer declines', async () => {
+    const user = await createUser(db, app.url);
+    const checkoutRequestId = await initiate(user, CANCEL_PHONE);
+
+    const payment = await waitForStatus(checkoutRequestId, 'cancelled');
+    assert.equal(payment.failure_code, 1032);
+    assert.equal(await subscriptionCount(user), 0);
+  });
+
+  it('settles an unanswered push as timed out through a status poll', async () => {
+    const user = await createUser(db, app.url);
+    const checkoutRequestId = await initiate(user, NO_ANSWER_PHONE);
+
+    // Still pending: too early to ask Daraja
+    assert.equal((await pollStatus(user, checkoutRequestId)).data.status, 'pending');
+
+    await new Promise(resolve => setTimeout(resolve, CALLBACK_DELAY_MS * 3));
+    await backdate(checkoutRequestId, 20 * 1000);
+    const { data } = await pollStatus(user, checkoutRequestId);
+    assert.equal(data.status, 'timeout');
+    assert.equal(await subscriptionCount(user), 0);
+  });
+
+  it('still grants the subscription for a success callback after a timeout', async () => {
+    const user = await createUser(db, app.url);
+    const checkoutRequestId = await initiate(user, NO_ANSWER_PHONE);
+    await new Promise(resolve => setTimeout(resolve, CALLBACK_DELAY_MS * 3));
+    await backdate(checkoutRequestId, 20 * 1000);
+    assert.equal((await pollStatus(user, checkoutRequestId)).data.status, 'timeout');
+
+    const response = await sendCallback(checkoutRequestId);
+    assert.equal(response.status, 200);
+
+    const payment = await findPayment(checkoutRequestId);
+    assert.equal(payment.payment_status, 'completed');
+    assert.equal(payment.mpesa_transaction_id, 'LATE123456');
+    assert.equal(payment.failure_code, undefined);
+    assert.equal(await subscriptionCount(user), 1);
+
+    // A repeated callback doesn't grant a second subscription
+    await sendCallback(checkoutRequestId);
+    assert.equal(await subscriptionCount(user), 1);
+  });
+
+  it('refuses callbacks without the callback token', async () => {
+    const user = await createUser(db, app.url);
+    const checkoutRequestId = await initiate(user, NO_ANSWER_PHONE);
+
+    const response = await sendCallback(checkoutRequestId, { token: 'wrong' });
+    assert.equal(response.status, 401);
+    assert.equal((await findPayment(checkoutRequestId)).payment_status, 'pending');
+  });
+
+  it('holds an underpaid payment for review instead of granting it', async () => {
+    const user = await createUser(db, app.url);
+    const checkoutRequestId = await initiate(user, NO_ANSWER_PHONE);
+
+    await sendCallback(checkoutRequestId, { amount: 1 });
+
+    const payment = await findPayment(checkoutRequestId);
+    assert.equal(payment.payment_status, 'needs_review');
+    assert.equal(payment.review_reason, 'underpaid');
+    assert.equal(await subscriptionCount(user), 0);
+  });
+});
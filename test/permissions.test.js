@@ -0,0 +1,86 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, request, waitFor, createUser } from './helpers.js';
+
+describe('Admin permissions', () => {
+  let app;
+  let db;
+  let admin;
+
+  before(async () => {
+    app = await startTestApp();
+    db = app.db;
+    admin = await createUser(db, app.url, { role: 'admin' });
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  const listCoupons = (user) => request(app.url, '/api/admin/coupons', { token: user.token });
+
+  const changeRole = (actor, user, role) =>
+    request(app.url, `/api/admin/users/${user._id}/role`, { method: 'PUT', token: actor.token, body: { role } });
+
+  it('keeps regular users out of the admin API', async () => {
+    const user = await createUser(db, app.url);
+
+    const { status, data } = await listCoupons(user);
+    assert.equal(status, 403);
+    assert.equal(data.error, 'Admin access required');
+  });
+
+  it('refuses staff whose role lacks the permission', async () => {
+    const editor = await createUser(db, app.url, { role: 'editor' });
+
+    const { status, data } = await listCoupons(editor);
+    assert.equal(status, 403);
+    assert.deepEqual(data.missingPermissions, ['coupons:read']);
+
+    const create = await request(app.url, '/api/admin/coupons', {
+      method: 'POST',
+      token: editor.token,
+      body: { code: 'EDITOR10', discount_type: 'percent', amount: 10 }
+    });
+    assert.equal(create.status, 403);
+    assert.equal(await db.collection('coupons').countDocuments({ code: 'EDITOR10' }), 0);
+  });
+
+  it('lets staff whose role has the permission through', async () => {
+    const finance = await createUser(db, app.url, { role: 'finance' });
+    assert.equal((await listCoupons(finance)).status, 200);
+    assert.equal((await listCoupons(admin)).status, 200);
+
+    // ...but only for what the role covers
+    const audit = await request(app.url, '/api/admin/audit', { token: finance.token });
+    assert.equal(audit.status, 403);
+    assert.deepEqual(audit.data.missingPermissions, ['audit:read']);
+  });
+
+  it('only lets admins assign roles', async () => {
+    const finance = await createUser(db, app.url, { role: 'finance' });
+    const user = await createUser(db, app.url);
+
+    const denied = await changeRole(finance, user, 'admin');
+    assert.equal(denied.status, 403);
+    assert.equal((await db.collection('users').findOne({ _id: user._id })).role, 'user');
+
+    const allowed = await changeRole(admin, user, 'finance');
+    assert.equal(allowed.status, 200);
+
+    // The new role applies to the user's existing sessions straight away
+    assert.equal((await listCoupons(user)).status, 200);
+
+    const entry = await waitFor(() => db.collection('audit_log').findOne({
+      action: 'user.role_change',
+      target_ids: user._id
+    }));
+    assert.equal(entry.actor_id.toString(), admin._id.toString());
+  });
+
+  it('does not let admins change their own role', async () => {
+    const { status } = await changeRole(admin, admin, 'user');
+    assert.equal(status, 400);
+    assert.equal((await db.collection('users').findOne({ _id: admin._id })).role, 'admin');
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import Stripe from 'stripe';
+import { startTestApp, request, createPlan, createUser } from './helpers.js';
+
+const WEBHOOK_SECRET = 'whsec_test';
+const stripe = new Stripe('sk_unused');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Refunds', () => {
+  let app;
+  let db;
+  let plan;
+  let admin;
+
+  before(async () => {
+    app = await startTestApp({ ENABLE_TEST_PAYMENTS: 'true', STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET });
+    db = app.db;
+    plan = await createPlan(db);
+    admin = await createUser(db, app.url, { role: 'admin' });
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  // A completed 'test' payment and the subscription it bought; refunds of it are only recorded
+  const purchase = async () => {
+    const user = await createUser(db, app.url);
+    const { status, data } = await request(app.url, '/api/payments/test/subscribe', {
+      method: 'POST',
+      token: user.token,
+      body: { planId: plan._id.toString(), currency: 'USD' }
+    });
+    assert.equal(status, 200, JSON.stringify(data));
+    return db.collection('payments').findOne({ user_id: user._id });
+  };
+
+  const refund = (payment, body = {}) =>
+    request(app.url, `/api/admin/payments/${payment._id}/refund`, { method: 'POST', token: admin.token, body });
+
+  const findPayment = (payment) => db.collection('payments').findOne({ _id: payment._id });
+  const findSubscription = (payment) => db.collection('user_subscriptions').findOne({ _id: payment.subscription_id });
+
+  it('refunds a payment in parts, up to what was paid', async () => {
+    const payment = await purchase();
+
+    const partial = await refund(payment, { amount: 4, reason: 'Goodwill' });
+    assert.equal(partial.status, 200, JSON.stringify(partial.data));
+    assert.equal(partial.data.refund.status, 'succeeded');
+    assert.equal(partial.data.refund.provider, 'manual');
+    assert.equal(partial.data.payment.payment_status, 'partially_refunded');
+    assert.equal(partial.data.payment.amount_refunded, 4);
+
+    const tooMuch = await refund(payment, { amount: 6 });
+    assert.equal(tooMuch.status, 400);
+    assert.equal(tooMuch.data.error, 'At most 5.99 USD can be refunded');
+
+    // No amount refunds whatever is left
+    const rest = await refund(payment);
+    assert.equal(rest.status, 200);
+    assert.equal(rest.data.refund.amount, 5.99);
+
+    const stored = await findPayment(payment);
+    assert.equal(stored.payment_status, 'refunded');
+    assert.equal(stored.amount_refunded, 9.99);
+    assert.equal(stored.amount_refund_pending, 0);
+    assert.equal(await db.collection('refunds').countDocuments({ payment_id: payment._id, status: 'succeeded' }), 2);
+
+    // Kept by default
+    assert.equal((await findSubscription(payment)).status, 'active');
+
+    const again = await refund(payment, { amount: 1 });
+    assert.equal(again.status, 400);
+    assert.equal(again.data.error, 'Payments that are refunded cannot be refunded');
+  });
+
+  it('ends the subscription on a full refund that cancels it', async () => {
+    const payment = await purchase();
+
+    const { status } = await refund(payment, { subscription: 'cancel', reason: 'Requested by customer' });
+    assert.equal(status, 200);
+
+    const subscription = await findSubscription(payment);
+    assert.equal(subscription.status, 'revoked');
+    assert.equal(subscription.revoked_reason, 'Requested by customer');
+    assert.ok(subscription.end_date <= new Date());
+  });
+
+  it('shortens the subscription by the refunded share', async () => {
+    const payment = await purchase();
+    const before = await findSubscription(payment);
+
+    // A third of the price takes a third of the 30 days off
+    const { status } = await refund(payment, { amount: 3.33, subscription: 'shorten' });
+    assert.equal(status, 200);
+
+    const after = await findSubscription(payment);
+    assert.equal(after.status, 'active');
+    const days = (before.end_date - after.end_date) / DAY_MS;
+    assert.ok(Math.abs(days - 10) < 0.01, `shortened by ${days} days`);
+  });
+
+  it('rejects refunds that are not possible', async () => {
+    const payment = await purchase();
+
+    assert.equal((await refund(payment, { amount: 0 })).status, 400);
+    assert.equal((await refund(payment, { subscription: 'pause' })).status, 400);
+
+    const missing = await request(app.url, `/api/admin/payments/${new ObjectId()}/refund`, { method: 'POST', token: admin.token });
+    assert.equal(missing.status, 404);
+
+    assert.equal((await findPayment(payment)).payment_status, 'completed');
+    assert.equal(await db.collection('refunds').countDocuments({ payment_id: payment._id }), 0);
+  });
+
+  it('cancels the subscription when Stripe reports a full refund made in the dashboard', async () => {
+    const purchased = await purchase();
+    const paymentIntentId = `pi_${new ObjectId()}`;
+    await db.collection('payments').updateOne(
+      { _id: purchased._id },
+      { $set: { payment_method: 'stripe', stripe_payment_intent_id: paymentIntentId } }
+    );
+
+    const payload = JSON.stringify({
+      id: `evt_${new ObjectId()}`,
+      object: 'event',
+      type: 'charge.refunded',
+      data: {
+        object: {
+          id: `ch_${new ObjectId()}`,
+          object: 'charge',
+          payment_intent: paymentIntentId,
+          refunds: {
+            data: [{
+              id: `re_${new ObjectId()}`,
+              object: 'refund',
+              amount: 999,
+              currency: 'usd',
+              status: 'succeeded',
+              payment_intent: paymentIntentId,
+              metadata: {}
+            }]
+          }
+        }
+      }
+    });
+    const { status } = await request(app.url, '/api/payments/stripe/webhook', {
+      method: 'POST',
+      body: payload,
+      headers: {
+        'Content-Type': 'application/json',
+        'Stripe-Signature': stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET })
+      }
+    });
+    assert.equal(status, 200);
+
+    const recorded = await db.collection('refunds').findOne({ payment_id: purchased._id });
+    assert.equal(recorded.status, 'succeeded');
+    assert.equal(recorded.source, 'stripe_dashboard');
+    assert.equal(recorded.subscription_action, 'cancel');
+
+    assert.equal((await findPayment(purchased)).payment_status, 'refunded');
+    assert.equal((await findSubscription(purchased)).status, 'revoked');
+  });
+});
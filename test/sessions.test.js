@@ -0,0 +1,98 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import { startTestApp, request, createUser, login } from './helpers.js';
+
+describe('Sessions', () => {
+  let app;
+  let db;
+
+  before(async () => {
+    app = await startTestApp();
+    db = app.db;
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  const me = (token) => request(app.url, '/api/auth/me', { token });
+  const refresh = (refreshToken) => request(app.url, '/api/auth/refresh', { method: 'POST', body: { refreshToken } });
+  const sessionOf = (refreshToken) => db.collection('sessions').findOne({ _id: new ObjectId(refreshToken.split('.')[0]) });
+
+  it('swaps a refresh token for a new pair and retires the old one', async () => {
+    const user = await createUser(db, app.url);
+
+    const { status, data } = await refresh(user.refreshToken);
+    assert.equal(status, 200);
+    assert.ok(data.token);
+    assert.notEqual(data.refreshToken, user.refreshToken);
+    assert.equal((await me(data.token)).status, 200);
+
+    // Same session, new secret
+    assert.equal(data.refreshToken.split('.')[0], user.refreshToken.split('.')[0]);
+  });
+
+  it('revokes the whole session when an old refresh token is reused', async () => {
+    const user = await createUser(db, app.url);
+    const rotated = (await refresh(user.refreshToken)).data;
+
+    const reuse = await refresh(user.refreshToken);
+    assert.equal(reuse.status, 401);
+
+    const session = await sessionOf(user.refreshToken);
+    assert.ok(session.revoked_at);
+    assert.equal(session.revoked_reason, 'refresh_token_reuse');
+
+    // Whoever holds the newer pair is signed out too
+    assert.equal((await refresh(rotated.refreshToken)).status, 401);
+    const denied = await me(rotated.token);
+    assert.equal(denied.status, 401);
+    assert.equal(denied.data.error, 'Session has been revoked');
+  });
+
+  it('rejects malformed and unknown refresh tokens', async () => {
+    assert.equal((await refresh('not-a-token')).status, 401);
+    assert.equal((await refresh(`${new ObjectId()}.secret`)).status, 401);
+  });
+
+  it('stops the access and refresh tokens working on logout', async () => {
+    const user = await createUser(db, app.url);
+
+    const { status } = await request(app.url, '/api/auth/logout', { method: 'POST', token: user.token });
+    assert.equal(status, 200);
+
+    assert.equal((await me(user.token)).status, 401);
+    assert.equal((await refresh(user.refreshToken)).status, 401);
+  });
+
+  it('signs out every other device but keeps the current one', async () => {
+    const user = await createUser(db, app.url);
+    const other = await login(app.url, user.email, user.password);
+
+    const listed = await request(app.url, '/api/users/me/sessions', { token: user.token });
+    assert.equal(listed.data.sessions.length, 2);
+    assert.equal(listed.data.sessions.filter(session => session.is_current).length, 1);
+
+    const { data } = await request(app.url, '/api/users/me/sessions', { method: 'DELETE', token: user.token });
+    assert.equal(data.revoked, 1);
+
+    assert.equal((await me(user.token)).status, 200);
+    assert.equal((await me(other.token)).status, 401);
+    assert.equal((await refresh(other.refreshToken)).status, 401);
+  });
+
+  it('only lets users sign out their own sessions', async () => {
+    const owner = await createUser(db, app.url);
+    const stranger = await createUser(db, app.url);
+    const sessionId = owner.refreshToken.split('.')[0];
+
+    const denied = await request(app.url, `/api/users/me/sessions/${sessionId}`, { method: 'DELETE', token: stranger.token });
+    assert.equal(denied.status, 404);
+    assert.equal((await me(owner.token)).status, 200);
+
+    const allowed = await request(app.url, `/api/users/me/sessions/${sessionId}`, { method: 'DELETE', token: owner.token });
+    assert.equal(allowed.status, 200);
+    assert.equal((await me(owner.token)).status, 401);
+  });
+});
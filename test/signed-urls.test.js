@@ -0,0 +1,105 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { GridFSBucket } from 'mongodb';
+import { startTestApp, request, createUser } from './helpers.js';
+
+// Must match serverEnv(): file links are signed with JWT_SECRET unless MEDIA_URL_SECRET is set
+const SECRET = 'test-jwt-secret';
+const CONTENT = 'not really a photo';
+
+// Same signature as utils/media.js
+const signedPath = (fileId, userId, expires) => {
+  const sig = crypto.createHmac('sha256', SECRET).update(`${fileId}:${userId}:${expires}`).digest('base64url');
+  return `/api/files/${fileId}?uid=${userId}&exp=${expires}&sig=${sig}`;
+};
+
+const inSeconds = (seconds) => Math.floor(Date.now() / 1000) + seconds;
+
+describe('Signed file URLs', () => {
+  let app;
+  let db;
+  let fileId;
+  let coverId;
+
+  before(async () => {
+    app = await startTestApp();
+    db = app.db;
+
+    const upload = (filename, metadata) => new Promise((resolve, reject) => {
+      const stream = new GridFSBucket(db, { bucketName: 'files' }).openUploadStream(filename, { metadata });
+      stream.once('finish', () => resolve(stream.id.toString()));
+      stream.once('error', reject);
+      stream.end(Buffer.from(CONTENT));
+    });
+    fileId = await upload('photo.jpg', { contentType: 'image/jpeg', type: 'photo' });
+    coverId = await upload('cover.jpg', { contentType: 'image/jpeg', type: 'cover' });
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  it('serves a file through a valid link without a token', async () => {
+    const user = await createUser(db, app.url);
+
+    const { status, data } = await request(app.url, signedPath(fileId, user._id, inSeconds(600)));
+    assert.equal(status, 200);
+    assert.equal(data, CONTENT);
+  });
+
+  it('refuses an expired link', async () => {
+    const user = await createUser(db, app.url);
+
+    const { status, data } = await request(app.url, signedPath(fileId, user._id, inSeconds(-60)));
+    assert.equal(status, 403);
+    assert.equal(data.expired, true);
+  });
+
+  it('refuses a link that was tampered with', async () => {
+    const user = await createUser(db, app.url);
+    const other = await createUser(db, app.url);
+    const path = signedPath(fileId, user._id, inSeconds(600));
+
+    const tampered = [
+      path.replace(/sig=(.)/, (match, first) => `sig=${first === 'A' ? 'B' : 'A'}`),
+      path.replace(/exp=\d+/, `exp=${inSeconds(365 * 24 * 60 * 60)}`),
+      path.replace(`uid=${user._id}`, `uid=${other._id}`)
+    ];
+    for (const link of tampered) {
+      const { status, data } = await request(app.url, link);
+      assert.equal(status, 403, link);
+      assert.equal(data.error, 'Invalid file link');
+      assert.equal(data.expired, false);
+    }
+  });
+
+  it('refuses a link issued to another user', async () => {
+    const owner = await createUser(db, app.url);
+    const other = await createUser(db, app.url);
+
+    const { status, data } = await request(app.url, signedPath(fileId, owner._id, inSeconds(600)), { token: other.token });
+    assert.equal(status, 403);
+    assert.equal(data.error, 'This file link was issued to another user');
+  });
+
+  it('stops the links of a suspended user working', async () => {
+    const user = await createUser(db, app.url);
+    await db.collection('users').updateOne({ _id: user._id }, { $set: { status: 'suspended' } });
+
+    const { status } = await request(app.url, signedPath(fileId, user._id, inSeconds(600)));
+    assert.equal(status, 403);
+  });
+
+  it('needs a link or a token for anything but public files', async () => {
+    const unsigned = await request(app.url, `/api/files/${fileId}`);
+    assert.equal(unsigned.status, 401);
+
+    const user = await createUser(db, app.url);
+    assert.equal((await request(app.url, `/api/files/${fileId}`, { token: user.token })).status, 200);
+
+    const cover = await request(app.url, `/api/files/${coverId}`);
+    assert.equal(cover.status, 200);
+    assert.equal(cover.data, CONTENT);
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import Stripe from 'stripe';
+import { startTestApp, request, createPlan, createUser } from './helpers.js';
+
+const WEBHOOK_SECRET = 'whsec_test';
+const stripe = new Stripe('sk_unused');
+
+describe('Stripe webhook', () => {
+  let app;
+  let db;
+
+  before(async () => {
+    app = await startTestApp({ STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET });
+    db = app.db;
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  const deliver = (event, secret = WEBHOOK_SECRET) => {
+    const payload = JSON.stringify(event);
+    return request(app.url, '/api/payments/stripe/webhook', {
+      method: 'POST',
+      body: payload,
+      headers: {
+        'Content-Type': 'application/json',
+        'Stripe-Signature': stripe.webhooks.generateTestHeaderString({ payload, secret })
+      }
+    });
+  };
+
+  const pendingStripePayment = async (userId, planId) => {
+    const payment = {
+      user_id: userId,
+      plan_id: planId,
+      amount: 9.99,
+      currency: 'USD',
+      payment_method: 'stripe',
+      payment_status: 'pending',
+      stripe_payment_intent_id: `pi_${new ObjectId()}`,
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+    const { insertedId } = await db.collection('payments').insertOne(payment);
+    return { _id: insertedId, ...payment };
+  };
+
+  const succeededEvent = (payment) => ({
+    id: `evt_${new ObjectId()}`,
+    object: 'event',
+    type: 'payment_intent.succeeded',
+    data: {
+      object: {
+        id: payment.stripe_payment_intent_id,
+        object: 'payment_intent',
+        amount_received: 999,
+        invoice: null,
+        metadata: { paymentId: payment._id.toString() }
+      }
+    }
+  });
+
+  it('rejects events with a bad signature', async () => {
+    const { status } = await deliver({ id: 'evt_forged', type: 'payment_intent.succeeded', data: { object: {} } }, 'whsec_wrong');
+    assert.equal(status, 400);
+  });
+
+  it('grants the subscription once when an event is delivered twice', async () => {
+    const plan = await createPlan(db);
+    const user = await createUser(db, app.url);
+    const payment = await pendingStripePayment(user._id, plan._id);
+    const event = succeededEvent(payment);
+
+    const first = await deliver(event);
+    assert.equal(first.status, 200);
+    assert.equal(first.data.result, 'processed');
+
+    const second = await deliver(event);
+    assert.equal(second.status, 200);
+    assert.equal(second.data.result, 'duplicate');
+
+    const stored = await db.collection('payments').findOne({ _id: payment._id });
+    assert.equal(stored.payment_status, 'completed');
+    assert.equal(await db.collection('user_subscriptions').countDocuments({ user_id: user._id }), 1);
+
+    const record = await db.collection('webhook_events').findOne({ _id: `stripe:${event.id}` });
+    assert.equal(record.status, 'processed');
+    assert.equal(record.attempts, 1);
+  });
+
+  it('handles an event again on redelivery after its handler failed', async () => {
+    // The plan doesn't exist yet, so granting the subscription fails
+    const planId = new ObjectId();
+    const user = await createUser(db, app.url);
+    const payment = await pendingStripePayment(user._id, planId);
+    const event = succeededEvent(payment);
+
+    const first = await deliver(event);
+    assert.equal(first.status, 500);
+    assert.equal((await db.collection('webhook_events').findOne({ _id: `stripe:${event.id}` })).status, 'failed');
+    assert.equal((await db.collection('payments').findOne({ _id: payment._id })).payment_status, 'pending');
+
+    await createPlan(db, { _id: planId });
+    const retry = await deliver(event);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.data.result, 'processed');
+
+    const record = await db.collection('webhook_events').findOne({ _id: `stripe:${event.id}` });
+    assert.equal(record.status, 'processed');
+    assert.equal(record.attempts, 2);
+    assert.equal(await db.collection('user_subscriptions').countDocuments({ user_id: user._id }), 1);
+  });
+
+  it('records events it has no handler for as ignored', async () => {
+    const event = { id: `evt_${new ObjectId()}`, object: 'event', type: 'customer.created', data: { object: { id: 'cus_test' } } };
+
+    const { status, data } = await deliver(event);
+    assert.equal(status, 200);
+    assert.equal(data.result, 'ignored');
+    assert.equal((await deliver(event)).data.result, 'duplicate');
+  });
+});
@@ -0,0 +1,191 @@
+import { ObjectId } from 'mongodb';
+import { getDB } from '../config/database.js';
+import { getStripe } from './stripe.js';
+
+// Personal data export and account deletion (GDPR-style requests)
+
+export const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// 'pseudonymize' keeps plays for catalogue stats under a random id; 'purge' deletes them
+const PLAY_HISTORY_ON_DELETE = process.env.ACCOUNT_DELETION_PLAY_HISTORY || 'pseudonymize';
+
+// Strip Mongo internals so the export reads as plain JSON
+const clean = (doc) => JSON.parse(JSON.stringify(doc, (key, value) => (key === '_id' ? undefined : value)));
+const withId = (doc) => ({ id: doc._id.toString(), ...clean(doc) });
+
+// Everything we hold about a user, grouped by section
+export async function collectUserData(userId) {
+  const db = await getDB();
+  const id = new ObjectId(userId);
+
+  const user = await db.collection('users').findOne(
+    { _id: id },
+    { projection: { password: 0, two_factor: 0 } }
+  );
+  if (!user) return null;
+
+  const [
+    subscriptions,
+    payments,
+    playlists,
+    favorites,
+    plays,
+    likes,
+    dislikes,
+    comments,
+    sessions,
+    notifications,
+    gifts
+  ] = await Promise.all([
+    db.collection('user_subscriptions').find({ user_id: id }).sort({ created_at: 1 }).toArray(),
+    db.collection('payments').find({ user_id: id }).sort({ created_at: 1 }).toArray(),
+    db.collection('playlists').find({ user_id: id }).sort({ created_at: 1 }).toArray(),
+    db.collection('user_song_favorites').aggregate([
+      { $match: { user_id: id } },
+      { $lookup: { from: 'songs', localField: 'song_id', foreignField: '_id', as: 'song' } },
+      { $project: { song_id: 1, created_at: 1, title: { $arrayElemAt: ['$song.title', 0] }, artist: { $arrayElemAt: ['$song.artist', 0] } } },
+      { $sort: { created_at: 1 } }
+    ]).toArray(),
+    db.collection('song_plays').aggregate([
+      { $match: { user_id: id } },
+      { $lookup: { from: 'songs', localField: 'song_id', foreignField: '_id', as: 'song' } },
+      { $project: { song_id: 1, played_at: 1, title: { $arrayElemAt: ['$song.title', 0] }, artist: { $arrayElemAt: ['$song.artist', 0] } } },
+      { $sort: { played_at: 1 } }
+    ]).toArray(),
+    db.collection('likes').find({ user_id: id }).sort({ created_at: 1 }).toArray(),
+    db.collection('dislikes').find({ user_id: id }).sort({ created_at: 1 }).toArray(),
+    db.collection('comments').find({ user_id: id }).sort({ created_at: 1 }).toArray(),
+    db.collection('sessions')
+      .find({ user_id: id }, { projection: { refresh_token_hash: 0 } })
+      .sort({ created_at: 1 })
+      .toArray(),
+    db.collection('notifications').find({ user_id: id }).sort({ created_at: 1 }).toArray(),
+    db.collection('vouchers').find({ purchaser_id: id }).sort({ created_at: 1 }).toArray()
+  ]);
+
+  return {
+    exported_at: new Date(),
+    profile: withId(user),
+    subscriptions: subscriptions.map(withId),
+    payments: payments.map(withId),
+    playlists: playlists.map(withId),
+    favorites: favorites.map(withId),
+    song_plays: plays.map(withId),
+    likes: likes.map(withId),
+    dislikes: dislikes.map(withId),
+    comments: comments.map(withId),
+    sessions: sessions.map(withId),
+    notifications: notifications.map(withId),
+    gifts: gifts.map(withId)
+  };
+}
+
+// Irreversibly remove a user's personal data.
+// Financial records are kept for accounting but re-pointed at a random pseudonym.
+export async function purgeAccount(userId) {
+  const db = await getDB();
+  const id = new ObjectId(userId);
+  const pseudonym = new ObjectId();
+  const now = new Date();
+
+  const user = await db.collection('users').findOne({ _id: id }, { projection: { email: 1, deletion_requested_at: 1 } });
+  if (!user) return null;
+
+  // Stop charging the account for recurring subscriptions
+  const recurring = await db.collection('user_subscriptions')
+    .find({ user_id: id, auto_renew: true, stripe_subscription_id: { $ne: null }, status: { $ne: 'cancelled' } })
+    .toArray();
+  for (const subscription of recurring) {
+    await getStripe()?.subscriptions.cancel(subscription.stripe_subscription_id);
+  }
+
+  // Comments stay in the thread but no longer point at anyone
+  await db.collection('comments').updateMany(
+    { user_id: id },
+    { $set: { user_id: null, anonymized: true, updated_at: now } }
+  );
+
+  if (PLAY_HISTORY_ON_DELETE === 'purge') {
+    await db.collection('song_plays').deleteMany({ user_id: id });
+  } else {
+    await db.collection('song_plays').updateMany({ user_id: id }, { $set: { user_id: pseudonym } });
+  }
+
+  await db.collection('payments').updateMany(
+    { user_id: id },
+    { $set: { user_id: pseudonym, pseudonymized: true }, $unset: { phone_number: '' } }
+  );
+  await db.collection('user_subscriptions').updateMany(
+    { user_id: id },
+    { $set: { user_id: pseudonym, pseudonymized: true } }
+  );
+  await db.collection('refunds').updateMany({ user_id: id }, { $set: { user_id: pseudonym } });
+  // Redemptions still count towards coupon limits, and a used trial stays used
+  await db.collection('coupon_redemptions').updateMany({ user_id: id }, { $set: { user_id: pseudonym } });
+  await db.collection('trials').updateMany({ user_id: id }, { $set: { user_id: pseudonym } });
+  // Gifts already bought stay redeemable by their recipients
+  await db.collection('vouchers').updateMany({ purchaser_id: id }, { $set: { purchaser_id: pseudonym } });
+  await db.collection('vouchers').updateMany({ redeemed_by: id }, { $set: { redeemed_by: pseudonym } });
+
+  // Audit entries stay as a record of what was done, minus who did it and from where
+  await db.collection('audit_log').updateMany(
+    { actor_id: id },
+    { $set: { actor_id: pseudonym, actor_email: null, ip: null, user_agent: null } }
+  );
+  await db.collection('audit_log').updateMany(
+    { target_ids: id },
+    { $set: { 'target_ids.$[target]': pseudonym } },
+    { arrayFilters: [{ target: id }] }
+  );
+  // Lockouts are keyed by the lower-cased email that was typed in (sign-ins and password resets)
+  const email = String(user.email).trim().toLowerCase();
+  for (const scope of ['account', 'password_reset']) {
+    await db.collection('lockout_events').updateMany(
+      { $or: [{ key: `${scope}:${email}` }, { scope, email: user.email }] },
+      { $set: { key: `${scope}:${pseudonym}`, email: null, ip: null } }
+    );
+  }
+  // IP lockouts aren't the user's own, but may have been triggered with their email
+  await db.collection('lockout_events').updateMany({ email: user.email }, { $set: { email: null } });
+
+  await Promise.all([
+    db.collection('likes').deleteMany({ user_id: id }),
+    db.collection('dislikes').deleteMany({ user_id: id }),
+    db.collection('user_song_favorites').deleteMany({ user_id: id }),
+    db.collection('playlists').deleteMany({ user_id: id }),
+    db.collection('sessions').deleteMany({ user_id: id }),
+    db.collection('auth_tokens').deleteMany({ user_id: id }),
+    db.collection('notifications').deleteMany({ user_id: id })
+  ]);
+
+  await db.collection('users').deleteOne({ _id: id });
+
+  // Proof the request was carried out, without any personal data
+  await db.collection('account_deletions').insertOne({
+    pseudonym_id: pseudonym,
+    requested_at: user.deletion_requested_at || null,
+    purged_at: now,
+    play_history: PLAY_HISTORY_ON_DELETE
+  });
+
+  return pseudonym;
+}
+
+// Purge every account whose grace period is over; returns how many were purged
+export async function purgeDueAccounts() {
+  const db = await getDB();
+  const due = await db.collection('users')
+    .find({ deletion_scheduled_for: { $lte: new Date() } }, { projection: { _id: 1 } })
+    .toArray();
+
+  let purged = 0;
+  for (const user of due) {
+    try {
+      await purgeAccount(user._id);
+      purged++;
+    } catch (error) {
+      console.error(`Purge account ${user._id} error:`, error);
+    }
+  }
+  return purged;
+}
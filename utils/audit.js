@@ -0,0 +1,164 @@
+import { ObjectId } from 'mongodb';
+import { getDB } from '../config/database.js';
+
+// Admin action audit log (audit_log collection).
+//
+// audit() is route middleware: it snapshots the target documents before the
+// handler runs and again after a successful (2xx) response, then stores who did
+// what to which documents and which fields changed.
+//
+//   router.put('/plans/:id', requirePermission('plans:write'),
+//     audit('plan.update', { collection: 'subscription_plans' }), handler);
+
+// Never written to the log
+const SECRET_FIELDS = ['password', 'two_factor', 'refresh_token_hash', 'token_hash'];
+const SECRET_KEY_PATTERN = /password|secret|token/i;
+// Noise that changes on every write
+const IGNORED_DIFF_FIELDS = ['updated_at'];
+
+const normalize = (value) => {
+  if (value instanceof ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+const stripSecrets = (doc) => {
+  if (!doc) return null;
+  const copy = { ...doc };
+  for (const field of SECRET_FIELDS) delete copy[field];
+  return copy;
+};
+
+// Top-level fields that differ between two snapshots: { field: { from, to } }
+export function diffDocs(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    if (key === '_id' || IGNORED_DIFF_FIELDS.includes(key)) continue;
+    const from = before?.[key];
+    const to = after?.[key];
+    if (JSON.stringify(normalize(from)) !== JSON.stringify(normalize(to))) {
+      changes[key] = { from: from ?? null, to: to ?? null };
+    }
+  }
+  return changes;
+}
+
+// Request body without credentials, for context on what was asked for
+const sanitizeBody = (body) => {
+  if (!body || typeof body !== 'object' || Object.keys(body).length === 0) return null;
+  return Object.fromEntries(
+    Object.entries(body).filter(([key]) => !SECRET_KEY_PATTERN.test(key))
+  );
+};
+
+const toObjectIds = (ids) => ids
+  .filter(id => id && ObjectId.isValid(id.toString()))
+  .map(id => new ObjectId(id.toString()));
+
+// Write an audit entry directly (for actions that don't fit the middleware)
+export async function recordAudit(req, {
+  action,
+  targetType,
+  targetIds = [],
+  changes = [],
+  details = null
+}) {
+  const db = await getDB();
+  await db.collection('audit_log').insertOne({
+    actor_id: req.user?.id ? new ObjectId(req.user.id) : null,
+    actor_email: req.user?.email || null,
+    actor_role: req.user?.role || null,
+    action,
+    target_type: targetType,
+    target_ids: toObjectIds(targetIds),
+    changes,
+    details,
+    ip: req.ip,
+    user_agent: req.headers['user-agent'] || null,
+    created_at: new Date()
+  });
+}
+
+// Ids of bulk operations arrive as songIds / photoIds / videoIds in the body
+const defaultTargets = (req) => {
+  if (req.params.id) return [req.params.id];
+  const bulkIds = Object.entries(req.body || {}).find(([key, value]) => /Ids$/.test(key) && Array.isArray(value));
+  return bulkIds ? bulkIds[1] : [];
+};
+
+// Pull the id of a newly created document out of the JSON response
+const defaultCreated = (body, targetType) => body?.id || body?.[targetType]?.id || null;
+
+// Options:
+//   collection - collection to snapshot, or (req) => name
+//   targetType - defaults to the action prefix ('song' for 'song.delete')
+//   targets    - (req) => ids touched; defaults to :id or a body *Ids array
+//   created    - (responseBody) => id of a created document
+export const audit = (action, options = {}) => async (req, res, next) => {
+  const targetType = options.targetType || action.split('.')[0];
+  const collectionName = typeof options.collection === 'function'
+    ? options.collection(req)
+    : options.collection;
+
+  const loadSnapshots = async (ids) => {
+    const objectIds = toObjectIds(ids);
+    if (!collectionName || objectIds.length === 0) return new Map();
+    const db = await getDB();
+    const docs = await db.collection(collectionName).find({ _id: { $in: objectIds } }).toArray();
+    return new Map(docs.map(doc => [doc._id.toString(), stripSecrets(doc)]));
+  };
+
+  try {
+    // Multipart bodies aren't parsed yet at this point, so only JSON bulk ids are seen here;
+    // ids are re-read after the handler for everything else
+    const targetIds = (options.targets || defaultTargets)(req);
+    const before = await loadSnapshots(targetIds);
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.locals.auditResponse = body;
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) return;
+
+      try {
+        let ids = (options.targets || defaultTargets)(req).map(id => id.toString());
+        if (ids.length === 0) {
+          const createdId = (options.created || defaultCreated)(res.locals.auditResponse, targetType);
+          if (createdId) ids = [createdId.toString()];
+        }
+
+        const after = await loadSnapshots(ids);
+        const changes = ids.map(id => {
+          const previous = before.get(id) || null;
+          const current = after.get(id) || null;
+          return {
+            target_id: id,
+            diff: diffDocs(previous, current),
+            // Keep the full document when it's gone, so deletes can be reconstructed
+            ...(previous && !current ? { deleted: previous } : {})
+          };
+        });
+
+        await recordAudit(req, {
+          action,
+          targetType,
+          targetIds: ids,
+          changes,
+          details: sanitizeBody(req.body)
+        });
+      } catch (error) {
+        console.error(`Audit log error (${action}):`, error);
+      }
+    });
+  } catch (error) {
+    // Never block the admin action because of the audit log
+    console.error(`Audit snapshot error (${action}):`, error);
+  }
+
+  next();
+};
@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import { getDB } from '../config/database.js';
+
+// Single-use tokens sent by email (password reset, email verification, ...).
+// Only the SHA-256 hash is stored; the raw token only ever exists in the email.
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a token for a user, invalidating any earlier unused token with the same purpose
+export async function createAuthToken(userId, purpose, ttlMinutes) {
+  const db = await getDB();
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+
+  await db.collection('auth_tokens').updateMany(
+    { user_id: new ObjectId(userId), purpose, used_at: null },
+    { $set: { used_at: now, invalidated: true } }
+  );
+
+  await db.collection('auth_tokens').insertOne({
+    user_id: new ObjectId(userId),
+    purpose,
+    token_hash: hashToken(token),
+    expires_at: new Date(now.getTime() + ttlMinutes * 60 * 1000),
+    used_at: null,
+    created_at: now
+  });
+
+  return token;
+}
+
+// Mark a token as used and return it, or null if it is unknown, expired or already used
+export async function consumeAuthToken(token, purpose) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const db = await getDB();
+  return db.collection('auth_tokens').findOneAndUpdate(
+    {
+      token_hash: hashToken(token),
+      purpose,
+      used_at: null,
+      expires_at: { $gt: new Date() }
+    },
+    { $set: { used_at: new Date() } },
+    { returnDocument: 'after' }
+  );
+}
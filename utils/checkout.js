@@ -0,0 +1,206 @@
+import { ObjectId } from 'mongodb';
+import { getDB } from '../config/database.js';
+import { getStripe, toMinorUnits } from './stripe.js';
+import { stkPush } from './mpesa.js';
+import { activateSubscription } from './subscriptions.js';
+import { applyPlanChange } from './planChanges.js';
+import { claimRedemption, recordRedemption, releaseRedemption } from './coupons.js';
+import { fulfillGift } from './vouchers.js';
+import { getExchangeRates, priceIn } from './pricing.js';
+import { assignInvoiceNumber } from './receipts.js';
+
+// Steps shared by every one-off payment: plan purchases (routes/payments.js) and
+// prorated plan changes (routes/subscriptions.js). A payment is created 'pending',
+// handed to a provider, and fulfilled once the provider confirms it.
+
+// A USD price ({ amount, originalAmount } from priceWithCoupon) in the currency charged.
+// Returns { amount, originalAmount, discount } or null if the plan can't be paid in it.
+export async function localizePricing(plan, pricing, currency) {
+  const rates = await getExchangeRates();
+  const amount = await priceIn(plan, currency, pricing.amount, rates);
+  const originalAmount = await priceIn(plan, currency, pricing.originalAmount ?? pricing.amount, rates);
+  if (amount === null || originalAmount === null) return null;
+  return {
+    amount,
+    originalAmount,
+    discount: Math.max(0, Math.round((originalAmount - amount) * 100) / 100)
+  };
+}
+
+// `fields` can hold extra context, e.g. plan_change for a proration payment.
+// The coupon's redemption is claimed here; throws an error with status 409 and
+// invalidCoupon if the coupon's limits were reached.
+export async function createPendingPayment({ userId, plan, amount, currency, method, fields = {} }) {
+  const db = await getDB();
+  const now = new Date();
+  const payment = {
+    user_id: new ObjectId(userId),
+    plan_id: plan._id,
+    amount,
+    currency,
+    payment_method: method,
+    payment_status: 'pending',
+    ...fields,
+    created_at: now,
+    updated_at: now
+  };
+  const { insertedId } = await db.collection('payments').insertOne(payment);
+  const created = { _id: insertedId, ...payment };
+
+  const problem = await claimRedemption(created);
+  if (problem) {
+    await db.collection('payments').updateOne(
+      { _id: insertedId },
+      { $set: { payment_status: 'failed', failure_message: problem, updated_at: new Date() } }
+    );
+    const error = new Error(problem);
+    error.status = 409;
+    error.invalidCoupon = true;
+    throw error;
+  }
+  return created;
+}
+
+const markFailed = async (payment, error) => {
+  const db = await getDB();
+  await db.collection('payments').updateOne(
+    { _id: payment._id },
+    { $set: { payment_status: 'failed', failure_message: error.message, updated_at: new Date() } }
+  );
+  await releaseRedemption(payment);
+};
+
+// Create the PaymentIntent for a pending payment; the client confirms it with the clientSecret
+export async function startStripePayment(payment) {
+  const db = await getDB();
+  let paymentIntent;
+  try {
+    paymentIntent = await getStripe().paymentIntents.create(
+      {
+        amount: toMinorUnits(payment.amount),
+        currency: payment.currency.toLowerCase(),
+        automatic_payment_methods: { enabled: true },
+        metadata: {
+          userId: payment.user_id.toString(),
+          planId: payment.plan_id.toString(),
+          paymentId: payment._id.toString()
+        }
+      },
+      // A retried request for the same payment record never creates a second intent
+      { idempotencyKey: `payment-${payment._id}` }
+    );
+  } catch (error) {
+    await markFailed(payment, error);
+    throw error;
+  }
+
+  await db.collection('payments').updateOne(
+    { _id: payment._id },
+    {
+      $set: {
+        stripe_payment_intent_id: paymentIntent.id,
+        transaction_reference: paymentIntent.id,
+        updated_at: new Date()
+      }
+    }
+  );
+
+  return {
+    clientSecret: paymentIntent.client_secret,
+    paymentIntentId: paymentIntent.id,
+    paymentId: payment._id.toString()
+  };
+}
+
+// Send the STK push for a pending KES payment
+export async function startMpesaPayment(payment, { phoneNumber, description }) {
+  const db = await getDB();
+  let push;
+  try {
+    push = await stkPush({
+      amount: payment.amount,
+      phoneNumber,
+      accountReference: payment._id.toString().slice(-12),
+      description
+    });
+  } catch (error) {
+    await markFailed(payment, error);
+    throw error;
+  }
+
+  await db.collection('payments').updateOne(
+    { _id: payment._id },
+    {
+      $set: {
+        mpesa_checkout_request_id: push.CheckoutRequestID,
+        mpesa_merchant_request_id: push.MerchantRequestID,
+        transaction_reference: push.CheckoutRequestID,
+        updated_at: new Date()
+      }
+    }
+  );
+
+  return {
+    message: push.CustomerMessage || 'Check your phone to complete the payment',
+    paymentId: payment._id.toString(),
+    checkoutRequestID: push.CheckoutRequestID,
+    amount: payment.amount,
+    currency: payment.currency
+  };
+}
+
+// Give the user what a confirmed payment bought and link the payment to the subscription.
+// `event` is merged into the subscription history entry.
+// A gift purchase creates a voucher instead (returned in place of a subscription).
+export async function fulfillPayment(payment, event = {}) {
+  await assignInvoiceNumber(payment);
+
+  if (payment.gift) {
+    return fulfillGift(payment);
+  }
+
+  const db = await getDB();
+  const plan = await db.collection('subscription_plans').findOne({ _id: payment.plan_id });
+  if (!plan) {
+    throw new Error(`Plan ${payment.plan_id} not found`);
+  }
+
+  const subscription = payment.plan_change
+    ? await applyPlanChange({
+        subscriptionId: payment.plan_change.subscription_id,
+        plan,
+        credit: payment.plan_change.credit,
+        event: { ...event, payment_id: payment._id, amount_charged: payment.amount }
+      })
+    : await activateSubscription({
+        userId: payment.user_id,
+        plan,
+        event: { ...event, payment_id: payment._id }
+      });
+
+  await db.collection('payments').updateOne(
+    { _id: payment._id },
+    { $set: { subscription_id: subscription._id, updated_at: new Date() } }
+  );
+  await recordRedemption(payment);
+  return subscription;
+}
+
+// Nothing to charge (e.g. a 100% coupon): complete the payment without a provider.
+// Its coupon was already claimed by createPendingPayment.
+export async function completeFreePayment(payment, event = {}) {
+  const db = await getDB();
+  await db.collection('payments').updateOne(
+    { _id: payment._id },
+    {
+      $set: {
+        payment_method: 'coupon',
+        payment_status: 'completed',
+        transaction_reference: `FREE-${payment._id}`,
+        paid_at: new Date(),
+        updated_at: new Date()
+      }
+    }
+  );
+  return fulfillPayment({ ...payment, payment_method: 'coupon' }, { ...event, source: 'coupon' });
+}
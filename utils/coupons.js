@@ -0,0 +1,301 @@
+import { ObjectId } from 'mongodb';
+import { getDB } from '../config/database.js';
+import { getStripe } from './stripe.js';
+
+// Promo codes (coupons collection). A coupon takes a percentage or a fixed USD amount
+// off a plan's price, and can be limited by total redemptions, redemptions per user,
+// start/expiry dates and a list of plans.
+//
+// A redemption (coupon_redemptions) is claimed atomically when the discounted payment is
+// created (claimRedemption), so checkouts racing for a coupon's last use can't all get it.
+// The claim is released if the payment fails, or is still pending after
+// COUPON_CLAIM_HOLD_MINUTES (releaseStaleRedemptions, run by the lifecycle job), so
+// abandoned checkouts don't use up a limited coupon for good.
+
+const CLAIM_HOLD_MS = (parseInt(process.env.COUPON_CLAIM_HOLD_MINUTES) || 60) * 60 * 1000;
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+export const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Validate admin input. Returns { fields } or { error }; `partial` for updates.
+export function parseCouponInput(body, { partial = false } = {}) {
+  const fields = {};
+
+  if (body.code !== undefined || !partial) {
+    const code = normalizeCode(body.code);
+    if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+      return { error: 'Code must be 3-32 letters, numbers, dashes or underscores' };
+    }
+    fields.code = code;
+  }
+
+  if (body.discount_type !== undefined || !partial) {
+    if (!['percent', 'fixed'].includes(body.discount_type)) {
+      return { error: 'Discount type must be percent or fixed' };
+    }
+    fields.discount_type = body.discount_type;
+  }
+
+  if (body.amount !== undefined || !partial) {
+    const amount = parseFloat(body.amount);
+    if (!(amount > 0)) {
+      return { error: 'Amount must be a positive number' };
+    }
+    fields.amount = amount;
+  }
+  if (fields.discount_type === 'percent' && fields.amount > 100) {
+    return { error: 'A percent discount cannot be more than 100' };
+  }
+
+  for (const key of ['max_redemptions', 'per_user_limit']) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null || body[key] === '') {
+      fields[key] = null;
+      continue;
+    }
+    const limit = parseInt(body[key]);
+    if (!(limit > 0)) {
+      return { error: `${key} must be a positive number or null` };
+    }
+    fields[key] = limit;
+  }
+
+  for (const key of ['starts_at', 'expires_at']) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null || body[key] === '') {
+      fields[key] = null;
+      continue;
+    }
+    const date = new Date(body[key]);
+    if (isNaN(date)) {
+      return { error: `${key} must be a date` };
+    }
+    fields[key] = date;
+  }
+
+  if (body.plan_ids !== undefined) {
+    if (!Array.isArray(body.plan_ids) || !body.plan_ids.every(id => ObjectId.isValid(id))) {
+      return { error: 'plan_ids must be a list of plan IDs' };
+    }
+    fields.plan_ids = body.plan_ids.map(id => new ObjectId(id));
+  }
+
+  if (body.description !== undefined) fields.description = body.description || null;
+  if (body.is_active !== undefined) fields.is_active = Boolean(body.is_active);
+
+  return { fields };
+}
+
+// Why `coupon` can't be used by this user on this plan right now, or null if it can
+export async function couponProblem(coupon, { userId, plan, now = new Date() }) {
+  if (!coupon || !coupon.is_active) return 'This code is not valid';
+  if (coupon.starts_at && coupon.starts_at > now) return 'This code is not active yet';
+  if (coupon.expires_at && coupon.expires_at <= now) return 'This code has expired';
+  if (coupon.plan_ids?.length > 0 && !coupon.plan_ids.some(id => id.equals(plan._id))) {
+    return 'This code cannot be used with this plan';
+  }
+  if (coupon.max_redemptions && coupon.redemption_count >= coupon.max_redemptions) {
+    return 'This code has been fully redeemed';
+  }
+
+  if (coupon.per_user_limit && userId) {
+    const db = await getDB();
+    const used = await db.collection('coupon_redemptions').countDocuments({
+      coupon_id: coupon._id,
+      user_id: new ObjectId(userId)
+    });
+    if (used >= coupon.per_user_limit) return 'You have already used this code';
+  }
+
+  return null;
+}
+
+// Take the coupon off a USD amount; never below zero
+export function applyDiscount(amount, coupon) {
+  if (!coupon) return { amount: round2(amount), discount: 0 };
+  const discount = coupon.discount_type === 'percent'
+    ? round2(amount * coupon.amount / 100)
+    : Math.min(round2(coupon.amount), round2(amount));
+  return { amount: round2(amount - discount), discount };
+}
+
+// Resolve an optional code for a purchase of `plan` (or `baseAmount` of it, e.g. a
+// prorated upgrade). Returns { coupon, amount, discount, originalAmount } or { error }.
+export async function priceWithCoupon({ code, userId, plan, baseAmount = plan.price }) {
+  if (!code) {
+    return { coupon: null, amount: round2(baseAmount), discount: 0, originalAmount: round2(baseAmount) };
+  }
+
+  const db = await getDB();
+  const coupon = await db.collection('coupons').findOne({ code: normalizeCode(code) });
+  const problem = await couponProblem(coupon, { userId, plan });
+  if (problem) return { error: problem };
+
+  return { coupon, ...applyDiscount(baseAmount, coupon), originalAmount: round2(baseAmount) };
+}
+
+// Fields stored on a payment that used a coupon. Amounts are in the payment's currency.
+export const couponPaymentFields = (coupon, { originalAmount, discount }) => (coupon
+  ? {
+      coupon_id: coupon._id,
+      coupon_code: coupon.code,
+      original_amount: originalAmount,
+      discount_amount: discount
+    }
+  : {});
+
+const redemptionFields = (payment) => ({
+  coupon_id: payment.coupon_id,
+  code: payment.coupon_code,
+  user_id: payment.user_id,
+  plan_id: payment.plan_id,
+  payment_id: payment._id,
+  discount_amount: payment.discount_amount,
+  currency: payment.currency,
+  created_at: new Date()
+});
+
+// Count a completed payment against its coupon. Safe to call more than once per payment.
+// Normally the claim made at checkout is already there; a payment that completes after
+// its claim was released is counted anyway, since it has been paid for.
+export async function recordRedemption(payment) {
+  if (!payment.coupon_id) return;
+
+  const db = await getDB();
+  const result = await db.collection('coupon_redemptions').updateOne(
+    { payment_id: payment._id },
+    { $setOnInsert: redemptionFields(payment) },
+    { upsert: true }
+  );
+
+  if (result.upsertedCount > 0) {
+    await db.collection('coupons').updateOne(
+      { _id: payment.coupon_id },
+      { $inc: { redemption_count: 1 }, $set: { updated_at: new Date() } }
+    );
+  }
+}
+
+// Record the redemption for a payment before it completes, within the coupon's limits
+// even when several checkouts race for the last one. Returns why it can't be redeemed,
+// or null once it is recorded.
+export async function claimRedemption(payment) {
+  if (!payment.coupon_id) return null;
+
+  const db = await getDB();
+  if (await db.collection('coupon_redemptions').findOne({ payment_id: payment._id }, { projection: { _id: 1 } })) {
+    return null;
+  }
+
+  const coupon = await db.collection('coupons').findOneAndUpdate(
+    {
+      _id: payment.coupon_id,
+      $expr: {
+        $or: [
+          { $not: ['$max_redemptions'] },
+          { $lt: [{ $ifNull: ['$redemption_count', 0] }, '$max_redemptions'] }
+        ]
+      }
+    },
+    { $inc: { redemption_count: 1 }, $set: { updated_at: new Date() } }
+  );
+  if (!coupon) return 'This code has been fully redeemed';
+
+  const release = () => db.collection('coupons').updateOne(
+    { _id: coupon._id },
+    { $inc: { redemption_count: -1 } }
+  );
+
+  const { upsertedCount } = await db.collection('coupon_redemptions').updateOne(
+    { payment_id: payment._id },
+    { $setOnInsert: redemptionFields(payment) },
+    { upsert: true }
+  );
+  if (upsertedCount === 0) {
+    // Already counted for this payment
+    await release();
+    return null;
+  }
+
+  // Counted after inserting, so of two racing checkouts at least one sees the other
+  if (coupon.per_user_limit) {
+    const used = await db.collection('coupon_redemptions').countDocuments({
+      coupon_id: coupon._id,
+      user_id: payment.user_id
+    });
+    if (used > coupon.per_user_limit) {
+      await db.collection('coupon_redemptions').deleteOne({ payment_id: payment._id });
+      await release();
+      return 'You have already used this code';
+    }
+  }
+
+  return null;
+}
+
+// Give back the redemption a payment claimed, once the payment has failed
+export async function releaseRedemption(payment) {
+  if (!payment.coupon_id) return;
+
+  const db = await getDB();
+  const { deletedCount } = await db.collection('coupon_redemptions').deleteOne({ payment_id: payment._id });
+  if (deletedCount > 0) {
+    await db.collection('coupons').updateOne(
+      { _id: payment.coupon_id },
+      { $inc: { redemption_count: -1 }, $set: { updated_at: new Date() } }
+    );
+  }
+}
+
+// Release the claims of checkouts abandoned while pending. Returns how many were released.
+export async function releaseStaleRedemptions(now = new Date()) {
+  const db = await getDB();
+  const stale = await db.collection('payments').find({
+    payment_status: 'pending',
+    coupon_id: { $ne: null },
+    coupon_released_at: null,
+    created_at: { $lt: new Date(now.getTime() - CLAIM_HOLD_MS) }
+  }).toArray();
+
+  let released = 0;
+  for (const payment of stale) {
+    const marked = await db.collection('payments').updateOne(
+      { _id: payment._id, payment_status: 'pending', coupon_released_at: null },
+      { $set: { coupon_released_at: now } }
+    );
+    if (marked.modifiedCount === 0) continue;
+
+    await releaseRedemption(payment);
+    released += 1;
+
+    // It may have completed meanwhile, after its redemption was counted
+    const current = await db.collection('payments').findOne({ _id: payment._id }, { projection: { paid_at: 1 } });
+    if (current?.paid_at) {
+      await recordRedemption(payment);
+    }
+  }
+  return released;
+}
+
+// A matching one-time Stripe coupon, created on first use, for recurring subscriptions
+// (the discount applies to the first invoice)
+export async function ensureStripeCoupon(coupon) {
+  if (coupon.stripe_coupon_id) return coupon.stripe_coupon_id;
+
+  const stripeCoupon = await getStripe().coupons.create(
+    {
+      duration: 'once',
+      name: coupon.code,
+      ...(coupon.discount_type === 'percent'
+        ? { percent_off: coupon.amount }
+        : { amount_off: Math.round(coupon.amount * 100), currency: 'usd' }),
+      metadata: { couponId: coupon._id.toString() }
+    },
+    { idempotencyKey: `coupon-${coupon._id}-${coupon.updated_at?.getTime() || 0}` }
+  );
+
+  const db = await getDB();
+  await db.collection('coupons').updateOne({ _id: coupon._id }, { $set: { stripe_coupon_id: stripeCoupon.id } });
+  return stripeCoupon.id;
+}
@@ -0,0 +1,183 @@
+import { sendMail } from './mailer.js';
+
+// Links in emails point at the first configured frontend origin
+export function frontendUrl(pathname) {
+  const base = (process.env.APP_URL || process.env.FRONTEND_URL?.split(',')[0] || 'http://localhost:5173').trim();
+  return `${base.replace(/\/$/, '')}${pathname}`;
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export async function sendPasswordResetEmail(user, token, ttlMinutes) {
+  const link = frontendUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Cleo Music password',
+    text: [
+      `Hi ${user.name || 'there'},`,
+      '',
+      'We received a request to reset your Cleo Music password. Use the link below to choose a new one:',
+      '',
+      link,
+      '',
+      `This link expires in ${ttlMinutes} minutes and can only be used once.`,
+      'If you did not ask for a password reset you can ignore this email.'
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.name || 'there')},</p>
+      <p>We received a request to reset your Cleo Music password.</p>
+      <p><a href="${link}">Choose a new password</a></p>
+      <p>This link expires in ${ttlMinutes} minutes and can only be used once.
+      If you did not ask for a password reset you can ignore this email.</p>
+    `
+  });
+}
+
+export async function sendVerificationEmail(user, token, ttlMinutes) {
+  const link = frontendUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+  const hours = Math.round(ttlMinutes / 60);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your Cleo Music email address',
+    text: [
+      `Hi ${user.name || 'there'},`,
+      '',
+      'Thanks for signing up to Cleo Music! Please confirm your email address:',
+      '',
+      link,
+      '',
+      `This link expires in ${hours} hours.`
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.name || 'there')},</p>
+      <p>Thanks for signing up to Cleo Music! Please confirm your email address.</p>
+      <p><a href="${link}">Confirm email address</a></p>
+      <p>This link expires in ${hours} hours.</p>
+    `
+  });
+}
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric'
+});
+
+export async function sendSubscriptionReminderEmail(user, { planName, endDate, renews, trial }) {
+  const link = frontendUrl('/subscription');
+  const when = formatDate(endDate);
+  let summary;
+  if (trial) {
+    summary = renews
+      ? `Your free ${planName} trial ends on ${when}, when your paid subscription starts.`
+      : `Your free ${planName} trial ends on ${when}.`;
+  } else {
+    summary = renews
+      ? `Your ${planName} subscription renews automatically on ${when}.`
+      : `Your ${planName} subscription ends on ${when}.`;
+  }
+  const action = renews
+    ? 'Nothing to do if you want to keep listening. You can cancel any time before then:'
+    : `${trial ? 'Subscribe' : 'Renew'} now to keep listening without interruption:`;
+  const subject = trial
+    ? 'Your Cleo Music free trial ends soon'
+    : `Your Cleo Music subscription ${renews ? 'renews' : 'ends'} soon`;
+
+  return sendMail({
+    to: user.email,
+    subject,
+    text: [`Hi ${user.name || 'there'},`, '', summary, action, '', link].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.name || 'there')},</p>
+      <p>${escapeHtml(summary)}</p>
+      <p>${escapeHtml(action)}</p>
+      <p><a href="${link}">Manage your subscription</a></p>
+    `
+  });
+}
+
+export async function sendSubscriptionGraceEmail(user, { planName, graceUntil, pastDue }) {
+  const link = frontendUrl('/subscription');
+  const reason = pastDue
+    ? `We couldn't take the payment for your ${planName} subscription.`
+    : `Your ${planName} subscription has ended.`;
+  const grace = `You can keep listening until ${formatDate(graceUntil)} - ${pastDue ? 'update your payment details' : 'renew'} before then to avoid losing access.`;
+
+  return sendMail({
+    to: user.email,
+    subject: pastDue ? 'Payment problem with your Cleo Music subscription' : 'Your Cleo Music subscription has ended',
+    text: [`Hi ${user.name || 'there'},`, '', reason, grace, '', link].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.name || 'there')},</p>
+      <p>${escapeHtml(reason)}</p>
+      <p>${escapeHtml(grace)}</p>
+      <p><a href="${link}">Manage your subscription</a></p>
+    `
+  });
+}
+
+export async function sendSubscriptionExpiredEmail(user, { planName }) {
+  const link = frontendUrl('/subscription');
+  const summary = `Your ${planName} subscription has expired and premium content is no longer available.`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your Cleo Music subscription has expired',
+    text: [`Hi ${user.name || 'there'},`, '', summary, 'You can subscribe again at any time:', '', link].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.name || 'there')},</p>
+      <p>${escapeHtml(summary)}</p>
+      <p><a href="${link}">Subscribe again</a></p>
+    `
+  });
+}
+
+export async function sendTrialEndedEmail(user, { planName }) {
+  const link = frontendUrl('/subscription');
+  const summary = `Your free ${planName} trial has ended.`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your Cleo Music free trial has ended',
+    text: [`Hi ${user.name || 'there'},`, '', summary, 'Subscribe to keep listening:', '', link].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.name || 'there')},</p>
+      <p>${escapeHtml(summary)}</p>
+      <p><a href="${link}">Subscribe now</a></p>
+    `
+  });
+}
+
+export async function sendGiftVoucherEmail(recipient, { code, planName, days, fromName, message, expiresAt }) {
+  const link = frontendUrl('/redeem');
+  const from = fromName || 'Someone';
+  const summary = `${from} has given you ${days} days of ${planName} on Cleo Music.`;
+  const instructions = `Redeem your code ${code} before ${formatDate(expiresAt)}:`;
+
+  return sendMail({
+    to: recipient.email,
+    subject: `${from} sent you a Cleo Music gift`,
+    text: [
+      `Hi ${recipient.name || 'there'},`,
+      '',
+      summary,
+      ...(message ? ['', `"${message}"`, ''] : []),
+      instructions,
+      '',
+      link
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(recipient.name || 'there')},</p>
+      <p>${escapeHtml(summary)}</p>
+      ${message ? `<blockquote>${escapeHtml(message)}</blockquote>` : ''}
+      <p>Redeem your code <strong>${escapeHtml(code)}</strong> before ${escapeHtml(formatDate(expiresAt))}:</p>
+      <p><a href="${link}">Redeem your gift</a></p>
+    `
+  });
+}
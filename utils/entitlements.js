@@ -0,0 +1,98 @@
+import { getDB } from '../config/database.js';
+import { findActiveSubscription } from './subscriptions.js';
+
+// What a subscription unlocks. Each plan declares its entitlements
+// (plan.entitlements, set by admins); requireEntitlement() in middleware/auth.js
+// checks them and GET /api/auth/me reports them.
+//
+//   instrumentals  boolean   browse and play instrumentals
+//   videos         boolean   watch videos (also checked by /api/files)
+//   downloads      boolean   download songs for offline listening (GET /api/songs/:id/download)
+//   playlists      number    most playlists the user can have; null = unlimited, 0 = none
+
+const BOOLEAN_ENTITLEMENTS = ['instrumentals', 'videos', 'downloads'];
+
+export const ENTITLEMENT_NAMES = [...BOOLEAN_ENTITLEMENTS, 'playlists'];
+
+// Without a subscription
+export const FREE_ENTITLEMENTS = {
+  instrumentals: false,
+  videos: false,
+  downloads: false,
+  playlists: 0
+};
+
+// Plans created before entitlements existed unlock what every subscription used to
+const LEGACY_PLAN_ENTITLEMENTS = {
+  instrumentals: true,
+  videos: true,
+  downloads: false,
+  playlists: null
+};
+
+// Admins get everything
+const ALL_ENTITLEMENTS = {
+  instrumentals: true,
+  videos: true,
+  downloads: true,
+  playlists: null
+};
+
+// Only known entitlements count, so ones a plan was saved with before they were dropped aren't reported
+export const planEntitlements = (plan) => Object.fromEntries(
+  ENTITLEMENT_NAMES.map(name => [
+    name,
+    Object.hasOwn(plan?.entitlements || {}, name) ? plan.entitlements[name] : LEGACY_PLAN_ENTITLEMENTS[name]
+  ])
+);
+
+// Whether `entitlements` include `name` at all (any playlists, any audio quality, ...)
+export function hasEntitlement(entitlements, name) {
+  const value = entitlements[name];
+  if (name === 'playlists') return value === null || value > 0;
+  return Boolean(value);
+}
+
+// A user's effective entitlements: { entitlements, subscription, plan }.
+// `user` is req.user (id and role).
+export async function resolveEntitlements(user) {
+  const subscription = await findActiveSubscription(user.id);
+  let plan = null;
+  if (subscription) {
+    const db = await getDB();
+    plan = await db.collection('subscription_plans').findOne({ _id: subscription.plan_id });
+  }
+
+  let entitlements;
+  if (user.role === 'admin') {
+    entitlements = { ...ALL_ENTITLEMENTS };
+  } else {
+    entitlements = subscription ? planEntitlements(plan) : { ...FREE_ENTITLEMENTS };
+  }
+  return { entitlements, subscription, plan };
+}
+
+// Validate admin input for a plan's entitlements; only the given keys are changed.
+// Returns { entitlements } or { error }.
+export function parseEntitlements(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Entitlements must be an object' };
+  }
+
+  const entitlements = {};
+  for (const [name, value] of Object.entries(input)) {
+    if (!ENTITLEMENT_NAMES.includes(name)) {
+      return { error: `Unknown entitlement ${name}. Use ${ENTITLEMENT_NAMES.join(', ')}` };
+    }
+    if (BOOLEAN_ENTITLEMENTS.includes(name)) {
+      if (typeof value !== 'boolean') return { error: `${name} must be true or false` };
+      entitlements[name] = value;
+    } else if (name === 'playlists') {
+      if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+        return { error: 'playlists must be a whole number, or null for unlimited' };
+      }
+      entitlements[name] = value;
+    }
+  }
+  return { entitlements };
+}
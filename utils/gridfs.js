@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import { GridFSBucket, ObjectId } from 'mongodb';
 import { getDB } from '../config/database.js';
 
@@ -7,30 +8,59 @@ export async function getBucket(bucketName = 'files') {
   return new GridFSBucket(db, { bucketName });
 }
 
-// Upload a file to GridFS
-export async function uploadFile(file, metadata = {}) {
+// Stream a file into GridFS as it arrives, counting and hashing it on the way.
+// Resolves with { id, size, sha256 } (the checksum is also kept in metadata.sha256).
+// If the source fails, the write fails or `signal` aborts, what was written is deleted.
+export async function uploadFileStream(source, filename, metadata = {}, { signal } = {}) {
+  const bucket = await getBucket();
+  const uploadStream = bucket.openUploadStream(filename, { metadata });
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  let onAbort;
+
   try {
-    const bucket = await getBucket();
-    const uploadStream = bucket.openUploadStream(file.originalname, {
-      metadata: {
-        contentType: file.mimetype,
-        ...metadata
-      }
-    });
+    await new Promise((resolve, reject) => {
+      // Keep draining the source so the rest of the request can still be read
+      const fail = (error) => {
+        source.unpipe(uploadStream);
+        source.resume();
+        reject(error);
+      };
+      if (signal?.aborted) return fail(signal.reason);
+      onAbort = () => fail(signal.reason);
+      signal?.addEventListener('abort', onAbort, { once: true });
 
-    return new Promise((resolve, reject) => {
-      uploadStream.end(file.buffer);
-      uploadStream.on('finish', () => {
-        resolve(uploadStream.id.toString());
+      source.on('data', (chunk) => {
+        hash.update(chunk);
+        size += chunk.length;
       });
-      uploadStream.on('error', reject);
+      source.on('error', fail);
+      uploadStream.on('error', fail);
+      uploadStream.on('finish', resolve);
+      source.pipe(uploadStream);
     });
+
+    const sha256 = hash.digest('hex');
+    const db = await getDB();
+    await db.collection('files.files').updateOne(
+      { _id: uploadStream.id },
+      { $set: { 'metadata.sha256': sha256 } }
+    );
+    return { id: uploadStream.id.toString(), size, sha256 };
   } catch (error) {
-    console.error('GridFS upload error:', error);
+    await discardUpload(bucket, uploadStream);
     throw error;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
   }
 }
 
+// Remove a partly written upload: later chunks are refused and those already written deleted
+async function discardUpload(bucket, uploadStream) {
+  await uploadStream.abort().catch(() => {});
+  await bucket.delete(uploadStream.id).catch(() => {});
+}
+
 // Get file stream from GridFS
 export async function getFileStream(fileId, start = 0, end = null) {
   try {
@@ -0,0 +1,220 @@
+import { getDB } from '../config/database.js';
+
+// Tracks failed sign-in attempts per key ("ip:1.2.3.4", "account:someone@example.com").
+// Password reset requests are counted the same way, under "password_reset:<email>".
+// After a few free attempts each failure adds an exponentially growing delay,
+// and reaching the threshold locks the key out for a while.
+
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 5;
+const ACCOUNT_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const IP_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD) || 30;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_BACKOFF_SECONDS = 5 * 60;
+// Failures are forgotten once a key has been quiet for this long
+const ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 60;
+
+// ========== STORES ==========
+// A store keeps { failures, locked_until } per key and must implement
+// get(key), recordFailure(key, now, windowEnd), lock(key, until) and reset(key).
+
+// Single process only - state is lost on restart and not shared between instances
+export function createMemoryAttemptStore() {
+  const attempts = new Map();
+
+  const live = (key, now = new Date()) => {
+    const entry = attempts.get(key);
+    if (entry && entry.expires_at <= now) {
+      attempts.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    name: 'memory',
+    async get(key) {
+      return live(key);
+    },
+    async recordFailure(key, now, windowEnd) {
+      const entry = live(key, now) || { failures: 0, locked_until: null };
+      entry.failures += 1;
+      entry.last_failure_at = now;
+      entry.expires_at = windowEnd;
+      attempts.set(key, entry);
+
+      // Keep the map from growing without bound under a spray of unique keys
+      if (attempts.size > 10000) {
+        for (const staleKey of attempts.keys()) live(staleKey, now);
+      }
+      return { ...entry };
+    },
+    async lock(key, until) {
+      const entry = attempts.get(key);
+      if (entry) {
+        entry.locked_until = until;
+        if (entry.expires_at < until) entry.expires_at = until;
+      }
+    },
+    async reset(key) {
+      attempts.delete(key);
+    }
+  };
+}
+
+// Shared between instances through the login_attempts collection
+export function createMongoAttemptStore() {
+  const collection = async () => (await getDB()).collection('login_attempts');
+
+  return {
+    name: 'mongo',
+    async get(key) {
+      return (await collection()).findOne({ _id: key, expires_at: { $gt: new Date() } });
+    },
+    async recordFailure(key, now, windowEnd) {
+      // Pipeline update so an expired (not yet TTL-purged) record starts again from 1
+      return (await collection()).findOneAndUpdate(
+        { _id: key },
+        [{
+          $set: {
+            failures: {
+              $cond: [{ $gt: ['$expires_at', now] }, { $add: ['$failures', 1] }, 1]
+            },
+            locked_until: {
+              $cond: [{ $gt: ['$expires_at', now] }, '$locked_until', null]
+            },
+            last_failure_at: now,
+            expires_at: { $max: [windowEnd, { $ifNull: ['$locked_until', windowEnd] }] }
+          }
+        }],
+        { upsert: true, returnDocument: 'after' }
+      );
+    },
+    async lock(key, until) {
+      await (await collection()).updateOne(
+        { _id: key },
+        { $set: { locked_until: until }, $max: { expires_at: until } }
+      );
+    },
+    async reset(key) {
+      await (await collection()).deleteOne({ _id: key });
+    }
+  };
+}
+
+const stores = {
+  memory: createMemoryAttemptStore,
+  mongo: createMongoAttemptStore
+};
+
+let store = null;
+
+// LOGIN_THROTTLE_STORE=mongo when running more than one instance
+export function getAttemptStore() {
+  if (!store) {
+    const driver = process.env.LOGIN_THROTTLE_STORE || 'memory';
+    if (!stores[driver]) {
+      throw new Error(`Unknown LOGIN_THROTTLE_STORE "${driver}"`);
+    }
+    store = stores[driver]();
+  }
+  return store;
+}
+
+export function setAttemptStore(nextStore) {
+  store = nextStore;
+}
+
+// ========== POLICY ==========
+
+const thresholdFor = (key) => (key.startsWith('ip:') ? IP_LOCKOUT_THRESHOLD : ACCOUNT_LOCKOUT_THRESHOLD);
+
+// Delay a key must wait after its latest failure: 0 for the first few, then 1s, 2s, 4s...
+const backoffSeconds = (failures) => {
+  if (failures <= FREE_ATTEMPTS) return 0;
+  return Math.min(2 ** (failures - FREE_ATTEMPTS - 1), MAX_BACKOFF_SECONDS);
+};
+
+// Returns null if every key may attempt a login now, or { retryAfter, reason } if not
+export async function checkLoginAllowed(keys) {
+  const now = Date.now();
+  let blocked = null;
+
+  for (const key of keys) {
+    const entry = await getAttemptStore().get(key);
+    if (!entry) continue;
+
+    let waitUntil = 0;
+    let reason = 'too_many_attempts';
+    if (entry.locked_until && new Date(entry.locked_until).getTime() > now) {
+      waitUntil = new Date(entry.locked_until).getTime();
+      reason = 'locked';
+    } else if (entry.last_failure_at) {
+      waitUntil = new Date(entry.last_failure_at).getTime() + backoffSeconds(entry.failures) * 1000;
+    }
+
+    if (waitUntil > now) {
+      const retryAfter = Math.ceil((waitUntil - now) / 1000);
+      if (!blocked || retryAfter > blocked.retryAfter) {
+        blocked = { retryAfter, reason };
+      }
+    }
+  }
+
+  return blocked;
+}
+
+// Record a failed attempt against every key; locks keys that hit their threshold.
+// `context` ({ ip, email, endpoint }) is stored with any lockout event.
+export async function recordLoginFailure(keys, context = {}) {
+  const now = new Date();
+  const windowEnd = new Date(now.getTime() + ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+
+  for (const key of keys) {
+    const entry = await getAttemptStore().recordFailure(key, now, windowEnd);
+    const threshold = thresholdFor(key);
+
+    // Lock on reaching the threshold and again on every further multiple of it
+    if (entry.failures >= threshold && entry.failures % threshold === 0) {
+      const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+      await getAttemptStore().lock(key, lockedUntil);
+      await recordLockoutEvent(key, entry.failures, lockedUntil, context);
+    }
+  }
+}
+
+// A successful login clears the account's failures (the IP keeps its history)
+export async function recordLoginSuccess(keys) {
+  for (const key of keys.filter(key => !key.startsWith('ip:'))) {
+    await getAttemptStore().reset(key);
+  }
+}
+
+// Lift a lockout early (used by admins)
+export async function clearLoginAttempts(key) {
+  await getAttemptStore().reset(key);
+}
+
+// `scope` keeps other uses of an email (e.g. 'password_reset') from locking its sign-in
+export const loginThrottleKeys = (req, account, scope = 'account') => [
+  `ip:${req.ip}`,
+  ...(account ? [`${scope}:${String(account).trim().toLowerCase()}`] : [])
+];
+
+async function recordLockoutEvent(key, failures, lockedUntil, { ip = null, email = null, endpoint = null }) {
+  try {
+    const db = await getDB();
+    await db.collection('lockout_events').insertOne({
+      scope: key.startsWith('ip:') ? 'ip' : key.split(':')[0],
+      key,
+      ip,
+      email,
+      endpoint,
+      failures,
+      locked_until: lockedUntil,
+      created_at: new Date()
+    });
+    console.warn(`🔒 Login lockout: ${key} after ${failures} failed attempts (until ${lockedUntil.toISOString()})`);
+  } catch (error) {
+    console.error('Record lockout event error:', error);
+  }
+}
@@ -0,0 +1,101 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// A transport is any object with `name` and `async send(message)`.
+// Messages look like { from, to, subject, text, html }.
+
+// SMTP driver - used in production
+export function createSmtpTransport({
+  host = process.env.SMTP_HOST,
+  port = parseInt(process.env.SMTP_PORT) || 587,
+  secure = process.env.SMTP_SECURE === 'true',
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS
+} = {}) {
+  if (!host) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+}
+
+// Outbox driver - writes each message to a JSON file and logs it, for development and tests
+export function createOutboxTransport({
+  dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox'),
+  log = process.env.NODE_ENV !== 'test'
+} = {}) {
+  return {
+    name: 'outbox',
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const file = path.join(dir, `${id}.json`);
+      await fs.writeFile(file, JSON.stringify({ id, sent_at: new Date(), ...message }, null, 2));
+
+      if (log) {
+        console.log(`📧 [outbox] To: ${message.to} | Subject: ${message.subject}`);
+        console.log(message.text);
+        console.log(`   Saved to ${file}`);
+      }
+
+      return { id, file };
+    }
+  };
+}
+
+const drivers = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport
+};
+
+let transport = null;
+
+// MAIL_TRANSPORT picks the driver; without it we use SMTP when configured, else the outbox.
+// The outbox logs whole messages, reset links included, so production refuses it;
+// server.js calls this at startup so a missing SMTP_HOST fails there.
+export function getTransport() {
+  if (!transport) {
+    const driver = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'outbox');
+    if (!drivers[driver]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${driver}"`);
+    }
+    if (driver === 'outbox' && process.env.NODE_ENV === 'production') {
+      throw new Error('Set SMTP_HOST to send mail in production (the outbox transport logs every message)');
+    }
+    transport = drivers[driver]();
+  }
+  return transport;
+}
+
+// Swap the transport at runtime (e.g. an in-memory one in tests)
+export function setTransport(nextTransport) {
+  transport = nextTransport;
+}
+
+export async function sendMail({ to, subject, text, html }) {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Cleo Music <no-reply@cleomusic.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+}
@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+
+// Signed URLs for GridFS files (/api/files/:fileId). The catalog routes hand out URLs
+// signed with MEDIA_URL_SECRET (default: JWT_SECRET) for the user they were issued to,
+// which stop working after MEDIA_URL_TTL_MINUTES; routes/files.js checks them.
+//
+// Files whose GridFS metadata type is listed in PUBLIC_FILE_TYPES (default: cover),
+// or that were uploaded with metadata.public = true, are served without a signature.
+
+const secret = () => process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET;
+
+const TTL_SECONDS = (parseInt(process.env.MEDIA_URL_TTL_MINUTES) || 360) * 60;
+// Expiry times are rounded up to this, so a file keeps the same URL for a while and
+// browsers can reuse what they have cached
+const EXPIRY_STEP_SECONDS = Math.min(15 * 60, TTL_SECONDS);
+
+export const PUBLIC_FILE_TYPES = (process.env.PUBLIC_FILE_TYPES ?? 'cover')
+  .split(',')
+  .map(type => type.trim())
+  .filter(Boolean);
+
+const sign = (fileId, userId, expires) => crypto
+  .createHmac('sha256', secret())
+  .update(`${fileId}:${userId}:${expires}`)
+  .digest('base64url');
+
+// A URL for `fileId` that only `userId` can use, until it expires
+export function signedFileUrl(fileId, userId) {
+  const now = Math.floor(Date.now() / 1000);
+  const expires = Math.ceil((now + TTL_SECONDS) / EXPIRY_STEP_SECONDS) * EXPIRY_STEP_SECONDS;
+  return `/api/files/${fileId}?uid=${userId}&exp=${expires}&sig=${sign(fileId.toString(), userId, expires)}`;
+}
+
+// The URL catalog responses give for a file: signed for the viewer, or plain for
+// public file types (`type` is the GridFS metadata type, e.g. 'cover')
+export function fileUrl(fileId, userId, type = null) {
+  if (!fileId) return null;
+  if (PUBLIC_FILE_TYPES.includes(type) || !userId) return `/api/files/${fileId}`;
+  return signedFileUrl(fileId, userId);
+}
+
+export const coverUrl = (fileId, userId) => fileUrl(fileId, userId, 'cover');
+
+export const isPublicFile = (file) =>
+  file.metadata?.public === true || PUBLIC_FILE_TYPES.includes(file.metadata?.type);
+
+// Check the signature in a file URL's query. Returns null when the URL isn't signed,
+// { userId, expires } when it is valid, or { error, expired } when it isn't.
+export function verifyFileSignature(fileId, { uid, exp, sig }) {
+  if (!sig) return null;
+  if (!uid || !exp || !ObjectId.isValid(uid) || !/^\d+$/.test(exp)) {
+    return { error: 'Invalid file link' };
+  }
+
+  const expected = Buffer.from(sign(fileId, uid, exp));
+  const given = Buffer.from(String(sig));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { error: 'Invalid file link' };
+  }
+  if (Number(exp) * 1000 <= Date.now()) {
+    return { error: 'This file link has expired', expired: true };
+  }
+  return { userId: uid, expires: new Date(Number(exp) * 1000) };
+}
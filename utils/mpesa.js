@@ -0,0 +1,216 @@
+import axios from 'axios';
+
+// Safaricom Daraja client for Lipa na M-Pesa Online (STK push) and transaction reversals.
+// MPESA_BASE_URL defaults to the sandbox; point it at scripts/mock-daraja.js for local testing.
+
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+// Result codes returned by STK callbacks and queries
+export const MPESA_RESULT = {
+  SUCCESS: 0,
+  INSUFFICIENT_FUNDS: 1,
+  CANCELLED: 1032,
+  TIMEOUT: 1037,
+  WRONG_PIN: 2001
+};
+
+const config = () => ({
+  baseUrl: (process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke').replace(/\/$/, ''),
+  consumerKey: process.env.MPESA_CONSUMER_KEY,
+  consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+  shortcode: process.env.MPESA_SHORTCODE,
+  passkey: process.env.MPESA_PASSKEY,
+  callbackUrl: process.env.MPESA_CALLBACK_URL,
+  transactionType: process.env.MPESA_TRANSACTION_TYPE || 'CustomerPayBillOnline',
+  // Reversals run as an API operator ("initiator") of the shortcode. The security credential
+  // is the initiator's password encrypted with Safaricom's certificate (from the Daraja portal).
+  initiatorName: process.env.MPESA_INITIATOR_NAME,
+  securityCredential: process.env.MPESA_SECURITY_CREDENTIAL,
+  reversalResultUrl: process.env.MPESA_REVERSAL_RESULT_URL,
+  reversalTimeoutUrl: process.env.MPESA_REVERSAL_TIMEOUT_URL || process.env.MPESA_REVERSAL_RESULT_URL
+});
+
+export const isMpesaConfigured = () => {
+  const { consumerKey, consumerSecret, shortcode, passkey, callbackUrl } = config();
+  return Boolean(consumerKey && consumerSecret && shortcode && passkey && callbackUrl);
+};
+
+export const isMpesaReversalConfigured = () => {
+  const { initiatorName, securityCredential, reversalResultUrl } = config();
+  return isMpesaConfigured() && Boolean(initiatorName && securityCredential && reversalResultUrl);
+};
+
+// 0712345678 / +254712345678 / 254712345678 -> 254712345678, or null if it isn't a Kenyan mobile number
+export function normalizePhoneNumber(phone) {
+  const digits = String(phone || '').replace(/[\s\-()+]/g, '');
+  const normalized = digits.replace(/^0(?=[17]\d{8}$)/, '254');
+  return /^254[17]\d{8}$/.test(normalized) ? normalized : null;
+}
+
+// yyyyMMddHHmmss in Nairobi time (UTC+3, no daylight saving)
+export function darajaTimestamp(date = new Date()) {
+  return new Date(date.getTime() + 3 * 60 * 60 * 1000)
+    .toISOString()
+    .replace(/[-:T]/g, '')
+    .slice(0, 14);
+}
+
+export const stkPassword = (shortcode, passkey, timestamp) =>
+  Buffer.from(`${shortcode}${passkey}${timestamp}`).toString('base64');
+
+// Daraja reports errors as { errorCode, errorMessage }
+const darajaError = (error, action) => {
+  const data = error.response?.data;
+  const message = data?.errorMessage || data?.ResponseDescription || error.message;
+  const wrapped = new Error(`M-Pesa ${action} failed: ${message}`);
+  wrapped.status = error.response?.status;
+  wrapped.code = data?.errorCode;
+  return wrapped;
+};
+
+// ========== OAUTH ==========
+
+let cachedToken = null;
+let pendingToken = null;
+
+// Access tokens last an hour; concurrent callers share one request
+export async function getAccessToken() {
+  if (cachedToken && cachedToken.expiresAt > Date.now()) {
+    return cachedToken.value;
+  }
+
+  if (!pendingToken) {
+    const { baseUrl, consumerKey, consumerSecret } = config();
+    pendingToken = axios.get(`${baseUrl}/oauth/v1/generate`, {
+      params: { grant_type: 'client_credentials' },
+      auth: { username: consumerKey, password: consumerSecret },
+      timeout: REQUEST_TIMEOUT_MS
+    })
+      .then(({ data }) => {
+        cachedToken = {
+          value: data.access_token,
+          expiresAt: Date.now() + parseInt(data.expires_in) * 1000 - TOKEN_REFRESH_MARGIN_MS
+        };
+        return cachedToken.value;
+      })
+      .catch(error => {
+        throw darajaError(error, 'authentication');
+      })
+      .finally(() => {
+        pendingToken = null;
+      });
+  }
+
+  return pendingToken;
+}
+
+export function clearAccessToken() {
+  cachedToken = null;
+}
+
+const darajaPost = async (path, body, action) => {
+  const { baseUrl } = config();
+  const send = async () => axios.post(`${baseUrl}${path}`, body, {
+    headers: { Authorization: `Bearer ${await getAccessToken()}` },
+    timeout: REQUEST_TIMEOUT_MS
+  });
+
+  try {
+    return (await send()).data;
+  } catch (error) {
+    // The token may have been revoked before it expired - fetch a new one and try once more
+    if (error.response?.status === 401) {
+      clearAccessToken();
+      try {
+        return (await send()).data;
+      } catch (retryError) {
+        throw darajaError(retryError, action);
+      }
+    }
+    throw darajaError(error, action);
+  }
+};
+
+// ========== STK PUSH ==========
+
+// Prompts the customer's phone for their M-Pesa PIN.
+// Resolves to { MerchantRequestID, CheckoutRequestID, ResponseCode, ResponseDescription, CustomerMessage }.
+export async function stkPush({ amount, phoneNumber, accountReference, description }) {
+  const { shortcode, passkey, callbackUrl, transactionType } = config();
+  const timestamp = darajaTimestamp();
+
+  const response = await darajaPost('/mpesa/stkpush/v1/processrequest', {
+    BusinessShortCode: shortcode,
+    Password: stkPassword(shortcode, passkey, timestamp),
+    Timestamp: timestamp,
+    TransactionType: transactionType,
+    Amount: Math.ceil(amount),
+    PartyA: phoneNumber,
+    PartyB: shortcode,
+    PhoneNumber: phoneNumber,
+    CallBackURL: callbackUrl,
+    AccountReference: String(accountReference).slice(0, 12),
+    TransactionDesc: String(description || 'Payment').slice(0, 13)
+  }, 'STK push');
+
+  if (String(response.ResponseCode) !== '0') {
+    throw new Error(`M-Pesa STK push failed: ${response.ResponseDescription}`);
+  }
+  return response;
+}
+
+// Status of an STK push. Resolves to { ResultCode, ResultDesc }, or null while the
+// customer still hasn't answered the prompt.
+export async function stkQuery(checkoutRequestId) {
+  const { shortcode, passkey } = config();
+  const timestamp = darajaTimestamp();
+
+  try {
+    const response = await darajaPost('/mpesa/stkpushquery/v1/query', {
+      BusinessShortCode: shortcode,
+      Password: stkPassword(shortcode, passkey, timestamp),
+      Timestamp: timestamp,
+      CheckoutRequestID: checkoutRequestId
+    }, 'STK query');
+
+    return { ResultCode: parseInt(response.ResultCode), ResultDesc: response.ResultDesc };
+  } catch (error) {
+    // "The transaction is being processed"
+    if (error.code === '500.001.1001') return null;
+    throw error;
+  }
+}
+
+// Pull Amount, MpesaReceiptNumber, TransactionDate and PhoneNumber out of a callback
+export const callbackMetadata = (stkCallback) => Object.fromEntries(
+  (stkCallback.CallbackMetadata?.Item || []).map(item => [item.Name, item.Value])
+);
+
+// ========== REVERSALS ==========
+
+// Ask Safaricom to reverse a completed payment (identified by its receipt number).
+// Daraja only reverses whole transactions. The outcome arrives later at
+// MPESA_REVERSAL_RESULT_URL; resolves to { ConversationID, OriginatorConversationID, ... }.
+export async function reverseTransaction({ transactionId, amount, remarks }) {
+  const { shortcode, initiatorName, securityCredential, reversalResultUrl, reversalTimeoutUrl } = config();
+
+  const response = await darajaPost('/mpesa/reversal/v1/request', {
+    Initiator: initiatorName,
+    SecurityCredential: securityCredential,
+    CommandID: 'TransactionReversal',
+    TransactionID: transactionId,
+    Amount: Math.ceil(amount),
+    ReceiverParty: shortcode,
+    RecieverIdentifierType: '11',
+    ResultURL: reversalResultUrl,
+    QueueTimeOutURL: reversalTimeoutUrl,
+    Remarks: String(remarks || 'Refund').slice(0, 100),
+    Occasion: 'Refund'
+  }, 'reversal');
+
+  if (String(response.ResponseCode) !== '0') {
+    throw new Error(`M-Pesa reversal failed: ${response.ResponseDescription}`);
+  }
+  return response;
+}
@@ -0,0 +1,140 @@
+import { ObjectId } from 'mongodb';
+import { getDB } from '../config/database.js';
+import {
+  sendSubscriptionReminderEmail,
+  sendSubscriptionGraceEmail,
+  sendSubscriptionExpiredEmail,
+  sendTrialEndedEmail
+} from './emails.js';
+
+// notify(userId, type, data) tells a user about something through every enabled
+// channel. A channel is any object with `name` and `async deliver(user, notification)`.
+// NOTIFICATION_CHANNELS picks them (default "email,inapp").
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Per type: a short title and message (in-app) and an optional email sender
+const TEMPLATES = {
+  'subscription.renewal_reminder': {
+    title: ({ renews, trial }) => {
+      if (trial) return 'Your free trial ends soon';
+      return renews ? 'Your subscription renews soon' : 'Your subscription ends soon';
+    },
+    message: ({ planName, endDate, renews, trial }) => {
+      if (trial) {
+        return renews
+          ? `Your ${planName} trial ends on ${formatDate(endDate)} and your paid subscription starts then.`
+          : `Your ${planName} trial ends on ${formatDate(endDate)}. Subscribe to keep listening.`;
+      }
+      return renews
+        ? `${planName} renews on ${formatDate(endDate)}.`
+        : `${planName} ends on ${formatDate(endDate)}. Renew to keep listening.`;
+    },
+    email: sendSubscriptionReminderEmail
+  },
+  'subscription.grace_started': {
+    title: ({ pastDue }) => (pastDue ? 'Payment problem' : 'Your subscription has ended'),
+    message: ({ planName, graceUntil, pastDue }) => (pastDue
+      ? `We couldn't renew ${planName}. Update your payment details before ${formatDate(graceUntil)} to keep access.`
+      : `${planName} has ended. Renew before ${formatDate(graceUntil)} to keep access.`),
+    email: sendSubscriptionGraceEmail
+  },
+  'subscription.trial_ended': {
+    title: () => 'Your free trial has ended',
+    message: ({ planName }) => `Your ${planName} trial has ended. Subscribe to keep listening.`,
+    email: sendTrialEndedEmail
+  },
+  'subscription.expired': {
+    title: () => 'Your subscription has expired',
+    message: ({ planName }) => `${planName} has expired.`,
+    email: sendSubscriptionExpiredEmail
+  }
+};
+
+// ========== CHANNELS ==========
+
+export function createEmailChannel() {
+  return {
+    name: 'email',
+    async deliver(user, notification) {
+      const send = TEMPLATES[notification.type]?.email;
+      if (send && user.email) await send(user, notification.data);
+    }
+  };
+}
+
+// Stored in the notifications collection and shown in the app (GET /api/users/me/notifications)
+export function createInAppChannel() {
+  return {
+    name: 'inapp',
+    async deliver(user, notification) {
+      const db = await getDB();
+      await db.collection('notifications').insertOne({
+        user_id: user._id,
+        type: notification.type,
+        title: notification.title,
+        message: notification.message,
+        data: notification.data,
+        read_at: null,
+        created_at: new Date()
+      });
+    }
+  };
+}
+
+const channelFactories = {
+  email: createEmailChannel,
+  inapp: createInAppChannel
+};
+
+let channels = null;
+
+export function getChannels() {
+  if (!channels) {
+    const names = (process.env.NOTIFICATION_CHANNELS || 'email,inapp')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+    for (const name of names) {
+      if (!channelFactories[name]) {
+        throw new Error(`Unknown notification channel "${name}"`);
+      }
+    }
+    channels = names.map(name => channelFactories[name]());
+  }
+  return channels;
+}
+
+export function setChannels(nextChannels) {
+  channels = nextChannels;
+}
+
+// A failing channel is logged and doesn't stop the others
+export async function notify(userId, type, data = {}) {
+  const template = TEMPLATES[type];
+  if (!template) {
+    throw new Error(`Unknown notification type "${type}"`);
+  }
+
+  const db = await getDB();
+  const user = await db.collection('users').findOne(
+    { _id: new ObjectId(userId) },
+    { projection: { email: 1, name: 1 } }
+  );
+  if (!user) return;
+
+  const notification = {
+    type,
+    title: template.title(data),
+    message: template.message(data),
+    data
+  };
+
+  for (const channel of getChannels()) {
+    try {
+      await channel.deliver(user, notification);
+    } catch (error) {
+      console.error(`Notification error (${channel.name}, ${type}):`, error);
+    }
+  }
+}
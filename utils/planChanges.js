@@ -0,0 +1,196 @@
+import { getDB } from '../config/database.js';
+import { getStripe } from './stripe.js';
+import { recordSubscriptionEvent } from './subscriptions.js';
+
+// Switching a subscription to another plan.
+//
+// Upgrades (a plan with a higher daily rate) take effect immediately: the unused part
+// of the current period is credited against the new plan's price and the new period
+// starts now. Downgrades are scheduled for the end of the current period
+// (pending_plan_id), so nothing already paid for is lost.
+//
+// Recurring subscriptions do the same through Stripe, which computes its own proration.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+export const dailyRate = (plan) => plan.price / plan.duration_days;
+
+// What switching `subscription` (currently on `currentPlan`) to `newPlan` costs right now
+export function quotePlanChange(subscription, currentPlan, newPlan, now = new Date()) {
+  const remainingDays = Math.max(0, (new Date(subscription.end_date).getTime() - now.getTime()) / DAY_MS);
+  const credit = round2(remainingDays * dailyRate(currentPlan));
+  const recurring = subscription.auto_renew === true;
+
+  if (dailyRate(newPlan) <= dailyRate(currentPlan)) {
+    return {
+      direction: 'downgrade',
+      remainingDays: round2(remainingDays),
+      credit: 0,
+      amountDue: 0,
+      effectiveAt: subscription.end_date,
+      estimated: recurring
+    };
+  }
+
+  return {
+    direction: 'upgrade',
+    remainingDays: round2(remainingDays),
+    credit,
+    amountDue: round2(Math.max(0, newPlan.price - credit)),
+    effectiveAt: now,
+    // Stripe works out the exact proration for recurring subscriptions
+    estimated: recurring
+  };
+}
+
+// Move a one-off subscription onto `plan` now. A credit larger than the plan's price
+// becomes extra days on the new plan.
+export async function applyPlanChange({ subscriptionId, plan, credit = 0, event = {} }) {
+  const db = await getDB();
+  const subscription = await db.collection('user_subscriptions').findOne({ _id: subscriptionId });
+  if (!subscription) {
+    throw new Error(`Subscription ${subscriptionId} not found`);
+  }
+
+  const extraDays = Math.max(0, credit - plan.price) / dailyRate(plan);
+  const now = new Date();
+  const endDate = new Date(now.getTime() + (plan.duration_days + extraDays) * DAY_MS);
+
+  await db.collection('user_subscriptions').updateOne(
+    { _id: subscription._id },
+    {
+      $set: { plan_id: plan._id, status: 'active', end_date: endDate, updated_at: now },
+      $unset: { grace_until: '', pending_plan_id: '', plan_change_at: '' }
+    }
+  );
+  await recordSubscriptionEvent(subscription._id, {
+    type: 'plan_changed',
+    from_plan_id: subscription.plan_id,
+    to_plan_id: plan._id,
+    credit,
+    from_status: subscription.status,
+    to_status: 'active',
+    from_end_date: subscription.end_date,
+    to_end_date: endDate,
+    ...event
+  });
+
+  return db.collection('user_subscriptions').findOne({ _id: subscription._id });
+}
+
+const stripeItemId = async (subscription) => {
+  const stripeSubscription = await getStripe().subscriptions.retrieve(subscription.stripe_subscription_id);
+  return stripeSubscription.items.data[0].id;
+};
+
+// Upgrade a recurring subscription in Stripe, invoicing the prorated difference now.
+// Returns { subscription } once applied, or { clientSecret } when the customer still has
+// to confirm the payment (the customer.subscription.updated webhook applies it then).
+export async function upgradeRecurringPlan(subscription, plan, event = {}) {
+  const db = await getDB();
+  const stripeSubscription = await getStripe().subscriptions.update(subscription.stripe_subscription_id, {
+    items: [{ id: await stripeItemId(subscription), price: plan.stripe_price_id }],
+    proration_behavior: 'always_invoice',
+    payment_behavior: 'pending_if_incomplete',
+    expand: ['latest_invoice.payment_intent']
+  });
+
+  if (stripeSubscription.pending_update) {
+    return { clientSecret: stripeSubscription.latest_invoice?.payment_intent?.client_secret || null };
+  }
+
+  await db.collection('user_subscriptions').updateOne(
+    { _id: subscription._id },
+    {
+      $set: { plan_id: plan._id, updated_at: new Date() },
+      $unset: { pending_plan_id: '', plan_change_at: '' }
+    }
+  );
+  await recordSubscriptionEvent(subscription._id, {
+    type: 'plan_changed',
+    from_plan_id: subscription.plan_id,
+    to_plan_id: plan._id,
+    source: 'stripe_billing',
+    stripe_invoice_id: stripeSubscription.latest_invoice?.id || null,
+    ...event
+  });
+
+  return { subscription: await db.collection('user_subscriptions').findOne({ _id: subscription._id }) };
+}
+
+// Switch to `plan` when the current period ends
+export async function scheduleDowngrade(subscription, plan, event = {}) {
+  const db = await getDB();
+
+  // Stripe bills the new price from the next invoice; plan_id here changes when it's paid
+  if (subscription.auto_renew && subscription.stripe_subscription_id) {
+    await getStripe().subscriptions.update(subscription.stripe_subscription_id, {
+      items: [{ id: await stripeItemId(subscription), price: plan.stripe_price_id }],
+      proration_behavior: 'none'
+    });
+  }
+
+  await db.collection('user_subscriptions').updateOne(
+    { _id: subscription._id },
+    { $set: { pending_plan_id: plan._id, plan_change_at: subscription.end_date, updated_at: new Date() } }
+  );
+  await recordSubscriptionEvent(subscription._id, {
+    type: 'plan_change_scheduled',
+    from_plan_id: subscription.plan_id,
+    to_plan_id: plan._id,
+    effective_at: subscription.end_date,
+    ...event
+  });
+
+  return db.collection('user_subscriptions').findOne({ _id: subscription._id });
+}
+
+// Keep the current plan after all
+export async function cancelScheduledPlanChange(subscription, currentPlan, event = {}) {
+  const db = await getDB();
+
+  if (subscription.auto_renew && subscription.stripe_subscription_id) {
+    await getStripe().subscriptions.update(subscription.stripe_subscription_id, {
+      items: [{ id: await stripeItemId(subscription), price: currentPlan.stripe_price_id }],
+      proration_behavior: 'none'
+    });
+  }
+
+  await db.collection('user_subscriptions').updateOne(
+    { _id: subscription._id },
+    { $unset: { pending_plan_id: '', plan_change_at: '' }, $set: { updated_at: new Date() } }
+  );
+  await recordSubscriptionEvent(subscription._id, {
+    type: 'plan_change_cancelled',
+    from_plan_id: subscription.plan_id,
+    to_plan_id: subscription.pending_plan_id,
+    ...event
+  });
+
+  return db.collection('user_subscriptions').findOne({ _id: subscription._id });
+}
+
+// The current period has ended: a scheduled downgrade becomes the plan
+export async function applyScheduledPlanChange(subscription, event = {}) {
+  if (!subscription.pending_plan_id) return false;
+
+  const db = await getDB();
+  const result = await db.collection('user_subscriptions').updateOne(
+    { _id: subscription._id, pending_plan_id: subscription.pending_plan_id },
+    {
+      $set: { plan_id: subscription.pending_plan_id, updated_at: new Date() },
+      $unset: { pending_plan_id: '', plan_change_at: '' }
+    }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  await recordSubscriptionEvent(subscription._id, {
+    type: 'plan_changed',
+    from_plan_id: subscription.plan_id,
+    to_plan_id: subscription.pending_plan_id,
+    scheduled: true,
+    ...event
+  });
+  return true;
+}
@@ -0,0 +1,145 @@
+import { ObjectId } from 'mongodb';
+import { getDB } from '../config/database.js';
+import { getFileStream } from './gridfs.js';
+import { resolveEntitlements } from './entitlements.js';
+import { hasPermission } from '../config/permissions.js';
+
+// Song previews for listeners without a subscription. /api/files only streams a song's
+// full audio to subscribers (and staff); everyone else gets
+//   - the song's pre-cut preview rendition (preview_file_id), if one was uploaded, or
+//   - the bytes of the song's preview window: preview_duration seconds (default
+//     SONG_PREVIEW_SECONDS) from preview_start.
+//
+// Byte windows need to know where the audio starts and its bytes per second
+// (songs.audio_info, read from the file's header the first time). That is exact for
+// constant-bitrate MP3 and WAV; a WAV preview always starts at 0 so it keeps its header.
+// Other formats need a rendition (or a known duration, and then start at 0).
+
+export const DEFAULT_PREVIEW_SECONDS = parseInt(process.env.SONG_PREVIEW_SECONDS) || 30;
+
+const HEAD_BYTES = 64 * 1024;
+
+// Layer III bitrates (kbps) by bitrate index, for MPEG-1 and for MPEG-2/2.5
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+const readStream = async (fileId, start, end) => {
+  const chunks = [];
+  for await (const chunk of await getFileStream(fileId, start, end)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Size of an ID3v2 tag at the start of `head` (0 if there is none)
+const id3Size = (head) => {
+  if (head.length < 10 || head.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const size = ((head[6] & 0x7f) << 21) | ((head[7] & 0x7f) << 14) | ((head[8] & 0x7f) << 7) | (head[9] & 0x7f);
+  return 10 + size + (head[5] & 0x10 ? 10 : 0);
+};
+
+// The first MP3 frame in `chunk`, which starts at file offset `base`
+const readMp3Frame = (chunk, base) => {
+  for (let i = 0; i + 4 <= chunk.length; i++) {
+    if (chunk[i] !== 0xff || (chunk[i + 1] & 0xe0) !== 0xe0) continue;
+    const version = (chunk[i + 1] >> 3) & 3; // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+    const layer = (chunk[i + 1] >> 1) & 3; // 1 = Layer III
+    const bitrateIndex = chunk[i + 2] >> 4;
+    if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15) continue;
+    const kbps = MP3_BITRATES[version === 3 ? 1 : 2][bitrateIndex];
+    return { format: 'mp3', data_offset: base + i, byte_rate: kbps * 125 };
+  }
+  return null;
+};
+
+const readWavHeader = (head) => {
+  const byteRate = head.readUInt32LE(28);
+  let offset = 12;
+  while (offset + 8 <= head.length) {
+    const size = head.readUInt32LE(offset + 4);
+    if (head.toString('latin1', offset, offset + 4) === 'data') {
+      return { format: 'wav', data_offset: offset + 8, byte_rate: byteRate };
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+};
+
+// { format, data_offset, byte_rate } for a song's audio file, or null if it can't be
+// read that way. Stored on the song so the header is only read once.
+export async function ensureAudioInfo(song, file) {
+  if (song.audio_info !== undefined) return song.audio_info;
+
+  const fileId = file._id;
+  const head = await readStream(fileId, 0, Math.min(HEAD_BYTES, file.length) - 1);
+  let info = null;
+  if (head.length >= 44 && head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WAVE') {
+    info = readWavHeader(head);
+  } else {
+    // Embedded cover art can make the ID3 tag bigger than the first read
+    const skip = id3Size(head);
+    if (skip < head.length) {
+      info = readMp3Frame(head.subarray(skip), skip);
+    } else if (skip < file.length) {
+      info = readMp3Frame(await readStream(fileId, skip, Math.min(skip + HEAD_BYTES, file.length) - 1), skip);
+    }
+  }
+  if (!info && song.duration > 0) {
+    info = { format: 'other', data_offset: 0, byte_rate: file.length / song.duration };
+  }
+
+  const db = await getDB();
+  await db.collection('songs').updateOne({ _id: song._id }, { $set: { audio_info: info } });
+  return info;
+}
+
+export const previewSettings = (song) => ({
+  start: song.preview_start || 0,
+  duration: song.preview_duration || DEFAULT_PREVIEW_SECONDS
+});
+
+// The inclusive byte range of the file a preview may play, or null if it can't be windowed
+export async function previewWindow(song, file) {
+  const info = await ensureAudioInfo(song, file);
+  if (!info?.byte_rate) return null;
+
+  // Only MP3 can be started mid-file and still play
+  const { start, duration } = previewSettings(song);
+  const from = info.format === 'mp3' ? start : 0;
+  const first = from > 0 ? Math.floor(info.data_offset + from * info.byte_rate) : 0;
+  const last = Math.ceil(info.data_offset + (from + duration) * info.byte_rate) - 1;
+  if (first >= file.length) return null;
+  return { start: first, end: Math.min(last, file.length - 1) };
+}
+
+// The song a GridFS file is the full audio of (file ids are stored as strings or ObjectIds)
+export async function findSongByFile(fileId) {
+  const db = await getDB();
+  return db.collection('songs').findOne({ file_id: { $in: [fileId, new ObjectId(fileId)] } });
+}
+
+// Whether `user` (req.user, or undefined when signed out) may stream the whole song
+export async function canPlayFull(user, song) {
+  if (!user) return false;
+  if (hasPermission(user.role, 'content:read')) return true;
+
+  const { entitlements, subscription } = await resolveEntitlements(user);
+  if (!subscription) return false;
+  return song.type !== 'instrumental' || entitlements.instrumentals;
+}
+
+// Validate admin input for a song's preview window (seconds). Returns { fields } or { error }.
+export function parsePreviewSettings({ preview_start, preview_duration }) {
+  const fields = {};
+  if (preview_start !== undefined && preview_start !== '') {
+    const start = parseFloat(preview_start);
+    if (!(start >= 0)) return { error: 'Preview start must be 0 seconds or more' };
+    fields.preview_start = start;
+  }
+  if (preview_duration !== undefined && preview_duration !== '') {
+    const duration = parseFloat(preview_duration);
+    if (!(duration >= 1 && duration <= 300)) return { error: 'Preview length must be between 1 and 300 seconds' };
+    fields.preview_duration = duration;
+  }
+  return { fields };
+}
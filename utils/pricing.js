@@ -0,0 +1,115 @@
+import { getDB } from '../config/database.js';
+
+// Plan prices in several currencies. A plan has a price point per currency in
+// `prices` ({ USD: 9.99, KES: 1299 }); `price` stays the USD price, which coupons,
+// prorations and plan comparisons are worked out in. Amounts derived from it
+// (a discounted or prorated price) are scaled to another currency by the ratio of
+// the two price points.
+//
+// A currency a plan has no price point for is converted with the admin-managed
+// exchange_rates table (units of the currency per 1 USD).
+
+export const BASE_CURRENCY = 'USD';
+
+export const SUPPORTED_CURRENCIES = (process.env.SUPPORTED_CURRENCIES || 'USD,KES')
+  .split(',')
+  .map(currency => currency.trim().toUpperCase())
+  .filter(Boolean);
+
+// Decimal places charged in; M-Pesa only takes whole shillings
+const DECIMALS = { KES: 0 };
+
+// Country (from the CDN / proxy header) -> currency shown by default
+const COUNTRY_CURRENCIES = { KE: 'KES' };
+
+export const normalizeCurrency = (currency) => {
+  const code = String(currency || '').trim().toUpperCase();
+  return SUPPORTED_CURRENCIES.includes(code) ? code : null;
+};
+
+// The currency to show prices in: ?currency= (or body.currency), otherwise the
+// requester's country, otherwise USD
+export function requestCurrency(req) {
+  const explicit = req.query?.currency || req.body?.currency;
+  if (explicit) return normalizeCurrency(explicit);
+
+  const country = String(req.get('cf-ipcountry') || req.get('x-country-code') || '').toUpperCase();
+  return normalizeCurrency(COUNTRY_CURRENCIES[country]) || BASE_CURRENCY;
+}
+
+// Round up to what can be charged in the currency
+export const roundAmount = (amount, currency) => {
+  const factor = 10 ** (DECIMALS[currency] ?? 2);
+  return Math.ceil(Math.round(amount * factor * 1000) / 1000) / factor;
+};
+
+// Round to the nearest amount the currency can express (for amounts typed in by admins)
+export const roundToCurrency = (amount, currency) => {
+  const factor = 10 ** (DECIMALS[currency] ?? 2);
+  return Math.round(amount * factor) / factor;
+};
+
+// The plan's own price point in `currency`, if it has one
+export function planPrice(plan, currency) {
+  if (plan.prices?.[currency] > 0) return plan.prices[currency];
+  if (currency === BASE_CURRENCY) return plan.price;
+  // Plans priced before `prices` existed
+  if (currency === 'KES' && plan.price_kes > 0) return plan.price_kes;
+  return null;
+}
+
+// currency -> units per 1 USD
+export async function getExchangeRates() {
+  const db = await getDB();
+  const rows = await db.collection('exchange_rates').find({}).toArray();
+  const rates = new Map(rows.map(row => [row.currency, row.rate]));
+  rates.set(BASE_CURRENCY, 1);
+
+  // Deployments that configured the rate before the table existed
+  const legacyKes = parseFloat(process.env.MPESA_KES_PER_USD);
+  if (!rates.has('KES') && legacyKes > 0) rates.set('KES', legacyKes);
+  return rates;
+}
+
+// `usdAmount` of `plan` (default: its full price) in `currency`, or null if it can't
+// be priced in that currency
+export async function priceIn(plan, currency, usdAmount = plan.price, rates = null) {
+  if (currency === BASE_CURRENCY) return roundAmount(usdAmount, currency);
+
+  const pricePoint = planPrice(plan, currency);
+  if (pricePoint && plan.price > 0) {
+    return roundAmount(usdAmount * (pricePoint / plan.price), currency);
+  }
+
+  const rate = (rates || await getExchangeRates()).get(currency);
+  return rate > 0 ? roundAmount(usdAmount * rate, currency) : null;
+}
+
+// An amount in `currency` expressed in USD (for reporting), or null without a rate
+export const toBaseCurrency = (amount, currency, rates) => {
+  const rate = rates.get(currency || BASE_CURRENCY);
+  return rate > 0 ? Math.round((amount / rate) * 100) / 100 : null;
+};
+
+// Validate admin input for a plan's price points: { USD: 9.99, KES: 1299 }.
+// Returns { prices } or { error }.
+export function parsePrices(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Prices must be an object like { "USD": 9.99, "KES": 1299 }' };
+  }
+
+  const prices = {};
+  for (const [key, value] of Object.entries(input)) {
+    const currency = normalizeCurrency(key);
+    if (!currency) {
+      return { error: `Unsupported currency ${key}` };
+    }
+    if (value === null || value === '') continue;
+    const amount = parseFloat(value);
+    if (!(amount > 0)) {
+      return { error: `Price in ${currency} must be a positive number` };
+    }
+    prices[currency] = amount;
+  }
+  return { prices };
+}
@@ -0,0 +1,255 @@
+import { PassThrough } from 'stream';
+import PDFDocument from 'pdfkit';
+import { getDB } from '../config/database.js';
+
+// Receipts for completed payments, rendered as PDFs on request.
+//
+// Every real payment that completes gets the next invoice number (INVOICE_PREFIX-000001, ...)
+// from the counters collection. Numbers are assigned when the payment completes
+// (fulfillPayment, handleInvoicePaid), or when the first receipt is requested for a
+// payment that completed before receipts existed.
+//
+// Our business details come from BUSINESS_NAME, BUSINESS_ADDRESS (lines separated by |),
+// BUSINESS_EMAIL and BUSINESS_TAX_ID.
+
+// Payments that were paid at some point, and so have a receipt
+export const RECEIPT_STATUSES = ['completed', 'partially_refunded', 'refunded', 'charged_back'];
+
+// Test purchases (ENABLE_TEST_PAYMENTS) took no money, so they get no receipt or invoice number
+export const hasReceipt = (payment) =>
+  RECEIPT_STATUSES.includes(payment.payment_status) && payment.payment_method !== 'test';
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'CLEO';
+
+const business = () => ({
+  name: process.env.BUSINESS_NAME || 'Cleo Music',
+  address: (process.env.BUSINESS_ADDRESS || '').split('|').map(line => line.trim()).filter(Boolean),
+  email: process.env.BUSINESS_EMAIL || null,
+  taxId: process.env.BUSINESS_TAX_ID || null
+});
+
+const METHOD_LABELS = {
+  stripe: 'Card (Stripe)',
+  mpesa: 'M-Pesa',
+  coupon: 'Promo code'
+};
+
+const STATUS_LABELS = {
+  completed: 'Paid',
+  partially_refunded: 'Partially refunded',
+  refunded: 'Refunded',
+  charged_back: 'Charged back'
+};
+
+export const formatMoney = (amount, currency = 'USD') => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+  } catch {
+    return `${currency} ${Number(amount).toFixed(2)}`;
+  }
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric'
+});
+
+// The provider's reference a customer can quote: the M-Pesa receipt number or the Stripe id
+export const providerReference = (payment) => {
+  if (payment.payment_method === 'mpesa') return payment.mpesa_transaction_id || null;
+  if (payment.payment_method === 'stripe') {
+    return payment.stripe_payment_intent_id || payment.stripe_invoice_id || payment.transaction_reference || null;
+  }
+  return payment.transaction_reference || null;
+};
+
+const describePayment = (payment, planName) => {
+  if (payment.gift) return `${planName} - gift voucher`;
+  if (payment.plan_change) return `Change to ${planName} (prorated)`;
+  if (payment.billing_reason === 'subscription_cycle') return `${planName} - renewal`;
+  return `${planName} subscription`;
+};
+
+// The payment's invoice number, assigned now if it doesn't have one yet.
+// Two concurrent calls can both take a number; the loser's is skipped.
+export async function assignInvoiceNumber(payment) {
+  if (payment.invoice_number) return payment.invoice_number;
+
+  const db = await getDB();
+  const current = await db.collection('payments').findOne({ _id: payment._id }, { projection: { invoice_number: 1 } });
+  if (current?.invoice_number) return current.invoice_number;
+
+  const counter = await db.collection('counters').findOneAndUpdate(
+    { _id: 'invoice_number' },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  const invoiceNumber = `${INVOICE_PREFIX}-${String(counter.seq).padStart(6, '0')}`;
+
+  await db.collection('payments').updateOne(
+    { _id: payment._id, invoice_number: null },
+    { $set: { invoice_number: invoiceNumber, invoice_seq: counter.seq } }
+  );
+  const { invoice_number: assigned } = await db.collection('payments').findOne(
+    { _id: payment._id },
+    { projection: { invoice_number: 1 } }
+  );
+  return assigned;
+}
+
+// Everything printed on a payment's receipt, or null if it has none
+export async function loadReceipt(payment) {
+  if (!hasReceipt(payment)) return null;
+
+  const db = await getDB();
+  const invoiceNumber = await assignInvoiceNumber(payment);
+  const [user, plan, refunds] = await Promise.all([
+    db.collection('users').findOne({ _id: payment.user_id }, { projection: { name: 1, email: 1 } }),
+    db.collection('subscription_plans').findOne({ _id: payment.plan_id }, { projection: { name: 1 } }),
+    db.collection('refunds').find({ payment_id: payment._id, status: 'succeeded' }).sort({ created_at: 1 }).toArray()
+  ]);
+
+  return {
+    paymentId: payment._id.toString(),
+    invoiceNumber,
+    status: STATUS_LABELS[payment.payment_status],
+    paidAt: payment.paid_at || payment.created_at,
+    customer: user ? { name: user.name || null, email: user.email } : { name: 'Deleted account', email: null },
+    description: describePayment(payment, plan?.name || 'Cleo Music'),
+    currency: payment.currency || 'USD',
+    originalAmount: payment.original_amount ?? payment.amount,
+    discount: payment.discount_amount || 0,
+    couponCode: payment.coupon_code || null,
+    amount: payment.amount,
+    method: METHOD_LABELS[payment.payment_method] || payment.payment_method,
+    reference: providerReference(payment),
+    refunds: refunds.map(refund => ({ date: refund.settled_at || refund.created_at, amount: refund.amount })),
+    amountRefunded: payment.amount_refunded || 0
+  };
+}
+
+export const receiptFilename = (receipt) => `receipt-${receipt.invoiceNumber}.pdf`;
+
+// Write the receipt as a PDF to `stream` (an HTTP response, or anything writable)
+export function renderReceiptPdf(receipt, stream) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Receipt ${receipt.invoiceNumber}` } });
+  doc.pipe(stream);
+
+  const seller = business();
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const width = right - left;
+
+  doc.font('Helvetica-Bold').fontSize(18).text(seller.name, left, 50);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555');
+  for (const line of seller.address) doc.text(line);
+  if (seller.email) doc.text(seller.email);
+  if (seller.taxId) doc.text(`Tax ID: ${seller.taxId}`);
+
+  doc.font('Helvetica-Bold').fontSize(18).fillColor('#000000').text('RECEIPT', left, 50, { width, align: 'right' });
+  doc.font('Helvetica').fontSize(10)
+    .text(`Invoice no. ${receipt.invoiceNumber}`, { width, align: 'right' })
+    .text(`Date paid: ${formatDate(receipt.paidAt)}`, { width, align: 'right' })
+    .text(`Status: ${receipt.status}`, { width, align: 'right' });
+
+  doc.moveDown(3);
+  const billedY = Math.max(doc.y, 150);
+  doc.font('Helvetica-Bold').fontSize(10).text('Billed to', left, billedY);
+  doc.font('Helvetica').text(receipt.customer.name || receipt.customer.email || '');
+  if (receipt.customer.name && receipt.customer.email) doc.text(receipt.customer.email);
+
+  // Line items
+  const row = (label, value, { bold = false } = {}) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    doc.text(label, left, y, { width: width - 150 });
+    doc.text(value, right - 150, y, { width: 150, align: 'right' });
+    doc.moveDown(0.5);
+  };
+  const rule = () => {
+    doc.moveTo(left, doc.y).lineTo(right, doc.y).strokeColor('#cccccc').stroke();
+    doc.moveDown(0.5);
+  };
+
+  doc.moveDown(2);
+  row('Description', 'Amount', { bold: true });
+  rule();
+  row(receipt.description, formatMoney(receipt.originalAmount, receipt.currency));
+  if (receipt.discount > 0) {
+    row(`Discount${receipt.couponCode ? ` (${receipt.couponCode})` : ''}`, `-${formatMoney(receipt.discount, receipt.currency)}`);
+  }
+  rule();
+  row('Total paid', formatMoney(receipt.amount, receipt.currency), { bold: true });
+
+  for (const refund of receipt.refunds) {
+    row(`Refunded on ${formatDate(refund.date)}`, `-${formatMoney(refund.amount, receipt.currency)}`);
+  }
+  if (receipt.amountRefunded > 0) {
+    rule();
+    row('Net paid', formatMoney(receipt.amount - receipt.amountRefunded, receipt.currency), { bold: true });
+  }
+
+  doc.moveDown(1.5);
+  doc.font('Helvetica').fontSize(10).text(`Payment method: ${receipt.method}`, left);
+  if (receipt.reference) {
+    doc.text(`${receipt.method === 'M-Pesa' ? 'M-Pesa receipt no.' : 'Reference'}: ${receipt.reference}`);
+  }
+
+  doc.moveDown(3);
+  doc.fontSize(8).fillColor('#777777').text(`Thank you for supporting ${seller.name}.`, left, doc.y, { width, align: 'center' });
+
+  doc.end();
+  return doc;
+}
+
+// Answer an HTTP request with the receipt as a download
+export function sendReceiptPdf(res, receipt) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${receiptFilename(receipt)}"`);
+  renderReceiptPdf(receipt, res);
+}
+
+// The PDF as a Buffer (for bulk exports)
+export const renderReceiptBuffer = (receipt) => new Promise((resolve, reject) => {
+  const chunks = [];
+  const sink = new PassThrough();
+  sink.on('data', chunk => chunks.push(chunk));
+  sink.on('end', () => resolve(Buffer.concat(chunks)));
+  sink.on('error', reject);
+  renderReceiptPdf(receipt, sink);
+});
+
+// Text starting with = + - @ (or a tab / carriage return) would run as a formula in a
+// spreadsheet, and customers choose their own names, so it is prefixed with '
+const csvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One line per receipt, for accounting
+export function receiptsCsv(receipts) {
+  const header = [
+    'invoice_number', 'paid_at', 'customer_name', 'customer_email', 'description', 'currency',
+    'subtotal', 'discount', 'amount', 'refunded', 'net', 'method', 'reference', 'status', 'payment_id'
+  ];
+  const lines = receipts.map(receipt => [
+    receipt.invoiceNumber,
+    new Date(receipt.paidAt).toISOString(),
+    receipt.customer.name,
+    receipt.customer.email,
+    receipt.description,
+    receipt.currency,
+    receipt.originalAmount,
+    receipt.discount,
+    receipt.amount,
+    receipt.amountRefunded,
+    Math.round((receipt.amount - receipt.amountRefunded) * 100) / 100,
+    receipt.method,
+    receipt.reference,
+    receipt.status,
+    receipt.paymentId
+  ].map(csvField).join(','));
+  return [header.join(','), ...lines].join('\n') + '\n';
+}
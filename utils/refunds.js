@@ -0,0 +1,492 @@
+import { ObjectId } from 'mongodb';
+import { getDB } from '../config/database.js';
+import { getStripe, toMinorUnits } from './stripe.js';
+import { isMpesaReversalConfigured, reverseTransaction } from './mpesa.js';
+import { recordSubscriptionEvent } from './subscriptions.js';
+
+// Refunds and chargebacks.
+//
+// Every refund is a row in the refunds collection ('pending' -> 'succeeded' | 'failed'),
+// whether an admin issued it (refundPayment) or it was made in the Stripe dashboard and
+// reported by webhook. A payment's amount_refunded is always the sum of its succeeded
+// refunds, and its payment_status becomes 'partially_refunded' or 'refunded'.
+//
+// An admin refund can also shorten or cancel the subscription the payment paid for, and
+// a full refund made in the Stripe dashboard cancels it; that happens once the refund
+// has succeeded. Refunding a gift voids its voucher, so
+// gifts can only be refunded in full and before the voucher is redeemed.
+//
+// Disputes (chargebacks) are recorded on the payment as `dispute`; a lost dispute
+// marks the payment 'charged_back'.
+
+export const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+export const SUBSCRIPTION_ACTIONS = ['keep', 'shorten', 'cancel'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+const STRIPE_REFUND_STATUS = {
+  succeeded: 'succeeded',
+  pending: 'pending',
+  requires_action: 'pending',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+export const refundableAmount = (payment) =>
+  round2(payment.amount - (payment.amount_refunded || 0) - (payment.amount_refund_pending || 0));
+
+// How a payment can be refunded, or null if it can't be through the app
+const refundProvider = (payment) => {
+  if (payment.payment_method === 'stripe' && payment.stripe_payment_intent_id) return 'stripe';
+  if (payment.payment_method === 'mpesa' && payment.mpesa_transaction_id) return 'mpesa';
+  // Nothing was charged through a provider; the refund is only recorded
+  if (payment.payment_method === 'test') return 'manual';
+  return null;
+};
+
+// Why this refund can't be made, or null if it can. `voucher` is a gift payment's voucher.
+export function refundProblem(payment, { amount, subscriptionAction = 'keep', subscription = null, voucher = null }) {
+  if (!REFUNDABLE_STATUSES.includes(payment.payment_status)) {
+    return `Payments that are ${payment.payment_status} cannot be refunded`;
+  }
+  const provider = refundProvider(payment);
+  if (!provider) return 'This payment cannot be refunded through the app';
+  if (!(amount > 0)) return 'Refund amount must be a positive number';
+  if (amount > refundableAmount(payment)) {
+    return `At most ${refundableAmount(payment)} ${payment.currency} can be refunded`;
+  }
+  if (provider === 'mpesa') {
+    if (!isMpesaReversalConfigured()) return 'M-Pesa reversals are not configured';
+    if (amount !== payment.amount || payment.amount_refunded > 0) {
+      return 'M-Pesa payments can only be refunded in full';
+    }
+  }
+  if (payment.gift) {
+    if (voucher?.status === 'redeemed') return 'The gift voucher has already been redeemed';
+    if (amount !== payment.amount || payment.amount_refunded > 0) {
+      return 'Gift purchases can only be refunded in full';
+    }
+  }
+  if (!SUBSCRIPTION_ACTIONS.includes(subscriptionAction)) {
+    return `Subscription action must be one of ${SUBSCRIPTION_ACTIONS.join(', ')}`;
+  }
+  if (subscriptionAction !== 'keep' && !subscription) {
+    return 'This payment has no subscription to adjust';
+  }
+  if (subscriptionAction === 'shorten' && subscription?.auto_renew) {
+    return 'Recurring subscriptions can only be kept or cancelled';
+  }
+  return null;
+}
+
+// Recompute amount_refunded and payment_status from the payment's succeeded refunds
+export async function syncPaymentRefunds(paymentId) {
+  const db = await getDB();
+  const [totals] = await db.collection('refunds').aggregate([
+    { $match: { payment_id: paymentId, status: 'succeeded' } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]).toArray();
+  const refunded = round2(totals?.total || 0);
+
+  const payment = await db.collection('payments').findOne({ _id: paymentId });
+  if (!payment) return null;
+
+  const update = { amount_refunded: refunded, updated_at: new Date() };
+  if ([...REFUNDABLE_STATUSES, 'refunded'].includes(payment.payment_status)) {
+    if (refunded >= payment.amount) {
+      update.payment_status = 'refunded';
+    } else {
+      update.payment_status = refunded > 0 ? 'partially_refunded' : 'completed';
+    }
+    if (update.payment_status !== payment.payment_status && refunded > 0) {
+      update.refunded_at = new Date();
+    }
+  }
+
+  await db.collection('payments').updateOne({ _id: paymentId }, { $set: update });
+  return { ...payment, ...update };
+}
+
+// Shorten or cancel the refunded payment's subscription, once per refund
+async function adjustSubscription(refund) {
+  if (!refund.subscription_action || refund.subscription_action === 'keep') return;
+
+  const db = await getDB();
+  const claimed = await db.collection('refunds').updateOne(
+    { _id: refund._id, subscription_adjusted_at: null },
+    { $set: { subscription_adjusted_at: new Date() } }
+  );
+  if (claimed.modifiedCount === 0) return;
+
+  const payment = await db.collection('payments').findOne({ _id: refund.payment_id });
+  const subscription = payment?.subscription_id &&
+    await db.collection('user_subscriptions').findOne({ _id: payment.subscription_id });
+  if (!subscription) return;
+
+  const now = new Date();
+  const event = {
+    source: 'refund',
+    refund_id: refund._id,
+    payment_id: payment._id,
+    actor_id: refund.actor_id || null,
+    reason: refund.reason || null
+  };
+
+  let endDate = now;
+  if (refund.subscription_action === 'shorten') {
+    // Take off the share of the paid days the refund covers
+    const plan = await db.collection('subscription_plans').findOne({ _id: payment.plan_id });
+    const days = (plan?.duration_days || 0) * (refund.amount / payment.amount);
+    endDate = new Date(new Date(subscription.end_date).getTime() - days * DAY_MS);
+
+    if (endDate > now) {
+      await db.collection('user_subscriptions').updateOne(
+        { _id: subscription._id },
+        { $set: { end_date: endDate, updated_at: now } }
+      );
+      await recordSubscriptionEvent(subscription._id, {
+        type: 'shortened',
+        days: -round2(days),
+        from_end_date: subscription.end_date,
+        to_end_date: endDate,
+        ...event
+      });
+      return;
+    }
+  }
+
+  // Cancelled, or shortened to nothing: access ends now. The money has already gone
+  // back, so a failed Stripe cancel is recorded on the refund for an admin to finish
+  // rather than reported as a failed refund.
+  if (subscription.auto_renew && subscription.stripe_subscription_id) {
+    try {
+      await getStripe().subscriptions.cancel(subscription.stripe_subscription_id);
+    } catch (error) {
+      if (error.code !== 'resource_missing') {
+        console.error(`Refund ${refund._id}: Stripe subscription cancel error:`, error.message);
+        await db.collection('refunds').updateOne(
+          { _id: refund._id },
+          { $set: { subscription_error: `Could not cancel the Stripe subscription: ${error.message}` } }
+        );
+      }
+    }
+  }
+  await db.collection('user_subscriptions').updateOne(
+    { _id: subscription._id },
+    {
+      $set: {
+        status: 'revoked',
+        auto_renew: false,
+        end_date: endDate,
+        revoked_at: now,
+        revoked_reason: refund.reason || 'Payment refunded',
+        updated_at: now
+      },
+      $unset: { grace_until: '' }
+    }
+  );
+  await recordSubscriptionEvent(subscription._id, {
+    type: 'status_changed',
+    from_status: subscription.status,
+    to_status: 'revoked',
+    from_end_date: subscription.end_date,
+    to_end_date: endDate,
+    ...event
+  });
+}
+
+// Void the voucher a refunded gift payment bought. Returns false if it can't be,
+// because it was redeemed.
+async function voidGiftVoucher(payment, refundId) {
+  if (!payment.gift || !payment.voucher_id) return true;
+
+  const db = await getDB();
+  const result = await db.collection('vouchers').updateOne(
+    { _id: payment.voucher_id, status: 'active' },
+    { $set: { status: 'void', voided_at: new Date(), voided_refund_id: refundId } }
+  );
+  if (result.modifiedCount > 0) return true;
+
+  const voucher = await db.collection('vouchers').findOne({ _id: payment.voucher_id }, { projection: { status: 1 } });
+  return voucher?.status !== 'redeemed';
+}
+
+// Make a voucher voided for a refund that then failed redeemable again
+async function restoreGiftVoucher(refund) {
+  const db = await getDB();
+  await db.collection('vouchers').updateOne(
+    { voided_refund_id: refund._id, status: 'void' },
+    { $set: { status: 'active' }, $unset: { voided_at: '', voided_refund_id: '' } }
+  );
+}
+
+// A refund's final outcome: release the reserved amount, update the payment and,
+// if it succeeded, void a gift's voucher and apply the subscription action
+async function settleRefund(refundId, status, fields = {}) {
+  const db = await getDB();
+  const refund = await db.collection('refunds').findOneAndUpdate(
+    { _id: refundId, status: 'pending' },
+    { $set: { status, ...fields, settled_at: new Date(), updated_at: new Date() } },
+    { returnDocument: 'after' }
+  );
+  if (!refund) return null;
+
+  if (refund.reserved) {
+    await db.collection('payments').updateOne(
+      { _id: refund.payment_id },
+      { $inc: { amount_refund_pending: -refund.amount } }
+    );
+  }
+  const payment = await syncPaymentRefunds(refund.payment_id);
+  if (status === 'succeeded') {
+    // Refunds made in the Stripe dashboard only void the voucher now
+    if (payment && !(await voidGiftVoucher(payment, refund._id))) {
+      console.warn(`Refund ${refund._id}: the gift voucher of payment ${payment._id} was already redeemed`);
+    }
+    await adjustSubscription(refund);
+  } else {
+    await restoreGiftVoucher(refund);
+  }
+  return refund;
+}
+
+// Refund `amount` of a payment through the provider it was paid with.
+// Returns the refund row; M-Pesa refunds stay 'pending' until Safaricom reports back.
+export async function refundPayment(payment, { amount, reason = null, subscriptionAction = 'keep', actorId = null }) {
+  const db = await getDB();
+  const provider = refundProvider(payment);
+  const now = new Date();
+
+  // Reserve the amount so two refunds at once can't exceed what was paid
+  const reserved = await db.collection('payments').updateOne(
+    {
+      _id: payment._id,
+      payment_status: { $in: REFUNDABLE_STATUSES },
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ['$amount_refunded', 0] }, { $ifNull: ['$amount_refund_pending', 0] }, amount] },
+          { $add: ['$amount', 0.001] }
+        ]
+      }
+    },
+    { $inc: { amount_refund_pending: amount } }
+  );
+  if (reserved.modifiedCount === 0) {
+    const error = new Error('The payment changed; reload it and try again');
+    error.status = 409;
+    throw error;
+  }
+
+  const refund = {
+    payment_id: payment._id,
+    user_id: payment.user_id,
+    provider,
+    amount,
+    currency: payment.currency,
+    status: 'pending',
+    reason,
+    subscription_action: subscriptionAction,
+    subscription_adjusted_at: null,
+    actor_id: actorId ? new ObjectId(actorId) : null,
+    reserved: true,
+    created_at: now,
+    updated_at: now
+  };
+  const { insertedId } = await db.collection('refunds').insertOne(refund);
+  refund._id = insertedId;
+
+  // Void the gift's voucher before any money goes back, so it can't be redeemed meanwhile
+  if (!(await voidGiftVoucher(payment, insertedId))) {
+    await settleRefund(insertedId, 'failed', { failure_reason: 'The gift voucher has already been redeemed' });
+    const error = new Error('The gift voucher has already been redeemed');
+    error.status = 409;
+    throw error;
+  }
+
+  // Only a provider error means the refund failed; what follows a successful one doesn't
+  let outcome = null;
+  try {
+    if (provider === 'stripe') {
+      const stripeRefund = await getStripe().refunds.create(
+        {
+          payment_intent: payment.stripe_payment_intent_id,
+          amount: toMinorUnits(amount),
+          metadata: { paymentId: payment._id.toString(), refundId: insertedId.toString() }
+        },
+        { idempotencyKey: `refund-${insertedId}` }
+      );
+      await db.collection('refunds').updateOne(
+        { _id: insertedId },
+        { $set: { provider_refund_id: stripeRefund.id } }
+      );
+      const status = STRIPE_REFUND_STATUS[stripeRefund.status] || 'pending';
+      if (status !== 'pending') {
+        outcome = { status, fields: { failure_reason: stripeRefund.failure_reason || null } };
+      }
+    } else if (provider === 'mpesa') {
+      const reversal = await reverseTransaction({
+        transactionId: payment.mpesa_transaction_id,
+        amount,
+        remarks: reason
+      });
+      await db.collection('refunds').updateOne(
+        { _id: insertedId },
+        {
+          $set: {
+            mpesa_conversation_id: reversal.ConversationID,
+            mpesa_originator_conversation_id: reversal.OriginatorConversationID
+          }
+        }
+      );
+    } else {
+      outcome = { status: 'succeeded' };
+    }
+  } catch (error) {
+    await settleRefund(insertedId, 'failed', { failure_reason: error.message });
+    throw error;
+  }
+
+  if (outcome) {
+    await settleRefund(insertedId, outcome.status, outcome.fields);
+  }
+
+  return db.collection('refunds').findOne({ _id: insertedId });
+}
+
+// ========== M-PESA REVERSAL RESULTS ==========
+
+// Result (or queue timeout) of a reversal requested by refundPayment
+export async function handleMpesaReversalResult(result, { timedOut = false } = {}) {
+  const db = await getDB();
+  const refund = await db.collection('refunds').findOne({
+    $or: [
+      { mpesa_conversation_id: result.ConversationID },
+      { mpesa_originator_conversation_id: result.OriginatorConversationID }
+    ]
+  });
+  if (!refund) return null;
+
+  if (timedOut) {
+    return settleRefund(refund._id, 'failed', { failure_reason: 'M-Pesa reversal timed out in the queue' });
+  }
+
+  const succeeded = Number(result.ResultCode) === 0;
+  return settleRefund(refund._id, succeeded ? 'succeeded' : 'failed', {
+    provider_refund_id: result.TransactionID || null,
+    failure_reason: succeeded ? null : result.ResultDesc || null
+  });
+}
+
+// ========== STRIPE WEBHOOKS ==========
+
+const findStripePayment = async (paymentIntentId) => {
+  if (!paymentIntentId) return null;
+  const db = await getDB();
+  return db.collection('payments').findOne({ stripe_payment_intent_id: paymentIntentId });
+};
+
+// Record a Stripe refund (ours or one made in the dashboard) and settle it if final.
+// A refund first seen here is recorded as pending and settled like any other, so a
+// dashboard refund that has already succeeded still voids a gift's voucher.
+async function upsertStripeRefund(payment, stripeRefund) {
+  const db = await getDB();
+  const status = STRIPE_REFUND_STATUS[stripeRefund.status] || 'pending';
+  const ourRefundId = stripeRefund.metadata?.refundId;
+  const query = ourRefundId && ObjectId.isValid(ourRefundId)
+    ? { _id: new ObjectId(ourRefundId) }
+    : { provider_refund_id: stripeRefund.id };
+
+  let existing = await db.collection('refunds').findOne(query);
+
+  if (!existing) {
+    const now = new Date();
+    const amount = stripeRefund.amount / 100;
+    existing = await db.collection('refunds').findOneAndUpdate(
+      { provider_refund_id: stripeRefund.id },
+      {
+        $setOnInsert: {
+          payment_id: payment._id,
+          user_id: payment.user_id,
+          provider: 'stripe',
+          provider_refund_id: stripeRefund.id,
+          amount,
+          currency: (stripeRefund.currency || payment.currency).toUpperCase(),
+          status: 'pending',
+          reason: stripeRefund.reason || 'Refunded in Stripe',
+          // Refunding the whole payment in the dashboard takes back what it paid for
+          subscription_action: amount >= payment.amount && payment.subscription_id ? 'cancel' : 'keep',
+          subscription_adjusted_at: null,
+          source: 'stripe_dashboard',
+          created_at: now,
+          updated_at: now
+        }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+  }
+
+  if (existing.status === 'pending' && status !== 'pending') {
+    await settleRefund(existing._id, status, { failure_reason: stripeRefund.failure_reason || null });
+  } else if (existing.status === 'succeeded' && status === 'failed') {
+    // A refund can still fail after succeeding (e.g. the card account was closed)
+    await db.collection('refunds').updateOne(
+      { _id: existing._id },
+      { $set: { status: 'failed', failure_reason: stripeRefund.failure_reason || null, updated_at: new Date() } }
+    );
+    await syncPaymentRefunds(payment._id);
+  }
+}
+
+export async function handleChargeRefunded(charge) {
+  const payment = await findStripePayment(charge.payment_intent);
+  if (!payment) return;
+
+  // Newer API versions don't embed the refunds in the charge
+  const refunds = charge.refunds?.data?.length
+    ? charge.refunds.data
+    : (await getStripe().refunds.list({ payment_intent: charge.payment_intent, limit: 100 })).data;
+
+  for (const stripeRefund of refunds) {
+    await upsertStripeRefund(payment, stripeRefund);
+  }
+}
+
+export async function handleRefundUpdated(stripeRefund) {
+  const payment = await findStripePayment(stripeRefund.payment_intent);
+  if (!payment) return;
+  await upsertStripeRefund(payment, stripeRefund);
+}
+
+// charge.dispute.* - keep the dispute's latest state on the payment
+export async function handleDispute(dispute) {
+  let paymentIntentId = dispute.payment_intent;
+  if (!paymentIntentId && dispute.charge) {
+    const charge = await getStripe().charges.retrieve(dispute.charge);
+    paymentIntentId = charge.payment_intent;
+  }
+  const payment = await findStripePayment(paymentIntentId);
+  if (!payment) return;
+
+  const db = await getDB();
+  const update = {
+    dispute: {
+      id: dispute.id,
+      status: dispute.status,
+      reason: dispute.reason,
+      amount: dispute.amount / 100,
+      currency: (dispute.currency || payment.currency).toUpperCase(),
+      evidence_due_by: dispute.evidence_details?.due_by ? new Date(dispute.evidence_details.due_by * 1000) : null,
+      opened_at: payment.dispute?.opened_at || new Date(dispute.created * 1000),
+      updated_at: new Date()
+    },
+    updated_at: new Date()
+  };
+  if (dispute.status === 'lost') {
+    update.payment_status = 'charged_back';
+  } else if (dispute.status === 'won' && payment.payment_status === 'charged_back') {
+    update.payment_status = payment.amount_refunded > 0 ? 'partially_refunded' : 'completed';
+  }
+
+  await db.collection('payments').updateOne({ _id: payment._id }, { $set: update });
+}
@@ -0,0 +1,54 @@
+import { runSubscriptionLifecycle } from './subscriptionLifecycle.js';
+import { purgeDueAccounts } from './accountData.js';
+
+// In-process timers for the periodic jobs. Set SCHEDULER_ENABLED=false to run them
+// from cron instead (npm run subscription-lifecycle / npm run purge-accounts).
+// The jobs are safe to run on several instances at once.
+
+const minutes = (value, fallback) => (parseInt(value) || fallback) * 60 * 1000;
+
+const JOBS = [
+  {
+    name: 'subscription-lifecycle',
+    intervalMs: minutes(process.env.SUBSCRIPTION_JOB_INTERVAL_MINUTES, 15),
+    run: runSubscriptionLifecycle
+  },
+  {
+    name: 'purge-accounts',
+    intervalMs: minutes(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES, 60),
+    run: purgeDueAccounts
+  }
+];
+
+const timers = [];
+
+export function startScheduler() {
+  if (process.env.SCHEDULER_ENABLED === 'false' || timers.length > 0) return;
+
+  for (const job of JOBS) {
+    let running = false;
+    const tick = async () => {
+      // A slow run is never overlapped by the next one
+      if (running) return;
+      running = true;
+      try {
+        const result = await job.run();
+        console.log(`⏱️  ${job.name}:`, result);
+      } catch (error) {
+        console.error(`Scheduled job ${job.name} error:`, error);
+      } finally {
+        running = false;
+      }
+    };
+
+    const timer = setInterval(tick, job.intervalMs);
+    // Don't keep the process alive just for the timers
+    timer.unref();
+    timers.push(timer);
+  }
+  console.log(`⏱️  Scheduler started (${JOBS.map(job => job.name).join(', ')})`);
+}
+
+export function stopScheduler() {
+  timers.splice(0).forEach(clearInterval);
+}
@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { ObjectId } from 'mongodb';
+import { getDB } from '../config/database.js';
+
+// Access tokens are short-lived; the refresh token is what keeps a device signed in
+const ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// How often last_seen_at is written back, so authenticate isn't a write per request
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+// Only a hash of the refresh token is stored, so a database leak can't be replayed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_DAYS);
+  return expiresAt;
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without a scan
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!secret || !ObjectId.isValid(sessionId)) return null;
+  return new ObjectId(sessionId);
+};
+
+export function signAccessToken(userId, sessionId) {
+  return jwt.sign(
+    { userId: userId.toString(), sid: sessionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRE }
+  );
+}
+
+// Rough human-readable device label from a user agent string
+export function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Chrome\//, 'Chrome'],
+    [/Firefox\//, 'Firefox'],
+    [/Safari\//, 'Safari'],
+    [/okhttp|Dalvik/i, 'Android app'],
+    [/CFNetwork|Darwin/, 'iOS app']
+  ].find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  const os = [
+    [/Android/, 'Android'],
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/CrOS/, 'ChromeOS'],
+    [/Linux/, 'Linux']
+  ].find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+}
+
+// Start a new session for a user and return its token pair.
+// `mfa` records that the login passed a second factor.
+export async function createSession(userId, req, { mfa = false } = {}) {
+  const db = await getDB();
+  const sessionId = new ObjectId();
+  const refreshToken = newRefreshToken(sessionId);
+  const userAgent = req.headers['user-agent'] || null;
+
+  await db.collection('sessions').insertOne({
+    _id: sessionId,
+    user_id: new ObjectId(userId),
+    refresh_token_hash: hashToken(refreshToken),
+    // Clients may name the device themselves (e.g. "Living room TV")
+    device: req.body?.device?.toString().trim().slice(0, 100) || describeDevice(userAgent),
+    user_agent: userAgent,
+    ip: req.ip,
+    mfa,
+    created_at: new Date(),
+    last_seen_at: new Date(),
+    expires_at: refreshExpiry(),
+    revoked_at: null,
+    revoked_reason: null
+  });
+
+  return {
+    sessionId: sessionId.toString(),
+    token: signAccessToken(userId, sessionId),
+    refreshToken
+  };
+}
+
+// Exchange a refresh token for a new token pair; the old refresh token stops working
+export async function rotateSession(refreshToken, req) {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) return null;
+
+  const db = await getDB();
+  const session = await db.collection('sessions').findOne({ _id: sessionId });
+
+  if (!session || session.revoked_at || session.expires_at <= new Date()) {
+    return null;
+  }
+
+  // A valid session id with the wrong secret means an old token was replayed,
+  // so assume it was stolen and kill the whole session
+  if (session.refresh_token_hash !== hashToken(refreshToken)) {
+    await revokeSession(sessionId, 'refresh_token_reuse');
+    return null;
+  }
+
+  const nextRefreshToken = newRefreshToken(sessionId);
+  const result = await db.collection('sessions').updateOne(
+    { _id: sessionId, refresh_token_hash: session.refresh_token_hash, revoked_at: null },
+    {
+      $set: {
+        refresh_token_hash: hashToken(nextRefreshToken),
+        user_agent: req.headers['user-agent'] || session.user_agent,
+        ip: req.ip,
+        last_seen_at: new Date(),
+        expires_at: refreshExpiry()
+      }
+    }
+  );
+
+  // Lost a race with a concurrent refresh of the same token
+  if (result.modifiedCount === 0) return null;
+
+  return {
+    sessionId: sessionId.toString(),
+    userId: session.user_id.toString(),
+    token: signAccessToken(session.user_id, sessionId),
+    refreshToken: nextRefreshToken
+  };
+}
+
+// Get a session that can still be used to authenticate
+export async function findActiveSession(sessionId) {
+  if (!ObjectId.isValid(sessionId)) return null;
+
+  const db = await getDB();
+  return db.collection('sessions').findOne({
+    _id: new ObjectId(sessionId),
+    revoked_at: null,
+    expires_at: { $gt: new Date() }
+  });
+}
+
+// Record activity on a session, at most once per LAST_SEEN_INTERVAL_MS
+export async function touchSession(session, req) {
+  if (Date.now() - new Date(session.last_seen_at).getTime() < LAST_SEEN_INTERVAL_MS) {
+    return;
+  }
+
+  const db = await getDB();
+  await db.collection('sessions').updateOne(
+    { _id: session._id },
+    { $set: { last_seen_at: new Date(), ip: req.ip } }
+  );
+}
+
+// Mark a session as having passed a second factor (e.g. right after enrolling in 2FA)
+export async function markSessionMfa(sessionId) {
+  const db = await getDB();
+  await db.collection('sessions').updateOne(
+    { _id: new ObjectId(sessionId) },
+    { $set: { mfa: true } }
+  );
+}
+
+// Active sessions of a user, most recently used first
+export async function listUserSessions(userId) {
+  const db = await getDB();
+  return db.collection('sessions')
+    .find({
+      user_id: new ObjectId(userId),
+      revoked_at: null,
+      expires_at: { $gt: new Date() }
+    })
+    .sort({ last_seen_at: -1 })
+    .toArray();
+}
+
+export const formatSession = (session, currentSessionId = null) => ({
+  id: session._id.toString(),
+  device: session.device || describeDevice(session.user_agent),
+  user_agent: session.user_agent,
+  ip: session.ip,
+  last_seen_at: session.last_seen_at,
+  created_at: session.created_at,
+  expires_at: session.expires_at,
+  is_current: session._id.toString() === currentSessionId
+});
+
+// Revoke a session; pass userId to make sure it belongs to that user
+export async function revokeSession(sessionId, reason = 'logout', userId = null) {
+  const db = await getDB();
+  const filter = { _id: new ObjectId(sessionId), revoked_at: null };
+  if (userId) {
+    filter.user_id = new ObjectId(userId);
+  }
+
+  const result = await db.collection('sessions').updateOne(
+    filter,
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Revoke every session of a user, optionally keeping the one making the request
+export async function revokeUserSessions(userId, { except = null, reason = 'revoked' } = {}) {
+  const db = await getDB();
+  const filter = { user_id: new ObjectId(userId), revoked_at: null };
+  if (except) {
+    filter._id = { $ne: new ObjectId(except) };
+  }
+
+  const result = await db.collection('sessions').updateMany(
+    filter,
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+  return result.modifiedCount;
+}
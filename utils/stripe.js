@@ -0,0 +1,44 @@
+import Stripe from 'stripe';
+
+// Shared Stripe client. STRIPE_API_BASE points it somewhere other than
+// api.stripe.com, e.g. a local stripe-mock (http://localhost:12111).
+
+let client;
+
+function createClient() {
+  if (!process.env.STRIPE_SECRET_KEY) return null;
+
+  const options = {};
+  if (process.env.STRIPE_API_BASE) {
+    const base = new URL(process.env.STRIPE_API_BASE);
+    options.host = base.hostname;
+    options.protocol = base.protocol.replace(':', '');
+    if (base.port) options.port = parseInt(base.port);
+  }
+  return new Stripe(process.env.STRIPE_SECRET_KEY, options);
+}
+
+// null when STRIPE_SECRET_KEY isn't set
+export function getStripe() {
+  if (client === undefined) {
+    client = createClient();
+  }
+  return client;
+}
+
+export function setStripe(nextClient) {
+  client = nextClient;
+}
+
+// Stripe amounts are in the currency's smallest unit
+export const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+
+// Verify the Stripe-Signature header against the raw request body
+export function constructWebhookEvent(rawBody, signature) {
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    throw new Error('STRIPE_WEBHOOK_SECRET is not set');
+  }
+  // Signature checks don't need an API key, so this also works without STRIPE_SECRET_KEY
+  const stripe = getStripe() || new Stripe('sk_unused');
+  return stripe.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+}
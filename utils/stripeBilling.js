@@ -0,0 +1,367 @@
+import { ObjectId } from 'mongodb';
+import { getDB } from '../config/database.js';
+import { getStripe } from './stripe.js';
+import { recordSubscriptionEvent } from './subscriptions.js';
+import { applyScheduledPlanChange } from './planChanges.js';
+import { ensureStripeCoupon, recordRedemption } from './coupons.js';
+import { assignInvoiceNumber } from './receipts.js';
+
+// Recurring subscriptions through Stripe Billing. A user_subscriptions row with
+// auto_renew: true mirrors one Stripe Subscription; the webhooks below keep its
+// status and end_date (the end of the paid period) in sync.
+
+// Stripe subscription status -> our status. See accessFilter in utils/subscriptions.js
+// for which ones grant access.
+const STATUS_MAP = {
+  active: 'active',
+  trialing: 'trialing',
+  past_due: 'past_due',
+  unpaid: 'unpaid',
+  canceled: 'cancelled',
+  incomplete: 'incomplete',
+  incomplete_expired: 'expired',
+  paused: 'paused'
+};
+
+const fromUnix = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+// The user's Stripe Customer, created on first use and remembered on the user
+export async function ensureStripeCustomer(userId) {
+  const db = await getDB();
+  const user = await db.collection('users').findOne(
+    { _id: new ObjectId(userId) },
+    { projection: { email: 1, name: 1, stripe_customer_id: 1 } }
+  );
+  if (!user) throw new Error('User not found');
+  if (user.stripe_customer_id) return user.stripe_customer_id;
+
+  const customer = await getStripe().customers.create(
+    {
+      email: user.email,
+      name: user.name,
+      metadata: { userId: user._id.toString() }
+    },
+    { idempotencyKey: `customer-${user._id}` }
+  );
+
+  await db.collection('users').updateOne(
+    { _id: user._id },
+    { $set: { stripe_customer_id: customer.id, updated_at: new Date() } }
+  );
+  return customer.id;
+}
+
+// Start a Stripe subscription for a plan. The first invoice is left open; the
+// client confirms its PaymentIntent and invoice.paid activates the subscription.
+// A coupon discounts the first invoice.
+//
+// With trialDays the subscription starts 'trialing' straight away and the client
+// confirms a SetupIntent instead to save a card. Stripe charges it when the trial
+// ends, or cancels the subscription if no card was saved.
+//
+// A currency other than USD bills in that currency; the plan's Stripe price must list
+// it in currency_options.
+export async function createRecurringSubscription({ userId, plan, coupon = null, trialDays = 0, currency = 'USD' }) {
+  const db = await getDB();
+  const customerId = await ensureStripeCustomer(userId);
+
+  const stripeSubscription = await getStripe().subscriptions.create({
+    customer: customerId,
+    items: [{ price: plan.stripe_price_id }],
+    ...(coupon ? { coupon: await ensureStripeCoupon(coupon) } : {}),
+    ...(trialDays > 0
+      ? {
+          trial_period_days: trialDays,
+          trial_settings: { end_behavior: { missing_payment_method: 'cancel' } }
+        }
+      : {}),
+    ...(currency !== 'USD' ? { currency: currency.toLowerCase() } : {}),
+    payment_behavior: 'default_incomplete',
+    payment_settings: { save_default_payment_method: 'on_subscription' },
+    expand: ['latest_invoice.payment_intent', 'pending_setup_intent'],
+    metadata: { userId: userId.toString(), planId: plan._id.toString() }
+  });
+
+  const now = new Date();
+  const status = STATUS_MAP[stripeSubscription.status] || stripeSubscription.status;
+  const trialEnd = fromUnix(stripeSubscription.trial_end);
+  const { insertedId } = await db.collection('user_subscriptions').insertOne({
+    user_id: new ObjectId(userId),
+    plan_id: plan._id,
+    status,
+    auto_renew: true,
+    cancel_at_period_end: false,
+    stripe_subscription_id: stripeSubscription.id,
+    stripe_customer_id: customerId,
+    currency,
+    ...(coupon ? { coupon_id: coupon._id, coupon_code: coupon.code } : {}),
+    start_date: trialEnd ? now : null,
+    end_date: trialEnd,
+    ...(trialEnd ? { trial_end: trialEnd } : {}),
+    created_at: now,
+    updated_at: now
+  });
+  await recordSubscriptionEvent(insertedId, {
+    type: trialEnd ? 'trial_started' : 'created',
+    plan_id: plan._id,
+    to_status: status,
+    ...(trialEnd ? { days: trialDays, to_end_date: trialEnd } : {}),
+    source: 'stripe_billing',
+    stripe_subscription_id: stripeSubscription.id
+  });
+
+  return {
+    subscriptionId: insertedId,
+    stripeSubscription,
+    trialEnd,
+    clientSecret: stripeSubscription.latest_invoice?.payment_intent?.client_secret ||
+      stripeSubscription.pending_setup_intent?.client_secret ||
+      null
+  };
+}
+
+// Cancel at the end of the paid period (cancel = true) or undo that (cancel = false)
+export async function setCancelAtPeriodEnd(subscription, cancel, { reason = null, actorId = null } = {}) {
+  const db = await getDB();
+  const stripeSubscription = await getStripe().subscriptions.update(subscription.stripe_subscription_id, {
+    cancel_at_period_end: cancel
+  });
+
+  await db.collection('user_subscriptions').updateOne(
+    { _id: subscription._id },
+    {
+      $set: {
+        cancel_at_period_end: stripeSubscription.cancel_at_period_end,
+        cancel_requested_at: cancel ? new Date() : null,
+        updated_at: new Date()
+      }
+    }
+  );
+  await recordSubscriptionEvent(subscription._id, {
+    type: cancel ? 'cancel_scheduled' : 'resumed',
+    source: 'user',
+    reason,
+    actor_id: actorId ? new ObjectId(actorId) : null
+  });
+
+  return db.collection('user_subscriptions').findOne({ _id: subscription._id });
+}
+
+// ========== WEBHOOKS ==========
+
+// Webhooks for a subscription can arrive before createRecurringSubscription has stored
+// the row; throwing makes the webhook fail so Stripe delivers it again later
+async function findRecurringRow(stripeSubscriptionId) {
+  const db = await getDB();
+  const subscription = await db.collection('user_subscriptions').findOne({ stripe_subscription_id: stripeSubscriptionId });
+  if (!subscription) {
+    throw new Error(`No subscription found for ${stripeSubscriptionId}`);
+  }
+  return subscription;
+}
+
+// A subscription invoice was paid: record the payment and extend access to the end of its period
+export async function handleInvoicePaid(invoice) {
+  if (!invoice.subscription) return;
+
+  const db = await getDB();
+  const subscription = await findRecurringRow(invoice.subscription);
+  const line = invoice.lines?.data?.find(item => item.type === 'subscription') || invoice.lines?.data?.[0];
+  const periodStart = fromUnix(line?.period?.start);
+  const periodEnd = fromUnix(line?.period?.end);
+
+  // The $0 invoice that opens a trial: nothing was paid and the trial already gives access
+  if (invoice.billing_reason === 'subscription_create' && invoice.amount_paid === 0 && subscription.status === 'trialing') {
+    return;
+  }
+
+  const paidAt = fromUnix(invoice.status_transitions?.paid_at) || new Date();
+  // Upsert by invoice id: an earlier invoice.payment_failed may already have recorded it
+  const payment = await db.collection('payments').findOneAndUpdate(
+    { stripe_invoice_id: invoice.id },
+    {
+      $set: {
+        payment_status: 'completed',
+        amount: invoice.amount_paid / 100,
+        paid_at: paidAt,
+        ...(invoice.payment_intent ? { stripe_payment_intent_id: invoice.payment_intent } : {}),
+        updated_at: new Date()
+      },
+      $unset: { failure_message: '' },
+      $setOnInsert: {
+        user_id: subscription.user_id,
+        plan_id: subscription.plan_id,
+        subscription_id: subscription._id,
+        currency: (invoice.currency || 'usd').toUpperCase(),
+        payment_method: 'stripe',
+        transaction_reference: invoice.id,
+        billing_reason: invoice.billing_reason,
+        created_at: new Date()
+      }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+  await assignInvoiceNumber(payment);
+
+  // The coupon the subscription was started with was applied to its first invoice
+  if (invoice.billing_reason === 'subscription_create' && subscription.coupon_id) {
+    const discount = (invoice.total_discount_amounts || []).reduce((sum, item) => sum + item.amount, 0) / 100;
+    const couponFields = {
+      coupon_id: subscription.coupon_id,
+      coupon_code: subscription.coupon_code,
+      original_amount: invoice.subtotal / 100,
+      discount_amount: discount
+    };
+    await db.collection('payments').updateOne({ _id: payment._id }, { $set: couponFields });
+    await recordRedemption({ ...payment, ...couponFields });
+  }
+
+  // A downgrade scheduled for the end of the previous period is billed from this invoice on
+  if (invoice.billing_reason === 'subscription_cycle') {
+    await applyScheduledPlanChange(subscription, { source: 'stripe_billing', stripe_invoice_id: invoice.id });
+  }
+
+  const endDate = periodEnd && (!subscription.end_date || periodEnd > subscription.end_date)
+    ? periodEnd
+    : subscription.end_date;
+
+  // Nothing to do if this period has already been applied
+  if (subscription.status === 'active' && String(endDate) === String(subscription.end_date)) return;
+
+  await db.collection('user_subscriptions').updateOne(
+    { _id: subscription._id },
+    {
+      $set: {
+        status: 'active',
+        start_date: subscription.start_date || periodStart || new Date(),
+        current_period_start: periodStart,
+        end_date: endDate,
+        updated_at: new Date()
+      },
+      $unset: { grace_until: '' }
+    }
+  );
+  await recordSubscriptionEvent(subscription._id, {
+    type: invoice.billing_reason === 'subscription_create'
+      ? 'activated'
+      : String(subscription.end_date) === String(subscription.trial_end) ? 'trial_converted' : 'renewed',
+    plan_id: subscription.plan_id,
+    from_status: subscription.status,
+    to_status: 'active',
+    from_end_date: subscription.end_date,
+    to_end_date: endDate,
+    source: 'stripe_billing',
+    payment_id: payment._id,
+    stripe_invoice_id: invoice.id
+  });
+}
+
+// A renewal charge failed; Stripe retries it and reports the new status via subscription.updated
+export async function handleInvoicePaymentFailed(invoice) {
+  if (!invoice.subscription) return;
+
+  const db = await getDB();
+  const subscription = await findRecurringRow(invoice.subscription);
+  await db.collection('payments').updateOne(
+    { stripe_invoice_id: invoice.id },
+    {
+      $set: {
+        payment_status: 'failed',
+        failure_message: invoice.last_finalization_error?.message || 'Invoice payment failed',
+        attempt_count: invoice.attempt_count,
+        updated_at: new Date()
+      },
+      $setOnInsert: {
+        user_id: subscription.user_id,
+        plan_id: subscription.plan_id,
+        subscription_id: subscription._id,
+        amount: invoice.amount_due / 100,
+        currency: (invoice.currency || 'usd').toUpperCase(),
+        payment_method: 'stripe',
+        stripe_invoice_id: invoice.id,
+        transaction_reference: invoice.id,
+        billing_reason: invoice.billing_reason,
+        created_at: new Date()
+      }
+    },
+    { upsert: true }
+  );
+}
+
+// Status, period and cancellation changes (including ones made in the Stripe dashboard)
+export async function handleSubscriptionUpdated(stripeSubscription) {
+  const db = await getDB();
+  const subscription = await findRecurringRow(stripeSubscription.id);
+  const status = STATUS_MAP[stripeSubscription.status] || stripeSubscription.status;
+
+  // end_date is left alone: only a paid invoice moves it forward (handleInvoicePaid)
+  await db.collection('user_subscriptions').updateOne(
+    { _id: subscription._id },
+    {
+      $set: {
+        status,
+        cancel_at_period_end: stripeSubscription.cancel_at_period_end,
+        updated_at: new Date()
+      }
+    }
+  );
+
+  // A plan change made outside the app (e.g. in the Stripe dashboard) or an upgrade whose
+  // payment was confirmed later. Scheduled downgrades already carry the new price.
+  const priceId = stripeSubscription.items?.data?.[0]?.price?.id;
+  if (priceId && !subscription.pending_plan_id) {
+    const plan = await db.collection('subscription_plans').findOne({ stripe_price_id: priceId });
+    if (plan && !plan._id.equals(subscription.plan_id)) {
+      await db.collection('user_subscriptions').updateOne(
+        { _id: subscription._id },
+        { $set: { plan_id: plan._id, updated_at: new Date() } }
+      );
+      await recordSubscriptionEvent(subscription._id, {
+        type: 'plan_changed',
+        from_plan_id: subscription.plan_id,
+        to_plan_id: plan._id,
+        source: 'stripe_billing'
+      });
+    }
+  }
+
+  if (status !== subscription.status) {
+    await recordSubscriptionEvent(subscription._id, {
+      type: 'status_changed',
+      from_status: subscription.status,
+      to_status: status,
+      source: 'stripe_billing'
+    });
+  }
+}
+
+// The subscription has ended (cancelled at period end, cancelled immediately or unpaid)
+export async function handleSubscriptionDeleted(stripeSubscription) {
+  const db = await getDB();
+  const subscription = await findRecurringRow(stripeSubscription.id);
+  const endedAt = fromUnix(stripeSubscription.ended_at) || new Date();
+  const endDate = subscription.end_date && subscription.end_date < endedAt ? subscription.end_date : endedAt;
+
+  await db.collection('user_subscriptions').updateOne(
+    { _id: subscription._id },
+    {
+      $set: {
+        status: 'cancelled',
+        auto_renew: false,
+        cancel_at_period_end: false,
+        end_date: endDate,
+        cancelled_at: endedAt,
+        updated_at: new Date()
+      }
+    }
+  );
+  await recordSubscriptionEvent(subscription._id, {
+    type: 'cancelled',
+    from_status: subscription.status,
+    to_status: 'cancelled',
+    from_end_date: subscription.end_date,
+    to_end_date: endDate,
+    reason: stripeSubscription.cancellation_details?.reason || null,
+    source: 'stripe_billing'
+  });
+}
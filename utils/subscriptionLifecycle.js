@@ -0,0 +1,211 @@
+import { getDB } from '../config/database.js';
+import { findActiveSubscription, recordSubscriptionEvent } from './subscriptions.js';
+import { notify } from './notifications.js';
+import { applyScheduledPlanChange } from './planChanges.js';
+import { releaseStaleRedemptions } from './coupons.js';
+
+// Scheduled job that moves subscriptions through their statuses:
+//
+//   active --(end_date passed)--> grace     (one-off purchase, can still be renewed)
+//                             \-> past_due  (recurring, renewal payment missing)
+//   grace / past_due --(grace_until passed)--> expired
+//   unpaid (Stripe stopped retrying) --> expired
+//   trialing --(end_date passed)--> expired  (card-less trial; Stripe converts or
+//                                            cancels card trials itself)
+//
+// Access continues during grace / past_due (see accessFilter in utils/subscriptions.js).
+// It also sends renewal reminders before end_date, and releases the coupon claims of
+// checkouts abandoned while pending (utils/coupons.js). Every step is a conditional update,
+// so running the job from several instances at once is safe.
+
+export const GRACE_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS ?? 3);
+// Days before end_date to send a reminder, e.g. "7,1"
+export const REMINDER_DAYS = (process.env.SUBSCRIPTION_REMINDER_DAYS || '7,1')
+  .split(',')
+  .map(days => parseInt(days))
+  .filter(days => days > 0)
+  .sort((a, b) => a - b);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stripe charges a renewal at the end of the period and tells us a little later
+const RENEWAL_SETTLE_MS = 60 * 60 * 1000;
+
+const planNames = async (db, subscriptions) => {
+  const plans = await db.collection('subscription_plans')
+    .find({ _id: { $in: subscriptions.map(sub => sub.plan_id) } }, { projection: { name: 1 } })
+    .toArray();
+  return new Map(plans.map(plan => [plan._id.toString(), plan.name]));
+};
+
+const planName = (names, subscription) => names.get(subscription.plan_id?.toString()) || 'Cleo Music';
+
+// No point warning about a subscription ending if another one keeps the user's access going
+const coveredByAnother = async (subscription) => {
+  const current = await findActiveSubscription(subscription.user_id);
+  return Boolean(current) && !current._id.equals(subscription._id);
+};
+
+// Move one subscription from `from` to `to`; returns false if something else changed it first
+async function transition(db, subscription, from, to, extra = {}) {
+  const result = await db.collection('user_subscriptions').updateOne(
+    { _id: subscription._id, status: from },
+    { $set: { status: to, ...extra, updated_at: new Date() } }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  await recordSubscriptionEvent(subscription._id, {
+    type: 'status_changed',
+    from_status: from,
+    to_status: to,
+    source: 'lifecycle',
+    ...extra
+  });
+  return true;
+}
+
+// Active subscriptions whose paid period is over
+async function startGracePeriods(db, now) {
+  const due = await db.collection('user_subscriptions')
+    .find({ status: 'active', end_date: { $lte: now } })
+    .toArray();
+  const names = await planNames(db, due);
+  let moved = 0;
+
+  for (const subscription of due) {
+    const recurring = subscription.auto_renew === true && !subscription.cancel_at_period_end;
+    if (recurring && new Date(subscription.end_date).getTime() > now.getTime() - RENEWAL_SETTLE_MS) continue;
+    const graceUntil = new Date(new Date(subscription.end_date).getTime() + GRACE_DAYS * DAY_MS);
+
+    // No grace configured (or it's already over): straight to expired
+    if (graceUntil <= now) {
+      if (await transition(db, subscription, 'active', 'expired', { expired_at: now })) {
+        moved++;
+        if (await coveredByAnother(subscription)) continue;
+        await notify(subscription.user_id, 'subscription.expired', {
+          planName: planName(names, subscription)
+        });
+      }
+      continue;
+    }
+
+    const to = recurring ? 'past_due' : 'grace';
+    if (await transition(db, subscription, 'active', to, { grace_until: graceUntil })) {
+      moved++;
+      // The period is over, so a scheduled downgrade now applies (renewing continues on it)
+      if (!recurring) {
+        await applyScheduledPlanChange(subscription, { source: 'lifecycle' });
+      }
+      if (await coveredByAnother(subscription)) continue;
+      await notify(subscription.user_id, 'subscription.grace_started', {
+        planName: planName(names, subscription),
+        graceUntil,
+        pastDue: recurring
+      });
+    }
+  }
+  return moved;
+}
+
+// Stripe can mark a subscription past_due by webhook; give those a grace window too
+async function setMissingGraceWindows(db, now) {
+  const result = await db.collection('user_subscriptions').updateMany(
+    { status: 'past_due', grace_until: null },
+    { $set: { grace_until: new Date(now.getTime() + GRACE_DAYS * DAY_MS), updated_at: now } }
+  );
+  return result.modifiedCount;
+}
+
+async function expireGracePeriods(db, now) {
+  const due = await db.collection('user_subscriptions')
+    .find({
+      $or: [
+        { status: { $in: ['grace', 'past_due'] }, grace_until: { $lte: now } },
+        // Stripe has given up retrying the payment
+        { status: 'unpaid' }
+      ]
+    })
+    .toArray();
+  const names = await planNames(db, due);
+  let moved = 0;
+
+  for (const subscription of due) {
+    if (await transition(db, subscription, subscription.status, 'expired', { expired_at: now })) {
+      moved++;
+      if (await coveredByAnother(subscription)) continue;
+      await notify(subscription.user_id, 'subscription.expired', {
+        planName: planName(names, subscription)
+      });
+    }
+  }
+  return moved;
+}
+
+// Card-less free trials that weren't paid for; there's no grace period after a trial
+async function expireTrials(db, now) {
+  const due = await db.collection('user_subscriptions')
+    .find({ status: 'trialing', auto_renew: { $ne: true }, end_date: { $lte: now } })
+    .toArray();
+  const names = await planNames(db, due);
+  let moved = 0;
+
+  for (const subscription of due) {
+    if (await transition(db, subscription, 'trialing', 'expired', { expired_at: now })) {
+      moved++;
+      if (await coveredByAnother(subscription)) continue;
+      await notify(subscription.user_id, 'subscription.trial_ended', {
+        planName: planName(names, subscription)
+      });
+    }
+  }
+  return moved;
+}
+
+// One reminder per threshold per billing period: the key includes end_date, so a
+// renewal (new end_date) makes the reminders due again
+async function sendRenewalReminders(db, now) {
+  if (REMINDER_DAYS.length === 0) return 0;
+
+  const horizon = new Date(now.getTime() + REMINDER_DAYS[REMINDER_DAYS.length - 1] * DAY_MS);
+  const upcoming = await db.collection('user_subscriptions')
+    .find({ status: { $in: ['active', 'trialing'] }, end_date: { $gt: now, $lte: horizon } })
+    .toArray();
+  const names = await planNames(db, upcoming);
+  let sent = 0;
+
+  for (const subscription of upcoming) {
+    const endDate = new Date(subscription.end_date);
+    // Only the closest threshold, so a late first run doesn't send several at once
+    const days = REMINDER_DAYS.find(threshold => endDate.getTime() - now.getTime() <= threshold * DAY_MS);
+    const key = `${days}d:${endDate.toISOString()}`;
+
+    const claimed = await db.collection('user_subscriptions').updateOne(
+      { _id: subscription._id, reminders_sent: { $ne: key } },
+      { $push: { reminders_sent: { $each: [key], $slice: -10 } } }
+    );
+    if (claimed.modifiedCount === 0 || await coveredByAnother(subscription)) continue;
+
+    await notify(subscription.user_id, 'subscription.renewal_reminder', {
+      planName: planName(names, subscription),
+      endDate,
+      days,
+      renews: subscription.auto_renew === true && !subscription.cancel_at_period_end,
+      trial: subscription.status === 'trialing'
+    });
+    sent++;
+  }
+  return sent;
+}
+
+// Run every step once; returns counts for logging
+export async function runSubscriptionLifecycle(now = new Date()) {
+  const db = await getDB();
+  return {
+    reminders: await sendRenewalReminders(db, now),
+    graceStarted: await startGracePeriods(db, now),
+    graceWindowsSet: await setMissingGraceWindows(db, now),
+    expired: await expireGracePeriods(db, now),
+    trialsExpired: await expireTrials(db, now),
+    couponClaimsReleased: await releaseStaleRedemptions(now)
+  };
+}
@@ -0,0 +1,158 @@
+import { ObjectId } from 'mongodb';
+import { getDB } from '../config/database.js';
+
+// Shared subscription logic for the payment routes, admin grants and middleware
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// New end date when adding `days`: counted from the current end if it's still
+// in the future, otherwise from now
+export function extendEndDate(currentEndDate, days) {
+  const now = new Date();
+  const from = currentEndDate && new Date(currentEndDate) > now ? new Date(currentEndDate) : now;
+  return addDays(from, days);
+}
+
+// Statuses that still give access: 'active' and 'trialing' (free trial) until end_date,
+// and 'grace' (ended one-off) or 'past_due' (failed renewal) until grace_until.
+// See utils/subscriptionLifecycle.js.
+export const accessFilter = (now = new Date()) => ({
+  $or: [
+    { status: { $in: ['active', 'trialing'] }, end_date: { $gt: now } },
+    { status: { $in: ['grace', 'past_due'] }, grace_until: { $gt: now } }
+  ]
+});
+
+export const grantsAccess = (subscription, now = new Date()) => {
+  if (!subscription) return false;
+  if (['active', 'trialing'].includes(subscription.status)) return new Date(subscription.end_date) > now;
+  if (['grace', 'past_due'].includes(subscription.status)) {
+    return Boolean(subscription.grace_until) && new Date(subscription.grace_until) > now;
+  }
+  return false;
+};
+
+// The subscription that currently gives a user access, if any
+export async function findActiveSubscription(userId) {
+  const db = await getDB();
+  return db.collection('user_subscriptions').findOne(
+    {
+      user_id: new ObjectId(userId),
+      ...accessFilter()
+    },
+    { sort: { end_date: -1 } }
+  );
+}
+
+// History of everything that happened to a subscription (grants, extensions, status changes)
+export async function recordSubscriptionEvent(subscriptionId, event) {
+  const db = await getDB();
+  await db.collection('subscription_events').insertOne({
+    subscription_id: new ObjectId(subscriptionId),
+    ...event,
+    created_at: new Date()
+  });
+}
+
+// Give a user `days` (default: the plan's duration) of access to a plan.
+// An active (or in grace) one-off subscription is extended, otherwise a new one is created.
+// Paying during a card-less trial converts it: the paid days start when the trial ends.
+// Buying a different plan moves the subscription onto it (see convertAndExtend).
+// Recurring (auto_renew) subscriptions are never extended here - their end date
+// follows the billing period in Stripe.
+// `fields` are stored on a newly created subscription (e.g. stripe_payment_intent_id),
+// `event` is merged into the subscription history entry.
+export async function activateSubscription({ userId, plan, days = plan.duration_days, fields = {}, event = {} }) {
+  const db = await getDB();
+  const existing = await db.collection('user_subscriptions').findOne(
+    {
+      user_id: new ObjectId(userId),
+      auto_renew: { $ne: true },
+      ...accessFilter()
+    },
+    { sort: { end_date: -1 } }
+  );
+
+  if (existing && !existing.plan_id.equals(plan._id)) {
+    return convertAndExtend(existing, plan, days, event);
+  }
+
+  if (existing) {
+    const endDate = extendEndDate(existing.end_date, days);
+    await db.collection('user_subscriptions').updateOne(
+      { _id: existing._id },
+      { $set: { status: 'active', end_date: endDate, updated_at: new Date() }, $unset: { grace_until: '' } }
+    );
+    await recordSubscriptionEvent(existing._id, {
+      type: 'extended',
+      plan_id: plan._id,
+      days,
+      from_status: existing.status,
+      to_status: 'active',
+      from_end_date: existing.end_date,
+      to_end_date: endDate,
+      ...event
+    });
+    return db.collection('user_subscriptions').findOne({ _id: existing._id });
+  }
+
+  const now = new Date();
+  const result = await db.collection('user_subscriptions').insertOne({
+    user_id: new ObjectId(userId),
+    plan_id: plan._id,
+    status: 'active',
+    start_date: now,
+    end_date: addDays(now, days),
+    ...fields,
+    created_at: now,
+    updated_at: now
+  });
+  await recordSubscriptionEvent(result.insertedId, {
+    type: 'created',
+    plan_id: plan._id,
+    days,
+    to_status: 'active',
+    ...event
+  });
+  return db.collection('user_subscriptions').findOne({ _id: result.insertedId });
+}
+
+// Buying plan B while on plan A: the days left on A are converted to days on B at
+// the same value (so nothing paid for is lost), then B's days are added from now
+async function convertAndExtend(existing, plan, days, event) {
+  const db = await getDB();
+  const currentPlan = await db.collection('subscription_plans').findOne({ _id: existing.plan_id });
+  const now = new Date();
+
+  const remainingMs = Math.max(0, new Date(existing.end_date).getTime() - now.getTime());
+  const ratio = currentPlan
+    ? (currentPlan.price / currentPlan.duration_days) / (plan.price / plan.duration_days)
+    : 1;
+  const convertedMs = Number.isFinite(ratio) ? remainingMs * ratio : remainingMs;
+  const endDate = addDays(new Date(now.getTime() + convertedMs), days);
+
+  await db.collection('user_subscriptions').updateOne(
+    { _id: existing._id },
+    {
+      $set: { plan_id: plan._id, status: 'active', end_date: endDate, updated_at: now },
+      $unset: { grace_until: '', pending_plan_id: '', plan_change_at: '' }
+    }
+  );
+  await recordSubscriptionEvent(existing._id, {
+    type: 'plan_changed',
+    from_plan_id: existing.plan_id,
+    to_plan_id: plan._id,
+    days,
+    converted_days: Math.round((convertedMs / (24 * 60 * 60 * 1000)) * 100) / 100,
+    from_status: existing.status,
+    to_status: 'active',
+    from_end_date: existing.end_date,
+    to_end_date: endDate,
+    ...event
+  });
+  return db.collection('user_subscriptions').findOne({ _id: existing._id });
+}
@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import { getDB } from '../config/database.js';
+import { accessFilter, recordSubscriptionEvent } from './subscriptions.js';
+
+// Free trials. A plan with trial_days > 0 can be tried once per user (and once per
+// phone number when one is given). Each trial is claimed in the trials collection,
+// which keeps only a hash of the phone number and outlives account deletion.
+//
+// With a card (Stripe Billing) the trial converts to paid automatically at its end,
+// or is cancelled by Stripe if no payment method was added. Without one (e.g. M-Pesa
+// users) it simply expires (utils/subscriptionLifecycle.js) unless the user pays.
+
+// Require a phone number for card-less trials, so each number gets one trial
+const REQUIRE_PHONE = process.env.TRIAL_REQUIRE_PHONE === 'true';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashPhone = (phoneNumber) => crypto.createHash('sha256').update(phoneNumber).digest('hex');
+
+export const trialDays = (plan) => (plan?.trial_days > 0 ? plan.trial_days : 0);
+
+// Why this user can't start a trial of `plan`, or null if they can
+export async function trialProblem({ userId, plan, phoneNumber = null, cardless = false }) {
+  if (!trialDays(plan)) return 'This plan has no free trial';
+  if (cardless && REQUIRE_PHONE && !phoneNumber) return 'A phone number is required for a free trial';
+
+  const db = await getDB();
+  const used = await db.collection('trials').findOne({
+    $or: [
+      { user_id: new ObjectId(userId) },
+      ...(phoneNumber ? [{ phone_hash: hashPhone(phoneNumber) }] : [])
+    ]
+  });
+  if (used) return 'You have already used your free trial';
+
+  if (cardless) {
+    const current = await db.collection('user_subscriptions').findOne({
+      user_id: new ObjectId(userId),
+      ...accessFilter()
+    });
+    if (current) return 'You already have an active subscription';
+  }
+
+  return null;
+}
+
+// Record that the user has used their trial. Returns false if it was used already
+// (the unique indexes on user_id and phone_hash settle concurrent requests).
+export async function claimTrial({ userId, plan, phoneNumber = null, method }) {
+  const db = await getDB();
+  try {
+    await db.collection('trials').insertOne({
+      user_id: new ObjectId(userId),
+      plan_id: plan._id,
+      ...(phoneNumber ? { phone_hash: hashPhone(phoneNumber) } : {}),
+      method,
+      created_at: new Date()
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+// Undo a claim when starting the trial failed (e.g. Stripe rejected the request)
+export async function releaseTrial(userId) {
+  const db = await getDB();
+  await db.collection('trials').deleteOne({ user_id: new ObjectId(userId), subscription_id: { $exists: false } });
+}
+
+export async function linkTrial(userId, subscriptionId) {
+  const db = await getDB();
+  await db.collection('trials').updateOne(
+    { user_id: new ObjectId(userId) },
+    { $set: { subscription_id: subscriptionId } }
+  );
+}
+
+// A trial without a payment method: a 'trialing' subscription that ends after trial_days.
+// Returns the subscription, or null if the trial had already been claimed.
+export async function startCardlessTrial({ userId, plan, phoneNumber = null }) {
+  if (!await claimTrial({ userId, plan, phoneNumber, method: 'cardless' })) return null;
+
+  const db = await getDB();
+  const now = new Date();
+  const endDate = new Date(now.getTime() + trialDays(plan) * DAY_MS);
+  const { insertedId } = await db.collection('user_subscriptions').insertOne({
+    user_id: new ObjectId(userId),
+    plan_id: plan._id,
+    status: 'trialing',
+    start_date: now,
+    end_date: endDate,
+    trial_end: endDate,
+    created_at: now,
+    updated_at: now
+  });
+  await linkTrial(userId, insertedId);
+  await recordSubscriptionEvent(insertedId, {
+    type: 'trial_started',
+    plan_id: plan._id,
+    days: trialDays(plan),
+    to_status: 'trialing',
+    to_end_date: endDate,
+    source: 'user'
+  });
+
+  return db.collection('user_subscriptions').findOne({ _id: insertedId });
+}
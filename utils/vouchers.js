@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import { getDB } from '../config/database.js';
+import { activateSubscription, accessFilter } from './subscriptions.js';
+import { sendGiftVoucherEmail } from './emails.js';
+
+// Vouchers: codes worth a plan's duration (or a set number of days), redeemed with
+// POST /api/subscriptions/redeem. They come from gift purchases (a payment with `gift`
+// set, see fulfillPayment in utils/checkout.js) or from batches minted by admins.
+//
+// Status: 'active' -> 'redeemed', or 'void' when an admin cancels it.
+
+// Gift vouchers stay redeemable this long
+export const GIFT_VALID_DAYS = parseInt(process.env.GIFT_VOUCHER_VALID_DAYS) || 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// No 0/O or 1/I, so codes can be read out and typed without mistakes
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const normalizeVoucherCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// e.g. CLEO-7KQ2-M9XD-4TPA; stored without the dashes
+export function generateVoucherCode() {
+  let code = '';
+  for (let i = 0; i < 12; i++) {
+    code += ALPHABET[crypto.randomInt(ALPHABET.length)];
+  }
+  return `CLEO${code}`;
+}
+
+export const formatVoucherCode = (code) => code.match(/.{1,4}/g).join('-');
+
+// Gift details sent with a purchase: { recipientEmail, recipientName, message }, all optional.
+// Returns { gift } (stored on the payment) or { error }.
+export function parseGiftInput(input) {
+  const gift = input === true ? {} : input;
+  if (!gift || typeof gift !== 'object') return { error: 'Invalid gift details' };
+
+  const email = gift.recipientEmail ? String(gift.recipientEmail).trim().toLowerCase() : null;
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return { error: 'Enter a valid email address for the recipient' };
+  }
+  const message = gift.message ? String(gift.message).trim() : null;
+  if (message && message.length > 500) {
+    return { error: 'Gift messages can be at most 500 characters' };
+  }
+
+  return {
+    gift: {
+      recipient_email: email,
+      recipient_name: gift.recipientName ? String(gift.recipientName).trim().slice(0, 100) : null,
+      message
+    }
+  };
+}
+
+// Insert a voucher with a fresh code, retrying the (unlikely) clash with an existing one
+export async function createVoucher({ plan, days = null, source, expiresAt = null, fields = {} }) {
+  const db = await getDB();
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const voucher = {
+      code: generateVoucherCode(),
+      plan_id: plan._id,
+      days: days || plan.duration_days,
+      source,
+      status: 'active',
+      expires_at: expiresAt,
+      ...fields,
+      created_at: new Date()
+    };
+    try {
+      const { insertedId } = await db.collection('vouchers').insertOne(voucher);
+      return { _id: insertedId, ...voucher };
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern?.code) throw error;
+    }
+  }
+  throw new Error('Could not generate a unique voucher code');
+}
+
+// The gift bought by a completed payment. Runs once per payment: a second call returns
+// the voucher created by the first.
+export async function fulfillGift(payment) {
+  const db = await getDB();
+  const existing = await db.collection('vouchers').findOne({ payment_id: payment._id });
+  if (existing) return existing;
+
+  const plan = await db.collection('subscription_plans').findOne({ _id: payment.plan_id });
+  if (!plan) {
+    throw new Error(`Plan ${payment.plan_id} not found`);
+  }
+
+  let voucher;
+  try {
+    voucher = await createVoucher({
+      plan,
+      source: 'gift',
+      expiresAt: new Date(Date.now() + GIFT_VALID_DAYS * DAY_MS),
+      fields: {
+        payment_id: payment._id,
+        purchaser_id: payment.user_id,
+        recipient_email: payment.gift.recipient_email || null,
+        recipient_name: payment.gift.recipient_name || null,
+        message: payment.gift.message || null
+      }
+    });
+  } catch (error) {
+    // Fulfilled concurrently (unique index on payment_id)
+    if (error.code === 11000) return db.collection('vouchers').findOne({ payment_id: payment._id });
+    throw error;
+  }
+
+  await db.collection('payments').updateOne(
+    { _id: payment._id },
+    { $set: { voucher_id: voucher._id, updated_at: new Date() } }
+  );
+
+  if (voucher.recipient_email) {
+    const purchaser = await db.collection('users').findOne({ _id: payment.user_id }, { projection: { name: 1 } });
+    try {
+      await sendGiftVoucherEmail(
+        { email: voucher.recipient_email, name: voucher.recipient_name },
+        {
+          code: formatVoucherCode(voucher.code),
+          planName: plan.name,
+          days: voucher.days,
+          fromName: purchaser?.name || null,
+          message: voucher.message,
+          expiresAt: voucher.expires_at
+        }
+      );
+      await db.collection('vouchers').updateOne({ _id: voucher._id }, { $set: { emailed_at: new Date() } });
+    } catch (error) {
+      // The purchaser can still see and pass on the code
+      console.error('Send gift voucher email error:', error);
+    }
+  }
+
+  return voucher;
+}
+
+// Activate or extend the user's subscription with a voucher.
+// Returns { voucher, subscription } or { error, status }.
+export async function redeemVoucher({ code, userId }) {
+  const db = await getDB();
+  const now = new Date();
+  const normalized = normalizeVoucherCode(code);
+  if (!normalized) return { error: 'Enter a voucher code', status: 400 };
+
+  const voucher = await db.collection('vouchers').findOne({ code: normalized });
+  if (!voucher || voucher.status === 'void') return { error: 'This voucher code is not valid', status: 404 };
+  if (voucher.status === 'redeemed') return { error: 'This voucher has already been redeemed', status: 409 };
+  if (voucher.expires_at && voucher.expires_at <= now) return { error: 'This voucher has expired', status: 410 };
+
+  const plan = await db.collection('subscription_plans').findOne({ _id: voucher.plan_id });
+  if (!plan) return { error: 'The plan for this voucher is no longer available', status: 410 };
+
+  // Days can't be added to a subscription Stripe bills, and would overlap with it
+  const recurring = await db.collection('user_subscriptions').findOne({
+    user_id: new ObjectId(userId),
+    auto_renew: true,
+    ...accessFilter(now)
+  });
+  if (recurring) {
+    return {
+      error: 'Your subscription renews automatically. Redeem this voucher once it has ended.',
+      status: 409
+    };
+  }
+
+  // Claim it first so two requests can't both redeem it
+  const claimed = await db.collection('vouchers').findOneAndUpdate(
+    { _id: voucher._id, status: 'active' },
+    { $set: { status: 'redeemed', redeemed_by: new ObjectId(userId), redeemed_at: now } },
+    { returnDocument: 'after' }
+  );
+  if (!claimed) return { error: 'This voucher has already been redeemed', status: 409 };
+
+  let subscription;
+  try {
+    subscription = await activateSubscription({
+      userId,
+      plan,
+      days: claimed.days,
+      event: { source: 'voucher', voucher_id: claimed._id }
+    });
+  } catch (error) {
+    await db.collection('vouchers').updateOne(
+      { _id: claimed._id, redeemed_by: new ObjectId(userId) },
+      { $set: { status: 'active' }, $unset: { redeemed_by: '', redeemed_at: '' } }
+    );
+    throw error;
+  }
+
+  await db.collection('vouchers').updateOne({ _id: claimed._id }, { $set: { subscription_id: subscription._id } });
+  return { voucher: claimed, subscription, plan };
+}
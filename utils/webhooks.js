@@ -0,0 +1,68 @@
+import { getDB } from '../config/database.js';
+
+// Providers retry webhooks and may deliver the same event more than once.
+// Every event is recorded in webhook_events under its provider's event id and
+// handled at most once; an event whose handler failed is retried on redelivery.
+
+const DUPLICATE_KEY = 11000;
+// An attempt still 'processing' after this long is assumed to have crashed
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+// Returns 'processed', 'ignored' (no handler) or 'duplicate'.
+// Throws if the handler fails, so the caller can answer with an error and get a retry.
+export async function processWebhookEventOnce({ provider, id, type, payload = null }, handler) {
+  const db = await getDB();
+  const events = db.collection('webhook_events');
+  const eventId = `${provider}:${id}`;
+  const now = new Date();
+
+  try {
+    await events.insertOne({
+      _id: eventId,
+      provider,
+      event_id: id,
+      type,
+      payload,
+      status: 'processing',
+      attempts: 1,
+      received_at: now,
+      updated_at: now
+    });
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+
+    // Only an earlier failed (or abandoned) attempt may be claimed again
+    const retry = await events.findOneAndUpdate(
+      {
+        _id: eventId,
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', updated_at: { $lt: new Date(now.getTime() - STALE_PROCESSING_MS) } }
+        ]
+      },
+      { $set: { status: 'processing', updated_at: now }, $inc: { attempts: 1 } }
+    );
+    if (!retry) return 'duplicate';
+  }
+
+  if (!handler) {
+    await events.updateOne({ _id: eventId }, { $set: { status: 'ignored', updated_at: new Date() } });
+    return 'ignored';
+  }
+
+  try {
+    await handler();
+  } catch (error) {
+    await events.updateOne(
+      { _id: eventId },
+      { $set: { status: 'failed', error: error.message, updated_at: new Date() } }
+    );
+    throw error;
+  }
+
+  await events.updateOne(
+    { _id: eventId },
+    { $set: { status: 'processed', processed_at: new Date(), updated_at: new Date() }, $unset: { error: '' } }
+  );
+  return 'processed';
+}